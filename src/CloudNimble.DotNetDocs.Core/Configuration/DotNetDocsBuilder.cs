@@ -100,6 +100,26 @@ namespace CloudNimble.DotNetDocs.Core.Configuration
             return this;
         }
 
+        /// <summary>
+        /// Adds a custom validator to the pipeline.
+        /// </summary>
+        /// <typeparam name="TValidator">The type of validator to add.</typeparam>
+        /// <returns>The builder for chaining.</returns>
+        /// <remarks>
+        /// Validators check the generated documentation after rendering.
+        /// </remarks>
+        /// <example>
+        /// <code>
+        /// pipeline.AddValidator&lt;MyLinkValidator&gt;();
+        /// </code>
+        /// </example>
+        public DotNetDocsBuilder AddValidator<TValidator>()
+            where TValidator : class, IDocValidator
+        {
+            _services.TryAddEnumerable(ServiceDescriptor.Scoped<IDocValidator, TValidator>());
+            return this;
+        }
+
         /// <summary>
         /// Builds the pipeline and ensures all required services are registered.
         /// </summary>
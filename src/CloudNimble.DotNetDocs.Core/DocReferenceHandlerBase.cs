@@ -1,4 +1,6 @@
 using CloudNimble.DotNetDocs.Core.Configuration;
+using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.IO;
 using System.Linq;
@@ -23,8 +25,17 @@ namespace CloudNimble.DotNetDocs.Core
     public abstract class DocReferenceHandlerBase : IDocReferenceHandler
     {
 
+        #region Private Fields
+
+        private readonly ConcurrentQueue<DocumentationDiagnostic> diagnostics = new();
+
+        #endregion
+
         #region Properties
 
+        /// <inheritdoc />
+        public IReadOnlyCollection<DocumentationDiagnostic> Diagnostics => diagnostics;
+
         /// <inheritdoc />
         public abstract SupportedDocumentationType DocumentationType { get; }
 
@@ -32,6 +43,17 @@ namespace CloudNimble.DotNetDocs.Core
 
         #region Public Methods
 
+        /// <inheritdoc />
+        /// <remarks>
+        /// The base implementation only clears the diagnostics of the previous build, because most handlers process each reference
+        /// on its own. Overrides should call <see cref="ClearDiagnostics"/> before they report anything.
+        /// </remarks>
+        public virtual Task PrepareAsync(IReadOnlyList<DocumentationReference> references, string documentationRootPath)
+        {
+            ClearDiagnostics();
+            return Task.CompletedTask;
+        }
+
         /// <inheritdoc />
         public abstract Task ProcessAsync(DocumentationReference reference, string documentationRootPath);
 
@@ -39,6 +61,28 @@ namespace CloudNimble.DotNetDocs.Core
 
         #region Protected Methods
 
+        /// <summary>
+        /// Removes the diagnostics reported so far, so a new build doesn't repeat the ones from the last.
+        /// </summary>
+        protected void ClearDiagnostics()
+        {
+            diagnostics.Clear();
+        }
+
+        /// <summary>
+        /// Records a warning or error to be reported when the build finishes.
+        /// </summary>
+        /// <param name="diagnostic">The diagnostic to report.</param>
+        /// <remarks>
+        /// Files are processed in parallel, so this is safe to call from multiple threads.
+        /// </remarks>
+        protected void ReportDiagnostic(DocumentationDiagnostic diagnostic)
+        {
+            ArgumentNullException.ThrowIfNull(diagnostic);
+
+            diagnostics.Enqueue(diagnostic);
+        }
+
         /// <summary>
         /// Recursively copies a directory and its contents, excluding files that match exclusion patterns.
         /// </summary>
@@ -0,0 +1,100 @@
+using System;
+
+namespace CloudNimble.DotNetDocs.Core
+{
+
+    /// <summary>
+    /// Represents a warning or error found while processing documentation, with the file and line it applies to.
+    /// </summary>
+    /// <remarks>
+    /// Diagnostics are collected instead of thrown, so a single build can report every problem at once. The MSBuild task
+    /// logs them as build warnings and errors, which makes them clickable in the IDE and the build output.
+    /// </remarks>
+    public class DocumentationDiagnostic
+    {
+
+        #region Properties
+
+        /// <summary>
+        /// Gets the code that identifies the kind of problem.
+        /// </summary>
+        /// <example>DOCS1001</example>
+        public string Code { get; }
+
+        /// <summary>
+        /// Gets the one-based column the diagnostic applies to, or 0 when it applies to the whole line or file.
+        /// </summary>
+        public int Column { get; }
+
+        /// <summary>
+        /// Gets the path of the file the diagnostic applies to, if any.
+        /// </summary>
+        public string? FilePath { get; }
+
+        /// <summary>
+        /// Gets the one-based line the diagnostic applies to, or 0 when it applies to the whole file.
+        /// </summary>
+        public int Line { get; }
+
+        /// <summary>
+        /// Gets the description of the problem.
+        /// </summary>
+        public string Message { get; }
+
+        /// <summary>
+        /// Gets whether the diagnostic is a warning or an error.
+        /// </summary>
+        public DocumentationDiagnosticSeverity Severity { get; }
+
+        #endregion
+
+        #region Constructors
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="DocumentationDiagnostic"/> class.
+        /// </summary>
+        /// <param name="severity">Whether the diagnostic is a warning or an error.</param>
+        /// <param name="code">The code that identifies the kind of problem.</param>
+        /// <param name="message">The description of the problem.</param>
+        /// <param name="filePath">The path of the file the diagnostic applies to.</param>
+        /// <param name="line">The one-based line the diagnostic applies to.</param>
+        /// <param name="column">The one-based column the diagnostic applies to.</param>
+        public DocumentationDiagnostic(DocumentationDiagnosticSeverity severity, string code, string message, string? filePath = null, int line = 0, int column = 0)
+        {
+            ArgumentException.ThrowIfNullOrWhiteSpace(code);
+            ArgumentException.ThrowIfNullOrWhiteSpace(message);
+
+            Severity = severity;
+            Code = code;
+            Message = message;
+            FilePath = filePath;
+            Line = line;
+            Column = column;
+        }
+
+        #endregion
+
+        #region Public Methods
+
+        /// <summary>
+        /// Formats the diagnostic the way MSBuild and compilers print them.
+        /// </summary>
+        /// <returns>A string such as <c>docs/index.mdx(12,5): warning DOCS1001: Message</c>.</returns>
+        public override string ToString()
+        {
+            var location = FilePath switch
+            {
+                null => string.Empty,
+                _ when Line > 0 && Column > 0 => $"{FilePath}({Line},{Column}): ",
+                _ when Line > 0 => $"{FilePath}({Line}): ",
+                _ => $"{FilePath}: "
+            };
+
+            return $"{location}{Severity.ToString().ToLowerInvariant()} {Code}: {Message}";
+        }
+
+        #endregion
+
+    }
+
+}
@@ -0,0 +1,22 @@
+namespace CloudNimble.DotNetDocs.Core
+{
+
+    /// <summary>
+    /// Specifies how a <see cref="DocumentationDiagnostic"/> affects the documentation build.
+    /// </summary>
+    public enum DocumentationDiagnosticSeverity
+    {
+
+        /// <summary>
+        /// The documentation was generated, but something in it needs attention.
+        /// </summary>
+        Warning,
+
+        /// <summary>
+        /// The documentation could not be generated correctly and the build should fail.
+        /// </summary>
+        Error
+
+    }
+
+}
@@ -14,7 +14,7 @@ namespace CloudNimble.DotNetDocs.Core
     /// </summary>
     /// <remarks>
     /// This class manages the complete documentation lifecycle including enrichment,
-    /// transformation, and rendering. It handles <see cref="AssemblyManager"/> creation,
+    /// transformation, rendering, and validation. It handles <see cref="AssemblyManager"/> creation,
     /// usage, and disposal for processing assemblies.
     /// </remarks>
     public partial class DocumentationManager : IDisposable
@@ -27,6 +27,7 @@ namespace CloudNimble.DotNetDocs.Core
         private readonly IEnumerable<IDocReferenceHandler> referenceHandlers;
         private readonly IEnumerable<IDocRenderer> renderers;
         private readonly IEnumerable<IDocTransformer> transformers;
+        private readonly IEnumerable<IDocValidator> validators;
         private readonly ProjectContext projectContext;
 
         [GeneratedRegex(@"^\s*<!--\s*TODO:\s*REMOVE\s+THIS\s+COMMENT\s+AFTER\s+YOU\s+CUSTOMIZE\s+THIS\s+CONTENT\s*-->\s*$",
@@ -45,6 +46,7 @@ namespace CloudNimble.DotNetDocs.Core
         /// <param name="transformers">The transformers to apply to the documentation model.</param>
         /// <param name="renderers">The renderers to generate output formats.</param>
         /// <param name="referenceHandlers">The handlers for processing documentation references.</param>
+        /// <param name="validators">The validators to run on the generated documentation.</param>
         /// <remarks>
         /// This constructor is designed to work with dependency injection containers.
         /// All parameters accept IEnumerable collections that are typically injected by the DI container.
@@ -54,17 +56,36 @@ namespace CloudNimble.DotNetDocs.Core
             IEnumerable<IDocEnricher>? enrichers = null,
             IEnumerable<IDocTransformer>? transformers = null,
             IEnumerable<IDocRenderer>? renderers = null,
-            IEnumerable<IDocReferenceHandler>? referenceHandlers = null)
+            IEnumerable<IDocReferenceHandler>? referenceHandlers = null,
+            IEnumerable<IDocValidator>? validators = null)
         {
             this.projectContext = projectContext ?? throw new ArgumentNullException(nameof(projectContext));
             this.enrichers = enrichers ?? [];
             this.transformers = transformers ?? [];
             this.renderers = renderers ?? [];
             this.referenceHandlers = referenceHandlers ?? [];
+            this.validators = validators ?? [];
         }
 
         #endregion
 
+        #region Properties
+
+        /// <summary>
+        /// Gets the warnings and errors reported while processing documentation references and validating the output.
+        /// </summary>
+        /// <value>
+        /// The diagnostics from every <see cref="IDocReferenceHandler"/>, followed by those from every <see cref="IDocValidator"/>,
+        /// in the order each of them reported them.
+        /// </value>
+        public IReadOnlyList<DocumentationDiagnostic> Diagnostics =>
+        [
+            .. referenceHandlers.SelectMany(handler => handler.Diagnostics),
+            .. validators.SelectMany(validator => validator.Diagnostics)
+        ];
+
+        #endregion
+
         #region Public Methods
 
         /// <summary>
@@ -121,11 +142,8 @@ namespace CloudNimble.DotNetDocs.Core
                 // Run pipeline if we have references OR a MintlifyTemplate
                 if (hasReferences || projectContext.HasMintlifyTemplate)
                 {
-                    if (hasReferences)
-                    {
-                        // Process referenced documentation with format-specific handlers
-                        await ProcessDocumentationReferencesAsync();
-                    }
+                    // Process referenced documentation with format-specific handlers
+                    await ProcessDocumentationReferencesAsync();
 
                     // Renderers run for navigation file processing (pass null model)
                     // For Mintlify: generates docs.json from template + discovers content files
@@ -133,6 +151,8 @@ namespace CloudNimble.DotNetDocs.Core
                     {
                         await renderer.RenderAsync(null);
                     }
+
+                    await ValidateDocumentationAsync();
                 }
 
                 return;
@@ -182,12 +202,12 @@ namespace CloudNimble.DotNetDocs.Core
                 await renderer.RenderAsync(mergedModel);
             }
 
-            // STEP 6: Process referenced documentation files if any references exist
+            // STEP 6: Process referenced documentation files
             // Note: Navigation combining happens inside each renderer's RenderAsync() before saving
-            if (hasReferences)
-            {
-                await ProcessDocumentationReferencesAsync();
-            }
+            await ProcessDocumentationReferencesAsync();
+
+            // STEP 7: Validate the finished output, including the content copied from references
+            await ValidateDocumentationAsync();
         }
 
 
@@ -554,10 +574,21 @@ namespace CloudNimble.DotNetDocs.Core
         /// <remarks>
         /// Each reference is processed by the appropriate <see cref="IDocReferenceHandler"/>
         /// based on its documentation type. Handlers are responsible for copying files,
-        /// rewriting content paths, and relocating resources.
+        /// rewriting content paths, and relocating resources. Every handler is first given
+        /// all of its references through <see cref="IDocReferenceHandler.PrepareAsync"/>, including
+        /// handlers without any, so none of them reports the diagnostics of a previous build.
         /// </remarks>
         internal async Task ProcessDocumentationReferencesAsync()
         {
+            foreach (var handler in referenceHandlers)
+            {
+                var references = projectContext.DocumentationReferences
+                    .Where(r => referenceHandlers.FirstOrDefault(h => h.DocumentationType == r.DocumentationType) == handler)
+                    .ToList();
+
+                await handler.PrepareAsync(references, projectContext.DocumentationRootPath);
+            }
+
             foreach (var reference in projectContext.DocumentationReferences)
             {
                 var handler = referenceHandlers
@@ -570,6 +601,21 @@ namespace CloudNimble.DotNetDocs.Core
             }
         }
 
+        /// <summary>
+        /// Runs every validator on the generated documentation.
+        /// </summary>
+        /// <returns>A task representing the asynchronous validation.</returns>
+        /// <remarks>
+        /// Validators run last, so they check the documentation exactly as it will be published.
+        /// </remarks>
+        internal async Task ValidateDocumentationAsync()
+        {
+            foreach (var validator in validators)
+            {
+                await validator.ValidateAsync(projectContext.DocumentationRootPath);
+            }
+        }
+
         #endregion
 
         #region IDisposable Implementation
@@ -253,6 +253,28 @@ namespace Microsoft.Extensions.DependencyInjection
             return services;
         }
 
+        /// <summary>
+        /// Adds a custom documentation validator to the service collection.
+        /// </summary>
+        /// <typeparam name="TValidator">The type of validator to add.</typeparam>
+        /// <param name="services">The service collection.</param>
+        /// <returns>The service collection for chaining.</returns>
+        /// <remarks>
+        /// Registers the validator as Scoped implementation of IDocValidator.
+        /// Validators check the generated documentation after every other step has finished.
+        /// </remarks>
+        /// <example>
+        /// <code>
+        /// services.AddDocValidator&lt;MyLinkValidator&gt;();
+        /// </code>
+        /// </example>
+        public static IServiceCollection AddDocValidator<TValidator>(this IServiceCollection services)
+            where TValidator : class, IDocValidator
+        {
+            services.TryAddEnumerable(ServiceDescriptor.Scoped<IDocValidator, TValidator>());
+            return services;
+        }
+
         #endregion
 
     }
@@ -1,4 +1,5 @@
 using CloudNimble.DotNetDocs.Core.Configuration;
+using System.Collections.Generic;
 using System.Threading.Tasks;
 
 namespace CloudNimble.DotNetDocs.Core
@@ -31,10 +32,39 @@ namespace CloudNimble.DotNetDocs.Core
         /// </value>
         SupportedDocumentationType DocumentationType { get; }
 
+        /// <summary>
+        /// Gets the warnings and errors reported while processing documentation references.
+        /// </summary>
+        /// <value>
+        /// The diagnostics reported since the last call to <see cref="PrepareAsync"/>, such as paths that could not be rewritten.
+        /// </value>
+        /// <remarks>
+        /// The default implementation reports nothing, so handlers that can't fail don't have to implement it.
+        /// </remarks>
+        IReadOnlyCollection<DocumentationDiagnostic> Diagnostics => [];
+
         #endregion
 
         #region Public Methods
 
+        /// <summary>
+        /// Prepares to process a set of documentation references, before <see cref="ProcessAsync"/> is called for any of them.
+        /// </summary>
+        /// <param name="references">Every reference this handler will process for the collection.</param>
+        /// <param name="documentationRootPath">The root path of the collection documentation output.</param>
+        /// <returns>A task representing the asynchronous preparation.</returns>
+        /// <remarks>
+        /// <para>
+        /// Each call to <see cref="ProcessAsync"/> only sees a single reference. Handlers that need to compare references,
+        /// for example to emit the resources they share only once, can collect what they need here.
+        /// </para>
+        /// <para>
+        /// This is called once per build for every handler, even when none of the references are its own, so handlers should clear
+        /// the <see cref="Diagnostics"/> of the previous build here. The default implementation does nothing.
+        /// </para>
+        /// </remarks>
+        Task PrepareAsync(IReadOnlyList<DocumentationReference> references, string documentationRootPath) => Task.CompletedTask;
+
         /// <summary>
         /// Processes a documentation reference by copying files, rewriting content paths,
         /// and relocating resources as appropriate for this documentation format.
@@ -0,0 +1,50 @@
+using System.Collections.Generic;
+using System.Threading.Tasks;
+
+namespace CloudNimble.DotNetDocs.Core
+{
+
+    /// <summary>
+    /// Defines a validator that checks the generated documentation once every other step has finished.
+    /// </summary>
+    /// <remarks>
+    /// <para>
+    /// Validators run after the renderers and the <see cref="IDocReferenceHandler"/> instances have written their output, so they see
+    /// the documentation exactly as it will be published, including the content copied from referenced projects.
+    /// </para>
+    /// <para>
+    /// Problems are reported in <see cref="Diagnostics"/> instead of thrown, so a single build can report all of them.
+    /// </para>
+    /// </remarks>
+    public interface IDocValidator
+    {
+
+        #region Properties
+
+        /// <summary>
+        /// Gets the warnings and errors found by the validator.
+        /// </summary>
+        /// <value>
+        /// The diagnostics reported by the last call to <see cref="ValidateAsync"/>, such as links to pages that don't exist.
+        /// </value>
+        IReadOnlyCollection<DocumentationDiagnostic> Diagnostics { get; }
+
+        #endregion
+
+        #region Public Methods
+
+        /// <summary>
+        /// Validates the generated documentation.
+        /// </summary>
+        /// <param name="documentationRootPath">The root path of the documentation output.</param>
+        /// <returns>A task representing the asynchronous validation.</returns>
+        /// <remarks>
+        /// Each call starts from an empty <see cref="Diagnostics"/> collection, so a build doesn't repeat the problems of the last one.
+        /// </remarks>
+        Task ValidateAsync(string documentationRootPath);
+
+        #endregion
+
+    }
+
+}
@@ -1,17 +1,21 @@
-export const CTASection = () => {
-  const [animationsStarted, setAnimationsStarted] = React.useState(false);
+import { tokens, alpha, gradient, useTheme } from '/snippets/ThemeTokens.jsx';
+import { useReducedMotion } from '/snippets/ReducedMotion.jsx';
+import { useReveal } from '/snippets/Reveal.jsx';
+import { InstallWidget } from '/snippets/InstallWidget.jsx';
+import { releaseInfo } from '/snippets/ReleaseInfo.jsx';
 
-  React.useEffect(() => {
-    setAnimationsStarted(true);
-  }, []);
+export const CTASection = ({ release = releaseInfo, reducedMotion, theme }) => {
+  const { themeClassName, themeStyles } = useTheme(theme);
+  const { reduceMotion, motionClassName, motionStyles } = useReducedMotion(reducedMotion);
+  const section = useReveal({ disabled: reduceMotion });
 
   return (
-    <div style={{
+    <div ref={section.ref} className={`${themeClassName} ${motionClassName}`} style={{
       width: '100%',
       padding: '120px 0',
-      background: 'linear-gradient(135deg, #1A2B3D 0%, #0A1628 100%)',
+      background: `linear-gradient(135deg, ${tokens.backgroundAlt} 0%, ${tokens.background} 100%)`,
       textAlign: 'center',
-      opacity: animationsStarted ? 1 : 0,
+      opacity: section.hidden ? 0 : 1,
       transition: 'opacity 0.5s ease-out'
     }}>
       <div style={{
@@ -23,13 +27,13 @@ export const CTASection = () => {
           fontSize: 'clamp(36px, 5vw, 48px)',
           fontWeight: '900',
           marginBottom: '30px',
-          color: 'white'
+          color: tokens.text
         }}>
           Ready to Ship Better Docs?
         </h2>
         <div style={{
           fontSize: '20px',
-          color: '#B0C4DE',
+          color: tokens.textMuted,
           marginBottom: '40px',
           lineHeight: '1.6'
         }}>
@@ -43,13 +47,13 @@ export const CTASection = () => {
         }}>
           <a href="/quickstart" style={{
             padding: '18px 40px',
-            background: 'linear-gradient(135deg, #3CD0E2, #419AC5)',
-            color: 'white',
+            background: gradient(),
+            color: tokens.onAccent,
             borderRadius: '12px',
             textDecoration: 'none',
             fontWeight: 'bold',
             fontSize: '18px',
-            boxShadow: '0 10px 40px rgba(60, 208, 226, 0.3)',
+            boxShadow: `0 10px 40px ${alpha('accent', 0.3)}`,
             transition: 'all 0.3s',
             display: 'inline-block'
           }}>
@@ -57,36 +61,19 @@ export const CTASection = () => {
           </a>
         </div>
 
-        {/* Quick install */}
-        <div style={{
-          marginTop: '60px',
-          padding: '30px',
-          background: 'rgba(60, 208, 226, 0.05)',
-          border: '1px solid rgba(60, 208, 226, 0.2)',
-          borderRadius: '12px'
-        }}>
-          <p style={{
-            color: '#8B9DC3',
-            marginBottom: '15px',
-            fontSize: '14px',
-            textTransform: 'uppercase',
-            letterSpacing: '1px'
-          }}>
-            Quick Install
-          </p>
-          <code style={{
-            display: 'block',
-            padding: '15px',
-            background: 'rgba(0, 0, 0, 0.3)',
-            borderRadius: '8px',
-            color: '#3CD0E2',
-            fontSize: '16px',
-            fontFamily: 'monospace'
-          }}>
-            dotnet tool install DotNetDocs --global
-          </code>
+        <div style={{ marginTop: '60px' }}>
+          <InstallWidget version={release?.version} theme={theme} />
+          {release && (
+            <p style={{ margin: '16px 0 0', color: tokens.textSubtle, fontSize: '14px' }}>
+              Supports {release.targetFrameworks.join(', ')} ·{' '}
+              <a href={release.releaseNotesUrl} style={{ color: tokens.accent }}>Release notes</a>
+            </p>
+          )}
         </div>
       </div>
+
+      {themeStyles}
+      {motionStyles}
     </div>
   );
 };
\ No newline at end of file
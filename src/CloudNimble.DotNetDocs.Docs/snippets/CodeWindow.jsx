@@ -0,0 +1,170 @@
+export const csharpPalette = {
+  comment: '#608B4E',
+  keyword: '#569CD6',
+  control: '#C586C0',
+  type: '#4EC9B0',
+  method: '#DCDCAA',
+  identifier: '#9CDCFE',
+  string: '#CE9178',
+  number: '#B5CEA8',
+  punctuation: '#D4D4D4'
+};
+
+export const tokenizeCSharp = (source) => {
+  const keywords = new Set([
+    'abstract', 'as', 'async', 'base', 'bool', 'byte', 'char', 'checked', 'class', 'const', 'decimal', 'default',
+    'delegate', 'double', 'dynamic', 'enum', 'event', 'explicit', 'extern', 'false', 'fixed', 'float', 'get', 'init',
+    'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object',
+    'operator', 'out', 'override', 'params', 'partial', 'private', 'protected', 'public', 'readonly', 'record', 'ref',
+    'required', 'sbyte', 'sealed', 'set', 'short', 'sizeof', 'stackalloc', 'static', 'string', 'struct', 'this', 'true',
+    'typeof', 'uint', 'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'value', 'var', 'virtual', 'void', 'volatile',
+    'where', 'nameof'
+  ]);
+  const controlKeywords = new Set([
+    'await', 'break', 'case', 'catch', 'continue', 'do', 'else', 'finally', 'for', 'foreach', 'goto', 'if', 'return',
+    'switch', 'throw', 'try', 'while', 'yield'
+  ]);
+  const codePattern = /(\s+)|(\/\/.*$)|(\/\*.*?(?:\*\/|$))|(\$?@?"(?:[^"\\]|\\.|"")*"?)|('(?:[^'\\]|\\.)*'?)|(\b\d[\d_]*(?:\.\d+)?[fFdDmMlLuU]*\b)|([A-Za-z_@][\w]*)|(.)/g;
+  const docAttributePattern = /(\s)([A-Za-z_:][\w:.-]*)(=)("[^"]*"|'[^']*')/g;
+
+  const lines = (source ?? '').replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '').split('\n');
+  let inBlockComment = false;
+
+  return lines.map((line) => {
+    const tokens = [];
+    const push = (text, color) => {
+      if (text) {
+        tokens.push({ text, color });
+      }
+    };
+
+    // Block comments that started on a previous line
+    if (inBlockComment) {
+      const end = line.indexOf('*/');
+      if (end < 0) {
+        push(line, csharpPalette.comment);
+        return tokens;
+      }
+
+      push(line.slice(0, end + 2), csharpPalette.comment);
+      line = line.slice(end + 2);
+      inBlockComment = false;
+    }
+
+    // XML doc comments: green text with highlighted tag attributes
+    const docMatch = /^(\s*)(\/\/\/.*)$/.exec(line);
+    if (docMatch) {
+      push(docMatch[1], csharpPalette.punctuation);
+      const comment = docMatch[2];
+      let last = 0;
+      for (const match of comment.matchAll(docAttributePattern)) {
+        push(comment.slice(last, match.index) + match[1], csharpPalette.comment);
+        push(match[2], csharpPalette.identifier);
+        push(match[3], csharpPalette.punctuation);
+        push(match[4], csharpPalette.string);
+        last = match.index + match[0].length;
+      }
+      push(comment.slice(last), csharpPalette.comment);
+      return tokens;
+    }
+
+    const matches = [...line.matchAll(codePattern)];
+    matches.forEach((match, index) => {
+      const [text, whitespace, lineComment, blockComment, stringLiteral, charLiteral, number, word] = match;
+
+      if (whitespace) {
+        push(text, csharpPalette.punctuation);
+      } else if (lineComment) {
+        push(text, csharpPalette.comment);
+      } else if (blockComment) {
+        inBlockComment = !blockComment.endsWith('*/') || blockComment.length < 4;
+        push(text, csharpPalette.comment);
+      } else if (stringLiteral || charLiteral) {
+        push(text, csharpPalette.string);
+      } else if (number) {
+        push(text, csharpPalette.number);
+      } else if (word) {
+        const next = matches.slice(index + 1).find((m) => !m[1]);
+        const previous = [...matches.slice(0, index)].reverse().find((m) => !m[1]);
+        if (controlKeywords.has(word)) {
+          push(text, csharpPalette.control);
+        } else if (keywords.has(word)) {
+          push(text, csharpPalette.keyword);
+        } else if (next && next[0] === '(' && previous?.[0] !== 'new') {
+          push(text, csharpPalette.method);
+        } else if (/^[A-Z]/.test(word) || previous?.[0] === 'new') {
+          push(text, csharpPalette.type);
+        } else {
+          push(text, csharpPalette.identifier);
+        }
+      } else {
+        push(text, csharpPalette.punctuation);
+      }
+    });
+
+    return tokens;
+  });
+};
+
+export const CodeWindow = ({ source, fileName = 'Program.cs', highlightLines = [] }) => {
+  const lines = tokenizeCSharp(source);
+
+  // Accepts [1, 3, 4] or Mintlify-style "1,3-4". Reversed ranges are flipped, ranges are clamped to the lines that exist,
+  // and entries that aren't a number or a range of numbers are ignored.
+  const highlighted = new Set(
+    (Array.isArray(highlightLines) ? highlightLines : String(highlightLines).split(','))
+      .flatMap((entry) => {
+        const match = String(entry).match(/^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/);
+        if (!match) {
+          return [];
+        }
+        const [from, to = from] = [match[1], match[2]].filter(Boolean).map((n) => parseInt(n, 10));
+        const start = Math.max(Math.min(from, to), 1);
+        const end = Math.min(Math.max(from, to), lines.length);
+        return end < start ? [] : Array.from({ length: end - start + 1 }, (_, i) => start + i);
+      })
+  );
+
+  return (
+    <div style={{
+      background: 'rgba(10, 22, 40, 0.8)',
+      backdropFilter: 'blur(20px)',
+      borderRadius: '16px',
+      border: '1px solid rgba(60, 208, 226, 0.2)',
+      overflow: 'hidden',
+      boxShadow: '0 30px 60px rgba(0, 0, 0, 0.5)'
+    }}>
+      <div style={{
+        padding: '12px 20px',
+        background: 'rgba(60, 208, 226, 0.1)',
+        borderBottom: '1px solid rgba(60, 208, 226, 0.2)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+      }}>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: '#ff5f57' }} />
+          <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: '#ffbd2e' }} />
+          <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: '#28ca42' }} />
+        </div>
+        <span style={{ color: '#8B9DC3', fontSize: '12px', fontFamily: 'monospace' }}>{fileName}</span>
+      </div>
+
+      <div style={{ padding: '30px 0', fontFamily: 'monospace', fontSize: '14px', overflowX: 'auto' }}>
+        {lines.map((tokens, index) => (
+          <div key={index} style={{
+            padding: '0 30px',
+            minHeight: '1.5em',
+            whiteSpace: 'pre',
+            background: highlighted.has(index + 1) ? 'rgba(60, 208, 226, 0.1)' : undefined,
+            boxShadow: highlighted.has(index + 1) ? 'inset 3px 0 0 #3CD0E2' : undefined
+          }}>
+            {tokens.map((token, tokenIndex) => (
+              <span key={tokenIndex} style={{ color: token.color }}>{token.text}</span>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,132 @@
+// Statuses are 'supported', 'partial' or 'unsupported'; use { status, note } to attach a footnote to a cell
+export const comparisonData = {
+  tools: [
+    { id: 'dotnetdocs', name: 'DotNetDocs', highlight: true },
+    { id: 'docfx', name: 'DocFX' },
+    { id: 'sandcastle', name: 'Sandcastle' },
+    { id: 'doxygen', name: 'Doxygen' }
+  ],
+  capabilities: [
+    {
+      id: 'xml-doc-comments',
+      name: 'XML doc comments to API reference',
+      description: 'Summaries, params, returns, exceptions and cref links from /// comments',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: 'supported',
+        sandcastle: 'supported',
+        doxygen: { status: 'partial', note: 'Doxygen reads /// comments but does not resolve every XML documentation tag or cref form.' }
+      }
+    },
+    {
+      id: 'conceptual-weaving',
+      name: 'Conceptual doc weaving',
+      description: 'Hand-written usage, examples and best practices merged into generated API pages',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: { status: 'partial', note: 'DocFX overwrite files replace or append to individual fields of a generated page.' },
+        sandcastle: { status: 'partial', note: 'Sandcastle conceptual content lives in separate MAML topics rather than inside API pages.' },
+        doxygen: 'unsupported'
+      }
+    },
+    {
+      id: 'msbuild-integration',
+      name: 'Native MSBuild integration',
+      description: 'Docs regenerate on every dotnet build, in Visual Studio and in CI',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: { status: 'partial', note: 'Current DocFX releases run as a separate dotnet tool step; the MSBuild package is no longer maintained.' },
+        sandcastle: 'supported',
+        doxygen: 'unsupported'
+      }
+    },
+    {
+      id: 'mintlify-output',
+      name: 'Mintlify output',
+      description: 'docs.json navigation plus MDX pages ready to publish on Mintlify',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: 'unsupported',
+        sandcastle: 'unsupported',
+        doxygen: 'unsupported'
+      }
+    },
+    {
+      id: 'mdx-frontmatter',
+      name: 'MDX frontmatter',
+      description: 'Titles, icons, tags, keywords and SEO descriptions on every generated page',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: { status: 'partial', note: 'DocFX supports YAML metadata on Markdown pages but renders HTML, not MDX.' },
+        sandcastle: 'unsupported',
+        doxygen: 'unsupported'
+      }
+    },
+    {
+      id: 'collections',
+      name: 'Documentation collections',
+      description: 'Several projects combined into one site with merged navigation',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: { status: 'partial', note: 'DocFX can build several projects from one docfx.json, with cross-links through xref maps.' },
+        sandcastle: 'partial',
+        doxygen: { status: 'partial', note: 'Doxygen links separate projects through tag files.' }
+      }
+    },
+    {
+      id: 'path-rewriting',
+      name: 'Path rewriting for combined docs',
+      description: 'Links, images and snippet imports fixed up when a project is nested into a collection',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: 'unsupported',
+        sandcastle: 'unsupported',
+        doxygen: 'unsupported'
+      }
+    },
+    {
+      id: 'generated-navigation',
+      name: 'Generated navigation',
+      description: 'Namespace and type navigation built from the compiled assembly',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: 'supported',
+        sandcastle: 'supported',
+        doxygen: 'supported'
+      }
+    },
+    {
+      id: 'extensible-pipeline',
+      name: 'Extensible pipeline',
+      description: 'Custom steps to enrich, transform and render the documentation model',
+      support: {
+        dotnetdocs: 'supported',
+        docfx: 'supported',
+        sandcastle: 'supported',
+        doxygen: { status: 'partial', note: 'Doxygen extensibility is limited to input filters and output templates.' }
+      }
+    },
+    {
+      id: 'static-html',
+      name: 'Self-hosted static HTML',
+      description: 'A ready-to-serve HTML site from the generator itself',
+      support: {
+        dotnetdocs: { status: 'partial', note: 'DotNetDocs emits Markdown and MDX for Mintlify, DocFX, MkDocs, Jekyll or Hugo to turn into HTML.' },
+        docfx: 'supported',
+        sandcastle: 'supported',
+        doxygen: 'supported'
+      }
+    },
+    {
+      id: 'ai-ready',
+      name: 'AI-ready docs',
+      description: 'llms.txt, MCP server and AI search for coding assistants',
+      support: {
+        dotnetdocs: { status: 'supported', note: 'Provided through the Mintlify platform.' },
+        docfx: 'unsupported',
+        sandcastle: 'unsupported',
+        doxygen: 'unsupported'
+      }
+    }
+  ]
+};
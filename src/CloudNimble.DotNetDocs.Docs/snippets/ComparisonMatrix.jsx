@@ -0,0 +1,217 @@
+import { tokens, alpha, useTheme } from '/snippets/ThemeTokens.jsx';
+import { comparisonData } from '/snippets/ComparisonData.jsx';
+
+export const comparisonStatuses = {
+  supported: { label: 'Supported', icon: 'circle-check', color: 'success' },
+  partial: { label: 'Partial', icon: 'circle-half-stroke', color: 'warning' },
+  unsupported: { label: 'Not supported', icon: 'circle-xmark', color: 'textSubtle' }
+};
+
+const normalizeCell = (cell) => (typeof cell === 'string' ? { status: cell } : cell ?? { status: 'unsupported' });
+
+export const ComparisonMatrix = ({
+  data = comparisonData,
+  title = 'DotNetDocs vs DocFX and Friends',
+  description = 'How DotNetDocs stacks up against the documentation generators .NET teams already know.',
+  defaultOnlyDifferences = false,
+  stickyOffset = 64,
+  theme
+}) => {
+  const { themeClassName, themeStyles } = useTheme(theme);
+  const [onlyDifferences, setOnlyDifferences] = React.useState(defaultOnlyDifferences);
+  const idPrefix = `compare-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+  const rows = data.capabilities.map((capability) => ({
+    ...capability,
+    cells: data.tools.map((tool) => normalizeCell(capability.support[tool.id]))
+  }));
+  const visibleRows = onlyDifferences
+    ? rows.filter((row) => new Set(row.cells.map((cell) => cell.status)).size > 1)
+    : rows;
+
+  // Footnotes are numbered in reading order across the rows that are actually shown
+  const notes = [];
+  const noteNumber = (note) => {
+    const existing = notes.indexOf(note);
+    if (existing >= 0) {
+      return existing + 1;
+    }
+    notes.push(note);
+    return notes.length;
+  };
+  const numberedRows = visibleRows.map((row) => ({
+    ...row,
+    cells: row.cells.map((cell) => ({ ...cell, noteNumber: cell.note ? noteNumber(cell.note) : null }))
+  }));
+
+  const renderStatus = (cell, compact) => {
+    const status = comparisonStatuses[cell.status] ?? comparisonStatuses.unsupported;
+    return (
+      <span style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', color: tokens[status.color] }}>
+        <Icon icon={status.icon} iconType="solid" size={compact ? 14 : 18} color={tokens[status.color]} />
+        <span style={{ fontSize: compact ? '13px' : '14px' }}>{status.label}</span>
+        {cell.noteNumber && (
+          <sup>
+            <a href={`#${idPrefix}-note-${cell.noteNumber}`} aria-label={`Footnote ${cell.noteNumber}`} className="compare-note-ref">
+              {cell.noteNumber}
+            </a>
+          </sup>
+        )}
+      </span>
+    );
+  };
+
+  const headerCellStyle = {
+    position: 'sticky',
+    top: `${stickyOffset}px`,
+    zIndex: 2,
+    padding: '14px 16px',
+    background: tokens.backgroundAlt,
+    borderBottom: `2px solid ${alpha('accent', 0.3)}`,
+    color: tokens.text,
+    fontSize: '14px',
+    fontWeight: '700',
+    textAlign: 'left'
+  };
+
+  return (
+    <div className={`not-prose ${themeClassName}`} style={{ margin: '32px 0', color: tokens.text }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'flex-end',
+        justifyContent: 'space-between',
+        gap: '16px',
+        marginBottom: '20px'
+      }}>
+        <div>
+          {title && <h3 style={{ margin: '0 0 6px', fontSize: '24px', fontWeight: '800', color: tokens.text }}>{title}</h3>}
+          {description && <p style={{ margin: 0, color: tokens.textMuted, fontSize: '15px' }}>{description}</p>}
+        </div>
+        <label style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', cursor: 'pointer', color: tokens.textSoft, fontSize: '14px' }}>
+          <input
+            type="checkbox"
+            checked={onlyDifferences}
+            onChange={(event) => setOnlyDifferences(event.target.checked)}
+            aria-controls={`${idPrefix}-table ${idPrefix}-cards`}
+          />
+          Show only differences
+        </label>
+      </div>
+
+      {/* Desktop: table with a sticky header row */}
+      <table id={`${idPrefix}-table`} className="compare-table" style={{
+        width: '100%',
+        borderCollapse: 'separate',
+        borderSpacing: 0,
+        border: `1px solid ${alpha('accent', 0.2)}`,
+        borderRadius: '12px'
+      }}>
+        <caption className="compare-visually-hidden">{title}</caption>
+        <thead>
+          <tr>
+            <th scope="col" style={{ ...headerCellStyle, borderTopLeftRadius: '12px' }}>Capability</th>
+            {data.tools.map((tool, index) => (
+              <th key={tool.id} scope="col" style={{
+                ...headerCellStyle,
+                color: tool.highlight ? tokens.accent : tokens.text,
+                borderTopRightRadius: index === data.tools.length - 1 ? '12px' : undefined
+              }}>
+                {tool.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {numberedRows.map((row) => (
+            <tr key={row.id} className="compare-row">
+              <th scope="row" style={{ padding: '14px 16px', textAlign: 'left', borderTop: `1px solid ${alpha('accent', 0.1)}`, verticalAlign: 'top' }}>
+                <div style={{ fontSize: '15px', fontWeight: '600', color: tokens.text }}>{row.name}</div>
+                {row.description && <div style={{ marginTop: '4px', fontSize: '13px', fontWeight: '400', color: tokens.textSubtle }}>{row.description}</div>}
+              </th>
+              {row.cells.map((cell, index) => (
+                <td key={data.tools[index].id} style={{
+                  padding: '14px 16px',
+                  borderTop: `1px solid ${alpha('accent', 0.1)}`,
+                  background: data.tools[index].highlight ? alpha('accent', 0.05) : undefined,
+                  verticalAlign: 'top'
+                }}>
+                  {renderStatus(cell)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Mobile: one card per capability */}
+      <div id={`${idPrefix}-cards`} className="compare-cards" style={{ display: 'none', flexDirection: 'column', gap: '12px' }}>
+        {numberedRows.map((row) => (
+          <div key={row.id} style={{
+            padding: '16px',
+            borderRadius: '12px',
+            border: `1px solid ${alpha('accent', 0.2)}`,
+            background: alpha('contrast', 0.02)
+          }}>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: tokens.text }}>{row.name}</div>
+            {row.description && <div style={{ margin: '4px 0 12px', fontSize: '13px', color: tokens.textSubtle }}>{row.description}</div>}
+            <dl style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '8px 16px', margin: 0 }}>
+              {row.cells.map((cell, index) => (
+                <React.Fragment key={data.tools[index].id}>
+                  <dt style={{ fontSize: '13px', fontWeight: '600', color: data.tools[index].highlight ? tokens.accent : tokens.textSoft }}>
+                    {data.tools[index].name}
+                  </dt>
+                  <dd style={{ margin: 0 }}>{renderStatus(cell, true)}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          </div>
+        ))}
+      </div>
+
+      {numberedRows.length === 0 && (
+        <p style={{ color: tokens.textMuted, fontSize: '14px' }}>Every tool handles these capabilities the same way.</p>
+      )}
+
+      {notes.length > 0 && (
+        <ol style={{ margin: '20px 0 0', paddingLeft: '20px', color: tokens.textSubtle, fontSize: '13px', lineHeight: '1.6' }}>
+          {notes.map((note, index) => (
+            <li key={index} id={`${idPrefix}-note-${index + 1}`}>{note}</li>
+          ))}
+        </ol>
+      )}
+
+      <style>{`
+        .compare-visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+        }
+
+        .compare-row:hover > * {
+          background: ${alpha('accent', 0.06)};
+        }
+
+        .compare-note-ref {
+          color: ${tokens.accent};
+          text-decoration: none;
+          margin-left: 1px;
+        }
+
+        @media (max-width: 768px) {
+          .compare-table {
+            display: none;
+          }
+
+          .compare-cards {
+            display: flex !important;
+          }
+        }
+      `}</style>
+      {themeStyles}
+    </div>
+  );
+};
@@ -0,0 +1,259 @@
+import { CodeWindow, csharpPalette } from '/snippets/CodeWindow.jsx';
+import { parseDocumentedMember, getXmlDocElements, resolveCref } from '/snippets/XmlDocComments.jsx';
+import { useReducedMotion } from '/snippets/ReducedMotion.jsx';
+
+export const DocTransformDemo = ({
+  source,
+  fileName = 'Program.cs',
+  highlightLines = [],
+  apiReferencePath = '/api-reference',
+  autoPlay = true,
+  interval = 4000,
+  initialView = 'xml',
+  reducedMotion
+}) => {
+  const { reduceMotion, motionClassName, motionStyles } = useReducedMotion(reducedMotion);
+  const [view, setView] = React.useState(initialView);
+  const [playing, setPlaying] = React.useState(autoPlay);
+
+  // Reduced motion never auto-plays; the play button still lets the reader start it
+  React.useEffect(() => {
+    if (reduceMotion) {
+      setPlaying(false);
+    }
+  }, [reduceMotion]);
+
+  React.useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => {
+      setView((current) => (current === 'xml' ? 'docs' : 'xml'));
+    }, interval);
+    return () => clearInterval(timer);
+  }, [playing, interval]);
+
+  const { doc, member } = parseDocumentedMember(source);
+  const summary = getXmlDocElements(doc, 'summary')[0];
+  const returns = getXmlDocElements(doc, 'returns')[0];
+  const paramDocs = getXmlDocElements(doc, 'param');
+
+  // The rendered docs stay mounted while the XML shows, so their links leave the tab order along with aria-hidden
+  const linkTabIndex = view === 'docs' ? undefined : -1;
+
+  // Same inline conversions MarkdownXmlTransformer applies, rendered straight to elements
+  const renderInline = (nodes) => (nodes ?? []).map((node, index) => {
+    if (typeof node === 'string') {
+      return node.replace(/\s+/g, ' ');
+    }
+
+    switch (node.name) {
+      case 'see':
+      case 'seealso': {
+        if (node.attributes.langword) {
+          return <code key={index} className="doc-demo-code">{node.attributes.langword}</code>;
+        }
+        if (node.attributes.href) {
+          return <a key={index} href={node.attributes.href} className="doc-demo-link" tabIndex={linkTabIndex}>{node.children.length ? renderInline(node.children) : node.attributes.href}</a>;
+        }
+        const target = resolveCref(node.attributes.cref ?? '', apiReferencePath);
+        const label = node.children.length ? renderInline(node.children) : target.name;
+        return target.external
+          ? <a key={index} href={target.href} className="doc-demo-link" tabIndex={linkTabIndex} target="_blank" rel="noopener noreferrer">{label}</a>
+          : <a key={index} href={target.href} className="doc-demo-link" tabIndex={linkTabIndex}>{label}</a>;
+      }
+      case 'paramref':
+      case 'typeparamref':
+        return <em key={index}>{node.attributes.name}</em>;
+      case 'c':
+        return <code key={index} className="doc-demo-code">{renderInline(node.children)}</code>;
+      case 'b':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'i':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'para':
+        return <span key={index} style={{ display: 'block', marginTop: '8px' }}>{renderInline(node.children)}</span>;
+      default:
+        return <React.Fragment key={index}>{renderInline(node.children)}</React.Fragment>;
+    }
+  });
+
+  const sectionStyle = (order) => ({
+    opacity: view === 'docs' ? 1 : 0,
+    transform: view === 'docs' ? 'translateY(0)' : 'translateY(10px)',
+    transition: 'opacity 0.4s ease, transform 0.4s ease',
+    transitionDelay: view === 'docs' ? `${0.15 + order * 0.15}s` : '0s'
+  });
+
+  const headingStyle = { color: '#E8F4F8', fontSize: '15px', fontWeight: '600', margin: '0 0 8px 0' };
+
+  const toggleButton = (target, label) => (
+    <button
+      type="button"
+      onClick={() => {
+        setView(target);
+        setPlaying(false);
+      }}
+      aria-pressed={view === target}
+      style={{
+        padding: '6px 14px',
+        borderRadius: '8px',
+        border: 'none',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '600',
+        background: view === target ? 'linear-gradient(135deg, #419AC5, #3CD0E2)' : 'transparent',
+        color: view === target ? 'white' : '#8B9DC3',
+        transition: 'all 0.3s ease'
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className={`doc-demo ${motionClassName}`}>
+      <div style={{ display: 'flex', marginBottom: '16px' }}>
+        <div style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '4px',
+          padding: '4px',
+          borderRadius: '10px',
+          background: 'rgba(10, 22, 40, 0.6)',
+          border: '1px solid rgba(60, 208, 226, 0.2)'
+        }}>
+          {toggleButton('xml', 'XML Comments')}
+          {toggleButton('docs', 'Rendered Docs')}
+          <button
+            type="button"
+            onClick={() => setPlaying(!playing)}
+            aria-label={playing ? 'Pause animation' : 'Play animation'}
+            style={{
+              width: '30px',
+              height: '30px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              borderRadius: '8px',
+              border: 'none',
+              cursor: 'pointer',
+              background: 'transparent',
+              color: '#8B9DC3'
+            }}
+          >
+            <Icon icon={playing ? 'pause' : 'play'} size={12} color="#8B9DC3" />
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid' }}>
+        <div aria-hidden={view !== 'xml'} style={{
+          gridArea: '1 / 1',
+          opacity: view === 'xml' ? 1 : 0,
+          transform: view === 'xml' ? 'scale(1)' : 'scale(0.97)',
+          transition: 'opacity 0.5s ease, transform 0.5s ease',
+          pointerEvents: view === 'xml' ? 'auto' : 'none'
+        }}>
+          <CodeWindow source={source} fileName={fileName} highlightLines={highlightLines} />
+        </div>
+
+        <div aria-hidden={view !== 'docs'} style={{
+          gridArea: '1 / 1',
+          opacity: view === 'docs' ? 1 : 0,
+          transform: view === 'docs' ? 'scale(1)' : 'scale(0.97)',
+          transition: 'opacity 0.5s ease, transform 0.5s ease',
+          pointerEvents: view === 'docs' ? 'auto' : 'none',
+          background: 'rgba(10, 22, 40, 0.8)',
+          backdropFilter: 'blur(20px)',
+          borderRadius: '16px',
+          border: '1px solid rgba(60, 208, 226, 0.2)',
+          boxShadow: '0 30px 60px rgba(0, 0, 0, 0.5)',
+          padding: '24px 28px',
+          color: '#B8C5D6',
+          fontSize: '14px',
+          lineHeight: '1.6',
+          overflow: 'hidden'
+        }}>
+          <div style={{ ...sectionStyle(0), display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+            <Icon icon={member.kind === 'property' ? 'list' : 'code'} iconType="duotone" color="#3CD0E2" size={20} />
+            <span style={{ color: '#E8F4F8', fontSize: '20px', fontWeight: '700' }}>{member.name || 'Member'}</span>
+          </div>
+
+          {summary && (
+            <p style={{ ...sectionStyle(1), margin: '0 0 16px 0' }}>{renderInline(summary.children)}</p>
+          )}
+
+          {member.signature && (
+            <div style={sectionStyle(2)}>
+              <div style={headingStyle}>Syntax</div>
+              <pre style={{
+                margin: '0 0 16px 0',
+                padding: '10px 14px',
+                borderRadius: '8px',
+                background: 'rgba(0, 0, 0, 0.3)',
+                color: csharpPalette.punctuation,
+                fontSize: '12px',
+                whiteSpace: 'pre-wrap'
+              }}>{member.signature}</pre>
+            </div>
+          )}
+
+          {member.parameters.length > 0 && (
+            <div style={sectionStyle(3)}>
+              <div style={headingStyle}>Parameters</div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ borderBottom: '1px solid rgba(60, 208, 226, 0.2)', textAlign: 'left' }}>
+                    <th style={{ padding: '4px 8px 4px 0' }}>Name</th>
+                    <th style={{ padding: '4px 8px' }}>Type</th>
+                    <th style={{ padding: '4px 0 4px 8px' }}>Description</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {member.parameters.map((parameter) => {
+                    const paramDoc = paramDocs.find((p) => p.attributes.name === parameter.name);
+                    return (
+                      <tr key={parameter.name}>
+                        <td style={{ padding: '4px 8px 4px 0' }}><code className="doc-demo-code">{parameter.name}</code></td>
+                        <td style={{ padding: '4px 8px' }}><code className="doc-demo-code">{parameter.type}</code></td>
+                        <td style={{ padding: '4px 0 4px 8px' }}>{paramDoc ? renderInline(paramDoc.children) : '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {member.returnType && member.returnType !== 'void' && (
+            <div style={sectionStyle(4)}>
+              <div style={headingStyle}>Returns</div>
+              <div>Type: <code className="doc-demo-code">{member.returnType}</code></div>
+              {returns && <div style={{ marginTop: '4px' }}>{renderInline(returns.children)}</div>}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <style>{`
+        .doc-demo-code {
+          font-family: monospace;
+          font-size: 0.9em;
+          padding: 1px 6px;
+          border-radius: 4px;
+          background: rgba(60, 208, 226, 0.1);
+          color: #3CD0E2;
+        }
+
+        .doc-demo-link {
+          color: #3CD0E2;
+          text-decoration: underline;
+          text-underline-offset: 3px;
+        }
+      `}</style>
+      {motionStyles}
+    </div>
+  );
+};
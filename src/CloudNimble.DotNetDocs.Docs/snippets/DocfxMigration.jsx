@@ -0,0 +1,364 @@
+import { releaseInfo } from '/snippets/ReleaseInfo.jsx';
+
+const unquote = (value) => {
+  const trimmed = value.trim();
+  if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || (trimmed.startsWith('\'') && trimmed.endsWith('\''))) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+};
+
+// Splits "key: value" without tripping over the colon in URLs like https://
+const splitYamlPair = (text) => {
+  const match = text.match(/^("[^"]*"|'[^']*'|[^:#]+?)\s*:(?:\s+(.*)|$)/);
+  return match ? { key: unquote(match[1]), value: match[2]?.replace(/\s+#.*$/, '') ?? '' } : null;
+};
+
+// Just enough YAML for DocFX toc.yml files: nested sequences and mappings with scalar values
+export const parseTocYaml = (text) => {
+  const lines = String(text ?? '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.trim().startsWith('#'))
+    .map((line) => ({ indent: line.search(/\S/), text: line.trim() }));
+  let position = 0;
+
+  const parseBlock = (indent) => {
+    const line = lines[position];
+    if (!line || line.indent < indent) {
+      return null;
+    }
+    return line.text.startsWith('-') ? parseSequence(line.indent) : parseMapping(line.indent);
+  };
+
+  const parseValue = (value, parentIndent) => {
+    if (value !== '') {
+      return unquote(value);
+    }
+    const next = lines[position];
+    // YAML allows a sequence under a key at the same indentation as the key itself
+    if (next && (next.indent > parentIndent || (next.indent === parentIndent && next.text.startsWith('-')))) {
+      return parseBlock(next.indent);
+    }
+    return null;
+  };
+
+  const parseMapping = (indent, initial = {}) => {
+    const result = initial;
+    while (position < lines.length && lines[position].indent === indent && !lines[position].text.startsWith('-')) {
+      const pair = splitYamlPair(lines[position].text);
+      position += 1;
+      if (pair) {
+        result[pair.key] = parseValue(pair.value, indent);
+      }
+    }
+    return result;
+  };
+
+  const parseSequence = (indent) => {
+    const result = [];
+    while (position < lines.length && lines[position].indent === indent && lines[position].text.startsWith('-')) {
+      const content = lines[position].text.replace(/^-\s*/, '');
+      const contentIndent = indent + (lines[position].text.length - content.length);
+      position += 1;
+
+      const pair = content && splitYamlPair(content);
+      if (!content) {
+        result.push(parseBlock(indent + 1));
+      } else if (pair) {
+        // "- name: x" starts a mapping whose remaining keys line up under "name"
+        const item = { [pair.key]: parseValue(pair.value, contentIndent) };
+        result.push(parseMapping(contentIndent, item));
+      } else {
+        result.push(unquote(content));
+      }
+    }
+    return result;
+  };
+
+  return parseBlock(0);
+};
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Pasted files can hold anything, so lists of settings only keep the entries that are objects
+const toObjects = (value) => toArray(value).filter(isPlainObject);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toPagePath = (href) => href
+  .replace(/^~?\//, '')
+  .replace(/^\.\//, '')
+  .replace(/#.*$/, '')
+  .replace(/\.(md|mdx|yml|yaml)$/i, '');
+
+const toAssetPath = (path) => `/${path.replace(/^~?\/?/, '').replace(/^\.\//, '')}`;
+
+// DocFX glob excludes point at files; the SDK's ExcludePatterns match project names
+const toExcludePattern = (glob) => glob
+  .replace(/^\*\*\//, '')
+  .replace(/\/\*\*$/, '')
+  .replace(/\.csproj$/i, '');
+
+export const migrationSeverities = {
+  unsupported: 'Not supported',
+  changed: 'Works differently',
+  info: 'Heads up'
+};
+
+/**
+ * Converts a docfx.json (and optional toc.yml) into a .docsproj skeleton and a docs.json navigation outline.
+ */
+export const migrateDocfx = (docfxJson, tocYaml = '', { projectName, sdkVersion = releaseInfo.version } = {}) => {
+  const notes = [];
+  const note = (setting, severity, message) => notes.push({ setting, severity, message });
+
+  let config;
+  try {
+    config = JSON.parse(docfxJson);
+  } catch (error) {
+    return { error: `docfx.json is not valid JSON: ${error.message}` };
+  }
+  if (!isPlainObject(config)) {
+    return { error: 'docfx.json must hold a JSON object, like { "metadata": [...], "build": {...} }.' };
+  }
+
+  const metadata = toArray(config.metadata);
+  const build = isPlainObject(config.build) ? config.build : {};
+  const globalMetadata = isPlainObject(build.globalMetadata) ? build.globalMetadata : {};
+  const properties = {
+    DocumentationType: 'Mintlify',
+    GenerateDocumentation: metadata.some(isPlainObject) ? 'true' : null
+  };
+
+  // metadata: the API reference DotNetDocs now builds from your projects during dotnet build
+  const apiPaths = [];
+  const excludes = [];
+  metadata.forEach((entry, index) => {
+    const prefix = `metadata[${index}]`;
+    if (!isPlainObject(entry)) {
+      note(prefix, 'unsupported', 'Metadata entries must be objects, so this one was skipped.');
+      return;
+    }
+    if (typeof entry.dest === 'string' && entry.dest) {
+      apiPaths.push(toPagePath(entry.dest).replace(/\/$/, ''));
+    }
+    toObjects(entry.src).forEach((source) => {
+      toArray(source.exclude).filter((glob) => typeof glob === 'string').forEach((glob) => excludes.push(toExcludePattern(glob)));
+      if (toArray(source.files).some((file) => /\.dll$/i.test(file))) {
+        note(`${prefix}.src.files`, 'changed', 'DotNetDocs documents the packable projects in your solution instead of prebuilt assemblies.');
+      }
+    });
+    if (entry.namespaceLayout) {
+      properties.NamespaceMode = entry.namespaceLayout === 'nested' ? 'Folder' : 'File';
+    }
+    if (entry.memberLayout === 'separatePages') {
+      note(`${prefix}.memberLayout`, 'changed', 'Members are rendered on their type\'s page, with an anchor per member.');
+    }
+    if (entry.filter) {
+      note(`${prefix}.filter`, 'unsupported', 'API filter files are not supported. Exclude whole projects with ExcludePatterns, or hide members with [EditorBrowsable(EditorBrowsableState.Never)].');
+    }
+    if (entry.properties) {
+      note(`${prefix}.properties`, 'changed', 'MSBuild properties come from the solution build itself, so they no longer need to be repeated here.');
+    }
+    ['outputFormat', 'disableGitFeatures', 'disableDefaultFilter', 'noRestore', 'enumSortOrder', 'includePrivateMembers', 'allowCompilationErrors', 'references', 'codeSourceBasePath'].forEach((key) => {
+      if (entry[key] !== undefined) {
+        note(`${prefix}.${key}`, 'unsupported', 'This DocFX metadata option has no DotNetDocs equivalent.');
+      }
+    });
+  });
+
+  if (apiPaths[0] && apiPaths[0] !== 'api-reference') {
+    properties.ApiReferencePath = apiPaths[0];
+  }
+  if (apiPaths.length > 1) {
+    note('metadata', 'changed', 'Multiple metadata entries are merged into one API reference. Use a documentation collection to keep them as separate sections.');
+  }
+  if (excludes.length > 0) {
+    properties.ExcludePatterns = [...new Set(excludes)].join(';');
+  }
+
+  // build: site-level settings that Mintlify handles for you, or that move into MintlifyTemplate
+  if (toArray(build.overwrite).length > 0) {
+    properties.ConceptualDocsEnabled = 'true';
+    note('build.overwrite', 'changed', 'Overwrite files become conceptual docs. Move their content into the matching files under the conceptual folder.');
+  }
+  if (toObjects(build.content).some((content) => toArray(content.files).some((file) => /\bmd\b/i.test(file)))) {
+    note('build.content', 'info', 'Rename .md articles to .mdx and replace DocFX-flavored Markdown ([!NOTE] alerts, [!code-csharp[]] includes, @uid links) with Mintlify components.');
+  }
+  if (build.template) {
+    note('build.template', 'unsupported', 'DocFX templates do not apply to Mintlify. Pick a Mintlify theme with <Theme> and colors with <Colors> instead.');
+  }
+  if (build.output || build.dest) {
+    note(build.output ? 'build.output' : 'build.dest', 'unsupported', 'Mintlify builds and hosts the site, so there is no local output folder.');
+  }
+  if (build.xref || build.xrefService) {
+    note(build.xref ? 'build.xref' : 'build.xrefService', 'changed', 'Framework types link to learn.microsoft.com automatically. Links to other projects work through documentation references.');
+  }
+  if (build.fileMetadata) {
+    note('build.fileMetadata', 'changed', 'Per-file metadata moves into each page\'s MDX frontmatter.');
+  }
+  if (build.sitemap) {
+    note('build.sitemap', 'unsupported', 'Mintlify generates sitemap.xml automatically.');
+  }
+  ['postProcessors', 'markdownEngineName', 'markdownEngineProperties', 'keepFileLink', 'disableGitFeatures', 'globalMetadataFiles', 'fileMetadataFiles'].forEach((key) => {
+    if (build[key] !== undefined) {
+      note(`build.${key}`, 'unsupported', 'This DocFX build option has no Mintlify equivalent.');
+    }
+  });
+
+  const template = {
+    Name: globalMetadata._appName ?? globalMetadata._appTitle ?? projectName ?? 'Documentation',
+    Theme: 'mint',
+    Logo: globalMetadata._appLogoPath ? toAssetPath(globalMetadata._appLogoPath) : null,
+    Favicon: globalMetadata._appFaviconPath ? toAssetPath(globalMetadata._appFaviconPath) : null
+  };
+  if (globalMetadata._appFooter) {
+    note('build.globalMetadata._appFooter', 'changed', 'Configure the footer with the footer section of docs.json.');
+  }
+  if (globalMetadata._enableSearch !== undefined) {
+    note('build.globalMetadata._enableSearch', 'info', 'Mintlify search, including AI search, is always on.');
+  }
+  if (globalMetadata._gitContribute) {
+    note('build.globalMetadata._gitContribute', 'changed', 'Mintlify shows "Suggest edits" links when the site is connected to your repository.');
+  }
+
+  // toc.yml: pages and groups for the navigation outline
+  const navigation = convertToc(tocYaml, apiPaths, note);
+
+  const result = {
+    projectName: template.Name.replace(/[^\w.-]+/g, ''),
+    properties,
+    template,
+    navigation,
+    notes
+  };
+
+  return {
+    ...result,
+    docsproj: buildDocsproj(result, sdkVersion),
+    docsJson: JSON.stringify({ name: template.Name, navigation: { pages: navigation.map(toDocsJsonEntry) } }, null, 2)
+  };
+};
+
+const convertToc = (tocYaml, apiPaths, note) => {
+  if (!String(tocYaml ?? '').trim()) {
+    return [];
+  }
+
+  let toc;
+  try {
+    toc = parseTocYaml(tocYaml);
+  } catch (error) {
+    note('toc.yml', 'unsupported', `toc.yml could not be read: ${error.message}`);
+    return [];
+  }
+
+  const items = Array.isArray(toc) ? toc : toArray(toc?.items);
+  const isApiReference = (path) => apiPaths.some((apiPath) => path === apiPath || path.startsWith(`${apiPath}/`));
+
+  const convertItems = (list, trail) => list.flatMap((item) => {
+    if (!item || typeof item !== 'object') {
+      return [];
+    }
+
+    const name = item.name ?? item.uid ?? 'Untitled';
+    const location = `${trail}${name}`;
+    const href = item.href ?? '';
+    const path = toPagePath(href).replace(/\/$/, '');
+
+    if (/^[a-z]+:\/\//i.test(href)) {
+      note(`toc.yml: ${location}`, 'unsupported', 'External links cannot be pages. Add them to docs.json as navbar links or anchors instead.');
+      return [];
+    }
+    if (path && isApiReference(path)) {
+      note(`toc.yml: ${location}`, 'info', 'The API reference group is generated by DotNetDocs, so this entry was left out.');
+      return [];
+    }
+    if (item.uid && !href) {
+      note(`toc.yml: ${location}`, 'unsupported', 'uid entries cannot be resolved here. Point them at the generated API page instead.');
+      return [];
+    }
+
+    const children = toArray(item.items);
+    if (children.length > 0 || /toc\.ya?ml$/i.test(href) || href.endsWith('/')) {
+      const pages = [];
+      if (item.topicHref) {
+        pages.push(toPagePath(item.topicHref));
+      }
+      pages.push(...convertItems(children, `${location} › `));
+      if (children.length === 0) {
+        note(`toc.yml: ${location}`, 'info', `This entry points at another table of contents (${href}). Paste that toc.yml too to fill in the group.`);
+      }
+      return pages.length > 0 ? [{ group: name, pages }] : [];
+    }
+
+    return path ? [path] : [];
+  });
+
+  const entries = convertItems(items, '');
+
+  // Mintlify wants loose top-level pages inside a group
+  const loosePages = entries.filter((entry) => typeof entry === 'string');
+  const groups = entries.filter((entry) => typeof entry !== 'string');
+  return loosePages.length > 0 ? [{ group: 'Getting Started', pages: loosePages }, ...groups] : groups;
+};
+
+const toDocsJsonEntry = (entry) => (typeof entry === 'string'
+  ? entry
+  : { group: entry.group, pages: entry.pages.map(toDocsJsonEntry) });
+
+const buildGroupXml = (group, indent) => {
+  const pad = ' '.repeat(indent);
+  const pages = group.pages.filter((page) => typeof page === 'string');
+  const groups = group.pages.filter((page) => typeof page !== 'string');
+  const lines = [`${pad}<Group Name="${escapeXml(group.group)}">`];
+
+  if (pages.length > 0) {
+    lines.push(`${pad}    <Pages>`);
+    lines.push(pages.map((page) => `${pad}        ${escapeXml(page)}`).join(';\n'));
+    lines.push(`${pad}    </Pages>`);
+  }
+  if (groups.length > 0) {
+    lines.push(`${pad}    <Groups>`);
+    groups.forEach((child) => lines.push(buildGroupXml(child, indent + 8)));
+    lines.push(`${pad}    </Groups>`);
+  }
+
+  lines.push(`${pad}</Group>`);
+  return lines.join('\n');
+};
+
+const buildDocsproj = ({ properties, template, navigation }, sdkVersion) => {
+  const lines = [`<Project Sdk="DotNetDocs.Sdk/${sdkVersion}">`, '', '    <PropertyGroup>'];
+
+  Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .forEach(([name, value]) => lines.push(`        <${name}>${escapeXml(value)}</${name}>`));
+
+  lines.push('', '        <MintlifyTemplate>');
+  lines.push(`            <Name>${escapeXml(template.Name)}</Name>`);
+  lines.push(`            <Theme>${template.Theme}</Theme>`);
+  if (template.Logo) {
+    lines.push('            <Logo>', `                <Light>${escapeXml(template.Logo)}</Light>`, `                <Dark>${escapeXml(template.Logo)}</Dark>`, '            </Logo>');
+  }
+  if (template.Favicon) {
+    lines.push('            <Favicon>', `                <Light>${escapeXml(template.Favicon)}</Light>`, `                <Dark>${escapeXml(template.Favicon)}</Dark>`, '            </Favicon>');
+  }
+
+  lines.push('            <Navigation Mode="Unified">');
+  if (navigation.length > 0) {
+    lines.push('                <Pages>', '                    <Groups>');
+    navigation.forEach((group) => lines.push(buildGroupXml(group, 24)));
+    lines.push('                    </Groups>', '                </Pages>');
+  }
+  lines.push('            </Navigation>');
+
+  lines.push('        </MintlifyTemplate>', '    </PropertyGroup>', '', '</Project>', '');
+  return lines.join('\n');
+};
@@ -0,0 +1,256 @@
+import { tokens, alpha, gradient, useTheme } from '/snippets/ThemeTokens.jsx';
+import { migrateDocfx, migrationSeverities } from '/snippets/DocfxMigration.jsx';
+
+const severityStyles = {
+  unsupported: { icon: 'circle-xmark', color: 'danger' },
+  changed: { icon: 'arrows-rotate', color: 'warning' },
+  info: { icon: 'circle-info', color: 'accent' }
+};
+
+export const DocfxMigrationAssistant = ({
+  initialDocfxJson = `{
+  "metadata": [
+    {
+      "src": [{ "files": ["src/**/*.csproj"], "exclude": ["**/*.Tests.csproj"] }],
+      "dest": "api",
+      "namespaceLayout": "nested"
+    }
+  ],
+  "build": {
+    "content": [{ "files": ["**/*.{md,yml}"], "exclude": ["_site/**"] }],
+    "resource": [{ "files": ["images/**"] }],
+    "output": "_site",
+    "template": ["default", "modern"],
+    "globalMetadata": {
+      "_appName": "Contoso SDK",
+      "_appLogoPath": "images/logo.svg",
+      "_enableSearch": true
+    }
+  }
+}`,
+  initialTocYaml = `- name: Introduction
+  href: index.md
+- name: Articles
+  items:
+    - name: Getting Started
+      href: articles/getting-started.md
+    - name: Configuration
+      href: articles/configuration.md
+- name: API Reference
+  href: api/`,
+  sdkVersion,
+  theme
+}) => {
+  const { themeClassName, themeStyles } = useTheme(theme);
+  const [docfxJson, setDocfxJson] = React.useState(initialDocfxJson);
+  const [tocYaml, setTocYaml] = React.useState(initialTocYaml);
+  const [activeTab, setActiveTab] = React.useState('docsproj');
+  const [copied, setCopied] = React.useState(null);
+  const filePreview = React.useRef(null);
+  const idPrefix = `docfx-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+  const result = docfxJson.trim() ? migrateDocfx(docfxJson, tocYaml, { sdkVersion }) : { error: 'Paste your docfx.json to get started.' };
+  const files = result.error ? [] : [
+    { id: 'docsproj', label: '.docsproj', fileName: `${result.projectName || 'Documentation'}.Docs.docsproj`, type: 'application/xml', content: result.docsproj },
+    { id: 'docsJson', label: 'docs.json', fileName: 'docs.json', type: 'application/json', content: result.docsJson }
+  ];
+  const tabs = [...files, ...(result.error ? [] : [{ id: 'notes', label: `Settings to review (${result.notes.length})` }])];
+  const activeFile = files.find((file) => file.id === activeTab);
+
+  // The clipboard can be missing or blocked, so the file is selected instead for the reader to copy by hand
+  const copyFile = (file) => {
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(file.content))
+      .then(() => setCopied({ id: file.id, failed: false }))
+      .catch(() => {
+        window.getSelection()?.selectAllChildren(filePreview.current);
+        setCopied({ id: file.id, failed: true });
+      })
+      .finally(() => setTimeout(() => setCopied(null), 2000));
+  };
+
+  const downloadFile = (file) => {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const onTabKeyDown = (event, index) => {
+    const keys = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 };
+    if (!(event.key in keys)) {
+      return;
+    }
+    event.preventDefault();
+    const next = tabs[(keys[event.key] + tabs.length) % tabs.length];
+    setActiveTab(next.id);
+    document.getElementById(`${idPrefix}-tab-${next.id}`)?.focus();
+  };
+
+  const panelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: 0,
+    borderRadius: '12px',
+    border: `1px solid ${alpha('accent', 0.2)}`,
+    background: tokens.backgroundDeep,
+    overflow: 'hidden'
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    gap: '8px',
+    padding: '10px 16px',
+    background: alpha('accent', 0.1),
+    borderBottom: `1px solid ${alpha('accent', 0.2)}`,
+    color: tokens.textSubtle,
+    fontSize: '12px',
+    fontFamily: 'monospace'
+  };
+
+  const codeStyle = {
+    flex: 1,
+    margin: 0,
+    padding: '16px',
+    border: 'none',
+    outline: 'none',
+    resize: 'vertical',
+    background: 'transparent',
+    color: tokens.text,
+    fontFamily: 'monospace',
+    fontSize: '13px',
+    lineHeight: '1.6',
+    whiteSpace: 'pre',
+    overflow: 'auto'
+  };
+
+  const linkButtonStyle = (active) => ({
+    border: 'none',
+    background: 'transparent',
+    color: active ? tokens.accent : tokens.textSubtle,
+    cursor: 'pointer',
+    fontSize: '12px'
+  });
+
+  const inputPanel = (id, label, value, setValue, initialValue, minHeight) => (
+    <div style={panelStyle}>
+      <div style={headerStyle}>
+        <label htmlFor={`${idPrefix}-${id}`}>{label}</label>
+        <button type="button" onClick={() => setValue(initialValue)} style={linkButtonStyle(false)}>
+          Reset
+        </button>
+      </div>
+      <textarea
+        id={`${idPrefix}-${id}`}
+        value={value}
+        onChange={(event) => setValue(event.target.value)}
+        spellCheck={false}
+        style={{ ...codeStyle, minHeight }}
+      />
+    </div>
+  );
+
+  return (
+    <div className={`not-prose ${themeClassName}`} style={{ margin: '24px 0', color: tokens.text }}>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+        gap: '16px'
+      }}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', minWidth: 0 }}>
+          {inputPanel('docfx', 'docfx.json', docfxJson, setDocfxJson, initialDocfxJson, '320px')}
+          {inputPanel('toc', 'toc.yml (optional)', tocYaml, setTocYaml, initialTocYaml, '180px')}
+        </div>
+
+        <div style={panelStyle}>
+          <div style={headerStyle}>
+            <div role="tablist" aria-label="Migration output" style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+              {tabs.map((tab, index) => (
+                <button
+                  key={tab.id}
+                  id={`${idPrefix}-tab-${tab.id}`}
+                  type="button"
+                  role="tab"
+                  aria-selected={activeTab === tab.id}
+                  aria-controls={`${idPrefix}-panel`}
+                  tabIndex={activeTab === tab.id ? 0 : -1}
+                  onClick={() => setActiveTab(tab.id)}
+                  onKeyDown={(event) => onTabKeyDown(event, index)}
+                  style={{
+                    padding: '4px 10px',
+                    borderRadius: '6px',
+                    border: 'none',
+                    cursor: 'pointer',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    background: activeTab === tab.id ? gradient('primary', 'accent') : 'transparent',
+                    color: activeTab === tab.id ? tokens.onAccent : tokens.textSubtle
+                  }}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            {activeFile && (
+              <div style={{ display: 'flex', gap: '4px' }}>
+                <button type="button" onClick={() => copyFile(activeFile)} style={linkButtonStyle(copied?.id === activeFile.id)}>
+                  {copied?.id !== activeFile.id ? 'Copy' : copied.failed ? 'Copy failed, text selected' : 'Copied!'}
+                </button>
+                <button type="button" onClick={() => downloadFile(activeFile)} style={linkButtonStyle(false)}>
+                  Download
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div id={`${idPrefix}-panel`} role={result.error ? undefined : 'tabpanel'} aria-labelledby={result.error ? undefined : `${idPrefix}-tab-${activeTab}`} style={{ display: 'flex', flex: 1, minHeight: '520px' }}>
+            {result.error && (
+              <p role="alert" style={{ margin: 0, padding: '16px', color: tokens.danger, fontSize: '14px' }}>{result.error}</p>
+            )}
+
+            {activeFile && <pre ref={filePreview} style={codeStyle}>{activeFile.content}</pre>}
+
+            {!result.error && activeTab === 'notes' && (
+              <div style={{ flex: 1, padding: '16px', overflow: 'auto' }}>
+                {result.notes.length === 0 && (
+                  <p style={{ margin: 0, color: tokens.textMuted, fontSize: '14px' }}>Every setting carried over. Nothing to review.</p>
+                )}
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                  {result.notes.map((note, index) => {
+                    const severity = severityStyles[note.severity];
+                    return (
+                      <li key={index} style={{ display: 'flex', gap: '10px', alignItems: 'flex-start' }}>
+                        <span style={{ flexShrink: 0, marginTop: '2px' }}>
+                          <Icon icon={severity.icon} iconType="solid" size={16} color={tokens[severity.color]} />
+                        </span>
+                        <div>
+                          <div style={{ fontSize: '13px' }}>
+                            <code style={{ color: tokens.text, fontWeight: '600' }}>{note.setting}</code>
+                            <span style={{ marginLeft: '8px', color: tokens[severity.color], fontSize: '12px' }}>{migrationSeverities[note.severity]}</span>
+                          </div>
+                          <p style={{ margin: '4px 0 0', color: tokens.textMuted, fontSize: '13px', lineHeight: '1.5' }}>{note.message}</p>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {!result.error && result.notes.length > 0 && activeTab !== 'notes' && (
+        <p aria-live="polite" style={{ margin: '12px 0 0', color: tokens.textSubtle, fontSize: '13px' }}>
+          {result.notes.length} {result.notes.length === 1 ? 'setting needs' : 'settings need'} a closer look. See the Settings to review tab.
+        </p>
+      )}
+      {themeStyles}
+    </div>
+  );
+};
@@ -0,0 +1,38 @@
+/**
+ * DocsBadge Component for Mintlify Documentation
+ *
+ * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+ *
+ * Displays member provenance (Extension, Inherited, Override, Virtual, Abstract) next to member headings.
+ * The optional tooltip is shown on hover and keyboard focus. The styles are in dotnetdocs-members.css, which DotNetDocs
+ * writes to the documentation root so Mintlify loads them once for the whole site.
+ *
+ * Usage:
+ *   <DocsBadge text="Extension" variant="success" tooltip="Extension method from StringExtensions" />
+ *   <DocsBadge text="Inherited" variant="neutral" tooltip="Inherited from System.Object" />
+ *   <DocsBadge text="Override" variant="info" />
+ *   <DocsBadge text="Virtual" variant="warning" />
+ *   <DocsBadge text="Abstract" variant="warning" />
+ */
+
+const docsBadgeVariants = ['success', 'neutral', 'info', 'warning', 'danger'];
+
+export const DocsBadge = ({ text, variant = 'neutral', tooltip }) => {
+  const tooltipId = `dnd-docs-badge-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+  const variantName = docsBadgeVariants.includes(variant) ? variant : 'neutral';
+
+  return (
+    <span
+      className={`dnd-docs-badge dnd-docs-badge-${variantName}`}
+      tabIndex={tooltip ? 0 : undefined}
+      aria-describedby={tooltip ? tooltipId : undefined}
+    >
+      {text}
+      {tooltip && (
+        <span id={tooltipId} role="tooltip" className="dnd-docs-badge-tooltip">
+          {tooltip}
+        </span>
+      )}
+    </span>
+  );
+};
@@ -0,0 +1,105 @@
+// Plain JSON-shaped entries, so the same list can be swapped for a fetched or generated features file
+export const featureCatalog = [
+  {
+    id: 'integrated-conceptual-docs',
+    icon: 'layer-group',
+    iconType: 'duotone',
+    title: 'Integrated Conceptual Docs',
+    description: 'Weave in generated & written docs without losing your work',
+    details: 'Content on how to use an API, best practices, and more do not belong in your code files. Expertly weave your API & Conceptual docs and regenerate without losing your hard work.',
+    category: 'Authoring',
+    tags: ['conceptual', 'markdown', 'api reference'],
+    link: { href: '/guides/conceptual-docs', label: 'Conceptual docs guide' },
+    featured: true
+  },
+  {
+    id: 'native-msbuild',
+    icon: 'gears',
+    iconType: 'duotone',
+    title: 'Native MSBuild Integration',
+    description: 'Automatically updates your Docs every time you compile',
+    details: 'Your docs are always up-to-date, whether you compile in VS, with `dotnet build` or in your CI/CD pipeline. No external tools required.',
+    category: 'Build & CI',
+    tags: ['msbuild', 'docsproj', 'sdk', 'ci/cd'],
+    link: { href: '/guides/reference/docsproj', label: '.docsproj reference' },
+    featured: true
+  },
+  {
+    id: 'pluggable-pipeline',
+    icon: 'pipe-valve',
+    iconType: 'duotone',
+    title: 'Pluggable Pipeline',
+    description: 'Easily generate, merge, enrich, transform, and render your docs',
+    details: 'DotNetDocs is the last documentation system you\'ll ever need. Our modern pipeline is designed for the future with full extensibility.',
+    category: 'Extensibility',
+    tags: ['pipeline', 'enrichers', 'transformers', 'renderers'],
+    link: { href: '/guides/pipeline', label: 'How the pipeline works' },
+    featured: true
+  },
+  {
+    id: 'xml-doc-comments',
+    icon: 'file-code',
+    iconType: 'duotone',
+    title: 'XML Doc Comments to MDX',
+    description: 'Every summary, param, example and cref becomes a polished page',
+    details: 'Summaries, parameters, returns, exceptions, examples and see-also links are converted to Markdown with working links to your types and the .NET reference docs.',
+    category: 'Authoring',
+    tags: ['xml', 'cref', 'mdx', 'api reference'],
+    link: { href: '/guides/xml-doc-playground', label: 'Try the playground' }
+  },
+  {
+    id: 'documentation-collections',
+    icon: 'books',
+    iconType: 'duotone',
+    title: 'Documentation Collections',
+    description: 'Combine multiple projects into one unified portal',
+    details: 'Reference other .docsproj projects and DotNetDocs copies their content, relocates their snippets and merges their navigation into a single site.',
+    category: 'Build & CI',
+    tags: ['collections', 'monorepo', 'navigation'],
+    link: { href: '/guides/collections', label: 'Collections guide' }
+  },
+  {
+    id: 'cli-tool',
+    icon: 'terminal',
+    iconType: 'duotone',
+    title: 'dotnet CLI Tool',
+    description: 'Scaffold and build docs projects from the command line',
+    details: '`dotnet docs add` creates a .docsproj and adds it to your solution, and `dotnet docs build` runs the same pipeline outside of a full build.',
+    category: 'Build & CI',
+    tags: ['cli', 'dotnet tool'],
+    link: { href: '/guides/reference/cli', label: 'CLI reference' }
+  },
+  {
+    id: 'mintlify-renderer',
+    icon: 'sitemap',
+    iconType: 'duotone',
+    title: 'Mintlify Navigation & Icons',
+    description: 'Generated docs.json with context-aware icons for every type',
+    details: 'The Mintlify renderer builds hierarchical navigation from your namespaces, merges it with your own pages and picks an icon for every class, interface, enum and member.',
+    category: 'Output',
+    tags: ['mintlify', 'docs.json', 'navigation', 'icons'],
+    link: { href: '/providers/mintlify', label: 'Mintlify provider' }
+  },
+  {
+    id: 'multiple-formats',
+    icon: 'file-export',
+    iconType: 'duotone',
+    title: 'Multiple Output Formats',
+    description: 'Render Markdown, Mintlify MDX, JSON or YAML from one model',
+    details: 'Renderers share the same documentation model, so you can publish a site and ship machine-readable API metadata from the same build.',
+    category: 'Output',
+    tags: ['markdown', 'json', 'yaml', 'renderers'],
+    link: { href: '/providers', label: 'Browse providers' }
+  },
+  {
+    id: 'plugins',
+    icon: 'outlet',
+    iconType: 'duotone',
+    title: 'Plugins',
+    description: 'AI and GitHub integrations for the pipeline are on the way',
+    details: 'Plugins will register their own enrichers, transformers and renderers with the pipeline through standard dependency injection.',
+    category: 'Extensibility',
+    tags: ['plugins', 'ai', 'github'],
+    link: { href: '/plugins', label: 'Plugins overview' }
+  }
+];
@@ -1,45 +1,124 @@
-export const FeatureShowcase = () => {
-    const [animationsStarted, setAnimationsStarted] = React.useState(false);
+import { tokens, alpha, gradient, useTheme } from '/snippets/ThemeTokens.jsx';
+import { useReducedMotion } from '/snippets/ReducedMotion.jsx';
+import { useReveal } from '/snippets/Reveal.jsx';
+import { featureCatalog } from '/snippets/FeatureData.jsx';
+
+// Kept at module level so the default is the same array on every render
+const featuredFeatures = featureCatalog.filter((feature) => feature.featured);
+
+export const FeatureShowcase = ({
+    features = featuredFeatures,
+    eyebrow = 'Beyond DocFX',
+    title = 'Features DocFX Can\'t Handle',
+    description = 'While DocFX generates static API docs, DotNetDocs brings modern workflows, multiple output formats, and true integration with your development process',
+    cta = { href: '/features', label: 'Explore All Features' },
+    showTabs = false,
+    showFilter = false,
+    defaultExpanded = false,
+    reducedMotion,
+    theme
+}) => {
+    const { themeClassName, themeStyles } = useTheme(theme);
+    const { reduceMotion, motionClassName, motionStyles } = useReducedMotion(reducedMotion);
+    const section = useReveal({ disabled: reduceMotion });
+    const cards = useReveal({ threshold: 0.2, stagger: 120, disabled: reduceMotion });
+    const idPrefix = `feature-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+    // Features loaded from JSON may leave out ids; the slugged title keeps their deep links stable
+    const items = features.map((feature) => ({
+        ...feature,
+        id: feature.id ?? feature.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        tags: feature.tags ?? []
+    }));
+    const categories = ['All', ...new Set(items.map((feature) => feature.category).filter(Boolean))];
+    const featureIds = items.map((feature) => feature.id).join('\n');
+
+    const [activeCategory, setActiveCategory] = React.useState('All');
+    const [query, setQuery] = React.useState('');
+    const [expanded, setExpanded] = React.useState(() => Object.fromEntries(items.map((feature) => [feature.id, defaultExpanded])));
+    const [scrollTarget, setScrollTarget] = React.useState(null);
+
+    const normalizedQuery = query.trim().toLowerCase();
+    const visibleFeatures = items.filter((feature) => {
+        if (activeCategory !== 'All' && feature.category !== activeCategory) {
+            return false;
+        }
+        if (!normalizedQuery) {
+            return true;
+        }
+        return [feature.title, feature.description, feature.details, feature.category, ...feature.tags]
+            .some((text) => text?.toLowerCase().includes(normalizedQuery));
+    });
+    const allExpanded = visibleFeatures.length > 0 && visibleFeatures.every((feature) => expanded[feature.id]);
+
+    const toggleFeature = (id) => {
+        setExpanded((current) => ({ ...current, [id]: !current[id] }));
+    };
+
+    const toggleAll = () => {
+        setExpanded((current) => ({
+            ...current,
+            ...Object.fromEntries(visibleFeatures.map((feature) => [feature.id, !allExpanded]))
+        }));
+    };
+
+    // #feature-{id} opens the card, clearing any tab or filter that would hide it
+    React.useEffect(() => {
+        const openFromHash = () => {
+            const match = window.location.hash.match(/^#feature-(.+)$/);
+            const target = match && items.find((feature) => feature.id === decodeURIComponent(match[1]));
+            if (!target) {
+                return;
+            }
+            // Setting state that already matches is a no-op, so an open, unfiltered card doesn't re-render the list
+            setActiveCategory('All');
+            setQuery('');
+            setExpanded((current) => (current[target.id] ? current : { ...current, [target.id]: true }));
+            setScrollTarget(target.id);
+        };
+
+        openFromHash();
+        window.addEventListener('hashchange', openFromHash);
+        return () => window.removeEventListener('hashchange', openFromHash);
+    }, [featureIds]);
 
     React.useEffect(() => {
-        setAnimationsStarted(true);
-    }, []);
-
-    const features = [
-        {
-            icon: 'layer-group',
-            iconType: 'duotone',
-            title: 'Integrated Conceptual Docs',
-            description: 'Weave in generated & written docs without losing your work',
-            color: '#3CD0E2',
-            details: 'Content on how to use an API, best practices, and more do not belong in your code files. Expertly weave your API & Conceptual docs and regenerate without losing your hard work.'
-        },
-        {
-            icon: 'gears',
-            iconType: 'duotone',
-            title: 'Native MSBuild Integration',
-            description: 'Automatically updates your Docs every time you compile',
-            color: '#3CD0E2',
-            details: 'Your docs are always up-to-date, whether you compile in VS, with `dotnet build` or in your CI/CD pipeline. No external tools required.'
-        },
-        {
-            icon: 'pipe-valve',
-            iconType: 'duotone',
-            title: 'Pluggable Pipeline',
-            description: 'Easily generate, merge, enrich, transform, and render your docs',
-            color: '#3CD0E2',
-            details: 'DotNetDocs is the last documentation system you\'ll ever need. Our modern pipeline is designed for the future with full extensibility.'
+        if (!scrollTarget) {
+            return undefined;
         }
-    ];
+        document.getElementById(`feature-${scrollTarget}`)?.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+        document.getElementById(`${idPrefix}-toggle-${scrollTarget}`)?.focus({ preventScroll: true });
+        setScrollTarget(null);
+        return undefined;
+    }, [scrollTarget]);
+
+    const selectTab = (index) => {
+        setActiveCategory(categories[index]);
+        document.getElementById(`${idPrefix}-tab-${index}`)?.focus();
+    };
+
+    const onTabKeyDown = (event, index) => {
+        const last = categories.length - 1;
+        const next = {
+            ArrowRight: index === last ? 0 : index + 1,
+            ArrowLeft: index === 0 ? last : index - 1,
+            Home: 0,
+            End: last
+        }[event.key];
+        if (next !== undefined) {
+            event.preventDefault();
+            selectTab(next);
+        }
+    };
 
     return (
-        <div style={{
+        <div ref={section.ref} className={`${themeClassName} ${motionClassName}`} style={{
             width: '100%',
             padding: '120px 0',
-            background: 'linear-gradient(180deg, #0F1922 0%, #1A2B3D 100%)',
+            background: `linear-gradient(180deg, ${tokens.backgroundDeepMid} 0%, ${tokens.backgroundAlt} 100%)`,
             position: 'relative',
             overflow: 'hidden',
-            opacity: animationsStarted ? 1 : 0,
+            opacity: section.hidden ? 0 : 1,
             transition: 'opacity 0.5s ease-out'
         }}>
             {/* Background decoration */}
@@ -47,8 +126,8 @@ export const FeatureShowcase = () => {
                 position: 'absolute',
                 inset: 0,
                 opacity: 0.05,
-                backgroundImage: `radial-gradient(circle at 20% 50%, #3CD0E2 0%, transparent 50%),
-                          radial-gradient(circle at 80% 50%, #419AC5 0%, transparent 50%)`
+                backgroundImage: `radial-gradient(circle at 20% 50%, ${tokens.accent} 0%, transparent 50%),
+                          radial-gradient(circle at 80% 50%, ${tokens.primary} 0%, transparent 50%)`
             }} />
 
             <div style={{
@@ -60,21 +139,23 @@ export const FeatureShowcase = () => {
             }}>
                 {/* Header with competitive edge */}
                 <div style={{ textAlign: 'center', marginBottom: '80px' }}>
+                    {eyebrow && (
                     <div style={{
                         display: 'inline-block',
                         padding: '8px 20px',
-                        background: 'rgba(255, 107, 107, 0.1)',
-                        border: '1px solid rgba(255, 107, 107, 0.3)',
+                        background: alpha('danger', 0.1),
+                        border: `1px solid ${alpha('danger', 0.3)}`,
                         borderRadius: '50px',
                         marginBottom: '20px',
                         fontSize: '13px',
                         fontWeight: 'bold',
-                        color: '#FF6B6B',
+                        color: tokens.danger,
                         letterSpacing: '1px',
                         textTransform: 'uppercase'
                     }}>
-                        Beyond DocFX
+                        {eyebrow}
                     </div>
+                    )}
 
                     <h2 style={{
                         fontSize: 'clamp(36px, 5vw, 56px)',
@@ -83,43 +164,147 @@ export const FeatureShowcase = () => {
                         lineHeight: '1.2'
                     }}>
                         <span style={{
-                            background: 'linear-gradient(135deg, #3CD0E2, #419AC5)',
+                            background: gradient(),
                             WebkitBackgroundClip: 'text',
                             WebkitTextFillColor: 'transparent',
                             backgroundClip: 'text'
                         }}>
-                            Features DocFX Can't Handle
+                            {title}
                         </span>
                     </h2>
                     <p style={{
                         fontSize: '20px',
-                        color: '#B0D4E8',
+                        color: tokens.textLead,
                         maxWidth: '700px',
                         margin: '0 auto',
                         lineHeight: '1.6'
                     }}>
-                        While DocFX generates static API docs, DotNetDocs brings modern workflows, multiple output formats, and true integration with your development process
+                        {description}
                     </p>
                 </div>
 
-                {/* Features Grid */}
+                {/* Toolbar: category tabs, text filter and expand all */}
                 <div style={{
-                    display: 'grid',
-                    gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))',
-                    gap: '30px',
-                    marginBottom: '60px'
+                    display: 'flex',
+                    flexWrap: 'wrap',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '16px',
+                    marginBottom: '24px'
                 }}>
-                    {features.map((feature, index) => (
+                    {showTabs && categories.length > 2 ? (
+                        <div role="tablist" aria-label="Feature categories" style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                            {categories.map((category, index) => (
+                                <button
+                                    key={category}
+                                    type="button"
+                                    role="tab"
+                                    id={`${idPrefix}-tab-${index}`}
+                                    className="feature-tab"
+                                    aria-selected={activeCategory === category}
+                                    aria-controls={`${idPrefix}-grid`}
+                                    tabIndex={activeCategory === category ? 0 : -1}
+                                    onClick={() => setActiveCategory(category)}
+                                    onKeyDown={(event) => onTabKeyDown(event, index)}
+                                    style={{
+                                        padding: '8px 16px',
+                                        borderRadius: '50px',
+                                        border: `1px solid ${activeCategory === category ? tokens.accent : alpha('accent', 0.2)}`,
+                                        background: activeCategory === category ? alpha('accent', 0.15) : 'transparent',
+                                        color: activeCategory === category ? tokens.accent : tokens.textSoft,
+                                        fontSize: '14px',
+                                        fontWeight: '600',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    {category}
+                                </button>
+                            ))}
+                        </div>
+                    ) : <div />}
+
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px' }}>
+                        {showFilter && (
+                            <input
+                                type="search"
+                                className="feature-filter"
+                                value={query}
+                                onChange={(event) => setQuery(event.target.value)}
+                                placeholder="Filter features"
+                                aria-label="Filter features"
+                                aria-controls={`${idPrefix}-grid`}
+                                style={{
+                                    minWidth: '220px',
+                                    padding: '8px 14px',
+                                    borderRadius: '8px',
+                                    border: `1px solid ${alpha('accent', 0.3)}`,
+                                    background: alpha('contrast', 0.03),
+                                    color: tokens.text,
+                                    fontSize: '14px'
+                                }}
+                            />
+                        )}
+                        <button
+                            type="button"
+                            className="feature-expand-all"
+                            onClick={toggleAll}
+                            disabled={visibleFeatures.length === 0}
+                            aria-controls={visibleFeatures.map((feature) => `${idPrefix}-details-${feature.id}`).join(' ')}
+                            style={{
+                                display: 'inline-flex',
+                                alignItems: 'center',
+                                gap: '8px',
+                                padding: '8px 16px',
+                                background: 'transparent',
+                                border: `1px solid ${alpha('accent', 0.3)}`,
+                                borderRadius: '8px',
+                                color: tokens.accent,
+                                fontSize: '14px',
+                                fontWeight: '600',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            <Icon icon={allExpanded ? 'angles-up' : 'angles-down'} size={14} color={tokens.accent} />
+                            {allExpanded ? 'Collapse all' : 'Expand all'}
+                        </button>
+                    </div>
+                </div>
+
+                {(showTabs || showFilter) && (
+                    <p aria-live="polite" style={{ color: tokens.textSubtle, fontSize: '14px', margin: '0 0 24px' }}>
+                        {visibleFeatures.length === 0
+                            ? `No features match "${query.trim()}".`
+                            : `Showing ${visibleFeatures.length} of ${items.length} features`}
+                    </p>
+                )}
+
+                {/* Features Grid */}
+                <div
+                    ref={cards.ref}
+                    id={`${idPrefix}-grid`}
+                    role={showTabs && categories.length > 2 ? 'tabpanel' : undefined}
+                    aria-labelledby={showTabs && categories.length > 2 ? `${idPrefix}-tab-${categories.indexOf(activeCategory)}` : undefined}
+                    style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))',
+                        gap: '30px',
+                        marginBottom: '60px'
+                    }}
+                >
+                    {visibleFeatures.map((feature, index) => (
                         <div
-                            key={index}
+                            key={feature.id}
+                            id={`feature-${feature.id}`}
                             className="feature-card"
+                            data-expanded={expanded[feature.id]}
                             style={{
-                                background: 'rgba(255, 255, 255, 0.02)',
-                                border: '2px solid rgba(60, 208, 226, 0.1)',
+                                position: 'relative',
+                                background: alpha('contrast', 0.02),
+                                border: `2px solid ${alpha('accent', 0.1)}`,
                                 borderRadius: '20px',
                                 padding: '40px',
-                                cursor: 'pointer',
-                                transition: 'all 0.4s cubic-bezier(0.4, 0, 0.2, 1)'
+                                transition: 'all 0.4s cubic-bezier(0.4, 0, 0.2, 1)',
+                                ...cards.revealStyle(index)
                             }}
                         >
                             <div style={{
@@ -128,20 +313,51 @@ export const FeatureShowcase = () => {
                                 alignItems: 'center',
                                 justifyContent: 'flex-start'
                             }}>
-                                <Icon icon={feature.icon} iconType={feature.iconType} size={48} color={feature.color} />
+                                <Icon icon={feature.icon} iconType={feature.iconType} size={48} color={tokens[feature.color] ?? feature.color ?? tokens.accent} />
                             </div>
 
                             <h3 style={{
                                 fontSize: '24px',
                                 fontWeight: 'bold',
-                                color: 'white',
+                                color: tokens.text,
                                 marginBottom: '10px'
                             }}>
-                                {feature.title}
+                                {/* The button's overlay stretches across the card, so a tap anywhere toggles it */}
+                                <button
+                                    type="button"
+                                    id={`${idPrefix}-toggle-${feature.id}`}
+                                    className="feature-card-toggle"
+                                    onClick={() => toggleFeature(feature.id)}
+                                    aria-expanded={expanded[feature.id]}
+                                    aria-controls={`${idPrefix}-details-${feature.id}`}
+                                    style={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'space-between',
+                                        gap: '12px',
+                                        width: '100%',
+                                        padding: 0,
+                                        background: 'none',
+                                        border: 'none',
+                                        color: 'inherit',
+                                        font: 'inherit',
+                                        textAlign: 'left',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    {feature.title}
+                                    <span className="feature-card-chevron" aria-hidden="true" style={{
+                                        display: 'inline-flex',
+                                        transform: expanded[feature.id] ? 'rotate(180deg)' : 'none',
+                                        transition: 'transform 0.3s ease'
+                                    }}>
+                                        <Icon icon="chevron-down" size={16} color={tokens.textSubtle} />
+                                    </span>
+                                </button>
                             </h3>
 
                             <div style={{
-                                color: '#A0C8DD',
+                                color: tokens.textSoft,
                                 fontSize: '16px',
                                 lineHeight: '1.6',
                                 marginBottom: '0'
@@ -149,73 +365,164 @@ export const FeatureShowcase = () => {
                                 {feature.description}
                             </div>
 
-                            <div className="feature-details" style={{
-                                color: '#B0C4DE',
-                                fontSize: '14px',
-                                lineHeight: '1.6',
-                                marginTop: '20px',
-                                paddingTop: '20px',
-                                borderTop: '1px solid rgba(60, 208, 226, 0.1)',
-                                maxHeight: '0',
-                                overflow: 'hidden',
-                                opacity: '0',
-                                transition: 'all 0.3s ease-in-out'
-                            }}>
+                            <div
+                                id={`${idPrefix}-details-${feature.id}`}
+                                className="feature-details"
+                                role="region"
+                                aria-labelledby={`${idPrefix}-toggle-${feature.id}`}
+                                style={{
+                                    position: 'relative',
+                                    zIndex: 1,
+                                    color: tokens.textMuted,
+                                    fontSize: '14px',
+                                    lineHeight: '1.6',
+                                    marginTop: expanded[feature.id] ? '20px' : '0',
+                                    paddingTop: expanded[feature.id] ? '20px' : '0',
+                                    borderTop: `1px solid ${expanded[feature.id] ? alpha('accent', 0.1) : 'transparent'}`,
+                                    maxHeight: expanded[feature.id] ? '400px' : '0',
+                                    overflow: 'hidden',
+                                    opacity: expanded[feature.id] ? 1 : 0,
+                                    visibility: expanded[feature.id] ? 'visible' : 'hidden',
+                                    transition: 'all 0.3s ease-in-out'
+                                }}
+                            >
                                 {feature.details}
+
+                                {(feature.tags.length > 0 || feature.link) && (
+                                    <div style={{
+                                        display: 'flex',
+                                        flexWrap: 'wrap',
+                                        alignItems: 'center',
+                                        justifyContent: 'space-between',
+                                        gap: '12px',
+                                        marginTop: '16px'
+                                    }}>
+                                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                                            {feature.tags.map((tag) => (
+                                                <span key={tag} style={{
+                                                    padding: '2px 10px',
+                                                    borderRadius: '50px',
+                                                    background: alpha('accent', 0.1),
+                                                    color: tokens.textSoft,
+                                                    fontSize: '12px'
+                                                }}>
+                                                    {tag}
+                                                </span>
+                                            ))}
+                                        </div>
+                                        {feature.link && (
+                                            <a href={feature.link.href} className="feature-link" style={{
+                                                color: tokens.accent,
+                                                fontWeight: '600',
+                                                textDecoration: 'none'
+                                            }}>
+                                                {feature.link.label ?? 'Learn more'} →
+                                            </a>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                         </div>
                     ))}
                 </div>
 
                 {/* CTA */}
+                {cta && (
                 <div style={{
                     textAlign: 'center',
                     paddingTop: '40px'
                 }}>
-                    <a href="https://dotnetdocs.com/docs/features" className="explore-features-btn" style={{
+                    <a href={cta.href} className="explore-features-btn" style={{
                         display: 'inline-flex',
                         alignItems: 'center',
                         gap: '10px',
                         padding: '16px 32px',
                         background: 'transparent',
-                        border: '2px solid #3CD0E2',
-                        color: '#3CD0E2',
+                        border: `2px solid ${tokens.accent}`,
+                        color: tokens.accent,
                         borderRadius: '10px',
                         textDecoration: 'none',
                         fontWeight: 'bold',
                         fontSize: '16px',
                         transition: 'all 0.3s'
                     }}>
-                        Explore All Features
+                        {cta.label}
                         <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
                             <path d="M10.293 3.293a1 1 0 011.414 0l6 6a1 1 0 010 1.414l-6 6a1 1 0 01-1.414-1.414L14.586 11H3a1 1 0 110-2h11.586l-4.293-4.293a1 1 0 010-1.414z" />
                         </svg>
                     </a>
                 </div>
+                )}
             </div>
 
             <style>{`
-        .feature-card:hover {
-          background: linear-gradient(135deg, rgba(60, 208, 226, 0.1), rgba(65, 154, 197, 0.1)) !important;
-          border-color: #3CD0E2 !important;
-          transform: translateY(-5px) scale(1.02);
-          box-shadow: 0 20px 40px rgba(60, 208, 226, 0.2);
+        .feature-card-toggle::after {
+          content: '';
+          position: absolute;
+          inset: 0;
+          border-radius: 18px;
+        }
+
+        .feature-card-toggle:focus-visible {
+          outline: none;
+        }
+
+        .feature-card-toggle:focus-visible::after {
+          outline: 3px solid ${tokens.accent};
+          outline-offset: 4px;
+        }
+
+        .feature-card[data-expanded="true"] {
+          border-color: ${alpha('accent', 0.5)} !important;
+        }
+
+        .feature-card[data-expanded="true"] h3,
+        .feature-card:focus-within h3 {
+          color: ${tokens.accent} !important;
+        }
+
+        .feature-tab:focus-visible,
+        .feature-filter:focus-visible,
+        .feature-link:focus-visible {
+          outline: 3px solid ${tokens.accent};
+          outline-offset: 2px;
+        }
+
+        .feature-link:hover {
+          text-decoration: underline !important;
         }
 
-        .feature-card:hover h3 {
-          color: #3CD0E2 !important;
+        .feature-expand-all:hover {
+          background: ${alpha('accent', 0.1)} !important;
         }
 
-        .feature-card:hover .feature-details {
-          max-height: 200px !important;
-          opacity: 1 !important;
+        .feature-expand-all:focus-visible {
+          outline: 3px solid ${tokens.accent};
+          outline-offset: 2px;
+        }
+
+        /* Touch screens keep :hover stuck after a tap, so the lift only applies to real pointers */
+        @media (hover: hover) {
+          .feature-card:hover {
+            background: linear-gradient(135deg, ${alpha('accent', 0.1)}, ${alpha('primary', 0.1)}) !important;
+            border-color: ${tokens.accent} !important;
+            transform: translateY(-5px) scale(1.02);
+            box-shadow: 0 20px 40px ${alpha('accent', 0.2)};
+          }
+
+          .feature-card:hover h3 {
+            color: ${tokens.accent} !important;
+          }
         }
 
         .explore-features-btn:hover {
-          background: rgba(60, 208, 226, 0.1) !important;
+          background: ${alpha('accent', 0.1)} !important;
           transform: translateX(5px);
         }
       `}</style>
+            {cards.revealStyles}
+            {themeStyles}
+            {motionStyles}
         </div>
     );
 };
\ No newline at end of file
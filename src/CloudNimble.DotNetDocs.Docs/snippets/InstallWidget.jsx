@@ -0,0 +1,223 @@
+import { tokens, alpha, gradient, useTheme } from '/snippets/ThemeTokens.jsx';
+
+// Without a version the tools install the latest release and the SDK tabs fall back to a placeholder
+export const installChannels = (version) => {
+  const pin = version ? ` --version ${version}` : '';
+  const sdkVersion = version ?? '<version>';
+
+  return [
+    {
+      id: 'global-tool',
+      label: 'Global Tool',
+      icon: 'terminal',
+      description: 'Installs the dotnet docs command for every project on this machine.',
+      code: `dotnet tool install DotNetDocs --global${pin}`
+    },
+    {
+      id: 'local-tool',
+      label: 'Local Tool',
+      icon: 'file-lines',
+      description: 'Pins the tool in .config/dotnet-tools.json so everyone on the repo runs the same version.',
+      code: `dotnet new tool-manifest\ndotnet tool install DotNetDocs${pin}`
+    },
+    {
+      id: 'project-sdk',
+      label: '.docsproj',
+      icon: 'file-code',
+      description: 'References the SDK directly from your documentation project.',
+      code: `<Project Sdk="DotNetDocs.Sdk/${sdkVersion}">\n\n</Project>`
+    },
+    {
+      id: 'global-json',
+      label: 'global.json',
+      icon: 'brackets-curly',
+      description: 'Pins the SDK once for the whole repo, so each .docsproj can use Sdk="DotNetDocs.Sdk".',
+      code: JSON.stringify({ 'msbuild-sdks': { 'DotNetDocs.Sdk': sdkVersion } }, null, 2)
+    }
+  ];
+};
+
+export const InstallWidget = ({
+  version,
+  title = 'Quick Install',
+  defaultChannel = 'global-tool',
+  theme
+}) => {
+  const { themeClassName, themeStyles } = useTheme(theme);
+  const channels = installChannels(version);
+  const [activeId, setActiveId] = React.useState(defaultChannel);
+  const [copied, setCopied] = React.useState(null);
+  const codePreview = React.useRef(null);
+  const idPrefix = `install-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+  const active = channels.find((channel) => channel.id === activeId) ?? channels[0];
+
+  React.useEffect(() => {
+    if (!copied) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setCopied(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  // When the clipboard is missing or blocked, the snippet is selected so it can be copied by hand
+  const copyActive = () => {
+    const id = active.id;
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(active.code))
+      .then(() => setCopied({ id, failed: false }))
+      .catch(() => {
+        window.getSelection()?.selectAllChildren(codePreview.current);
+        setCopied({ id, failed: true });
+      });
+  };
+  const copiedActive = copied?.id === active.id ? copied : null;
+
+  const onTabKeyDown = (event, index) => {
+    const keys = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: channels.length - 1 };
+    if (!(event.key in keys)) {
+      return;
+    }
+    event.preventDefault();
+    const next = channels[(keys[event.key] + channels.length) % channels.length];
+    setActiveId(next.id);
+    document.getElementById(`${idPrefix}-tab-${next.id}`)?.focus();
+  };
+
+  return (
+    <div className={`not-prose ${themeClassName}`} style={{
+      padding: '30px',
+      background: alpha('accent', 0.05),
+      border: `1px solid ${alpha('accent', 0.2)}`,
+      borderRadius: '12px',
+      textAlign: 'left'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        marginBottom: '15px'
+      }}>
+        <p style={{
+          margin: 0,
+          color: tokens.textSubtle,
+          fontSize: '14px',
+          textTransform: 'uppercase',
+          letterSpacing: '1px'
+        }}>
+          {title}
+        </p>
+        {version && <span style={{ color: tokens.textSubtle, fontSize: '13px', fontFamily: 'monospace' }}>v{version}</span>}
+      </div>
+
+      <div role="tablist" aria-label="Install options" style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+        {channels.map((channel, index) => {
+          const selected = channel.id === active.id;
+          return (
+            <button
+              key={channel.id}
+              id={`${idPrefix}-tab-${channel.id}`}
+              type="button"
+              role="tab"
+              aria-selected={selected}
+              aria-controls={`${idPrefix}-panel`}
+              tabIndex={selected ? 0 : -1}
+              onClick={() => setActiveId(channel.id)}
+              onKeyDown={(event) => onTabKeyDown(event, index)}
+              className="install-tab"
+              style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px 12px',
+                borderRadius: '8px',
+                border: `1px solid ${selected ? 'transparent' : alpha('accent', 0.2)}`,
+                background: selected ? gradient() : 'transparent',
+                color: selected ? tokens.onAccent : tokens.textSoft,
+                fontSize: '13px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              <Icon icon={channel.icon} iconType="solid" size={12} color={selected ? tokens.onAccent : tokens.textSoft} />
+              {channel.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <div id={`${idPrefix}-panel`} role="tabpanel" aria-labelledby={`${idPrefix}-tab-${active.id}`}>
+        <p style={{ margin: '0 0 10px', color: tokens.textMuted, fontSize: '14px' }}>{active.description}</p>
+        <div style={{ position: 'relative' }}>
+          <pre ref={codePreview} style={{
+            margin: 0,
+            padding: '15px 90px 15px 15px',
+            background: alpha('shadow', 0.3),
+            borderRadius: '8px',
+            color: tokens.accent,
+            fontSize: '15px',
+            fontFamily: 'monospace',
+            whiteSpace: 'pre-wrap',
+            wordBreak: 'break-word'
+          }}>
+            <code>{active.code}</code>
+          </pre>
+          <button
+            type="button"
+            onClick={copyActive}
+            className="install-copy"
+            aria-label={`Copy ${active.label} snippet`}
+            style={{
+              position: 'absolute',
+              top: '10px',
+              right: '10px',
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '5px 10px',
+              borderRadius: '6px',
+              border: `1px solid ${alpha('accent', 0.3)}`,
+              background: tokens.backgroundAlt,
+              color: copiedActive && !copiedActive.failed ? tokens.success : tokens.textSoft,
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            <Icon
+              icon={!copiedActive ? 'copy' : copiedActive.failed ? 'triangle-exclamation' : 'check'}
+              iconType="solid"
+              size={12}
+              color={copiedActive && !copiedActive.failed ? tokens.success : tokens.textSoft}
+            />
+            {!copiedActive ? 'Copy' : copiedActive.failed ? 'Copy failed, text selected' : 'Copied!'}
+          </button>
+        </div>
+        <span role="status" className="install-visually-hidden">
+          {!copiedActive ? '' : copiedActive.failed
+            ? `${active.label} snippet couldn't be copied, so it is selected to copy by hand`
+            : `${active.label} snippet copied to clipboard`}
+        </span>
+      </div>
+
+      <style>{`
+        .install-tab:focus-visible,
+        .install-copy:focus-visible {
+          outline: 2px solid ${tokens.accent};
+          outline-offset: 2px;
+        }
+
+        .install-visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+        }
+      `}</style>
+      {themeStyles}
+    </div>
+  );
+};
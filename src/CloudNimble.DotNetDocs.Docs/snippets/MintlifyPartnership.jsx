@@ -1,18 +1,21 @@
-export const MintlifyPartnership = () => {
-    const [animationsStarted, setAnimationsStarted] = React.useState(false);
+import { tokens, alpha, useTheme } from '/snippets/ThemeTokens.jsx';
+import { useReducedMotion } from '/snippets/ReducedMotion.jsx';
+import { useReveal } from '/snippets/Reveal.jsx';
 
-    React.useEffect(() => {
-        setAnimationsStarted(true);
-    }, []);
+export const MintlifyPartnership = ({ reducedMotion, theme }) => {
+    const { themeClassName, themeStyles } = useTheme(theme);
+    const { reduceMotion, motionClassName, motionStyles } = useReducedMotion(reducedMotion);
+    const section = useReveal({ disabled: reduceMotion });
+    const panels = useReveal({ threshold: 0.15, stagger: 150, disabled: reduceMotion });
 
     return (
-        <div style={{
+        <div ref={section.ref} className={`${themeClassName} ${motionClassName}`} style={{
             width: '100%',
             padding: '120px 0',
-            background: '#0a1628',
+            background: tokens.background,
             position: 'relative',
             overflow: 'hidden',
-            opacity: animationsStarted ? 1 : 0,
+            opacity: section.hidden ? 0 : 1,
             transition: 'opacity 0.5s ease-out'
         }}>
             {/* Mintlify aurora background */}
@@ -47,17 +50,17 @@ export const MintlifyPartnership = () => {
                         alignItems: 'center',
                         gap: '12px',
                         padding: '10px 20px',
-                        background: 'rgba(14, 164, 114, 0.1)',
-                        border: '1px solid rgba(14, 164, 114, 0.3)',
+                        background: alpha('partner', 0.1),
+                        border: `1px solid ${alpha('partner', 0.3)}`,
                         borderRadius: '100px',
-                        color: '#0ea472',
+                        color: tokens.partner,
                         fontWeight: '600',
                         fontSize: '22px',
                         letterSpacing: '0.3px',
-                        boxShadow: '0 0 20px rgba(14, 164, 114, 0.15)',
+                        boxShadow: `0 0 20px ${alpha('partner', 0.15)}`,
                         fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                     }}>
-                        <Icon icon="handshake" iconType="solid" size={28} color="#0ea472" />
+                        <Icon icon="handshake" iconType="solid" size={28} color={tokens.partner} />
                         <span>Official Partner</span>
                     </div>
                 </div>
@@ -70,7 +73,7 @@ export const MintlifyPartnership = () => {
                     <h2 style={{
                         fontSize: 'clamp(40px, 6vw, 72px)',
                         fontWeight: '600',
-                        color: 'white',
+                        color: tokens.text,
                         margin: '0 0 20px 0',
                         lineHeight: '1.1',
                         fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
@@ -80,7 +83,7 @@ export const MintlifyPartnership = () => {
                     <p style={{
                         fontSize: '20px',
                         lineHeight: '1.6',
-                        color: 'rgba(255, 255, 255, 0.7)',
+                        color: alpha('contrast', 0.7),
                         maxWidth: '800px',
                         margin: '0 auto',
                         fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
@@ -91,7 +94,7 @@ export const MintlifyPartnership = () => {
                 </div>
 
                 {/* Main Content Grid */}
-                <div style={{
+                <div ref={panels.ref} style={{
                     display: 'grid',
                     gridTemplateColumns: 'repeat(auto-fit, minmax(min(100%, 400px), 1fr))',
                     gap: '60px',
@@ -100,15 +103,16 @@ export const MintlifyPartnership = () => {
                 }}>
                     {/* Left: Why Mintlify */}
                     <div style={{
-                        background: 'rgba(10, 22, 40, 0.6)',
+                        background: alpha('background', 0.6),
                         borderRadius: '24px',
                         padding: '48px',
-                        boxShadow: '0 4px 24px rgba(0, 0, 0, 0.3)',
-                        border: '1px solid rgba(255, 255, 255, 0.2)',
+                        boxShadow: `0 4px 24px ${alpha('shadow', 0.3)}`,
+                        border: `1px solid ${alpha('contrast', 0.2)}`,
                         backdropFilter: 'blur(20px)',
                         display: 'flex',
                         flexDirection: 'column',
-                        gap: '32px'
+                        gap: '32px',
+                        ...panels.revealStyle(0)
                     }}>
                         <div>
                             <div style={{
@@ -129,7 +133,7 @@ export const MintlifyPartnership = () => {
                                 <h3 style={{
                                     fontSize: '28px',
                                     fontWeight: '600',
-                                    color: 'white',
+                                    color: tokens.text,
                                     margin: 0,
                                     fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                                 }}>
@@ -140,7 +144,7 @@ export const MintlifyPartnership = () => {
                             <p style={{
                                 fontSize: '16px',
                                 lineHeight: '1.7',
-                                color: 'rgba(255, 255, 255, 0.7)',
+                                color: alpha('contrast', 0.7),
                                 margin: 0,
                                 fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                             }}>
@@ -169,21 +173,21 @@ export const MintlifyPartnership = () => {
                                         width: '40px',
                                         height: '40px',
                                         borderRadius: '12px',
-                                        background: 'rgba(14, 164, 114, 0.2)',
-                                        border: '1px solid rgba(14, 164, 114, 0.3)',
+                                        background: alpha('partner', 0.2),
+                                        border: `1px solid ${alpha('partner', 0.3)}`,
                                         display: 'flex',
                                         alignItems: 'center',
                                         justifyContent: 'center',
                                         flexShrink: 0,
                                         marginTop: '2px'
                                     }}>
-                                        <Icon icon={item.icon} iconType="solid" size={20} color="#0ea472" />
+                                        <Icon icon={item.icon} iconType="solid" size={20} color={tokens.partner} />
                                     </div>
                                     <div>
                                         <div style={{
                                             fontSize: '16px',
                                             fontWeight: '600',
-                                            color: 'white',
+                                            color: tokens.text,
                                             marginBottom: '4px',
                                             fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                                         }}>
@@ -191,7 +195,7 @@ export const MintlifyPartnership = () => {
                                         </div>
                                         <div style={{
                                             fontSize: '14px',
-                                            color: 'rgba(255, 255, 255, 0.6)',
+                                            color: alpha('contrast', 0.6),
                                             lineHeight: '1.5',
                                             fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                                         }}>
@@ -205,21 +209,22 @@ export const MintlifyPartnership = () => {
 
                     {/* Right: DotNetDocs + Mintlify */}
                     <div style={{
-                        background: 'rgba(10, 22, 40, 0.6)',
+                        background: alpha('background', 0.6),
                         borderRadius: '24px',
                         padding: '48px',
-                        boxShadow: '0 4px 24px rgba(0, 0, 0, 0.3)',
-                        border: '1px solid rgba(255, 255, 255, 0.2)',
+                        boxShadow: `0 4px 24px ${alpha('shadow', 0.3)}`,
+                        border: `1px solid ${alpha('contrast', 0.2)}`,
                         backdropFilter: 'blur(20px)',
                         display: 'flex',
                         flexDirection: 'column',
-                        gap: '32px'
+                        gap: '32px',
+                        ...panels.revealStyle(1)
                     }}>
                         <div>
                             <h3 style={{
                                 fontSize: '28px',
                                 fontWeight: '600',
-                                color: 'white',
+                                color: tokens.text,
                                 margin: '0 0 16px 0',
                                 lineHeight: '1.4',
                                 display: 'flex',
@@ -247,7 +252,7 @@ export const MintlifyPartnership = () => {
                             <p style={{
                                 fontSize: '16px',
                                 lineHeight: '1.7',
-                                color: 'rgba(255, 255, 255, 0.7)',
+                                color: alpha('contrast', 0.7),
                                 margin: 0,
                                 fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                             }}>
@@ -276,21 +281,21 @@ export const MintlifyPartnership = () => {
                                         width: '40px',
                                         height: '40px',
                                         borderRadius: '12px',
-                                        background: 'rgba(60, 208, 226, 0.2)',
-                                        border: '1px solid rgba(60, 208, 226, 0.3)',
+                                        background: alpha('accent', 0.2),
+                                        border: `1px solid ${alpha('accent', 0.3)}`,
                                         display: 'flex',
                                         alignItems: 'center',
                                         justifyContent: 'center',
                                         flexShrink: 0,
                                         marginTop: '2px'
                                     }}>
-                                        <Icon icon={item.icon} iconType="solid" size={20} color="#3CD0E2" />
+                                        <Icon icon={item.icon} iconType="solid" size={20} color={tokens.accent} />
                                     </div>
                                     <div>
                                         <div style={{
                                             fontSize: '16px',
                                             fontWeight: '600',
-                                            color: 'white',
+                                            color: tokens.text,
                                             marginBottom: '4px',
                                             fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                                         }}>
@@ -298,7 +303,7 @@ export const MintlifyPartnership = () => {
                                         </div>
                                         <div style={{
                                             fontSize: '14px',
-                                            color: 'rgba(255, 255, 255, 0.6)',
+                                            color: alpha('contrast', 0.6),
                                             lineHeight: '1.5',
                                             fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                                         }}>
@@ -318,7 +323,7 @@ export const MintlifyPartnership = () => {
                 }}>
                     <p style={{
                         fontSize: '14px',
-                        color: 'rgba(255, 255, 255, 0.5)',
+                        color: alpha('contrast', 0.5),
                         marginBottom: '24px',
                         fontWeight: '500',
                         letterSpacing: '0.5px',
@@ -339,7 +344,7 @@ export const MintlifyPartnership = () => {
                             <div key={index} style={{
                                 fontSize: '18px',
                                 fontWeight: '600',
-                                color: 'white',
+                                color: tokens.text,
                                 fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
                             }}>
                                 {company}
@@ -364,16 +369,16 @@ export const MintlifyPartnership = () => {
                             alignItems: 'center',
                             gap: '8px',
                             padding: '14px 28px',
-                            background: 'rgba(255, 255, 255, 0.05)',
-                            border: '1px solid rgba(255, 255, 255, 0.2)',
-                            color: 'white',
+                            background: alpha('contrast', 0.05),
+                            border: `1px solid ${alpha('contrast', 0.2)}`,
+                            color: tokens.text,
                             borderRadius: '100px',
                             textDecoration: 'none',
                             fontWeight: '600',
                             fontSize: '15px',
                             transition: 'all 0.2s',
                             fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
-                            boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)'
+                            boxShadow: `0 2px 8px ${alpha('shadow', 0.2)}`
                         }}>
                             Learn About Mintlify
                             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
@@ -385,8 +390,8 @@ export const MintlifyPartnership = () => {
                             alignItems: 'center',
                             gap: '8px',
                             padding: '14px 28px',
-                            background: 'white',
-                            color: '#0a1628',
+                            background: tokens.contrast,
+                            color: tokens.background,
                             borderRadius: '100px',
                             textDecoration: 'none',
                             fontWeight: '600',
@@ -394,7 +399,7 @@ export const MintlifyPartnership = () => {
                             transition: 'all 0.2s',
                             border: 'none',
                             fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
-                            boxShadow: '0 4px 16px rgba(255, 255, 255, 0.1)'
+                            boxShadow: `0 4px 16px ${alpha('contrast', 0.1)}`
                         }}>
                             Sign Up for Free
                             <svg width="16" height="16" viewBox="0 0 16 16" fill="none" style={{ marginLeft: '4px' }}>
@@ -407,19 +412,22 @@ export const MintlifyPartnership = () => {
 
             <style>{`
                 .mintlify-cta-primary:hover {
-                    background: #0ea472 !important;
-                    color: white !important;
+                    background: ${tokens.partner} !important;
+                    color: ${tokens.onAccent} !important;
                     transform: translateY(-2px);
-                    box-shadow: 0 8px 24px rgba(14, 164, 114, 0.3) !important;
+                    box-shadow: 0 8px 24px ${alpha('partner', 0.3)} !important;
                 }
 
                 .mintlify-cta-secondary:hover {
-                    background: rgba(255, 255, 255, 0.1) !important;
-                    border-color: rgba(255, 255, 255, 0.3) !important;
+                    background: ${alpha('contrast', 0.1)} !important;
+                    border-color: ${alpha('contrast', 0.3)} !important;
                     transform: translateY(-2px);
-                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3) !important;
+                    box-shadow: 0 4px 16px ${alpha('shadow', 0.3)} !important;
                 }
             `}</style>
+            {panels.revealStyles}
+            {themeStyles}
+            {motionStyles}
         </div>
     );
 };
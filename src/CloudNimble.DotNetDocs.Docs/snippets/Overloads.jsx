@@ -0,0 +1,200 @@
+/**
+ * Overloads Component for Mintlify Documentation
+ *
+ * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+ *
+ * Groups the overloads of a method or constructor so one signature is shown at a time. Each overload gets a tab, or an
+ * entry in a dropdown once there are more than maxTabs, and can be deep-linked with its id as the URL hash. The
+ * "All signatures" view lists every signature at once. When the ProvenanceFilter snippet hides the shown overload, the
+ * first overload it still shows takes its place. The styles are in dotnetdocs-members.css, which DotNetDocs writes to
+ * the documentation root so Mintlify loads them once for the whole site.
+ *
+ * Usage:
+ *   <Overloads name="Add">
+ *     <Overload id="overload-add-int-int" label="(int, int)" signature="public int Add(int a, int b)">
+ *       ...member documentation...
+ *     </Overload>
+ *     <Overload id="overload-add-double-double" label="(double, double)" signature="public double Add(double a, double b)">
+ *       ...member documentation...
+ *     </Overload>
+ *   </Overloads>
+ */
+
+export const Overload = ({ children }) => <>{children}</>;
+
+// Dispatched on window by the ProvenanceFilter snippet each time it hides or shows member sections
+const provenanceFilterChangeEvent = 'dotnetdocs:provenancefilterchange';
+
+const getHashTarget = () => decodeURIComponent(window.location.hash.slice(1));
+
+// Matches the hash against the overload ids, then against anything inside an overload, like a heading anchor
+const getOverloadFromHash = (overloads) => {
+  const target = getHashTarget();
+  if (!target) {
+    return null;
+  }
+
+  const overload = overloads.find((candidate) => candidate.id === target);
+  if (overload) {
+    return overload;
+  }
+
+  const panel = document.getElementById(target)?.closest('[data-dnd-overload]');
+  return overloads.find((candidate) => candidate.id === panel?.dataset.dndOverload) ?? null;
+};
+
+export const Overloads = ({ name, maxTabs = 6, children }) => {
+  const overloads = React.Children.toArray(children)
+    .filter((child) => child?.props?.id)
+    .map((child) => ({
+      id: child.props.id,
+      label: child.props.label ?? child.props.signature,
+      signature: child.props.signature,
+      content: child
+    }));
+  const [activeId, setActiveId] = React.useState(overloads[0]?.id);
+  const [showSummary, setShowSummary] = React.useState(false);
+  const root = React.useRef(null);
+  const idPrefix = `dnd-overloads-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+  const overloadIds = overloads.map((overload) => overload.id).join(' ');
+  const active = overloads.find((overload) => overload.id === activeId) ?? overloads[0];
+  const useTabs = overloads.length <= maxTabs;
+
+  React.useEffect(() => {
+    const syncWithHash = () => {
+      const overload = getOverloadFromHash(overloads);
+      if (!overload) {
+        return;
+      }
+      setShowSummary(false);
+      setActiveId(overload.id);
+      // The panel is hidden until the next render, so scroll once it is shown
+      window.requestAnimationFrame(() => document.getElementById(getHashTarget())?.scrollIntoView());
+    };
+
+    syncWithHash();
+    window.addEventListener('hashchange', syncWithHash);
+    return () => window.removeEventListener('hashchange', syncWithHash);
+  }, [overloadIds]);
+
+  // The filter hides an overload's tab along with its section, so a hidden tab means the overload is filtered out
+  React.useEffect(() => {
+    const isShown = (id) =>
+      root.current?.querySelector(`[data-dnd-overload-tab="${CSS.escape(id)}"]`)?.style.display !== 'none';
+    const showVisibleOverload = () => {
+      setActiveId((current) => (current && isShown(current)
+        ? current
+        : overloads.find((overload) => isShown(overload.id))?.id ?? current));
+    };
+
+    window.addEventListener(provenanceFilterChangeEvent, showVisibleOverload);
+    return () => window.removeEventListener(provenanceFilterChangeEvent, showVisibleOverload);
+  }, [overloadIds]);
+
+  if (!active) {
+    return null;
+  }
+
+  const select = (id) => {
+    setShowSummary(false);
+    setActiveId(id);
+    window.history.replaceState(null, '', `#${id}`);
+  };
+
+  const onTabKeyDown = (event, index) => {
+    const keys = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: overloads.length - 1 };
+    if (!(event.key in keys)) {
+      return;
+    }
+    event.preventDefault();
+    const next = (keys[event.key] + overloads.length) % overloads.length;
+    select(overloads[next].id);
+    document.getElementById(`${idPrefix}-tab-${next}`)?.focus();
+  };
+
+  return (
+    <div ref={root} className="dnd-overloads" data-dnd-overloads={name}>
+      <div className="not-prose dnd-overloads-toolbar">
+        <span className="dnd-overloads-label">{overloads.length} overloads</span>
+        {useTabs ? (
+          <div role="tablist" aria-label={`Overloads of ${name}`} className="dnd-overloads-tabs">
+            {overloads.map((overload, index) => {
+              const selected = !showSummary && overload.id === active.id;
+              return (
+                <button
+                  key={overload.id}
+                  id={`${idPrefix}-tab-${index}`}
+                  type="button"
+                  role="tab"
+                  aria-selected={selected}
+                  aria-controls={overload.id}
+                  tabIndex={overload.id === active.id ? 0 : -1}
+                  title={overload.signature}
+                  data-dnd-overload-tab={overload.id}
+                  className="dnd-overloads-tab"
+                  onClick={() => select(overload.id)}
+                  onKeyDown={(event) => onTabKeyDown(event, index)}
+                >
+                  <code>{overload.label}</code>
+                </button>
+              );
+            })}
+          </div>
+        ) : (
+          <select
+            aria-label={`Overloads of ${name}`}
+            className="dnd-overloads-select"
+            value={active.id}
+            onChange={(event) => select(event.target.value)}
+          >
+            {overloads.map((overload) => (
+              <option key={overload.id} value={overload.id} data-dnd-overload-tab={overload.id}>
+                {overload.label}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          aria-pressed={showSummary}
+          className="dnd-overloads-summary-toggle"
+          onClick={() => setShowSummary(!showSummary)}
+        >
+          All signatures
+        </button>
+      </div>
+
+      {showSummary && (
+        <ul aria-label={`All signatures of ${name}`} className="not-prose dnd-overloads-summary">
+          {overloads.map((overload) => (
+            <li key={overload.id} data-dnd-overload-tab={overload.id}>
+              <a
+                href={`#${overload.id}`}
+                onClick={(event) => {
+                  event.preventDefault();
+                  select(overload.id);
+                }}
+              >
+                <code>{overload.signature}</code>
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {overloads.map((overload, index) => (
+        <div
+          key={overload.id}
+          id={overload.id}
+          role={useTabs ? 'tabpanel' : 'region'}
+          aria-labelledby={useTabs ? `${idPrefix}-tab-${index}` : undefined}
+          aria-label={useTabs ? undefined : overload.signature}
+          data-dnd-overload={overload.id}
+          hidden={showSummary || overload.id !== active.id}
+        >
+          {overload.content}
+        </div>
+      ))}
+    </div>
+  );
+};
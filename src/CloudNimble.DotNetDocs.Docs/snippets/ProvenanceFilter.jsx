@@ -0,0 +1,232 @@
+/**
+ * ProvenanceFilter Component for Mintlify Documentation
+ *
+ * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+ *
+ * Renders a toolbar at the top of type pages that hides and shows member sections in place. Each member heading is
+ * preceded by a marker span with data-dnd-member, data-kind, data-provenance and data-access attributes, and a member
+ * section runs from its marker to the next marker, overload group or section heading. The sections sit in a
+ * data-dnd-members wrapper, which is the only element reordered when members are listed A-Z. Overload groups rendered
+ * by the Overloads snippet stay together, and an overload's tab is hidden along with its section. Each change is
+ * announced with a dotnetdocs:provenancefilterchange event on window, so an Overloads group can move off an overload
+ * that was hidden. The choices are saved to localStorage, so they carry over to every type page. The styles are in
+ * dotnetdocs-members.css next to the DocsBadge styles.
+ *
+ * Usage:
+ *   <ProvenanceFilter />
+ */
+
+const provenanceFilterStorageKey = 'dotnetdocs.provenanceFilter';
+
+const provenanceFilterDefaults = { inherited: true, extensions: true, publicOnly: false, groupByKind: true };
+
+const provenanceFilterOptions = [
+  { key: 'inherited', label: 'Show inherited' },
+  { key: 'extensions', label: 'Show extension methods' },
+  { key: 'publicOnly', label: 'Public and protected only' },
+  { key: 'groupByKind', label: 'Group by member kind' }
+];
+
+const provenanceFilterVisibleAccess = ['public', 'protected', 'protected-internal'];
+
+// Collects each member marker with the nodes that make up its section, plus the kind headings that introduce them
+const getMemberSections = () => {
+  const markers = Array.from(document.querySelectorAll('[data-dnd-member]'));
+  return markers.map((marker) => {
+    const nodes = [marker];
+    let node = marker.nextElementSibling;
+    while (node && !node.matches('[data-dnd-member], [data-dnd-overloads], h1, h2')) {
+      nodes.push(node);
+      node = node.nextElementSibling;
+    }
+
+    const group = marker.closest('[data-dnd-overloads]');
+    let kindHeading = (group ?? marker).previousElementSibling;
+    while (kindHeading && kindHeading.tagName !== 'H2') {
+      kindHeading = kindHeading.previousElementSibling;
+    }
+
+    return {
+      nodes,
+      kindHeading,
+      heading: nodes.find((element) => element.tagName === 'H3'),
+      group,
+      overloadId: marker.closest('[data-dnd-overload]')?.dataset.dndOverload,
+      name: marker.dataset.dndMember,
+      provenance: marker.dataset.provenance,
+      access: marker.dataset.access
+    };
+  });
+};
+
+const isMemberVisible = (section, filters) =>
+  !(section.provenance === 'inherited' && !filters.inherited) &&
+  !(section.provenance === 'extension' && !filters.extensions) &&
+  !(filters.publicOnly && !provenanceFilterVisibleAccess.includes(section.access));
+
+const setTableOfContentsEntry = (heading, visible) => {
+  if (!heading?.id) {
+    return;
+  }
+  document.querySelectorAll(`a[href="#${CSS.escape(heading.id)}"]`).forEach((link) => {
+    const entry = link.closest('li') ?? link;
+    entry.style.display = visible ? '' : 'none';
+  });
+};
+
+const setOverloadTabs = (overloadId, visible) => {
+  document.querySelectorAll(`[data-dnd-overload-tab="${CSS.escape(overloadId)}"]`).forEach((tab) => {
+    tab.style.display = visible ? '' : 'none';
+  });
+};
+
+// Overload groups are sorted as a single unit so their sections stay together
+const getSortUnits = (sections) => {
+  const units = [];
+  sections.forEach((section) => {
+    if (!section.group) {
+      units.push(section);
+    } else if (!units.some((unit) => unit.nodes[0] === section.group)) {
+      units.push({ ...section, nodes: [section.group] });
+    }
+  });
+  return units;
+};
+
+// Reorders the member sections alphabetically with CSS order, so React keeps ownership of the DOM nodes. Only the
+// data-dnd-members wrapper the renderer puts around the sections is touched, never the page's own content container.
+const applyGrouping = (sections, groupByKind) => {
+  const units = getSortUnits(sections);
+  const container = units[0]?.nodes[0].parentElement;
+  if (!container?.matches('[data-dnd-members]')) {
+    return;
+  }
+
+  if (groupByKind) {
+    container.style.display = '';
+    container.style.flexDirection = '';
+    Array.from(container.children).forEach((child) => {
+      child.style.order = '';
+    });
+    return;
+  }
+
+  const children = Array.from(container.children);
+  const first = children.indexOf(units[0].kindHeading ?? units[0].nodes[0]);
+  const lastUnit = units[units.length - 1];
+  const last = children.indexOf(lastUnit.nodes[lastUnit.nodes.length - 1]);
+  const sorted = [...units].sort((a, b) => a.name.localeCompare(b.name));
+  const ordered = [
+    ...children.slice(0, first),
+    ...sorted.flatMap((unit) => unit.nodes),
+    ...children.slice(last + 1)
+  ];
+
+  units.forEach((unit) => {
+    if (unit.kindHeading) {
+      unit.kindHeading.style.display = 'none';
+    }
+  });
+
+  container.style.display = 'flex';
+  container.style.flexDirection = 'column';
+  ordered.forEach((child, index) => {
+    child.style.order = String(index);
+  });
+};
+
+export const ProvenanceFilter = () => {
+  const [filters, setFilters] = React.useState(provenanceFilterDefaults);
+  const [loaded, setLoaded] = React.useState(false);
+  const [counts, setCounts] = React.useState(null);
+  const idPrefix = `dnd-provenance-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+  React.useEffect(() => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(provenanceFilterStorageKey) ?? 'null');
+      if (saved) {
+        setFilters({ ...provenanceFilterDefaults, ...saved });
+      }
+    } catch {
+      // Storage can be unavailable or hold stale data; fall back to the defaults
+    }
+    setLoaded(true);
+  }, []);
+
+  React.useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(provenanceFilterStorageKey, JSON.stringify(filters));
+    } catch {
+      // The choices still apply to this page when they can't be saved
+    }
+
+    const sections = getMemberSections();
+    let visibleCount = 0;
+    const visibleKindHeadings = new Set();
+    const visibleGroups = new Set();
+
+    sections.forEach((section) => {
+      const visible = isMemberVisible(section, filters);
+      section.nodes.forEach((node) => {
+        node.style.display = visible ? '' : 'none';
+      });
+      setTableOfContentsEntry(section.heading, visible);
+      if (section.overloadId) {
+        setOverloadTabs(section.overloadId, visible);
+      }
+      if (visible) {
+        visibleCount += 1;
+        visibleKindHeadings.add(section.kindHeading);
+        visibleGroups.add(section.group);
+      }
+    });
+
+    new Set(sections.map((section) => section.group).filter(Boolean)).forEach((group) => {
+      group.style.display = visibleGroups.has(group) ? '' : 'none';
+    });
+
+    new Set(sections.map((section) => section.kindHeading).filter(Boolean)).forEach((heading) => {
+      const visible = visibleKindHeadings.has(heading);
+      heading.style.display = visible ? '' : 'none';
+      setTableOfContentsEntry(heading, visible);
+    });
+
+    applyGrouping(sections, filters.groupByKind);
+    setCounts({ visible: visibleCount, total: sections.length });
+    window.dispatchEvent(new CustomEvent('dotnetdocs:provenancefilterchange', { detail: filters }));
+  }, [filters, loaded]);
+
+  if (counts?.total === 0) {
+    return null;
+  }
+
+  const isDefault = provenanceFilterOptions.every((option) => filters[option.key] === provenanceFilterDefaults[option.key]);
+
+  return (
+    <div role="group" aria-labelledby={`${idPrefix}-label`} className="not-prose dnd-provenance-filter">
+      <span id={`${idPrefix}-label`} className="dnd-provenance-filter-label">Members</span>
+      {provenanceFilterOptions.map((option) => (
+        <label key={option.key} className="dnd-provenance-filter-option">
+          <input
+            type="checkbox"
+            checked={filters[option.key]}
+            onChange={(event) => setFilters({ ...filters, [option.key]: event.target.checked })}
+          />
+          {option.label}
+        </label>
+      ))}
+      {!isDefault && (
+        <button type="button" className="dnd-provenance-filter-reset" onClick={() => setFilters(provenanceFilterDefaults)}>
+          Reset
+        </button>
+      )}
+      <span role="status" className="dnd-provenance-filter-count">
+        {counts && counts.visible !== counts.total ? `Showing ${counts.visible} of ${counts.total}` : ''}
+      </span>
+    </div>
+  );
+};
@@ -0,0 +1,39 @@
+export const reducedMotionQuery = '(prefers-reduced-motion: reduce)';
+
+// Without animations and transitions every element rests on its own styles; hover lifts and tilts stay put
+const staticMotionCss = (scope) => [
+  `${scope}, ${scope} *, ${scope} *::before, ${scope} *::after { animation: none !important; transition: none !important; scroll-behavior: auto !important; }`,
+  `${scope} *:hover { transform: none !important; }`
+].join('\n');
+
+export const buildMotionCss = () => [
+  staticMotionCss('.dnd-reduced-motion'),
+  // Covers the first paint, before the snippet has read the preference on the client
+  `@media ${reducedMotionQuery} {\n${staticMotionCss('.dnd-motion:not(.dnd-full-motion)')}\n}`
+].join('\n');
+
+export const useReducedMotion = (reducedMotion) => {
+  const [prefersReducedMotion, setPrefersReducedMotion] = React.useState(false);
+
+  React.useEffect(() => {
+    if (reducedMotion !== undefined || typeof window === 'undefined' || !window.matchMedia) {
+      return undefined;
+    }
+
+    const query = window.matchMedia(reducedMotionQuery);
+    const update = () => setPrefersReducedMotion(query.matches);
+    update();
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, [reducedMotion]);
+
+  // An explicit prop wins over the system setting, in either direction
+  const reduceMotion = reducedMotion ?? prefersReducedMotion;
+  const modifier = reduceMotion ? ' dnd-reduced-motion' : reducedMotion === false ? ' dnd-full-motion' : '';
+
+  return {
+    reduceMotion,
+    motionClassName: `dnd-motion${modifier}`,
+    motionStyles: <style>{buildMotionCss()}</style>
+  };
+};
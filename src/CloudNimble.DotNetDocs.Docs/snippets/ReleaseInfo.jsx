@@ -0,0 +1,7 @@
+// Generated by the GenerateReleaseInfoSnippet target in CloudNimble.DotNetDocs.Docs.docsproj. Do not edit by hand.
+export const releaseInfo = {
+  version: '1.5.3',
+  releaseDate: null,
+  targetFrameworks: ['net10.0', 'net9.0', 'net8.0'],
+  releaseNotesUrl: 'https://github.com/CloudNimble/DotNetDocs/releases/tag/v1.5.3'
+};
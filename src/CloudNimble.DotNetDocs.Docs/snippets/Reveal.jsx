@@ -0,0 +1,66 @@
+export const revealKeyframes = `
+  @keyframes dnd-reveal {
+    from { opacity: 0; translate: 0 24px; }
+    to { opacity: 1; translate: none; }
+  }
+`;
+
+export const useReveal = ({
+  threshold = 0,
+  rootMargin = '0px 0px -10% 0px',
+  stagger = 100,
+  duration = 600,
+  once = true,
+  disabled = false
+} = {}) => {
+  const ref = React.useRef(null);
+  // 'static' is what the server, crawlers and no-JS readers get; the client only hides content once it can reveal it again
+  const [phase, setPhase] = React.useState('static');
+  const thresholdKey = [].concat(threshold).join(',');
+
+  React.useEffect(() => {
+    const element = ref.current;
+    if (disabled || !element || typeof IntersectionObserver === 'undefined') {
+      setPhase('static');
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          setPhase('revealed');
+          if (once) {
+            observer.disconnect();
+          }
+        } else if (!once) {
+          setPhase('pending');
+        }
+      });
+    }, { threshold, rootMargin });
+
+    // Content already on screen animates straight away instead of blinking out while the observer reports in
+    const bounds = element.getBoundingClientRect();
+    setPhase(bounds.top < window.innerHeight && bounds.bottom > 0 ? 'revealed' : 'pending');
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [thresholdKey, rootMargin, once, disabled]);
+
+  // Children animate the standalone opacity/translate properties so their own transitions and hover transforms keep working
+  const revealStyle = (index = 0) => {
+    if (phase === 'pending') {
+      return { opacity: 0 };
+    }
+    return phase === 'revealed'
+      ? { animation: `dnd-reveal ${duration}ms ease-out ${index * stagger}ms both` }
+      : {};
+  };
+
+  return {
+    ref,
+    revealed: phase === 'revealed',
+    hidden: phase === 'pending',
+    revealStyle,
+    revealStyles: <style>{revealKeyframes}</style>
+  };
+};
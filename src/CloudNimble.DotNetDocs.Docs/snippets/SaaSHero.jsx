@@ -1,29 +1,112 @@
-export const SaaSHero = () => {
-  const [animationsStarted, setAnimationsStarted] = React.useState(false);
+import { CodeWindow } from '/snippets/CodeWindow.jsx';
+import { DocTransformDemo } from '/snippets/DocTransformDemo.jsx';
+import { tokens, alpha, gradient, useTheme } from '/snippets/ThemeTokens.jsx';
+import { useReducedMotion } from '/snippets/ReducedMotion.jsx';
+import { useReveal } from '/snippets/Reveal.jsx';
+import { releaseInfo } from '/snippets/ReleaseInfo.jsx';
 
-  React.useEffect(() => {
-    setAnimationsStarted(true);
-  }, []);
+// Release dates are plain yyyy-MM-dd days, so they're formatted in UTC to keep the reader's time zone from shifting them
+const formatReleaseDate = (date) => new Date(`${date}T00:00:00Z`)
+  .toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+// The roll keyframes from style.css, with each word's enter, hold and exit squeezed into its 1/count share of the cycle
+const rollKeyframes = (count) => {
+  const at = (share) => `${Number(((100 / count) * share).toFixed(2))}%`;
+  const hidden = 'font-size: 0px; opacity: 0; margin-left: -30px; margin-top: 0px;';
+  const shown = 'font-size: inherit; opacity: 1; margin-left: 0px; margin-top: 0px;';
+  return `@keyframes dnd-roll-${count} {
+    0% { ${hidden} transform: rotate(-25deg); }
+    ${at(0.15)} { opacity: 1; transform: rotate(0deg); }
+    ${at(0.25)} { ${shown} }
+    ${at(0.85)} { ${shown} transform: rotate(0deg); }
+    ${at(1)} { font-size: 0px; opacity: 0.5; margin-left: 20px; margin-top: 100px; }
+    100% { ${hidden} transform: rotate(15deg); }
+  }`;
+};
+
+export const SaaSHero = ({
+  logo = { src: '/images/logos/dotnetdocs.dark.svg', lightSrc: '/images/logos/dotnetdocs.light.svg', alt: 'DotNetDocs' },
+  headlineTop = 'Documentation',
+  headlineLead = 'That',
+  rotatingWords = ['Lives', 'Builds', 'Ships'],
+  headlineBottom = 'With Your Code',
+  description = (
+    <>
+      Turn your amazing .NET projects into stunning <nobr>AI-ready</nobr> documentation sites.&nbsp;
+      <nobr>Zero config.</nobr> <nobr>Full control.</nobr> Built for developers.
+    </>
+  ),
+  primaryCta = { href: '/quickstart', label: 'Start Building', mobileLabel: 'Get Started' },
+  secondaryCta = { href: 'https://github.com/CloudNimble/DotNetDocs', label: 'View on GitHub', mobileLabel: 'GitHub', icon: 'github' },
+  credits = [
+    {
+      title: 'Created By',
+      logos: [
+        { href: 'https://github.com/cloudnimble', src: '/images/logos/cloudnimble.dark.svg', alt: 'CloudNimble' }
+      ]
+    },
+    {
+      title: 'Sponsored By',
+      logos: [
+        { href: '/providers/mintlify', src: '/images/logos/mintlify.dark.svg', alt: 'Mintlify' }
+      ]
+    }
+  ],
+  badges = ['AI-Ready Docs', 'Zero Config'],
+  release = releaseInfo,
+  code = `/// <summary>
+/// Processes payment transactions
+/// </summary>
+/// <param name="amount">The transaction amount to process, as a <see cref="T:System.Decimal"/></param>
+/// <returns>A <c>PaymentResult</c> indicating success or failure</returns>
+public async Task<PaymentResult> ProcessPayment(decimal amount)
+{
+    return await _processor.Execute(amount);
+}`,
+  codeFileName = 'MyProject.cs',
+  codeHighlightLines = [],
+  transformDemo = true,
+  staticWords = 'first',
+  reducedMotion,
+  theme
+}) => {
+  const { themeClassName, themeStyles } = useTheme(theme);
+  const { reduceMotion, motionClassName, motionStyles } = useReducedMotion(reducedMotion);
+  const hero = useReveal({ threshold: 0.1, disabled: reduceMotion });
+
+  // style.css times the roll animation for exactly three words; other counts get keyframes that give each word two seconds, and a lone word just stays
+  const wordCount = rotatingWords.length;
+  const wordAnimation = (index) => {
+    if (wordCount === 3) {
+      return undefined;
+    }
+    return wordCount === 1
+      ? { animation: 'none', fontSize: 'inherit', opacity: 1 }
+      : { animation: `dnd-roll-${wordCount} ${wordCount * 2}s linear infinite ${index * 2}s` };
+  };
+
+  // Reduced motion swaps the roll for the first word, or every word as a list when staticWords is 'all'
+  const staticWordsText = staticWords === 'all' && rotatingWords.length > 1
+    ? `${rotatingWords.slice(0, -1).join(', ')} & ${rotatingWords[rotatingWords.length - 1]}`
+    : rotatingWords[0];
 
   return (
-    <div style={{
+    <div ref={hero.ref} className={`hero-section ${themeClassName} ${motionClassName}`} style={{
       width: '100%',
       minHeight: '100vh',
-      background: 'linear-gradient(135deg, #0A1628 0%, #1A2B3D 50%, #0A1628 100%)',
+      background: `linear-gradient(135deg, ${tokens.background} 0%, ${tokens.backgroundAlt} 50%, ${tokens.background} 100%)`,
       position: 'relative',
       overflow: 'hidden',
       display: 'flex',
       alignItems: 'center',
       padding: '80px 0'
-    }}
-    className="hero-section"
-    >
+    }}>
       {/* Animated gradient orbs */}
       <div style={{
         position: 'absolute',
         width: '800px',
         height: '800px',
-        background: 'radial-gradient(circle, #3CD0E2 0%, transparent 70%)',
+        background: `radial-gradient(circle, ${tokens.accent} 0%, transparent 70%)`,
         opacity: '0.15',
         borderRadius: '50%',
         top: '-200px',
@@ -36,7 +119,7 @@ export const SaaSHero = () => {
         position: 'absolute',
         width: '600px',
         height: '600px',
-        background: 'radial-gradient(circle, #419AC5 0%, transparent 70%)',
+        background: `radial-gradient(circle, ${tokens.primary} 0%, transparent 70%)`,
         opacity: '0.2',
         borderRadius: '50%',
         bottom: '-100px',
@@ -50,8 +133,8 @@ export const SaaSHero = () => {
         position: 'absolute',
         inset: 0,
         backgroundImage: `
-          linear-gradient(#3CD0E2 1px, transparent 1px),
-          linear-gradient(90deg, #3CD0E2 1px, transparent 1px)
+          linear-gradient(${tokens.accent} 1px, transparent 1px),
+          linear-gradient(90deg, ${tokens.accent} 1px, transparent 1px)
         `,
         backgroundSize: '100px 100px',
         opacity: 0.03
@@ -74,10 +157,10 @@ export const SaaSHero = () => {
         }}>
           {/* Left content */}
           <div style={{
-            animation: animationsStarted ? 'slideInLeft 1s ease-out forwards' : 'none',
+            animation: hero.revealed && !reduceMotion ? 'slideInLeft 1s ease-out forwards' : 'none',
             backfaceVisibility: 'hidden',
-            opacity: animationsStarted ? undefined : 0,
-            transform: animationsStarted ? undefined : 'translateX(-50px)'
+            opacity: hero.hidden ? 0 : undefined,
+            transform: hero.hidden ? 'translateX(-50px)' : undefined
           }}>
             {/* Logo */}
             <div className="hero-logo" style={{
@@ -87,53 +170,71 @@ export const SaaSHero = () => {
               gap: '20px'
             }}>
               <img
-                src="/images/logos/dotnetdocs.dark.svg"
-                alt="DotNetDocs"
+                src={logo.src}
+                alt={logo.alt}
+                className={logo.lightSrc ? 'dnd-dark-only' : undefined}
                 style={{
                   height: '56px',
                   width: 'auto'
                 }}
               />
+              {logo.lightSrc && (
+                <img
+                  src={logo.lightSrc}
+                  alt={logo.alt}
+                  className="dnd-light-only"
+                  style={{
+                    height: '56px',
+                    width: 'auto'
+                  }}
+                />
+              )}
             </div>
 
-            <div style={{
-              display: 'none', // Hidden but preserved for future use
-              // display: 'inline-flex',
-              alignItems: 'center',
-              padding: '8px 20px',
-              background: 'linear-gradient(135deg, #3CD0E2, #419AC5)',
-              borderRadius: '50px',
-              marginBottom: '30px',
-              boxShadow: '0 0 30px rgba(60, 208, 226, 0.3)'
-            }}>
-              <span style={{
-                background: 'white',
-                padding: '4px 8px',
-                borderRadius: '20px',
-                fontSize: '12px',
-                fontWeight: 'bold',
-                color: '#419AC5',
-                marginRight: '10px'
-              }}>NEW</span>
-              <span style={{
-                color: 'white',
-                fontSize: '14px',
-                fontWeight: '600'
-              }}>Transform XML → Beautiful Docs in Seconds</span>
-            </div>
+            {release && (
+              <a href={release.releaseNotesUrl} style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                padding: '8px 20px',
+                background: gradient(),
+                borderRadius: '50px',
+                marginBottom: '30px',
+                boxShadow: `0 0 30px ${alpha('accent', 0.3)}`,
+                textDecoration: 'none'
+              }}>
+                <span style={{
+                  background: tokens.onAccent,
+                  padding: '4px 8px',
+                  borderRadius: '20px',
+                  fontSize: '12px',
+                  fontWeight: 'bold',
+                  color: tokens.primary,
+                  marginRight: '10px'
+                }}>NEW</span>
+                <span style={{
+                  color: tokens.onAccent,
+                  fontSize: '14px',
+                  fontWeight: '600'
+                }}>v{release.version} released{release.releaseDate ? ` ${formatReleaseDate(release.releaseDate)}` : ''}</span>
+              </a>
+            )}
 
             {/*https://codepen.io/alvarotrigo/pen/KKLqPqL*/}
             <h1 className="hero-heading">
-              <span className="hero-heading-line1">Documentation</span>
+              <span className="hero-heading-line1">{headlineTop}</span>
               <span className="hero-heading-line2">
-                That&nbsp;
-                <span className="dropping-texts">
-                  <span>Lives</span>
-                  <span>Builds</span>
-                  <span>Ships</span>
-                </span>
+                {headlineLead}&nbsp;
+                {reduceMotion ? (
+                  <span>{staticWordsText}</span>
+                ) : (
+                  <span className="dropping-texts">
+                    {rotatingWords.map((word, index) => (
+                      <span key={index} style={wordAnimation(index)}>{word}</span>
+                    ))}
+                  </span>
+                )}
               </span>
-              <span className="hero-heading-line3">With Your Code</span>
+              <span className="hero-heading-line3">{headlineBottom}</span>
             </h1>
 
             <div style={{
@@ -143,11 +244,10 @@ export const SaaSHero = () => {
               <p style={{
                 fontSize: 'clamp(16px, 4vw, 20px)',
                 lineHeight: '1.6',
-                color: '#B0C4DE',
+                color: tokens.textMuted,
                 margin: 0
               }}>
-                Turn your amazing .NET projects into stunning <nobr>AI-ready</nobr> documentation sites.&nbsp;
-                <nobr>Zero config.</nobr> <nobr>Full control.</nobr> Built for developers.
+                {description}
               </p>
             </div>
 
@@ -157,34 +257,35 @@ export const SaaSHero = () => {
               flexWrap: 'wrap',
               marginBottom: '60px'
             }}>
-              <a href="/quickstart" className="hero-cta-primary" style={{
+              <a href={primaryCta.href} className="hero-cta-primary" style={{
                 padding: '18px 40px',
-                background: 'linear-gradient(135deg, #3CD0E2, #419AC5)',
-                color: 'white',
+                background: gradient(),
+                color: tokens.onAccent,
                 borderRadius: '12px',
                 textDecoration: 'none',
                 fontWeight: 'bold',
                 fontSize: '16px',
-                boxShadow: '0 10px 40px rgba(60, 208, 226, 0.3)',
+                boxShadow: `0 10px 40px ${alpha('accent', 0.3)}`,
                 transition: 'all 0.3s',
                 display: 'inline-flex',
                 alignItems: 'center',
                 justifyContent: 'center',
                 gap: '10px'
               }}>
-                <span className="hero-cta-text-desktop">Start Building</span>
-                <span className="hero-cta-text-mobile">Get Started</span>
+                <span className="hero-cta-text-desktop">{primaryCta.label}</span>
+                <span className="hero-cta-text-mobile">{primaryCta.mobileLabel ?? primaryCta.label}</span>
                 <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
                   <path d="M10.293 3.293a1 1 0 011.414 0l6 6a1 1 0 010 1.414l-6 6a1 1 0 01-1.414-1.414L14.586 11H3a1 1 0 110-2h11.586l-4.293-4.293a1 1 0 010-1.414z" />
                 </svg>
               </a>
 
-              <a href="https://github.com/CloudNimble/DotNetDocs" className="hero-cta-secondary" style={{
+              {secondaryCta && (
+              <a href={secondaryCta.href} className="hero-cta-secondary" style={{
                 padding: '18px 40px',
-                background: 'rgba(255, 255, 255, 0.1)',
+                background: alpha('contrast', 0.1),
                 backdropFilter: 'blur(10px)',
-                color: 'white',
-                border: '2px solid rgba(60, 208, 226, 0.3)',
+                color: tokens.text,
+                border: `2px solid ${alpha('accent', 0.3)}`,
                 borderRadius: '12px',
                 textDecoration: 'none',
                 fontWeight: 'bold',
@@ -195,205 +296,131 @@ export const SaaSHero = () => {
                 justifyContent: 'center',
                 gap: '10px'
               }}>
-                <svg width="20" height="20" fill="currentColor" viewBox="0 0 24 24">
-                  <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
-                </svg>
-                <span className="hero-cta-text-desktop">View on GitHub</span>
-                <span className="hero-cta-text-mobile">GitHub</span>
+                {secondaryCta.icon === 'github' && (
+                  <svg width="20" height="20" fill="currentColor" viewBox="0 0 24 24">
+                    <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
+                  </svg>
+                )}
+                <span className="hero-cta-text-desktop">{secondaryCta.label}</span>
+                <span className="hero-cta-text-mobile">{secondaryCta.mobileLabel ?? secondaryCta.label}</span>
               </a>
+              )}
             </div>
 
             {/* Created By & Sponsors */}
             <div className="hero-footer-links" style={{
               paddingTop: '40px',
-              borderTop: '1px solid rgba(60, 208, 226, 0.2)',
+              borderTop: `1px solid ${alpha('accent', 0.2)}`,
               display: 'flex',
               gap: '60px',
               alignItems: 'flex-start',
               flexWrap: 'wrap'
             }}>
-              {/* Created By */}
-              <div>
-                <div style={{
-                  color: '#8B9DC3',
-                  fontSize: '12px',
-                  fontWeight: '600',
-                  letterSpacing: '1px',
-                  textTransform: 'uppercase',
-                  marginBottom: '20px'
-                }}>
-                  Created By
+              {credits.map((group, groupIndex) => (
+                <div key={groupIndex}>
+                  <div style={{
+                    color: tokens.textSubtle,
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    letterSpacing: '1px',
+                    textTransform: 'uppercase',
+                    marginBottom: '20px'
+                  }}>
+                    {group.title}
+                  </div>
+                  <div style={{
+                    display: 'flex',
+                    gap: '40px',
+                    alignItems: 'center',
+                    flexWrap: 'wrap'
+                  }}>
+                    {group.logos.map((credit, logoIndex) => (
+                      <a
+                        key={logoIndex}
+                        href={credit.href}
+                        target={credit.newTab === false ? undefined : '_blank'}
+                        rel={credit.newTab === false ? undefined : 'noopener noreferrer'}
+                      >
+                        <img
+                          src={credit.src}
+                          alt={credit.alt}
+                          className="dnd-adaptive-logo"
+                          style={{
+                            height: '28px',
+                            width: 'auto',
+                            opacity: 0.7,
+                            transition: 'opacity 0.3s',
+                            cursor: 'pointer'
+                          }}
+                          onMouseOver={(e) => e.currentTarget.style.opacity = '1'}
+                          onMouseOut={(e) => e.currentTarget.style.opacity = '0.7'}
+                        />
+                      </a>
+                    ))}
+                  </div>
                 </div>
-                <a href="https://github.com/cloudnimble" target="_blank" rel="noopener noreferrer">
-                  <img
-                    src="/images/logos/cloudnimble.dark.svg"
-                    alt="CloudNimble"
-                    style={{
-                      height: '28px',
-                      width: 'auto',
-                      opacity: 0.7,
-                      transition: 'opacity 0.3s',
-                      cursor: 'pointer'
-                    }}
-                    onMouseOver={(e) => e.currentTarget.style.opacity = '1'}
-                    onMouseOut={(e) => e.currentTarget.style.opacity = '0.7'}
-                  />
-                </a>
-              </div>
-
-              {/* Sponsored By */}
-              <div>
-                <div style={{
-                  color: '#8B9DC3',
-                  fontSize: '12px',
-                  fontWeight: '600',
-                  letterSpacing: '1px',
-                  textTransform: 'uppercase',
-                  marginBottom: '20px'
-                }}>
-                  Sponsored By
-                </div>
-                <div style={{
-                  display: 'flex',
-                  gap: '40px',
-                  alignItems: 'center',
-                  flexWrap: 'wrap'
-                }}>
-                  <a href="/providers/mintlify" target="_blank" rel="noopener noreferrer">
-                    <img
-                      src="/images/logos/mintlify.dark.svg"
-                      alt="Mintlify"
-                      style={{
-                        height: '28px',
-                        width: 'auto',
-                        opacity: 0.7,
-                        transition: 'opacity 0.3s',
-                        cursor: 'pointer'
-                      }}
-                      onMouseOver={(e) => e.currentTarget.style.opacity = '1'}
-                      onMouseOut={(e) => e.currentTarget.style.opacity = '0.7'}
-                    />
-                  </a>
-                </div>
-              </div>
+              ))}
             </div>
           </div>
 
           {/* Right content - Interactive demo */}
           <div style={{
             position: 'relative',
-            animation: animationsStarted ? 'slideInRight 1s ease-out forwards' : 'none',
+            animation: hero.revealed && !reduceMotion ? 'slideInRight 1s ease-out forwards' : 'none',
             backfaceVisibility: 'hidden',
-            opacity: animationsStarted ? undefined : 0,
-            transform: animationsStarted ? undefined : 'translateX(50px)'
+            opacity: hero.hidden ? 0 : undefined,
+            transform: hero.hidden ? 'translateX(50px)' : undefined
           }}>
-            {/* Code window */}
-            <div style={{
-              background: 'rgba(10, 22, 40, 0.8)',
-              backdropFilter: 'blur(20px)',
-              borderRadius: '16px',
-              border: '1px solid rgba(60, 208, 226, 0.2)',
-              overflow: 'hidden',
-              boxShadow: '0 30px 60px rgba(0, 0, 0, 0.5)'
-            }}>
-              <div style={{
-                padding: '12px 20px',
-                background: 'rgba(60, 208, 226, 0.1)',
-                borderBottom: '1px solid rgba(60, 208, 226, 0.2)',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'space-between'
-              }}>
-                <div style={{ display: 'flex', gap: '8px' }}>
-                  <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: '#ff5f57' }} />
-                  <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: '#ffbd2e' }} />
-                  <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: '#28ca42' }} />
-                </div>
-                <span style={{ color: '#8B9DC3', fontSize: '12px', fontFamily: 'monospace' }}>MyProject.cs</span>
-              </div>
-
-              <div style={{ padding: '30px', fontFamily: 'monospace', fontSize: '14px' }}>
-                <div style={{ color: '#608B4E' }}>/// &lt;summary&gt;</div>
-                <div style={{ color: '#608B4E' }}>/// Processes payment transactions</div>
-                <div style={{ color: '#608B4E' }}>/// &lt;/summary&gt;</div>
-                <div>
-                  <span style={{ color: '#608B4E' }}>/// &lt;param </span>
-                  <span style={{ color: '#9CDCFE' }}>name</span>
-                  <span style={{ color: '#D4D4D4' }}>=</span>
-                  <span style={{ color: '#CE9178' }}>"amount"</span>
-                  <span style={{ color: '#608B4E' }}>&gt;The transaction amount to process&lt;/param&gt;</span>
-                </div>
-                <div>
-                  <span style={{ color: '#608B4E' }}>/// &lt;returns&gt;A &lt;see </span>
-                  <span style={{ color: '#9CDCFE' }}>cref</span>
-                  <span style={{ color: '#D4D4D4' }}>=</span>
-                  <span style={{ color: '#CE9178' }}>"PaymentResult"</span>
-                  <span style={{ color: '#608B4E' }}>/&gt; indicating success or failure&lt;/returns&gt;</span>
-                </div>
-                <div>
-                  <span style={{ color: '#569CD6' }}>public </span>
-                  <span style={{ color: '#569CD6' }}>async </span>
-                  <span style={{ color: '#4EC9B0' }}>Task</span>
-                  <span style={{ color: '#D4D4D4' }}>&lt;</span>
-                  <span style={{ color: '#4EC9B0' }}>PaymentResult</span>
-                  <span style={{ color: '#D4D4D4' }}>&gt; </span>
-                  <span style={{ color: '#DCDCAA' }}>ProcessPayment</span>
-                  <span style={{ color: '#D4D4D4' }}>(</span>
-                  <span style={{ color: '#569CD6' }}>decimal</span>
-                  <span style={{ color: '#9CDCFE' }}> amount</span>
-                  <span style={{ color: '#D4D4D4' }}>)</span>
-                </div>
-                <div style={{ color: '#D4D4D4' }}>{'{'}</div>
-                <div style={{ paddingLeft: '20px' }}>
-                  <span style={{ color: '#C586C0' }}>return </span>
-                  <span style={{ color: '#C586C0' }}>await </span>
-                  <span style={{ color: '#9CDCFE' }}>_processor</span>
-                  <span style={{ color: '#D4D4D4' }}>.</span>
-                  <span style={{ color: '#DCDCAA' }}>Execute</span>
-                  <span style={{ color: '#D4D4D4' }}>(</span>
-                  <span style={{ color: '#9CDCFE' }}>amount</span>
-                  <span style={{ color: '#D4D4D4' }}>);</span>
-                </div>
-                <div style={{ color: '#D4D4D4' }}>{'}'}</div>
-              </div>
-            </div>
+            {transformDemo ? (
+              <DocTransformDemo source={code} fileName={codeFileName} highlightLines={codeHighlightLines} reducedMotion={reducedMotion} />
+            ) : (
+              <CodeWindow source={code} fileName={codeFileName} highlightLines={codeHighlightLines} />
+            )}
 
             {/* Floating badges */}
+            {badges[0] && (
             <div style={{
               position: 'absolute',
               top: '-20px',
               right: '-20px',
               padding: '10px 20px',
-              background: 'linear-gradient(135deg, #3CD0E2, #419AC5)',
+              background: gradient(),
               borderRadius: '30px',
-              color: 'white',
+              color: tokens.onAccent,
               fontWeight: 'bold',
               fontSize: '14px',
-              boxShadow: '0 10px 30px rgba(60, 208, 226, 0.4)',
+              boxShadow: `0 10px 30px ${alpha('accent', 0.4)}`,
               animation: 'float 3s infinite ease-in-out'
             }}>
-              AI-Ready Docs
+              {badges[0]}
             </div>
+            )}
 
+            {badges[1] && (
             <div style={{
               position: 'absolute',
               bottom: '-20px',
               left: '-20px',
               padding: '10px 20px',
-              background: 'rgba(255, 255, 255, 0.1)',
+              background: alpha('contrast', 0.1),
               backdropFilter: 'blur(10px)',
-              border: '1px solid rgba(60, 208, 226, 0.3)',
+              border: `1px solid ${alpha('accent', 0.3)}`,
               borderRadius: '30px',
-              color: 'white',
+              color: tokens.text,
               fontWeight: 'bold',
               fontSize: '14px',
               animation: 'float 3s infinite ease-in-out reverse 1s'
             }}>
-              Zero Config
+              {badges[1]}
             </div>
+            )}
           </div>
         </div>
       </div>
+
+      {themeStyles}
+      {motionStyles}
+      {!reduceMotion && wordCount !== 3 && wordCount > 1 && <style>{rollKeyframes(wordCount)}</style>}
     </div>
   );
 };
\ No newline at end of file
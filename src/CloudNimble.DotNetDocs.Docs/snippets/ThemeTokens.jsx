@@ -0,0 +1,105 @@
+export const themeTokens = {
+  dark: {
+    background: '#0A1628',
+    backgroundAlt: '#1A2B3D',
+    backgroundDeep: '#050B12',
+    backgroundDeepMid: '#0D1821',
+    backgroundDeepEnd: '#0A1520',
+    contrast: '#FFFFFF',
+    shadow: '#000000',
+    text: '#FFFFFF',
+    textLead: '#B0D4E8',
+    textMuted: '#B0C4DE',
+    textSoft: '#A0C8DD',
+    textSubtle: '#8B9DC3',
+    onAccent: '#FFFFFF',
+    primary: '#419AC5',
+    primaryDeep: '#2D7BA8',
+    accent: '#3CD0E2',
+    accentDeep: '#2BA8C7',
+    danger: '#FF6B6B',
+    warning: '#F5B544',
+    success: '#3DD68C',
+    partner: '#0EA472'
+  },
+  light: {
+    background: '#F5F9FC',
+    backgroundAlt: '#E4EEF6',
+    backgroundDeep: '#FFFFFF',
+    backgroundDeepMid: '#F3F8FB',
+    backgroundDeepEnd: '#EAF2F8',
+    contrast: '#0A1628',
+    shadow: '#1A3A5C',
+    text: '#0A1628',
+    textLead: '#35566E',
+    textMuted: '#3D5166',
+    textSoft: '#3F5F78',
+    textSubtle: '#5A6B85',
+    onAccent: '#FFFFFF',
+    primary: '#419AC5',
+    primaryDeep: '#2D7BA8',
+    accent: '#1B9FB3',
+    accentDeep: '#178A9E',
+    danger: '#E04848',
+    warning: '#B45309',
+    success: '#15803D',
+    partner: '#0C8C5E'
+  }
+};
+
+const toCssName = (name) => name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+// Inline styles reference the resolved variables so Mintlify's theme toggle switches them without a re-render
+export const tokens = Object.fromEntries(
+  Object.keys(themeTokens.dark).map((name) => [name, `var(--dnd-color-${toCssName(name)})`])
+);
+
+export const alpha = (name, amount) => `color-mix(in srgb, ${tokens[name]} ${Math.round(amount * 100)}%, transparent)`;
+
+export const gradient = (from = 'accent', to = 'primary', angle = 135) => `linear-gradient(${angle}deg, ${tokens[from]}, ${tokens[to]})`;
+
+const defaultDeclarations = (values) => Object.entries(values)
+  .map(([name, value]) => `--dnd-color-${toCssName(name)}: var(--dnd-${toCssName(name)}, ${value});`)
+  .join(' ');
+
+const overrideDeclarations = (values) => Object.entries(values ?? {})
+  .filter(([name]) => name in themeTokens.dark)
+  .map(([name, value]) => `--dnd-${toCssName(name)}: ${value};`)
+  .join(' ');
+
+export const buildThemeCss = (scope, theme) => {
+  // Sites override brand colors with --dnd-* custom properties (the renderer emits dotnetdocs-colors.css from docs.json); the :where() defaults keep zero specificity
+  if (!scope) {
+    return [
+      `:where(.dnd-theme) { ${defaultDeclarations(themeTokens.dark)} }`,
+      `:where(html.light .dnd-theme) { ${defaultDeclarations(themeTokens.light)} }`,
+      'html.light .dnd-dark-only, html:not(.light) .dnd-light-only { display: none !important; }',
+      'html.light .dnd-adaptive-logo { filter: invert(1) hue-rotate(180deg); }'
+    ].join('\n');
+  }
+
+  const { dark, light, ...shared } = theme ?? {};
+  const rules = [];
+
+  if (Object.keys(shared).length > 0) {
+    rules.push(`.${scope} { ${overrideDeclarations(shared)} }`);
+  }
+  if (dark) {
+    rules.push(`html:not(.light) .${scope} { ${overrideDeclarations(dark)} }`);
+  }
+  if (light) {
+    rules.push(`html.light .${scope} { ${overrideDeclarations(light)} }`);
+  }
+
+  return rules.join('\n');
+};
+
+export const useTheme = (theme) => {
+  const scope = `dnd-theme-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+  const overrides = theme ? buildThemeCss(scope, theme) : '';
+
+  return {
+    themeClassName: theme ? `dnd-theme ${scope}` : 'dnd-theme',
+    themeStyles: <style>{`${buildThemeCss()}\n${overrides}`}</style>
+  };
+};
@@ -0,0 +1,161 @@
+/**
+ * TypeHierarchy Component for Mintlify Documentation
+ *
+ * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+ *
+ * Renders an expandable tree of a type's base classes, implemented interfaces and known derived types. Nodes link to
+ * their pages, types from outside the documented assemblies are styled as external, and long base chains and deep
+ * derived trees start collapsed. The styles are in dotnetdocs-members.css, which DotNetDocs writes to the documentation
+ * root so Mintlify loads them once for the whole site.
+ *
+ * Usage:
+ *   <TypeHierarchy hierarchy={{
+ *     name: 'DerivedClass', kind: 'class',
+ *     bases: [{ name: 'object', kind: 'class', href: 'https://learn.microsoft.com/dotnet/api/system.object', external: true }],
+ *     interfaces: [],
+ *     derived: [{ name: 'MoreDerivedClass', kind: 'class', href: '/api-reference/MoreDerivedClass', children: [] }]
+ *   }} />
+ */
+
+const typeHierarchyIcons = {
+  class: 'file-brackets-curly',
+  interface: 'plug',
+  struct: 'cubes'
+};
+
+const TypeHierarchyLabel = ({ node, current }) => {
+  const className = `dnd-type-hierarchy-node${node.external ? ' dnd-type-hierarchy-external' : ''}${current ? ' dnd-type-hierarchy-current' : ''}`;
+  const content = (
+    <>
+      <Icon icon={typeHierarchyIcons[node.kind] ?? 'cube'} iconType="duotone" size={12} />
+      <code>{node.name}</code>
+      {node.external && (
+        <>
+          <Icon icon="arrow-up-right-from-square" size={10} />
+          <span className="dnd-type-hierarchy-visually-hidden"> (external type)</span>
+        </>
+      )}
+    </>
+  );
+
+  if (current) {
+    return <span className={className} aria-current="page" title={node.fullName}>{content}</span>;
+  }
+
+  if (!node.href) {
+    return <span className={className} title={node.fullName}>{content}</span>;
+  }
+
+  const opensNewTab = node.href.startsWith('http');
+  return (
+    <a
+      className={className}
+      href={node.href}
+      title={node.fullName}
+      target={opensNewTab ? '_blank' : undefined}
+      rel={opensNewTab ? 'noopener noreferrer' : undefined}
+    >
+      {content}
+    </a>
+  );
+};
+
+const TypeHierarchyBranch = ({ node, depth, expandDepth }) => {
+  const children = node.children ?? [];
+  const [expanded, setExpanded] = React.useState(depth < expandDepth);
+  const childListId = `dnd-type-hierarchy-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+  return (
+    <li>
+      <div className="dnd-type-hierarchy-row">
+        {children.length > 0 && (
+          <button
+            type="button"
+            className="dnd-type-hierarchy-toggle"
+            aria-expanded={expanded}
+            aria-controls={childListId}
+            aria-label={`${expanded ? 'Collapse' : 'Expand'} types derived from ${node.name}`}
+            onClick={() => setExpanded(!expanded)}
+          >
+            <Icon icon={expanded ? 'chevron-down' : 'chevron-right'} size={10} />
+          </button>
+        )}
+        <TypeHierarchyLabel node={node} />
+        {children.length > 0 && !expanded && <span className="dnd-type-hierarchy-count">{children.length}</span>}
+      </div>
+      {children.length > 0 && (
+        <ul id={childListId} hidden={!expanded}>
+          {children.map((child) => (
+            <TypeHierarchyBranch key={child.fullName ?? child.name} node={child} depth={depth + 1} expandDepth={expandDepth} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+export const TypeHierarchy = ({ hierarchy, collapseAfter = 3, expandDepth = 1 }) => {
+  const [showAllBases, setShowAllBases] = React.useState(false);
+
+  if (!hierarchy) {
+    return null;
+  }
+
+  const bases = hierarchy.bases ?? [];
+  const interfaces = hierarchy.interfaces ?? [];
+  const derived = hierarchy.derived ?? [];
+  const hiddenBases = showAllBases ? 0 : Math.max(bases.length - collapseAfter, 0);
+  const visibleBases = bases.slice(hiddenBases);
+
+  const renderChain = (index) => {
+    if (index === visibleBases.length) {
+      return (
+        <li>
+          <div className="dnd-type-hierarchy-row">
+            <TypeHierarchyLabel node={hierarchy} current />
+          </div>
+          {derived.length > 0 && (
+            <ul aria-label={hierarchy.kind === 'interface' ? `Types implementing ${hierarchy.name}` : `Types derived from ${hierarchy.name}`}>
+              {derived.map((child) => (
+                <TypeHierarchyBranch key={child.fullName ?? child.name} node={child} depth={0} expandDepth={expandDepth} />
+              ))}
+            </ul>
+          )}
+        </li>
+      );
+    }
+
+    return (
+      <li>
+        <div className="dnd-type-hierarchy-row">
+          <TypeHierarchyLabel node={visibleBases[index]} />
+        </div>
+        <ul>{renderChain(index + 1)}</ul>
+      </li>
+    );
+  };
+
+  return (
+    <nav aria-label={`Type hierarchy for ${hierarchy.name}`} className="not-prose dnd-type-hierarchy">
+      {hiddenBases > 0 && (
+        <button type="button" className="dnd-type-hierarchy-more" onClick={() => setShowAllBases(true)}>
+          Show {hiddenBases} more base {hiddenBases === 1 ? 'type' : 'types'}
+        </button>
+      )}
+      <ul className="dnd-type-hierarchy-tree">{renderChain(0)}</ul>
+
+      {interfaces.length > 0 && (
+        <div className="dnd-type-hierarchy-interfaces">
+          <span className="dnd-type-hierarchy-heading">{hierarchy.kind === 'interface' ? 'Inherits' : 'Implements'}</span>
+          <ul>
+            {interfaces.map((node) => (
+              <li key={node.fullName ?? node.name}>
+                <TypeHierarchyLabel node={node} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </nav>
+  );
+};
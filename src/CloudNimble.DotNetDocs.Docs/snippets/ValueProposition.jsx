@@ -1,198 +1,418 @@
-export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40 }) => {
-    const [animationsStarted, setAnimationsStarted] = React.useState(false);
+import { tokens, alpha, gradient, useTheme } from '/snippets/ThemeTokens.jsx';
+import { useReducedMotion } from '/snippets/ReducedMotion.jsx';
+import { useReveal } from '/snippets/Reveal.jsx';
+
+// Gradients are kept as their stops, theme token names or CSS colors, so the card background and its fading border are built from the same colors
+const cardGradientStops = [['accent', 'accentDeep'], ['primary', 'primaryDeep'], ['accent', 'primary']];
+const stopColors = (stops) => stops.map((stop) => tokens[stop] ?? stop).join(', ');
+
+const defaultValues = [
+    {
+        icon: 'sidebar-flip',
+        title: 'Bring any docs into Visual Studio',
+        description: 'The new .docsproj Projects + the DotNetDocs.Sdk bring your docs for Mintlify, DocFX, MkDocs, Jekyll, Hugo, and more right into your VS and VSCode solutions.'
+    },
+    {
+        icon: 'file-code',
+        title: 'Add real-time API reference docs',
+        description: 'Automatically transform your .NET XML Documentation Comments into beautiful, searchable API reference docs that stay in sync with every build.'
+    },
+    {
+        icon: 'rocket-launch',
+        title: 'Build & deploy anywhere',
+        description: 'Your docs, your way. Deploy to Mintlify, GitHub Pages, Netlify, Vercel, or any static hosting. Full MSBuild integration means your CI/CD pipeline is already ready.'
+    }
+];
 
-    React.useEffect(() => {
-        setAnimationsStarted(true);
-    }, []);
+const defaultTagline = {
+    title: 'Give devs the experience they deserve.',
+    description: 'No more context switching. No more outdated docs. Just seamless, integrated documentation that grows with your codebase.'
+};
 
-    const values = [
-        {
-            icon: 'sidebar-flip',
-            iconType: 'duotone',
-            number: '01',
-            title: 'Bring any docs into Visual Studio',
-            description: 'The new .docsproj Projects + the DotNetDocs.Sdk bring your docs for Mintlify, DocFX, MkDocs, Jekyll, Hugo, and more right into your VS and VSCode solutions.',
-            gradient: 'linear-gradient(135deg, #3CD0E2, #2BA8C7)'
-        },
-        {
-            icon: 'file-code',
-            iconType: 'duotone',
-            number: '02',
-            title: 'Add real-time API reference docs',
-            description: 'Automatically transform your .NET XML Documentation Comments into beautiful, searchable API reference docs that stay in sync with every build.',
-            gradient: 'linear-gradient(135deg, #419AC5, #2D7BA8)'
-        },
-        {
-            icon: 'rocket-launch',
+export const ValueProposition = ({
+    values = defaultValues,
+    eyebrow = 'Why DotNetDocs',
+    title = 'Make Documentation a Joy',
+    subtitle = 'Not a Chore',
+    tagline = defaultTagline,
+    layout = 'grid',
+    minimal = false,
+    minCardWidth = 360,
+    gap = 40,
+    reducedMotion,
+    theme
+}) => {
+    const { themeClassName, themeStyles } = useTheme(theme);
+    const { reduceMotion, motionClassName, motionStyles } = useReducedMotion(reducedMotion);
+    const section = useReveal({ disabled: reduceMotion });
+    const cards = useReveal({ threshold: 0.15, stagger: 150, disabled: reduceMotion });
+    const trackRef = React.useRef(null);
+    const [activeSlide, setActiveSlide] = React.useState(0);
+    const idPrefix = `value-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+    // Custom cards only need an icon, title and description; numbers and gradientStops follow their position
+    const items = values.map((value, index) => {
+        const item = {
             iconType: 'duotone',
-            number: '03',
-            title: 'Build & deploy anywhere',
-            description: 'Your docs, your way. Deploy to Mintlify, GitHub Pages, Netlify, Vercel, or any static hosting. Full MSBuild integration means your CI/CD pipeline is already ready.',
-            gradient: 'linear-gradient(135deg, #3CD0E2, #419AC5)'
+            number: String(index + 1).padStart(2, '0'),
+            gradientStops: cardGradientStops[index % cardGradientStops.length],
+            ...value
+        };
+        return { ...item, gradient: `linear-gradient(135deg, ${stopColors(item.gradientStops)})` };
+    });
+
+    const slideOffset = (index) => {
+        const slides = trackRef.current?.children;
+        return slides?.[index] ? slides[index].offsetLeft - slides[0].offsetLeft : 0;
+    };
+
+    const scrollToSlide = (index) => {
+        const next = Math.max(0, Math.min(items.length - 1, index));
+        trackRef.current?.scrollTo({ left: slideOffset(next), behavior: reduceMotion ? 'auto' : 'smooth' });
+        setActiveSlide(next);
+    };
+
+    // Swipes and trackpad scrolls move the track directly, so the active dot follows the nearest slide
+    const onTrackScroll = () => {
+        const scrollLeft = trackRef.current?.scrollLeft ?? 0;
+        const nearest = items.reduce((best, _, index) =>
+            Math.abs(slideOffset(index) - scrollLeft) < Math.abs(slideOffset(best) - scrollLeft) ? index : best, 0);
+        if (nearest !== activeSlide) {
+            setActiveSlide(nearest);
         }
-    ];
+    };
 
-    // Value prop cards (reused in both modes)
-    const valueCards = (
-        <div style={{
-            display: 'grid',
-            gridTemplateColumns: `repeat(auto-fit, minmax(${minCardWidth}px, 1fr))`,
-            gap: `${gap}px`,
-            marginBottom: minimal ? 0 : '80px'
-        }}>
-            {values.map((value, index) => (
-                <div
-                    key={index}
-                    className="value-card"
-                    style={{
-                        position: 'relative',
-                        background: 'linear-gradient(135deg, rgba(255, 255, 255, 0.03), rgba(255, 255, 255, 0.01))',
-                        border: '2px solid rgba(60, 208, 226, 0.25)',
-                        borderRadius: '28px',
-                        padding: '50px 40px',
-                        transition: 'all 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
-                        overflow: 'hidden',
-                        boxShadow: '0 10px 40px rgba(0, 0, 0, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.05)'
-                    }}
-                >
-                    {/* Card background (gradient + mesh + grid) - only in minimal mode */}
-                    {minimal && (
-                        <div className="card-background" style={{
-                            position: 'absolute',
-                            inset: 0,
-                            borderRadius: '28px',
-                            overflow: 'hidden',
-                            zIndex: 0
-                        }}>
-                            {/* Linear gradient */}
-                            <div style={{
-                                position: 'absolute',
-                                inset: 0,
-                                background: 'linear-gradient(180deg, #050B12 0%, #0D1821 50%, #0A1520 100%)'
-                            }} />
-
-                            {/* Mesh gradient */}
-                            <div style={{
-                                position: 'absolute',
-                                inset: 0,
-                                opacity: 0.4,
-                                background: `
-                                    radial-gradient(ellipse 80% 50% at 50% -20%, rgba(60, 208, 226, 0.25), transparent),
-                                    radial-gradient(ellipse 60% 50% at 10% 40%, rgba(65, 154, 197, 0.2), transparent),
-                                    radial-gradient(ellipse 60% 50% at 90% 60%, rgba(60, 208, 226, 0.2), transparent),
-                                    radial-gradient(ellipse 100% 100% at 50% 100%, rgba(65, 154, 197, 0.15), transparent)
-                                `,
-                                filter: 'blur(60px)',
-                                animation: 'morphGradient 12s ease-in-out infinite'
-                            }} />
-
-                            {/* Animated grid */}
-                            <div style={{
-                                position: 'absolute',
-                                inset: 0,
-                                opacity: 0.03,
-                                backgroundImage: `
-                                    linear-gradient(#3CD0E2 1px, transparent 1px),
-                                    linear-gradient(90deg, #3CD0E2 1px, transparent 1px)
-                                `,
-                                backgroundSize: '100px 100px',
-                                animation: 'gridSlide 20s linear infinite'
-                            }} />
-                        </div>
-                    )}
-
-                    {/* Animated border gradient */}
-                    <div className="card-border-gradient" style={{
+    const onTrackKeyDown = (event) => {
+        const keys = { ArrowRight: activeSlide + 1, ArrowLeft: activeSlide - 1, Home: 0, End: items.length - 1 };
+        if (event.key in keys) {
+            event.preventDefault();
+            scrollToSlide(keys[event.key]);
+        }
+    };
+
+    const renderCard = (value, index, slideAttributes, slideStyle) => (
+        <div
+            key={index}
+            className="value-card"
+            {...slideAttributes}
+            style={{
+                position: 'relative',
+                background: `linear-gradient(135deg, ${alpha('contrast', 0.03)}, ${alpha('contrast', 0.01)})`,
+                border: `2px solid ${alpha('accent', 0.25)}`,
+                borderRadius: '28px',
+                padding: '50px 40px',
+                transition: 'all 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
+                overflow: 'hidden',
+                ...cards.revealStyle(index),
+                boxShadow: `0 10px 40px ${alpha('shadow', 0.3)}, inset 0 1px 0 ${alpha('contrast', 0.05)}`,
+                ...slideStyle
+            }}
+        >
+            {/* Card background (gradient + mesh + grid) - only in minimal mode */}
+            {minimal && (
+                <div className="card-background" style={{
+                    position: 'absolute',
+                    inset: 0,
+                    borderRadius: '28px',
+                    overflow: 'hidden',
+                    zIndex: 0
+                }}>
+                    {/* Linear gradient */}
+                    <div style={{
                         position: 'absolute',
                         inset: 0,
-                        borderRadius: '28px',
-                        padding: '2px',
-                        background: `linear-gradient(135deg, ${value.gradient.replace('linear-gradient(135deg, ', '').replace(')', '')}, transparent, transparent)`,
-                        WebkitMask: 'linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0)',
-                        WebkitMaskComposite: 'xor',
-                        maskComposite: 'exclude',
-                        opacity: 0,
-                        transition: 'opacity 0.5s ease'
+                        background: `linear-gradient(180deg, ${tokens.backgroundDeep} 0%, ${tokens.backgroundDeepMid} 50%, ${tokens.backgroundDeepEnd} 100%)`
                     }} />
 
-                    {/* Card background glow */}
-                    <div className="card-glow" style={{
+                    {/* Mesh gradient */}
+                    <div style={{
                         position: 'absolute',
-                        top: '-50%',
-                        left: '-50%',
-                        width: '200%',
-                        height: '200%',
-                        background: value.gradient,
-                        opacity: 0,
-                        transition: 'opacity 0.5s ease',
-                        borderRadius: '50%',
-                        filter: 'blur(60px)'
+                        inset: 0,
+                        opacity: 0.4,
+                        background: `
+                            radial-gradient(ellipse 80% 50% at 50% -20%, ${alpha('accent', 0.25)}, transparent),
+                            radial-gradient(ellipse 60% 50% at 10% 40%, ${alpha('primary', 0.2)}, transparent),
+                            radial-gradient(ellipse 60% 50% at 90% 60%, ${alpha('accent', 0.2)}, transparent),
+                            radial-gradient(ellipse 100% 100% at 50% 100%, ${alpha('primary', 0.15)}, transparent)
+                        `,
+                        filter: 'blur(60px)',
+                        animation: 'morphGradient 12s ease-in-out infinite'
                     }} />
 
-                    {/* Number badge */}
+                    {/* Animated grid */}
                     <div style={{
                         position: 'absolute',
-                        top: '30px',
-                        right: '30px',
-                        fontSize: '72px',
-                        fontWeight: '900',
-                        background: value.gradient,
-                        WebkitBackgroundClip: 'text',
-                        WebkitTextFillColor: 'transparent',
-                        backgroundClip: 'text',
-                        opacity: 0.1,
-                        lineHeight: '1',
-                        pointerEvents: 'none'
-                    }}>
-                        {value.number}
-                    </div>
+                        inset: 0,
+                        opacity: 0.03,
+                        backgroundImage: `
+                            linear-gradient(${tokens.accent} 1px, transparent 1px),
+                            linear-gradient(90deg, ${tokens.accent} 1px, transparent 1px)
+                        `,
+                        backgroundSize: '100px 100px',
+                        animation: 'gridSlide 20s linear infinite'
+                    }} />
+                </div>
+            )}
 
-                    <div style={{ position: 'relative', zIndex: 2 }}>
-                        {/* Icon */}
-                        <div className="icon-container" style={{
-                            marginBottom: minimal ? '20px' : '30px',
-                            display: 'inline-flex',
-                            padding: '24px',
-                            background: `linear-gradient(135deg, rgba(60, 208, 226, 0.15), rgba(65, 154, 197, 0.1))`,
-                            borderRadius: '20px',
-                            border: '2px solid rgba(60, 208, 226, 0.3)',
-                            position: 'relative',
-                            boxShadow: '0 8px 32px rgba(60, 208, 226, 0.2), inset 0 1px 0 rgba(255, 255, 255, 0.1)',
-                            transition: 'all 0.4s ease'
-                        }}>
-                            <Icon icon={value.icon} iconType={value.iconType} size={44} color="#3CD0E2" />
-                        </div>
+            {/* Animated border gradient */}
+            <div className="card-border-gradient" style={{
+                position: 'absolute',
+                inset: 0,
+                borderRadius: '28px',
+                padding: '2px',
+                background: `linear-gradient(135deg, ${stopColors(value.gradientStops)}, transparent, transparent)`,
+                WebkitMask: 'linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0)',
+                WebkitMaskComposite: 'xor',
+                maskComposite: 'exclude',
+                opacity: 0,
+                transition: 'opacity 0.5s ease'
+            }} />
 
-                        {/* Title */}
-                        <h3 style={{
-                            fontSize: '28px',
-                            fontWeight: 'bold',
-                            color: 'white',
-                            margin: '0 0 16px 0',
-                            lineHeight: '1.3'
-                        }}>
-                            {value.title}
-                        </h3>
+            {/* Card background glow */}
+            <div className="card-glow" style={{
+                position: 'absolute',
+                top: '-50%',
+                left: '-50%',
+                width: '200%',
+                height: '200%',
+                background: value.gradient,
+                opacity: 0,
+                transition: 'opacity 0.5s ease',
+                borderRadius: '50%',
+                filter: 'blur(60px)'
+            }} />
 
-                        {/* Description */}
-                        <p style={{
-                            color: '#A0C8DD',
-                            fontSize: '17px',
-                            lineHeight: '1.7',
-                            marginBottom: '0'
-                        }}>
-                            {value.description}
-                        </p>
-                    </div>
+            {/* Number badge */}
+            <div style={{
+                position: 'absolute',
+                top: '30px',
+                right: '30px',
+                fontSize: '72px',
+                fontWeight: '900',
+                background: value.gradient,
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                backgroundClip: 'text',
+                opacity: 0.1,
+                lineHeight: '1',
+                pointerEvents: 'none'
+            }}>
+                {value.number}
+            </div>
+
+            <div style={{ position: 'relative', zIndex: 2 }}>
+                {/* Icon */}
+                <div className="icon-container" style={{
+                    marginBottom: minimal ? '20px' : '30px',
+                    display: 'inline-flex',
+                    padding: '24px',
+                    background: `linear-gradient(135deg, ${alpha('accent', 0.15)}, ${alpha('primary', 0.1)})`,
+                    borderRadius: '20px',
+                    border: `2px solid ${alpha('accent', 0.3)}`,
+                    position: 'relative',
+                    boxShadow: `0 8px 32px ${alpha('accent', 0.2)}, inset 0 1px 0 ${alpha('contrast', 0.1)}`,
+                    transition: 'all 0.4s ease'
+                }}>
+                    <Icon icon={value.icon} iconType={value.iconType} size={44} color={tokens.accent} />
                 </div>
-            ))}
+
+                {/* Title */}
+                <h3 style={{
+                    fontSize: '28px',
+                    fontWeight: 'bold',
+                    color: tokens.text,
+                    margin: '0 0 16px 0',
+                    lineHeight: '1.3'
+                }}>
+                    {value.title}
+                </h3>
+
+                {/* Description */}
+                <p style={{
+                    color: tokens.textSoft,
+                    fontSize: '17px',
+                    lineHeight: '1.7',
+                    marginBottom: '0'
+                }}>
+                    {value.description}
+                </p>
+            </div>
         </div>
     );
 
+    const renderStep = (value, index) => (
+        <li key={index} className="value-step" style={{
+            position: 'relative',
+            display: 'grid',
+            gridTemplateColumns: '72px 1fr',
+            gap: '28px',
+            paddingBottom: index === items.length - 1 ? 0 : `${gap}px`,
+            ...cards.revealStyle(index)
+        }}>
+            {/* Connector to the next step */}
+            {index < items.length - 1 && (
+                <div aria-hidden="true" style={{
+                    position: 'absolute',
+                    top: '72px',
+                    bottom: 0,
+                    left: '35px',
+                    width: '2px',
+                    background: `linear-gradient(180deg, ${alpha('accent', 0.5)}, ${alpha('accent', 0.05)})`
+                }} />
+            )}
+
+            <div style={{
+                width: '72px',
+                height: '72px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                borderRadius: '50%',
+                background: value.gradient,
+                color: tokens.onAccent,
+                fontSize: '24px',
+                fontWeight: '900',
+                boxShadow: `0 8px 32px ${alpha('accent', 0.3)}`
+            }}>
+                {value.number}
+            </div>
+
+            <div className="value-step-body" style={{
+                padding: '24px 32px',
+                background: `linear-gradient(135deg, ${alpha('contrast', 0.03)}, ${alpha('contrast', 0.01)})`,
+                border: `2px solid ${alpha('accent', 0.2)}`,
+                borderRadius: '20px',
+                transition: 'border-color 0.3s ease, background 0.3s ease'
+            }}>
+                <h3 style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                    fontSize: '24px',
+                    fontWeight: 'bold',
+                    color: tokens.text,
+                    margin: '0 0 12px 0',
+                    lineHeight: '1.3'
+                }}>
+                    <Icon icon={value.icon} iconType={value.iconType} size={28} color={tokens.accent} />
+                    {value.title}
+                </h3>
+                <p style={{
+                    color: tokens.textSoft,
+                    fontSize: '17px',
+                    lineHeight: '1.7',
+                    margin: 0
+                }}>
+                    {value.description}
+                </p>
+            </div>
+        </li>
+    );
+
+    const layouts = {
+        grid: () => (
+            <div ref={cards.ref} style={{
+                display: 'grid',
+                gridTemplateColumns: `repeat(auto-fit, minmax(${minCardWidth}px, 1fr))`,
+                gap: `${gap}px`,
+                marginBottom: minimal ? 0 : '80px'
+            }}>
+                {items.map((value, index) => renderCard(value, index))}
+            </div>
+        ),
+        stepper: () => (
+            <ol ref={cards.ref} style={{
+                listStyle: 'none',
+                maxWidth: '900px',
+                margin: minimal ? '0 auto' : '0 auto 80px',
+                padding: 0
+            }}>
+                {items.map(renderStep)}
+            </ol>
+        ),
+        carousel: () => (
+            <div ref={cards.ref} style={{ marginBottom: minimal ? 0 : '80px' }}>
+                <div
+                    id={`${idPrefix}-track`}
+                    ref={trackRef}
+                    className="value-carousel-track"
+                    role="region"
+                    aria-roledescription="carousel"
+                    aria-label={title || 'Value propositions'}
+                    tabIndex={0}
+                    onScroll={onTrackScroll}
+                    onKeyDown={onTrackKeyDown}
+                    style={{
+                        position: 'relative',
+                        display: 'flex',
+                        gap: `${gap}px`,
+                        overflowX: 'auto',
+                        scrollSnapType: 'x mandatory',
+                        scrollbarWidth: 'none',
+                        padding: '16px 4px 32px'
+                    }}
+                >
+                    {items.map((value, index) => renderCard(value, index, {
+                        role: 'group',
+                        'aria-roledescription': 'slide',
+                        'aria-label': `${index + 1} of ${items.length}`
+                    }, { flex: `0 0 min(85%, ${minCardWidth}px)`, scrollSnapAlign: 'start' }))}
+                </div>
+
+                <div style={{ display: 'flex', justifyContent: 'center', gap: '10px', marginTop: '8px' }}>
+                    {items.map((value, index) => (
+                        <button
+                            key={index}
+                            type="button"
+                            className="value-carousel-dot"
+                            aria-label={`Show ${value.title}`}
+                            aria-controls={`${idPrefix}-track`}
+                            aria-current={index === activeSlide ? 'true' : undefined}
+                            onClick={() => scrollToSlide(index)}
+                            style={{
+                                width: index === activeSlide ? '28px' : '10px',
+                                height: '10px',
+                                padding: 0,
+                                border: 'none',
+                                borderRadius: '5px',
+                                background: index === activeSlide ? gradient() : alpha('accent', 0.3),
+                                cursor: 'pointer',
+                                transition: 'width 0.3s ease, background 0.3s ease'
+                            }}
+                        />
+                    ))}
+                </div>
+            </div>
+        )
+    };
+
+    // Value prop cards (reused in both modes)
+    const valueCards = (layouts[layout] ?? layouts.grid)();
+
+    const layoutStyles = (
+        <style>{`
+            .value-carousel-track::-webkit-scrollbar {
+                display: none;
+            }
+
+            .value-carousel-track:focus-visible,
+            .value-carousel-dot:focus-visible {
+                outline: 2px solid ${tokens.accent};
+                outline-offset: 4px;
+            }
+
+            .value-step:hover .value-step-body {
+                border-color: ${alpha('accent', 0.5)} !important;
+                background: linear-gradient(135deg, ${alpha('accent', 0.08)}, ${alpha('primary', 0.05)}) !important;
+            }
+        `}</style>
+    );
+
+
     // Minimal mode: just the cards
     if (minimal) {
         return (
-            <>
+            <div className={`${themeClassName} ${motionClassName}`}>
                 {valueCards}
                 <style>{`
                     @keyframes morphGradient {
@@ -214,8 +434,8 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                     .value-card:hover {
                         transform: translateY(-12px) scale(1.02);
                         border-color: transparent !important;
-                        box-shadow: 0 40px 80px rgba(60, 208, 226, 0.35), 0 0 60px rgba(60, 208, 226, 0.15);
-                        background: linear-gradient(135deg, rgba(60, 208, 226, 0.08), rgba(65, 154, 197, 0.05)) !important;
+                        box-shadow: 0 40px 80px ${alpha('accent', 0.35)}, 0 0 60px ${alpha('accent', 0.15)};
+                        background: linear-gradient(135deg, ${alpha('accent', 0.08)}, ${alpha('primary', 0.05)}) !important;
                     }
 
                     .value-card:hover .card-glow {
@@ -228,13 +448,13 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
 
                     .value-card:hover .icon-container {
                         transform: scale(1.1) rotate(-5deg);
-                        box-shadow: 0 12px 48px rgba(60, 208, 226, 0.4), inset 0 2px 0 rgba(255, 255, 255, 0.2) !important;
-                        background: linear-gradient(135deg, rgba(60, 208, 226, 0.25), rgba(65, 154, 197, 0.2)) !important;
-                        border-color: rgba(60, 208, 226, 0.6) !important;
+                        box-shadow: 0 12px 48px ${alpha('accent', 0.4)}, inset 0 2px 0 ${alpha('contrast', 0.2)} !important;
+                        background: linear-gradient(135deg, ${alpha('accent', 0.25)}, ${alpha('primary', 0.2)}) !important;
+                        border-color: ${alpha('accent', 0.6)} !important;
                     }
 
                     .value-card:hover h3 {
-                        background: linear-gradient(135deg, #3CD0E2, #419AC5);
+                        background: linear-gradient(135deg, ${tokens.accent}, ${tokens.primary});
                         -webkit-background-clip: text;
                         -webkit-text-fill-color: transparent;
                         background-clip: text;
@@ -245,19 +465,23 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                         transition: all 0.4s ease;
                     }
                 `}</style>
-            </>
+                {cards.revealStyles}
+                {layoutStyles}
+                {themeStyles}
+                {motionStyles}
+            </div>
         );
     }
 
     // Full marketing mode: background, header, cards, footer
     return (
-        <div style={{
+        <div ref={section.ref} className={`${themeClassName} ${motionClassName}`} style={{
             width: '100%',
             padding: '140px 0',
-            background: 'linear-gradient(180deg, #050B12 0%, #0D1821 50%, #0A1520 100%)',
+            background: `linear-gradient(180deg, ${tokens.backgroundDeep} 0%, ${tokens.backgroundDeepMid} 50%, ${tokens.backgroundDeepEnd} 100%)`,
             position: 'relative',
             overflow: 'hidden',
-            opacity: animationsStarted ? 1 : 0,
+            opacity: section.hidden ? 0 : 1,
             transition: 'opacity 0.5s ease-out'
         }}>
             {/* Dramatic mesh gradient background */}
@@ -266,10 +490,10 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                 inset: 0,
                 opacity: 0.4,
                 background: `
-                    radial-gradient(ellipse 80% 50% at 50% -20%, rgba(60, 208, 226, 0.25), transparent),
-                    radial-gradient(ellipse 60% 50% at 10% 40%, rgba(65, 154, 197, 0.2), transparent),
-                    radial-gradient(ellipse 60% 50% at 90% 60%, rgba(60, 208, 226, 0.2), transparent),
-                    radial-gradient(ellipse 100% 100% at 50% 100%, rgba(65, 154, 197, 0.15), transparent)
+                    radial-gradient(ellipse 80% 50% at 50% -20%, ${alpha('accent', 0.25)}, transparent),
+                    radial-gradient(ellipse 60% 50% at 10% 40%, ${alpha('primary', 0.2)}, transparent),
+                    radial-gradient(ellipse 60% 50% at 90% 60%, ${alpha('accent', 0.2)}, transparent),
+                    radial-gradient(ellipse 100% 100% at 50% 100%, ${alpha('primary', 0.15)}, transparent)
                 `,
                 filter: 'blur(60px)',
                 animation: 'morphGradient 12s ease-in-out infinite'
@@ -281,8 +505,8 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                 inset: 0,
                 opacity: 0.03,
                 backgroundImage: `
-                    linear-gradient(#3CD0E2 1px, transparent 1px),
-                    linear-gradient(90deg, #3CD0E2 1px, transparent 1px)
+                    linear-gradient(${tokens.accent} 1px, transparent 1px),
+                    linear-gradient(90deg, ${tokens.accent} 1px, transparent 1px)
                 `,
                 backgroundSize: '100px 100px',
                 animation: 'gridSlide 20s linear infinite'
@@ -295,7 +519,7 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                 left: '5%',
                 width: '400px',
                 height: '400px',
-                background: 'radial-gradient(circle, rgba(60, 208, 226, 0.15), transparent 70%)',
+                background: `radial-gradient(circle, ${alpha('accent', 0.15)}, transparent 70%)`,
                 borderRadius: '50%',
                 filter: 'blur(80px)',
                 animation: 'floatOrb1 25s ease-in-out infinite'
@@ -306,7 +530,7 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                 right: '10%',
                 width: '500px',
                 height: '500px',
-                background: 'radial-gradient(circle, rgba(65, 154, 197, 0.2), transparent 70%)',
+                background: `radial-gradient(circle, ${alpha('primary', 0.2)}, transparent 70%)`,
                 borderRadius: '50%',
                 filter: 'blur(90px)',
                 animation: 'floatOrb2 30s ease-in-out infinite'
@@ -328,17 +552,17 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                     <div style={{
                         display: 'inline-block',
                         padding: '8px 20px',
-                        background: 'rgba(60, 208, 226, 0.1)',
-                        border: '1px solid rgba(60, 208, 226, 0.3)',
+                        background: alpha('accent', 0.1),
+                        border: `1px solid ${alpha('accent', 0.3)}`,
                         borderRadius: '50px',
                         marginBottom: '30px',
                         fontSize: '14px',
                         fontWeight: 'bold',
-                        color: '#3CD0E2',
+                        color: tokens.accent,
                         letterSpacing: '1px',
                         textTransform: 'uppercase'
                     }}>
-                        Why DotNetDocs
+                        {eyebrow}
                     </div>
 
                     <h2 style={{
@@ -350,23 +574,23 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                     }}>
                         <span style={{
                             display: 'block',
-                            background: 'linear-gradient(135deg, #3CD0E2, #419AC5, #3CD0E2)',
+                            background: `linear-gradient(135deg, ${tokens.accent}, ${tokens.primary}, ${tokens.accent})`,
                             backgroundSize: '200% auto',
                             WebkitBackgroundClip: 'text',
                             WebkitTextFillColor: 'transparent',
                             backgroundClip: 'text',
                             animation: 'shine 3s linear infinite'
                         }}>
-                            Make Documentation a Joy
+                            {title}
                         </span>
                         <span style={{
-                            color: 'white',
+                            color: tokens.text,
                             fontSize: '0.7em',
                             fontWeight: '600',
                             display: 'block',
                             marginTop: '10px'
                         }}>
-                            Not a Chore
+                            {subtitle}
                         </span>
                     </h2>
 
@@ -376,47 +600,49 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                 {valueCards}
 
                 {/* Bottom tagline */}
-                <div style={{
-                    textAlign: 'center',
-                    padding: '60px 40px',
-                    background: 'rgba(60, 208, 226, 0.03)',
-                    border: '2px solid rgba(60, 208, 226, 0.15)',
-                    borderRadius: '20px',
-                    position: 'relative',
-                    overflow: 'hidden'
-                }}>
+                {tagline && (
                     <div style={{
-                        position: 'absolute',
-                        inset: 0,
-                        background: 'linear-gradient(90deg, transparent, rgba(60, 208, 226, 0.05), transparent)',
-                        animation: 'slideShine 3s ease-in-out infinite'
-                    }} />
-
-                    <h3 style={{
-                        fontSize: 'clamp(24px, 4vw, 36px)',
-                        fontWeight: '800',
-                        background: 'linear-gradient(135deg, #3CD0E2, #419AC5)',
-                        WebkitBackgroundClip: 'text',
-                        WebkitTextFillColor: 'transparent',
-                        backgroundClip: 'text',
-                        marginBottom: '16px',
+                        textAlign: 'center',
+                        padding: '60px 40px',
+                        background: alpha('accent', 0.03),
+                        border: `2px solid ${alpha('accent', 0.15)}`,
+                        borderRadius: '20px',
                         position: 'relative',
-                        zIndex: 2
+                        overflow: 'hidden'
                     }}>
-                        Give devs the experience they deserve.
-                    </h3>
-                    <p style={{
-                        fontSize: '18px',
-                        color: '#B0D4E8',
-                        maxWidth: '700px',
-                        margin: '0 auto',
-                        lineHeight: '1.6',
-                        position: 'relative',
-                        zIndex: 2
-                    }}>
-                        No more context switching. No more outdated docs. Just seamless, integrated documentation that grows with your codebase.
-                    </p>
-                </div>
+                        <div style={{
+                            position: 'absolute',
+                            inset: 0,
+                            background: `linear-gradient(90deg, transparent, ${alpha('accent', 0.05)}, transparent)`,
+                            animation: 'slideShine 3s ease-in-out infinite'
+                        }} />
+
+                        <h3 style={{
+                            fontSize: 'clamp(24px, 4vw, 36px)',
+                            fontWeight: '800',
+                            background: gradient(),
+                            WebkitBackgroundClip: 'text',
+                            WebkitTextFillColor: 'transparent',
+                            backgroundClip: 'text',
+                            marginBottom: '16px',
+                            position: 'relative',
+                            zIndex: 2
+                        }}>
+                            {tagline.title}
+                        </h3>
+                        <p style={{
+                            fontSize: '18px',
+                            color: tokens.textLead,
+                            maxWidth: '700px',
+                            margin: '0 auto',
+                            lineHeight: '1.6',
+                            position: 'relative',
+                            zIndex: 2
+                        }}>
+                            {tagline.description}
+                        </p>
+                    </div>
+                )}
             </div>
 
             <style>{`
@@ -461,8 +687,8 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                 .value-card:hover {
                     transform: translateY(-12px) scale(1.02);
                     border-color: transparent !important;
-                    box-shadow: 0 40px 80px rgba(60, 208, 226, 0.35), 0 0 60px rgba(60, 208, 226, 0.15);
-                    background: linear-gradient(135deg, rgba(60, 208, 226, 0.08), rgba(65, 154, 197, 0.05)) !important;
+                    box-shadow: 0 40px 80px ${alpha('accent', 0.35)}, 0 0 60px ${alpha('accent', 0.15)};
+                    background: linear-gradient(135deg, ${alpha('accent', 0.08)}, ${alpha('primary', 0.05)}) !important;
                 }
 
                 .value-card:hover .card-glow {
@@ -475,13 +701,13 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
 
                 .value-card:hover .icon-container {
                     transform: scale(1.1) rotate(-5deg);
-                    box-shadow: 0 12px 48px rgba(60, 208, 226, 0.4), inset 0 2px 0 rgba(255, 255, 255, 0.2) !important;
-                    background: linear-gradient(135deg, rgba(60, 208, 226, 0.25), rgba(65, 154, 197, 0.2)) !important;
-                    border-color: rgba(60, 208, 226, 0.6) !important;
+                    box-shadow: 0 12px 48px ${alpha('accent', 0.4)}, inset 0 2px 0 ${alpha('contrast', 0.2)} !important;
+                    background: linear-gradient(135deg, ${alpha('accent', 0.25)}, ${alpha('primary', 0.2)}) !important;
+                    border-color: ${alpha('accent', 0.6)} !important;
                 }
 
                 .value-card:hover h3 {
-                    background: linear-gradient(135deg, #3CD0E2, #419AC5);
+                    background: linear-gradient(135deg, ${tokens.accent}, ${tokens.primary});
                     -webkit-background-clip: text;
                     -webkit-text-fill-color: transparent;
                     background-clip: text;
@@ -492,6 +718,10 @@ export const ValueProposition = ({ minimal = false, minCardWidth = 360, gap = 40
                     transition: all 0.4s ease;
                 }
             `}</style>
+            {cards.revealStyles}
+            {layoutStyles}
+            {themeStyles}
+            {motionStyles}
         </div>
     );
 };
@@ -0,0 +1,496 @@
+export const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+export const parseXmlDoc = (xml) => {
+  // Tolerant parser: unclosed tags are closed by their parent, stray closing tags are ignored
+  const root = { name: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[A-Za-z_:][\w:.-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([A-Za-z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let last = 0;
+
+  for (const match of (xml ?? '').matchAll(tagPattern)) {
+    const parent = stack[stack.length - 1];
+    const [text, cdata, closing, name, rawAttributes, selfClosing] = match;
+
+    if (match.index > last) {
+      parent.children.push(decodeXmlEntities(xml.slice(last, match.index)));
+    }
+    last = match.index + text.length;
+
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (closing) {
+      const openIndex = stack.map((node) => node.name).lastIndexOf(name);
+      if (openIndex > 0) {
+        stack.length = openIndex;
+      }
+    } else {
+      const attributes = {};
+      for (const attribute of (rawAttributes ?? '').matchAll(attributePattern)) {
+        attributes[attribute[1]] = decodeXmlEntities(attribute[2] ?? attribute[3]);
+      }
+
+      const node = { name, attributes, children: [] };
+      parent.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    }
+  }
+
+  if (last < (xml ?? '').length) {
+    stack[stack.length - 1].children.push(decodeXmlEntities(xml.slice(last)));
+  }
+
+  return root;
+};
+
+export const getXmlDocElements = (node, name) => (node?.children ?? [])
+  .filter((child) => typeof child !== 'string' && child.name === name);
+
+export const splitCSharpList = (text, separator = ',') => {
+  // Splits on the separator only at depth zero, so generics, tuples and default values stay intact
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if ('<([{'.includes(char)) {
+      depth++;
+    } else if ('>)]}'.includes(char)) {
+      depth--;
+    }
+
+    if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+};
+
+export const findParameterList = (text) => {
+  // The list follows the member name directly, so a '(' after a space or '<' opens a tuple type; a lone '=' or a '{' ends the declaration
+  const end = text.search(/\{|=>|(?<![=!<>])=(?!=)/);
+  const match = /(?:operator\s*[^\s(]+|[\w>])\(/.exec(end >= 0 ? text.slice(0, end) : text);
+  return match ? match.index + match[0].length - 1 : -1;
+};
+
+const getAccessorList = (declaration) => {
+  // Reduces a property body to its accessors, the way Roslyn shows them: { get; private set; }
+  const open = declaration.indexOf('{');
+  if (open < 0) {
+    return /=>/.test(declaration) ? '{ get; }' : '';
+  }
+
+  let body = declaration.slice(open + 1, declaration.lastIndexOf('}') > open ? declaration.lastIndexOf('}') : undefined);
+  while (/\{[^{}]*\}/.test(body)) {
+    body = body.replace(/\{[^{}]*\}/g, ';');
+  }
+  const accessors = [...body.replace(/=>[^;]*/g, '').matchAll(/((?:(?:public|private|protected|internal)\s+)*)(get|set|init)\b/g)]
+    .map((match) => `${match[1]}${match[2]};`);
+  return accessors.length ? `{ ${accessors.join(' ')} }` : '';
+};
+
+export const parseCSharpSignature = (signature) => {
+  const modifierWords = new Set([
+    'public', 'private', 'protected', 'internal', 'static', 'async', 'virtual', 'override', 'abstract', 'sealed',
+    'readonly', 'extern', 'unsafe', 'new', 'partial', 'required', 'const', 'volatile', 'event'
+  ]);
+  const typeKinds = ['class', 'interface', 'struct', 'record', 'enum', 'delegate'];
+
+  const declaration = (signature ?? '').replace(/\[[^\]]*\]\s*/g, '');
+  const cleaned = declaration
+    .replace(/\s*(\{[\s\S]*|=>[\s\S]*|;\s*)$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const result = {
+    kind: 'unknown',
+    name: '',
+    modifiers: [],
+    returnType: null,
+    typeParameters: [],
+    parameters: [],
+    isExtension: false,
+    signature: cleaned
+  };
+  if (!cleaned) {
+    return result;
+  }
+
+  const parenIndex = findParameterList(cleaned);
+  const head = parenIndex >= 0 ? cleaned.slice(0, parenIndex).trim() : cleaned.replace(/\s*=.*$/, '');
+  const words = splitCSharpList(head, ' ');
+
+  while (words.length > 1 && modifierWords.has(words[0])) {
+    result.modifiers.push(words.shift());
+  }
+
+  const typeKind = typeKinds.find((kind) => words[0] === kind);
+  const nameWithTypeParameters = words.pop() ?? '';
+  const genericIndex = nameWithTypeParameters.indexOf('<');
+
+  result.name = genericIndex >= 0 ? nameWithTypeParameters.slice(0, genericIndex) : nameWithTypeParameters;
+  result.typeParameters = genericIndex >= 0
+    ? splitCSharpList(nameWithTypeParameters.slice(genericIndex + 1, nameWithTypeParameters.lastIndexOf('>')))
+    : [];
+
+  if (typeKind && typeKind !== 'delegate') {
+    result.kind = typeKind;
+    return result;
+  }
+
+  result.returnType = words.filter((word) => word !== 'delegate').join(' ') || null;
+
+  if (parenIndex >= 0) {
+    result.kind = typeKind === 'delegate' ? 'delegate' : result.returnType ? 'method' : 'constructor';
+    const closeIndex = cleaned.lastIndexOf(')');
+    result.parameters = splitCSharpList(cleaned.slice(parenIndex + 1, closeIndex > parenIndex ? closeIndex : undefined))
+      .map((parameter, index) => {
+        const [declaration, defaultValue] = splitCSharpList(parameter, '=');
+        if (index === 0 && /^this\s/.test(declaration)) {
+          result.isExtension = true;
+        }
+        const parts = splitCSharpList(declaration, ' ').filter((part) => !['this', 'ref', 'out', 'in', 'params', 'scoped'].includes(part));
+        return {
+          name: parts.pop() ?? '',
+          type: parts.join(' '),
+          defaultValue: defaultValue ?? null
+        };
+      });
+  } else {
+    result.kind = result.modifiers.includes('event') ? 'event'
+      : /\{|=>/.test(signature) && !result.modifiers.includes('const') ? 'property'
+      : 'field';
+  }
+
+  if (result.kind === 'property') {
+    const accessors = getAccessorList(declaration);
+    result.signature = accessors ? `${cleaned} ${accessors}` : cleaned;
+  }
+
+  return result;
+};
+
+export const parseDocumentedMember = (source) => {
+  const lines = (source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const docLines = [];
+  const signatureLines = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (signatureLines.length === 0 && trimmed.startsWith('///')) {
+      docLines.push(trimmed.replace(/^\/\/\/ ?/, ''));
+      continue;
+    }
+
+    // Skip attributes, blank lines and regular comments between the doc comment and the declaration
+    if (docLines.length === 0 || (signatureLines.length === 0 && (!trimmed || trimmed.startsWith('[') || trimmed.startsWith('//')))) {
+      continue;
+    }
+
+    signatureLines.push(trimmed);
+    const text = signatureLines.join(' ');
+    const hasParameters = findParameterList(text) >= 0;
+
+    // Properties keep reading until the accessor list closes, so accessors on their own lines still reach the Syntax block
+    if (!hasParameters && text.includes('{') && !/\b(class|interface|struct|record|enum)\b/.test(text)) {
+      if ((text.match(/\{/g) ?? []).length <= (text.match(/\}/g) ?? []).length) {
+        break;
+      }
+      continue;
+    }
+
+    if (/[{;]|=>/.test(trimmed) || (hasParameters && trimmed.includes(')') && !trimmed.endsWith(','))) {
+      break;
+    }
+  }
+
+  const xml = docLines.join('\n');
+  const member = parseCSharpSignature(signatureLines.join(' '));
+
+  return { xml, doc: parseXmlDoc(xml), member };
+};
+
+export const resolveCref = (cref, apiReferencePath = '/api-reference') => {
+  const prefix = /^([A-Z]):/.exec(cref ?? '')?.[1] ?? 'T';
+  const reference = (cref ?? '').replace(/^[A-Z]:/, '').replace(/\(.*\)$/, '');
+  const isMember = ['M', 'P', 'F', 'E'].includes(prefix);
+  const lastDot = reference.lastIndexOf('.');
+  const typeName = isMember && lastDot > 0 ? reference.slice(0, lastDot) : reference;
+  const memberName = isMember && lastDot > 0 ? reference.slice(lastDot + 1) : null;
+  const simpleTypeName = typeName.slice(typeName.lastIndexOf('.') + 1).replace(/`\d+$/, '');
+  const name = memberName ? `${simpleTypeName}.${memberName}` : simpleTypeName;
+
+  if (/^(System|Microsoft|Windows)\./.test(typeName)) {
+    const learnName = reference.replace(/`(\d+)/g, '-$1').replace(/\+/g, '.').toLowerCase();
+    return { name, href: `https://learn.microsoft.com/dotnet/api/${learnName}`, external: true };
+  }
+
+  const typePath = typeName.replace(/`\d+/g, '').replace(/\+/g, '.').split('.').join('/');
+  return {
+    name,
+    href: `${apiReferencePath}/${typePath}${memberName ? `#${memberName.toLowerCase()}` : ''}`,
+    external: false
+  };
+};
+
+export const languageKeywordUrls = {
+  null: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/null',
+  true: 'https://learn.microsoft.com/dotnet/csharp/language-reference/builtin-types/bool',
+  false: 'https://learn.microsoft.com/dotnet/csharp/language-reference/builtin-types/bool',
+  void: 'https://learn.microsoft.com/dotnet/csharp/language-reference/builtin-types/void',
+  async: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/async',
+  await: 'https://learn.microsoft.com/dotnet/csharp/language-reference/operators/await',
+  static: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/static',
+  abstract: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/abstract',
+  virtual: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/virtual',
+  override: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/override',
+  sealed: 'https://learn.microsoft.com/dotnet/csharp/language-reference/keywords/sealed'
+};
+
+export const removeCommonIndentation = (code) => {
+  const lines = code.replace(/\r\n?/g, '\n').split('\n');
+  const indents = lines.filter((line) => line.trim()).map((line) => /^[ \t]*/.exec(line)[0].length);
+  const minIndent = indents.length ? Math.min(...indents) : 0;
+  return lines.map((line) => (line.trim() ? line.slice(minIndent) : '')).join('\n').trim();
+};
+
+export const xmlDocToMarkdown = (node, { apiReferencePath = '/api-reference' } = {}) => {
+  // Mirrors MarkdownXmlTransformer.ConvertXmlToMarkdown so the output matches a real build
+  const convert = (children) => (children ?? []).map((child) => {
+    if (typeof child === 'string') {
+      return child.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    const text = () => convert(child.children);
+    const rawText = () => child.children.map((c) => (typeof c === 'string' ? c : '')).join('');
+
+    switch (child.name) {
+      case 'see':
+      case 'seealso': {
+        if (child.attributes.langword) {
+          const keyword = child.attributes.langword.toLowerCase();
+          const url = languageKeywordUrls[keyword];
+          return url ? `[\`${keyword}\`](${url})` : `\`${keyword}\``;
+        }
+        if (child.attributes.href) {
+          return `[${child.children.length ? text() : 'link'}](${child.attributes.href})`;
+        }
+        const target = resolveCref(child.attributes.cref ?? '', apiReferencePath);
+        return `[${target.name}](${target.href})`;
+      }
+      case 'c': {
+        const code = rawText().trim();
+        return code ? `\`${code}\`` : '';
+      }
+      case 'code': {
+        const code = removeCommonIndentation(rawText()).replace(/```/g, '\\`\\`\\`');
+        return code ? `\n\n\`\`\`${child.attributes.language ?? 'csharp'}\n${code}\n\`\`\`\n\n` : '';
+      }
+      case 'paramref':
+      case 'typeparamref':
+        return `*${child.attributes.name ?? ''}*`;
+      case 'para':
+        return `\n\n${removeCommonIndentation(text())}\n\n`;
+      case 'b':
+        return `**${text()}**`;
+      case 'i':
+        return `*${text()}*`;
+      case 'br':
+        return '  \n';
+      case 'list': {
+        const type = (child.attributes.type ?? 'bullet').toLowerCase();
+        const part = (item, name) => {
+          const element = getXmlDocElements(item, name)[0];
+          return element ? convert(element.children).trim() : '';
+        };
+        const items = getXmlDocElements(child, 'item');
+        const header = getXmlDocElements(child, 'listheader')[0];
+
+        if (type === 'table' && header) {
+          return `\n| ${part(header, 'term')} | ${part(header, 'description')} |\n|----------|----------|\n`
+            + items.map((item) => `| ${part(item, 'term')} | ${part(item, 'description')} |\n`).join('');
+        }
+        if (type === 'table') {
+          return items.map((item) => {
+            const term = part(item, 'term');
+            const description = part(item, 'description');
+            return `${term ? `\n**${term}**\n` : ''}${description ? `${description}\n` : ''}`;
+          }).join('');
+        }
+
+        let counter = 1;
+        return '\n' + items.map((item) => {
+          const description = part(item, 'description') || part(item, 'term') || convert(item.children).trim();
+          return description ? `${type === 'bullet' ? '-' : `${counter++}.`} ${description}\n` : '';
+        }).join('');
+      }
+      default: {
+        // Unknown tags are escaped, just like EscapeRemainingXmlTags does
+        const attributes = Object.entries(child.attributes).map(([key, value]) => ` ${key}="${value}"`).join('');
+        return child.children.length
+          ? `&lt;${child.name}${attributes}&gt;${text()}&lt;/${child.name}&gt;`
+          : `&lt;${child.name}${attributes} /&gt;`;
+      }
+    }
+  }).join('');
+
+  return convert(node?.children)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// The badges MintlifyRenderer.RenderMember writes when the declaring types aren't known; MintlifyRendererTests checks they still match
+export const memberBadges = {
+  extension: '<DocsBadge text="Extension" variant="success" tooltip="Extension method from a static class" />',
+  override: '<DocsBadge text="Override" variant="info" tooltip="Overrides a member of a base type" />',
+  virtual: '<DocsBadge text="Virtual" variant="warning" tooltip="Virtual member; derived types can override it" />',
+  abstract: '<DocsBadge text="Abstract" variant="warning" tooltip="Abstract member; derived types must implement it" />'
+};
+
+// Matches MintlifyRenderer.GetMemberFilterMarker, which the ProvenanceFilter toolbar reads
+export const memberFilterMarker = (member) => {
+  const kind = member.kind === 'unknown' ? 'method' : member.kind;
+  const provenance = member.isExtension ? 'extension' : member.modifiers.includes('override') ? 'override' : 'declared';
+  const has = (modifier) => member.modifiers.includes(modifier);
+  const access = has('public') ? 'public'
+    : has('protected') && has('internal') ? 'protected-internal'
+    : has('private') && has('protected') ? 'private-protected'
+    : has('protected') ? 'protected'
+    : has('internal') ? 'internal'
+    : 'private';
+  const name = (member.name || 'Member').replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  return `<span data-dnd-member="${name}" data-kind="${kind}" data-provenance="${provenance}" data-access="${access}" />`;
+};
+
+export const renderMemberMarkdown = (source, { format = 'mdx', apiReferencePath = '/api-reference', primaryColor = '#0D9373' } = {}) => {
+  // Mirrors MarkdownRenderer.RenderMember and MintlifyRenderer.RenderMember
+  const { doc, member } = parseDocumentedMember(source);
+  const isMdx = format === 'mdx';
+  const escape = (text) => (isMdx ? text : text.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+  const section = (name) => {
+    const element = getXmlDocElements(doc, name)[0];
+    const markdown = element ? xmlDocToMarkdown(element, { apiReferencePath }) : '';
+    return markdown || null;
+  };
+  const lines = [];
+  const add = (...values) => lines.push(...values);
+
+  const name = member.name || 'Member';
+  if (isMdx) {
+    const icon = member.kind === 'constructor' ? 'hammer'
+      : member.kind === 'property' ? 'tag'
+      : member.kind === 'field' ? (member.modifiers.includes('const') ? 'anchor' : 'box')
+      : member.kind === 'event' ? 'bell'
+      : member.isExtension ? 'puzzle-piece'
+      : member.modifiers.includes('override') ? 'code-merge'
+      : member.modifiers.includes('virtual') ? 'code-fork'
+      : member.modifiers.includes('static') ? 'thumbtack'
+      : member.modifiers.includes('async') ? 'rotate'
+      : 'function';
+    const badges = [
+      member.isExtension && memberBadges.extension,
+      member.modifiers.includes('override') && memberBadges.override,
+      member.modifiers.includes('virtual') && !member.modifiers.includes('override') && memberBadges.virtual,
+      member.modifiers.includes('abstract') && memberBadges.abstract
+    ].filter(Boolean);
+    add(memberFilterMarker(member), '');
+    add(`### <Icon icon="${icon}" iconType="duotone" color="${primaryColor}" size={24} className="mr-2" /> ${name}${badges.length ? ` ${badges.join(' ')}` : ''}`, '');
+  } else {
+    add(`### ${name}`, '');
+  }
+
+  const summary = section('summary');
+  if (summary) {
+    add(summary, '');
+  }
+
+  add('#### Syntax', '', '```csharp', member.signature || name, '```', '');
+
+  if (member.parameters.length > 0) {
+    add('#### Parameters', '', '| Name | Type | Description |', '|------|------|-------------|');
+    member.parameters.forEach((parameter) => {
+      const element = getXmlDocElements(doc, 'param').find((p) => p.attributes.name === parameter.name);
+      const description = element ? xmlDocToMarkdown(element, { apiReferencePath }) : '';
+      add(`| \`${parameter.name}\` | \`${escape(parameter.type || 'unknown')}\` | ${description || '-'} |`);
+    });
+    add('');
+  }
+
+  if ((member.kind === 'method' || member.kind === 'delegate') && member.returnType && member.returnType !== 'void') {
+    add('#### Returns', '', `Type: \`${escape(member.returnType)}\``);
+    const returns = section('returns');
+    if (returns) {
+      add(returns);
+    }
+    add('');
+  }
+
+  if (member.kind === 'property' && member.returnType) {
+    add('#### Property Value', '', `Type: \`${escape(member.returnType)}\``);
+    const value = section('value');
+    if (value) {
+      add(value);
+    }
+    add('');
+  }
+
+  const typeParams = getXmlDocElements(doc, 'typeparam').filter((t) => t.attributes.name);
+  if (typeParams.length > 0) {
+    add('#### Type Parameters', '');
+    typeParams.forEach((typeParam) => {
+      add(`- \`${typeParam.attributes.name}\` - ${xmlDocToMarkdown(typeParam, { apiReferencePath }) || 'No description provided'}`);
+    });
+    add('');
+  }
+
+  const exceptions = getXmlDocElements(doc, 'exception').filter((e) => e.attributes.cref);
+  if (exceptions.length > 0) {
+    add('#### Exceptions', '', '| Exception | Description |', '|-----------|-------------|');
+    exceptions.forEach((exception) => {
+      const type = exception.attributes.cref.replace('T:', '').split('.').pop();
+      add(`| \`${type}\` | ${xmlDocToMarkdown(exception, { apiReferencePath }) || '-'} |`);
+    });
+    add('');
+  }
+
+  const examples = section('example');
+  if (examples) {
+    add('#### Examples', '', examples, '');
+  }
+
+  const remarksElement = getXmlDocElements(doc, 'remarks')[0];
+  const remarks = remarksElement
+    ? xmlDocToMarkdown({ ...remarksElement, children: remarksElement.children.filter((c) => c.name !== 'example') }, { apiReferencePath })
+    : '';
+  if (remarks) {
+    add('#### Remarks', '', remarks, '');
+  }
+
+  const seeAlso = getXmlDocElements(doc, 'seealso').filter((s) => s.attributes.cref);
+  if (seeAlso.length > 0) {
+    add('#### See Also', '');
+    seeAlso.forEach((reference) => {
+      const target = resolveCref(reference.attributes.cref, apiReferencePath);
+      add(`- [${target.name}](${target.href})`);
+    });
+    add('');
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,161 @@
+import { renderMemberMarkdown } from '/snippets/XmlDocComments.jsx';
+
+export const XmlDocPlayground = ({
+  initialSource = `/// <summary>
+/// Processes payment transactions for the specified <paramref name="customer"/>.
+/// </summary>
+/// <remarks>
+/// <para>Payments are retried using the configured <see cref="T:MyProject.Payments.RetryPolicy"/>.</para>
+/// <list type="bullet">
+///   <item><description>Amounts are rounded to two decimal places</description></item>
+///   <item><description>Returns a failed result instead of throwing on declines</description></item>
+/// </list>
+/// </remarks>
+/// <param name="customer">The customer being charged.</param>
+/// <param name="amount">The transaction amount to process.</param>
+/// <returns>A <see cref="T:MyProject.Payments.PaymentResult"/> indicating success or failure.</returns>
+/// <exception cref="T:System.ArgumentOutOfRangeException">Thrown when <paramref name="amount"/> is negative.</exception>
+/// <example>
+/// <code>
+/// var result = await processor.ProcessPayment(customer, 19.99m);
+/// </code>
+/// </example>
+/// <seealso cref="M:MyProject.Payments.PaymentProcessor.Refund(System.Decimal)"/>
+public async Task<PaymentResult> ProcessPayment(Customer customer, decimal amount)
+{
+    return await _processor.Execute(customer, amount);
+}`,
+  defaultFormat = 'mdx',
+  apiReferencePath = '/api-reference',
+  primaryColor = '#419AC5'
+}) => {
+  const [source, setSource] = React.useState(initialSource);
+  const [format, setFormat] = React.useState(defaultFormat);
+  const [copyStatus, setCopyStatus] = React.useState(null);
+  const outputPreview = React.useRef(null);
+
+  const output = source.includes('///')
+    ? renderMemberMarkdown(source, { format, apiReferencePath, primaryColor })
+    : '';
+
+  // The clipboard can be missing or blocked, so the output is selected instead for the reader to copy by hand
+  const copyOutput = () => {
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(output))
+      .then(() => setCopyStatus('copied'))
+      .catch(() => {
+        window.getSelection()?.selectAllChildren(outputPreview.current);
+        setCopyStatus('failed');
+      })
+      .finally(() => setTimeout(() => setCopyStatus(null), 2000));
+  };
+
+  const panelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: 0,
+    borderRadius: '12px',
+    border: '1px solid rgba(60, 208, 226, 0.2)',
+    background: 'rgba(10, 22, 40, 0.9)',
+    overflow: 'hidden'
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '8px',
+    padding: '10px 16px',
+    background: 'rgba(60, 208, 226, 0.1)',
+    borderBottom: '1px solid rgba(60, 208, 226, 0.2)',
+    color: '#8B9DC3',
+    fontSize: '12px',
+    fontFamily: 'monospace'
+  };
+
+  const codeStyle = {
+    flex: 1,
+    margin: 0,
+    minHeight: '480px',
+    padding: '16px',
+    border: 'none',
+    outline: 'none',
+    resize: 'vertical',
+    background: 'transparent',
+    color: '#D4D4D4',
+    fontFamily: 'monospace',
+    fontSize: '13px',
+    lineHeight: '1.6',
+    whiteSpace: 'pre',
+    overflow: 'auto'
+  };
+
+  const formatButton = (value, label) => (
+    <button
+      type="button"
+      onClick={() => setFormat(value)}
+      aria-pressed={format === value}
+      style={{
+        padding: '4px 10px',
+        borderRadius: '6px',
+        border: 'none',
+        cursor: 'pointer',
+        fontSize: '12px',
+        fontWeight: '600',
+        background: format === value ? 'linear-gradient(135deg, #419AC5, #3CD0E2)' : 'transparent',
+        color: format === value ? 'white' : '#8B9DC3'
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="not-prose xml-doc-playground" style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+      gap: '16px',
+      margin: '24px 0'
+    }}>
+      <div style={panelStyle}>
+        <div style={headerStyle}>
+          <span>C# with /// comments</span>
+          <button
+            type="button"
+            onClick={() => setSource(initialSource)}
+            style={{ border: 'none', background: 'transparent', color: '#8B9DC3', cursor: 'pointer', fontSize: '12px' }}
+          >
+            Reset
+          </button>
+        </div>
+        <textarea
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          spellCheck={false}
+          aria-label="C# source with XML documentation comments"
+          style={codeStyle}
+        />
+      </div>
+
+      <div style={panelStyle}>
+        <div style={headerStyle}>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            {formatButton('mdx', 'Mintlify (.mdx)')}
+            {formatButton('markdown', 'Markdown (.md)')}
+          </div>
+          <button
+            type="button"
+            onClick={copyOutput}
+            disabled={!output}
+            style={{ border: 'none', background: 'transparent', color: copyStatus ? '#3CD0E2' : '#8B9DC3', cursor: 'pointer', fontSize: '12px' }}
+          >
+            {{ copied: 'Copied!', failed: 'Copy failed, text selected' }[copyStatus] ?? 'Copy'}
+          </button>
+        </div>
+        <pre ref={outputPreview} style={codeStyle} aria-live="polite">
+          {output || 'Add a member with /// XML documentation comments to see the generated output.'}
+        </pre>
+      </div>
+    </div>
+  );
+};
@@ -121,6 +121,7 @@ namespace Microsoft.Extensions.DependencyInjection
         /// <item><description>DocsJsonValidator to ensure correct structures</description></item>
         /// <item><description>MarkdownXmlTransformer for processing XML documentation tags</description></item>
         /// <item><description>MintlifyDocReferenceHandler for processing DocumentationReferences</description></item>
+        /// <item><description>MintlifyLinkValidator for checking the links and assets in the generated pages and snippets</description></item>
         /// </list>
         /// </remarks>
         /// <example>
@@ -143,6 +144,9 @@ namespace Microsoft.Extensions.DependencyInjection
             // Register the MintlifyDocReferenceHandler for processing DocumentationReferences
             services.TryAddEnumerable(ServiceDescriptor.Scoped<IDocReferenceHandler, MintlifyDocReferenceHandler>());
 
+            // Register the MintlifyLinkValidator for checking links and asset paths once the documentation is generated
+            services.TryAddEnumerable(ServiceDescriptor.Scoped<IDocValidator, MintlifyLinkValidator>());
+
             // Register DocsJsonManager for manipulating docs.json files
             services.TryAddScoped<DocsJsonManager>();
 
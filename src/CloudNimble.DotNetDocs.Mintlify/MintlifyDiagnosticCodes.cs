@@ -0,0 +1,62 @@
+namespace CloudNimble.DotNetDocs.Mintlify
+{
+
+    /// <summary>
+    /// Contains the codes of the warnings and errors reported while building Mintlify documentation.
+    /// </summary>
+    /// <remarks>
+    /// <para>
+    /// The codes show up in the build output, so they can be suppressed with <c>NoWarn</c> or promoted with
+    /// <c>WarningsAsErrors</c> like any other MSBuild warning.
+    /// </para>
+    /// <para>
+    /// Codes from <c>DOCS1001</c> are reported while documentation references are combined into a collection, and codes from
+    /// <c>DOCS2001</c> are reported by <see cref="MintlifyLinkValidator"/> once the documentation has been generated.
+    /// </para>
+    /// </remarks>
+    public static class MintlifyDiagnosticCodes
+    {
+
+        /// <summary>
+        /// A path in a snippet or MDX page is computed at runtime, so it can't be rewritten for a collection.
+        /// </summary>
+        public const string PathNotRewritable = "DOCS1001";
+
+        /// <summary>
+        /// A snippet, or the JavaScript in an MDX page, could not be parsed, so its paths were not rewritten.
+        /// </summary>
+        public const string ScriptNotParsed = "DOCS1002";
+
+        /// <summary>
+        /// A page or snippet imports a module that doesn't exist in the referenced documentation.
+        /// </summary>
+        public const string ModuleNotFound = "DOCS1003";
+
+        /// <summary>
+        /// The static imports between snippets form a cycle.
+        /// </summary>
+        public const string ImportCycle = "DOCS1004";
+
+        /// <summary>
+        /// Several references in a collection have different snippets at the same path, so none of them can be shared.
+        /// </summary>
+        public const string SnippetConflict = "DOCS1005";
+
+        /// <summary>
+        /// A page or snippet links to a page that isn't in the generated documentation.
+        /// </summary>
+        public const string BrokenLink = "DOCS2001";
+
+        /// <summary>
+        /// A page or snippet points at an image or other file that isn't in the generated documentation.
+        /// </summary>
+        public const string MissingAsset = "DOCS2002";
+
+        /// <summary>
+        /// A page or snippet opens a link to another page of the documentation in a new tab.
+        /// </summary>
+        public const string InternalLinkOpensNewTab = "DOCS2003";
+
+    }
+
+}
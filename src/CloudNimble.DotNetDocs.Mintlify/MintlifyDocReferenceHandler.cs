@@ -17,6 +17,8 @@ namespace CloudNimble.DotNetDocs.Mintlify
     /// <para>
     /// This handler extends <see cref="MarkdownDocReferenceHandler"/> to add Mintlify-specific
     /// content rewriting patterns including ES imports, JSX attributes, and CSS url() references.
+    /// The JavaScript and JSX in pages and snippets is read with a parser, and paths that can't be
+    /// rewritten are reported in <see cref="DocReferenceHandlerBase.Diagnostics"/> with their file and line.
     /// </para>
     /// <para>
     /// It processes referenced documentation by:
@@ -25,6 +27,9 @@ namespace CloudNimble.DotNetDocs.Mintlify
     /// <item><description>Copying content files with path rewriting</description></item>
     /// <item><description>Relocating images to <c>/images/{DestinationPath}/</c></description></item>
     /// <item><description>Relocating snippets to <c>/snippets/{DestinationPath}/</c></description></item>
+    /// <item><description>Rewriting the paths inside the relocated snippet JavaScript files</description></item>
+    /// <item><description>Relocating the modules that pages import through their snippets from outside the <c>snippets</c> folder</description></item>
+    /// <item><description>Writing the snippets that several references ship identical copies of once, to <c>/snippets/shared/</c></description></item>
     /// </list>
     /// </remarks>
     public partial class MintlifyDocReferenceHandler : MarkdownDocReferenceHandler
@@ -33,41 +38,55 @@ namespace CloudNimble.DotNetDocs.Mintlify
         #region Private Fields
 
         /// <summary>
-        /// Matches ES import statements: import X from '/snippets/X.jsx'
+        /// Matches absolute paths in TypeScript snippets, which the JSX parser can't read: url() functions, src and href
+        /// attributes or properties, import specifiers, and string or template literals that start with a resource directory.
+        /// All alternatives capture the path in the same group, so each path is matched, and rewritten, exactly once.
         /// </summary>
-        [GeneratedRegex(@"from\s+['""](?<path>/[^'""]+)['""]",
+        [GeneratedRegex(@"url\(\s*(?<quote>['""]?)(?<path>/[^'""\)\s]+)\k<quote>\s*\)" +
+            @"|\b(?:src|href)\s*[=:]\s*['""`](?<path>/[^'""`#?\s$]*)" +
+            @"|\b(?:from|import)\s*\(?\s*['""`](?<path>/[^'""`\s]+)" +
+            @"|['""`](?<path>/(?:images|snippets)/[^'""`\s$]*)",
             RegexOptions.Compiled, matchTimeoutMilliseconds: 1000)]
-        private static partial Regex EsImportRegex();
+        private static partial Regex ScriptPathRegex();
 
         /// <summary>
-        /// Matches JSX src attributes: src="/images/logo.png" or src='/images/logo.png'
+        /// File extensions of the pages whose imports start the snippet dependency graph.
         /// </summary>
-        [GeneratedRegex(@"src\s*=\s*['""](?<path>/[^'""]+)['""]",
-            RegexOptions.Compiled, matchTimeoutMilliseconds: 1000)]
-        private static partial Regex JsxSrcRegex();
+        private static readonly HashSet<string> PageExtensions = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ".md",
+            ".mdx"
+        };
 
         /// <summary>
-        /// Matches JSX href attributes: href="/guides/x" or href='/guides/x'
+        /// File extensions that should have content rewritten.
         /// </summary>
-        [GeneratedRegex(@"href\s*=\s*['""](?<path>/[^'""#?]+)(?<suffix>[^'""]*)['""]",
-            RegexOptions.Compiled, matchTimeoutMilliseconds: 1000)]
-        private static partial Regex JsxHrefRegex();
+        private static readonly HashSet<string> RewriteExtensions = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ".md",
+            ".mdx",
+            ".jsx",
+            ".tsx"
+        };
 
         /// <summary>
-        /// Matches CSS url() functions: url(/images/bg.svg) or url('/images/bg.svg')
+        /// File extensions of the snippet scripts that have their paths rewritten after relocation.
         /// </summary>
-        [GeneratedRegex(@"url\(\s*['""]?(?<path>/[^'""\)]+)['""]?\s*\)",
-            RegexOptions.Compiled, matchTimeoutMilliseconds: 1000)]
-        private static partial Regex CssUrlRegex();
+        private static readonly HashSet<string> ScriptExtensions = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ".js",
+            ".jsx",
+            ".mjs",
+            ".ts",
+            ".tsx"
+        };
 
         /// <summary>
-        /// File extensions that should have content rewritten.
+        /// File extensions of the snippet scripts that are rewritten with pattern matching instead of the JSX parser.
         /// </summary>
-        private static readonly HashSet<string> RewriteExtensions = new(StringComparer.OrdinalIgnoreCase)
+        private static readonly HashSet<string> TypeScriptExtensions = new(StringComparer.OrdinalIgnoreCase)
         {
-            ".md",
-            ".mdx",
-            ".jsx",
+            ".ts",
             ".tsx"
         };
 
@@ -80,10 +99,25 @@ namespace CloudNimble.DotNetDocs.Mintlify
             "snippets"
         };
 
+        /// <summary>
+        /// The destination paths of the references that share each snippet, by the snippet's path inside <c>snippets</c>.
+        /// </summary>
+        private readonly Dictionary<string, HashSet<string>> sharedSnippets = new(StringComparer.OrdinalIgnoreCase);
+
+        /// <summary>
+        /// The shared snippets that an earlier reference has already written.
+        /// </summary>
+        private readonly HashSet<string> writtenSharedSnippets = new(StringComparer.OrdinalIgnoreCase);
+
         #endregion
 
         #region Properties
 
+        /// <summary>
+        /// The folder under <c>/snippets/</c> that holds the snippets shared by several references.
+        /// </summary>
+        public const string SharedSnippetsPath = "shared";
+
         /// <inheritdoc />
         public override SupportedDocumentationType DocumentationType => SupportedDocumentationType.Mintlify;
 
@@ -91,6 +125,88 @@ namespace CloudNimble.DotNetDocs.Mintlify
 
         #region Public Methods
 
+        /// <inheritdoc />
+        /// <remarks>
+        /// <para>
+        /// Collection members often ship copies of the same snippets. When every reference that has a file at the same path inside
+        /// <c>snippets</c> has the same bytes, and the file is rewritten the same way for each of them, it is written once to
+        /// <c>/snippets/shared/</c>, and the imports and paths that point at it are rewritten to match.
+        /// </para>
+        /// <para>
+        /// Snippets that contain paths to a reference's own images and pages, or that import snippets which aren't shared, are
+        /// rewritten differently for each reference and keep their own copies. So do snippets that share a path but not their
+        /// contents, which are also reported as a warning so the collision doesn't go unnoticed.
+        /// </para>
+        /// </remarks>
+        public override async Task PrepareAsync(IReadOnlyList<DocumentationReference> references, string documentationRootPath)
+        {
+            ArgumentNullException.ThrowIfNull(references);
+
+            ClearDiagnostics();
+            sharedSnippets.Clear();
+            writtenSharedSnippets.Clear();
+
+            // A reference whose destination is the shared folder would mix its own snippets with the shared ones
+            var canShare = !references.Any(reference => string.Equals(reference.DestinationPath, SharedSnippetsPath, StringComparison.OrdinalIgnoreCase));
+
+            var snippetGroups = references
+                .Where(reference => Directory.Exists(Path.Combine(reference.DocumentationRoot, "snippets")))
+                .SelectMany(reference =>
+                {
+                    var sourceSnippetsDir = Path.Combine(reference.DocumentationRoot, "snippets");
+                    return Directory.GetFiles(sourceSnippetsDir, "*", SearchOption.AllDirectories)
+                        .Select(file => new
+                        {
+                            Reference = reference,
+                            SourceFile = file,
+                            RelativePath = Path.GetRelativePath(sourceSnippetsDir, file).Replace("\\", "/")
+                        });
+                })
+                .GroupBy(snippet => snippet.RelativePath, StringComparer.OrdinalIgnoreCase)
+                .Where(group => group.Count() > 1)
+                .ToList();
+
+            foreach (var group in snippetGroups)
+            {
+                var contents = await Task.WhenAll(group.Select(snippet => File.ReadAllBytesAsync(snippet.SourceFile)));
+                if (contents.Skip(1).All(content => content.AsSpan().SequenceEqual(contents[0])))
+                {
+                    if (canShare)
+                    {
+                        sharedSnippets[group.Key] = new(group.Select(snippet => snippet.Reference.DestinationPath), StringComparer.OrdinalIgnoreCase);
+                    }
+                    continue;
+                }
+
+                ReportDiagnostic(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, MintlifyDiagnosticCodes.SnippetConflict,
+                    $"The snippet '{group.Key}' is different in the {string.Join(", ", group.Select(snippet => snippet.Reference.DestinationPath))} references, " +
+                    "so each of them keeps its own copy under /snippets/{DestinationPath}/.",
+                    group.First().SourceFile));
+            }
+
+            // Whether a snippet is rewritten the same way for every reference depends on which of the snippets it imports are shared
+            bool removed;
+            do
+            {
+                removed = false;
+                foreach (var group in snippetGroups.Where(group => sharedSnippets.ContainsKey(group.Key)))
+                {
+                    var rewrittenContents = group
+                        .Where(snippet => ScriptExtensions.Contains(Path.GetExtension(snippet.SourceFile)))
+                        .Select(snippet => RewriteSnippetContent(File.ReadAllText(snippet.SourceFile), snippet.Reference.DestinationPath,
+                            snippet.SourceFile, snippet.Reference.DocumentationRoot, reportIssues: false))
+                        .Distinct(StringComparer.Ordinal);
+
+                    if (rewrittenContents.Count() > 1)
+                    {
+                        sharedSnippets.Remove(group.Key);
+                        removed = true;
+                    }
+                }
+            }
+            while (removed);
+        }
+
         /// <inheritdoc />
         public override async Task ProcessAsync(DocumentationReference reference, string documentationRootPath)
         {
@@ -105,6 +221,9 @@ namespace CloudNimble.DotNetDocs.Mintlify
 
             // Step 2: Relocate resource directories to central locations
             await RelocateResourcesAsync(sourcePath, documentationRootPath, reference.DestinationPath);
+
+            // Step 3: Follow the imports of every page and relocate the modules outside the snippets folder
+            await RelocateSnippetDependenciesAsync(sourcePath, documentationRootPath, reference.DestinationPath);
         }
 
         #endregion
@@ -125,14 +244,7 @@ namespace CloudNimble.DotNetDocs.Mintlify
                 return;
             }
 
-            // Get exclusion patterns and add resource directories to exclude
-            var exclusionPatterns = GetExclusionPatternsForDocumentationType(SupportedDocumentationType.Mintlify);
-
-            // Add resource directories to exclusion (they get relocated separately)
-            foreach (var resourceDir in ResourceDirectoriesToRelocate)
-            {
-                exclusionPatterns.Add($"{resourceDir}/**/*");
-            }
+            var exclusionPatterns = GetContentExclusionPatterns();
 
             // Ensure destination directory exists
             Directory.CreateDirectory(destDir);
@@ -145,8 +257,26 @@ namespace CloudNimble.DotNetDocs.Mintlify
         /// </summary>
         /// <param name="content">The content to rewrite.</param>
         /// <param name="destinationPath">The destination path prefix.</param>
+        /// <param name="filePath">The path of the source file, used to resolve relative imports and to report paths that can't be rewritten.</param>
+        /// <param name="sourceRoot">The root of the referenced documentation, used to find where imported modules are relocated.</param>
         /// <returns>The rewritten content.</returns>
-        internal string RewriteMintlifyContent(string content, string destinationPath)
+        /// <remarks>
+        /// <para>
+        /// After the Markdown images and links, the page is scanned for the parts MDX treats as JavaScript: import and export
+        /// blocks, JSX tags and <c>{...}</c> expressions. Each one is parsed and rewritten like a snippet, so imports split across
+        /// lines, side-effect imports, <c>export ... from</c>, <c>import()</c> and attributes like <c>src={'/images/x.svg'}</c>
+        /// are all found. CSS <c>url()</c> functions in the remaining text are rewritten as well.
+        /// </para>
+        /// <para>
+        /// Fenced code blocks and inline code are left untouched.
+        /// </para>
+        /// <para>
+        /// When <paramref name="filePath"/> and <paramref name="sourceRoot"/> are known, import specifiers are rewritten with
+        /// <see cref="RewriteModulePath(string, string, string, string)"/>, so relative imports and modules outside the
+        /// <c>snippets</c> folder point at their relocated copies.
+        /// </para>
+        /// </remarks>
+        internal string RewriteMintlifyContent(string content, string destinationPath, string? filePath = null, string? sourceRoot = null)
         {
             if (string.IsNullOrWhiteSpace(content) || string.IsNullOrWhiteSpace(destinationPath))
             {
@@ -156,67 +286,266 @@ namespace CloudNimble.DotNetDocs.Mintlify
             // First apply base Markdown rewriting
             content = RewriteMarkdownContent(content, destinationPath);
 
-            // Find code block ranges for skipping
-            var codeBlockRanges = FindCodeBlockRangesInternal(content);
+            var rewriter = new ScriptPathRewriter(content,
+                path => RewritePath(path, destinationPath),
+                specifier => RewriteModulePath(specifier, destinationPath, filePath, sourceRoot));
+            ScanMintlifyContent(content, rewriter);
+            ReportRewriteIssues(rewriter, filePath);
 
-            // Rewrite ES imports: from '/snippets/X.jsx'
-            content = EsImportRegex().Replace(content, match =>
+            return rewriter.Apply();
+        }
+
+        /// <summary>
+        /// Rewrites an import specifier so it points at the module's location after the collection is assembled.
+        /// </summary>
+        /// <param name="specifier">The module specifier as written in the import.</param>
+        /// <param name="destinationPath">The destination path prefix.</param>
+        /// <param name="filePath">The path of the source file that contains the import.</param>
+        /// <param name="sourceRoot">The root of the referenced documentation.</param>
+        /// <returns>The rewritten specifier.</returns>
+        /// <remarks>
+        /// <para>
+        /// Mintlify only imports modules from the <c>snippets</c> folder, so every script or MDX file that a page or snippet
+        /// imports ends up under <c>/snippets/{DestinationPath}/</c>. Files from the source <c>snippets</c> folder keep their path
+        /// inside it, and files from anywhere else keep their path from the documentation root:
+        /// </para>
+        /// <list type="bullet">
+        /// <item><description><c>/snippets/Hero.jsx</c> becomes <c>/snippets/{DestinationPath}/Hero.jsx</c></description></item>
+        /// <item><description><c>/components/Chart.jsx</c> becomes <c>/snippets/{DestinationPath}/components/Chart.jsx</c></description></item>
+        /// <item><description><c>../components/Chart.jsx</c> in <c>guides/intro.mdx</c> becomes the same absolute path</description></item>
+        /// </list>
+        /// <para>
+        /// Relative imports from one snippet to another are left alone, because the <c>snippets</c> folder is relocated as a whole,
+        /// unless only one of the two is shared with other references. Snippets that are shared point at <c>/snippets/shared/</c>.
+        /// Package imports, URLs and imports of other kinds of files go through <see cref="MarkdownDocReferenceHandler.RewritePath(string, string)"/>.
+        /// </para>
+        /// </remarks>
+        internal string RewriteModulePath(string specifier, string destinationPath, string? filePath, string? sourceRoot)
+        {
+            if (filePath is null || sourceRoot is null)
             {
-                if (IsInCodeBlock(match.Index, codeBlockRanges))
-                {
-                    return match.Value;
-                }
+                return RewritePath(specifier, destinationPath);
+            }
 
-                var path = match.Groups["path"].Value;
-                var rewrittenPath = RewritePath(path, destinationPath);
+            sourceRoot = Path.GetFullPath(sourceRoot);
+            filePath = Path.GetFullPath(filePath);
 
-                return $"from '{rewrittenPath}'";
-            });
+            var modulePath = ResolveModulePath(specifier, filePath, sourceRoot);
+            if (modulePath is null || !IsInDirectory(modulePath, sourceRoot) || !IsRelocatableModule(modulePath))
+            {
+                return RewritePath(specifier, destinationPath);
+            }
 
-            // Rewrite JSX src attributes
-            content = JsxSrcRegex().Replace(content, match =>
+            var snippetsRoot = Path.Combine(sourceRoot, "snippets");
+            if (!IsInDirectory(modulePath, snippetsRoot))
             {
-                if (IsInCodeBlock(match.Index, codeBlockRanges))
-                {
-                    return match.Value;
-                }
+                return $"/snippets/{destinationPath}/{Path.GetRelativePath(sourceRoot, modulePath).Replace("\\", "/")}";
+            }
 
-                var path = match.Groups["path"].Value;
-                var rewrittenPath = RewritePath(path, destinationPath);
+            var relativePath = Path.GetRelativePath(snippetsRoot, modulePath).Replace("\\", "/");
+            var isShared = IsSharedSnippet(relativePath, destinationPath);
+            if (!specifier.StartsWith('/') && IsInDirectory(filePath, snippetsRoot)
+                && isShared == IsSharedSnippet(Path.GetRelativePath(snippetsRoot, filePath).Replace("\\", "/"), destinationPath))
+            {
+                return specifier;
+            }
 
-                return $"src=\"{rewrittenPath}\"";
-            });
+            return $"/snippets/{(isShared ? SharedSnippetsPath : destinationPath)}/{relativePath}";
+        }
 
-            // Rewrite JSX href attributes
-            content = JsxHrefRegex().Replace(content, match =>
+        /// <summary>
+        /// Rewrites the absolute paths inside a relocated snippet's JavaScript.
+        /// </summary>
+        /// <param name="content">The snippet source to rewrite.</param>
+        /// <param name="destinationPath">The destination path prefix.</param>
+        /// <param name="filePath">The path of the source file, used to pick the language, resolve relative imports and report paths that can't be rewritten.</param>
+        /// <param name="sourceRoot">The root of the referenced documentation, used to find where imported modules are relocated.</param>
+        /// <returns>The rewritten snippet source.</returns>
+        /// <remarks>
+        /// <para>
+        /// Unlike <see cref="RewriteMintlifyContent(string, string, string, string)"/>, this treats the whole file as code, so it also finds
+        /// paths in style objects, data objects and template literals:
+        /// </para>
+        /// <list type="bullet">
+        /// <item><description><c>src="/images/x.svg"</c>, <c>src={'/images/x.svg'}</c> and <c>href="/quickstart"</c> in JSX</description></item>
+        /// <item><description><c>{ href: '/guides/x', lightSrc: '/images/x.svg' }</c> in data objects</description></item>
+        /// <item><description><c>backgroundImage: 'url(/images/bg.svg)'</c> in style objects</description></item>
+        /// <item><description><c>`/images/logos/${name}.svg`</c> in template literals, up to the first placeholder</description></item>
+        /// <item><description><c>import</c>, <c>export ... from</c> and <c>import()</c> specifiers, as described in <see cref="RewriteModulePath(string, string, string, string)"/></description></item>
+        /// </list>
+        /// <para>
+        /// Other strings are only rewritten when they start with <c>/images/</c> or <c>/snippets/</c>, so values that merely look
+        /// like paths are left alone. Paths that start with a value computed at runtime are reported as warnings.
+        /// </para>
+        /// <para>
+        /// The parser doesn't understand TypeScript, so <c>.ts</c> and <c>.tsx</c> snippets are rewritten with pattern matching.
+        /// </para>
+        /// </remarks>
+        internal string RewriteSnippetContent(string content, string destinationPath, string? filePath = null, string? sourceRoot = null)
+        {
+            return RewriteSnippetContent(content, destinationPath, filePath, sourceRoot, reportIssues: true);
+        }
+
+        /// <summary>
+        /// Scans an MDX page for the parts that are JavaScript and hands each one to a <see cref="ScriptPathRewriter"/>.
+        /// </summary>
+        /// <param name="content">The page content.</param>
+        /// <param name="rewriter">The rewriter created for <paramref name="content"/>.</param>
+        /// <remarks>
+        /// Fenced code blocks, inline code and the frontmatter are skipped, and the plain text in between is only checked for CSS <c>url()</c> functions.
+        /// </remarks>
+        internal static void ScanMintlifyContent(string content, ScriptPathRewriter rewriter)
+        {
+            var codeBlockRanges = FindCodeBlockRangesInternal(content);
+            var codeBlockIndex = 0;
+            var index = FindFrontmatterEnd(content);
+            var textStart = index;
+
+            while (index < content.Length)
             {
-                if (IsInCodeBlock(match.Index, codeBlockRanges))
+                var constructEnd = -1;
+
+                if (codeBlockIndex < codeBlockRanges.Count && index >= codeBlockRanges[codeBlockIndex].Start)
+                {
+                    constructEnd = codeBlockRanges[codeBlockIndex++].End;
+                }
+                else if (IsEsmBlockStart(content, index))
                 {
-                    return match.Value;
+                    constructEnd = FindEsmBlockEnd(content, index);
+                    rewriter.TryRewriteModule(index, constructEnd);
+                }
+                else
+                {
+                    switch (content[index])
+                    {
+                        case '\\':
+                            index += 2;
+                            continue;
+                        case '`':
+                            constructEnd = FindCodeSpanEnd(content, index);
+                            break;
+                        case '<' when IsJsxTagStart(content, index):
+                            var tagEnd = FindJsxTagEnd(content, index);
+                            if (tagEnd > 0)
+                            {
+                                rewriter.TryRewriteJsxTag(index, tagEnd);
+                                constructEnd = tagEnd + 1;
+                            }
+                            break;
+                        case '{':
+                            var braceEnd = FindClosingBrace(content, index);
+                            if (braceEnd > 0)
+                            {
+                                if (!IsCommentExpression(content, index + 1, braceEnd))
+                                {
+                                    rewriter.TryRewriteExpression(index + 1, braceEnd);
+                                }
+                                constructEnd = braceEnd + 1;
+                            }
+                            break;
+                    }
                 }
 
-                var path = match.Groups["path"].Value;
-                var suffix = match.Groups["suffix"].Value;
-                var rewrittenPath = RewritePath(path, destinationPath);
+                if (constructEnd < 0)
+                {
+                    index++;
+                    continue;
+                }
 
-                return $"href=\"{rewrittenPath}{suffix}\"";
-            });
+                // Plain text between the JavaScript parts can still hold CSS, like a raw style attribute
+                rewriter.RewriteCssUrls(textStart, index);
+                index = textStart = Math.Max(constructEnd, index + 1);
+            }
+
+            rewriter.RewriteCssUrls(textStart, content.Length);
+        }
+
+        #endregion
+
+        #region Protected Methods
+
+        /// <inheritdoc />
+        /// <remarks>
+        /// <para>
+        /// The base implementation copies the resource directories as-is. Afterwards, every script that came from the source
+        /// <c>snippets</c> folder is rewritten with <see cref="RewriteSnippetContent(string, string, string, string)"/>, so its imports, images and
+        /// links point at the relocated resources and prefixed pages.
+        /// </para>
+        /// <para>
+        /// Snippets shared with other references are moved to <c>/snippets/shared/</c> by the first reference that has them,
+        /// and removed from the folders of the others.
+        /// </para>
+        /// </remarks>
+        protected override async Task RelocateResourcesAsync(string sourceDir, string documentationRootPath, string destinationPath)
+        {
+            await base.RelocateResourcesAsync(sourceDir, documentationRootPath, destinationPath);
+
+            var sourceSnippetsDir = Path.Combine(sourceDir, "snippets");
+            if (!Directory.Exists(sourceSnippetsDir))
+            {
+                return;
+            }
+
+            var destSnippetsDir = Path.Combine(documentationRootPath, "snippets", destinationPath);
+            var sharedSnippetsDir = Path.Combine(documentationRootPath, "snippets", SharedSnippetsPath);
+            var snippetFiles = Directory.GetFiles(sourceSnippetsDir, "*", SearchOption.AllDirectories)
+                .Select(file => new
+                {
+                    SourceFile = file,
+                    RelativePath = Path.GetRelativePath(sourceSnippetsDir, file).Replace("\\", "/"),
+                    DestFile = Path.Combine(destSnippetsDir, Path.GetRelativePath(sourceSnippetsDir, file))
+                })
+                .ToList();
 
-            // Rewrite CSS url() functions
-            content = CssUrlRegex().Replace(content, match =>
+            // Only rewrite the files that were just copied, so scripts left over from an earlier build are not prefixed twice
+            var scriptFiles = new List<(string SourceFile, string DestFile)>();
+            foreach (var snippetFile in snippetFiles)
             {
-                if (IsInCodeBlock(match.Index, codeBlockRanges))
+                var destFile = snippetFile.DestFile;
+                if (IsSharedSnippet(snippetFile.RelativePath, destinationPath))
                 {
-                    return match.Value;
+                    if (!writtenSharedSnippets.Add(snippetFile.RelativePath))
+                    {
+                        File.Delete(destFile);
+                        continue;
+                    }
+
+                    var sharedFile = Path.Combine(sharedSnippetsDir, snippetFile.RelativePath);
+                    Directory.CreateDirectory(Path.GetDirectoryName(sharedFile)!);
+                    File.Move(destFile, sharedFile, overwrite: true);
+                    destFile = sharedFile;
                 }
 
-                var path = match.Groups["path"].Value;
-                var rewrittenPath = RewritePath(path, destinationPath);
+                if (ScriptExtensions.Contains(Path.GetExtension(snippetFile.SourceFile)))
+                {
+                    scriptFiles.Add((snippetFile.SourceFile, destFile));
+                }
+            }
 
-                return $"url({rewrittenPath})";
+            await Parallel.ForEachAsync(scriptFiles, async (scriptFile, ct) =>
+            {
+                var content = await File.ReadAllTextAsync(scriptFile.DestFile, ct);
+                var rewrittenContent = RewriteSnippetContent(content, destinationPath, scriptFile.SourceFile, sourceDir);
+                await File.WriteAllTextAsync(scriptFile.DestFile, rewrittenContent, ct);
             });
+        }
+
+        /// <inheritdoc />
+        /// <remarks>
+        /// Paths to snippets that are shared with other references point at <c>/snippets/shared/</c> instead of the reference's own folder.
+        /// </remarks>
+        protected override string RewritePath(string originalPath, string destinationPath)
+        {
+            if (originalPath is not null && originalPath.StartsWith("/snippets/", StringComparison.OrdinalIgnoreCase))
+            {
+                var relativePath = originalPath.Substring("/snippets/".Length);
+                if (IsSharedSnippet(relativePath, destinationPath))
+                {
+                    return $"/snippets/{SharedSnippetsPath}/{relativePath}";
+                }
+            }
 
-            return content;
+            return base.RewritePath(originalPath!, destinationPath);
         }
 
         #endregion
@@ -262,7 +591,9 @@ namespace CloudNimble.DotNetDocs.Mintlify
                     {
                         // Read, rewrite, and write content
                         var content = File.ReadAllText(fileInfo.SourceFile);
-                        var rewrittenContent = RewriteMintlifyContent(content, destinationPath);
+                        var rewrittenContent = ScriptExtensions.Contains(fileInfo.Extension)
+                            ? RewriteSnippetContent(content, destinationPath, fileInfo.SourceFile, baseSourceDir)
+                            : RewriteMintlifyContent(content, destinationPath, fileInfo.SourceFile, baseSourceDir);
                         File.WriteAllText(fileInfo.DestFile, rewrittenContent);
                     }
                     else
@@ -302,7 +633,7 @@ namespace CloudNimble.DotNetDocs.Mintlify
         /// </summary>
         /// <param name="content">The content to analyze.</param>
         /// <returns>A list of tuples representing (start, end) positions of code blocks.</returns>
-        private List<(int Start, int End)> FindCodeBlockRangesInternal(string content)
+        private static List<(int Start, int End)> FindCodeBlockRangesInternal(string content)
         {
             var ranges = new List<(int Start, int End)>();
             var lines = content.Split('\n');
@@ -343,6 +674,527 @@ namespace CloudNimble.DotNetDocs.Mintlify
             return ranges;
         }
 
+        /// <summary>
+        /// Finds the index of the closing brace that matches an opening brace, skipping strings, template literals and comments.
+        /// </summary>
+        /// <param name="content">The content to scan.</param>
+        /// <param name="openIndex">The index of the opening brace.</param>
+        /// <returns>The index of the matching closing brace, or -1 if there isn't one.</returns>
+        private static int FindClosingBrace(string content, int openIndex)
+        {
+            var depth = 0;
+            for (var i = openIndex; i < content.Length; i++)
+            {
+                switch (content[i])
+                {
+                    case '{':
+                        depth++;
+                        break;
+                    case '}':
+                        if (--depth == 0)
+                        {
+                            return i;
+                        }
+                        break;
+                    case '"' or '\'':
+                        // JavaScript strings end on the same line, which also stops an apostrophe in JSX text from running away
+                        var quote = content[i];
+                        for (i++; i < content.Length && content[i] != quote; i++)
+                        {
+                            if (content[i] == '\n')
+                            {
+                                return -1;
+                            }
+                            if (content[i] == '\\')
+                            {
+                                i++;
+                            }
+                        }
+                        break;
+                    case '`':
+                        for (i++; i < content.Length && content[i] != '`'; i++)
+                        {
+                            if (content[i] == '\\')
+                            {
+                                i++;
+                            }
+                            else if (content[i] == '$' && i + 1 < content.Length && content[i + 1] == '{')
+                            {
+                                i = FindClosingBrace(content, i + 1);
+                                if (i < 0)
+                                {
+                                    return -1;
+                                }
+                            }
+                        }
+                        break;
+                    case '/' when i + 1 < content.Length && content[i + 1] == '*':
+                        i = content.IndexOf("*/", i + 2, StringComparison.Ordinal);
+                        if (i < 0)
+                        {
+                            return -1;
+                        }
+                        i++;
+                        break;
+                    case '/' when i + 1 < content.Length && content[i + 1] == '/':
+                        i = content.IndexOf('\n', i);
+                        if (i < 0)
+                        {
+                            return -1;
+                        }
+                        break;
+                }
+            }
+
+            return -1;
+        }
+
+        /// <summary>
+        /// Finds the end of an inline code span that starts with a run of backticks.
+        /// </summary>
+        /// <returns>The index after the closing backticks, or after the opening run when the span isn't closed.</returns>
+        private static int FindCodeSpanEnd(string content, int start)
+        {
+            var length = 0;
+            while (start + length < content.Length && content[start + length] == '`')
+            {
+                length++;
+            }
+
+            var end = content.IndexOf(new string('`', length), start + length, StringComparison.Ordinal);
+            return end < 0 ? start + length : end + length;
+        }
+
+        /// <summary>
+        /// Finds the end of an MDX import or export block, which runs until the next blank line.
+        /// </summary>
+        /// <returns>The index of the line break before the blank line, or the end of the content.</returns>
+        private static int FindEsmBlockEnd(string content, int start)
+        {
+            var lineEnd = content.IndexOf('\n', start);
+            while (lineEnd >= 0)
+            {
+                var nextLineEnd = content.IndexOf('\n', lineEnd + 1);
+                var nextLine = content.AsSpan(lineEnd + 1, (nextLineEnd < 0 ? content.Length : nextLineEnd) - lineEnd - 1);
+                if (nextLine.IsWhiteSpace())
+                {
+                    return lineEnd;
+                }
+
+                lineEnd = nextLineEnd;
+            }
+
+            return content.Length;
+        }
+
+        /// <summary>
+        /// Finds the end of the YAML frontmatter at the top of a page.
+        /// </summary>
+        /// <returns>The index after the closing <c>---</c>, or 0 when the page has no frontmatter.</returns>
+        private static int FindFrontmatterEnd(string content)
+        {
+            if (!content.StartsWith("---", StringComparison.Ordinal))
+            {
+                return 0;
+            }
+
+            var close = content.IndexOf("\n---", 3, StringComparison.Ordinal);
+            return close < 0 ? 0 : close + 4;
+        }
+
+        /// <summary>
+        /// Finds the <c>&gt;</c> that ends a JSX tag, skipping quoted attribute values and attribute expressions.
+        /// </summary>
+        /// <returns>The index of the closing <c>&gt;</c>, or -1 if the text isn't a complete tag.</returns>
+        private static int FindJsxTagEnd(string content, int start)
+        {
+            for (var i = start + 1; i < content.Length; i++)
+            {
+                switch (content[i])
+                {
+                    case '"' or '\'':
+                        i = content.IndexOf(content[i], i + 1);
+                        if (i < 0)
+                        {
+                            return -1;
+                        }
+                        break;
+                    case '{':
+                        i = FindClosingBrace(content, i);
+                        if (i < 0)
+                        {
+                            return -1;
+                        }
+                        break;
+                    case '<':
+                        return -1;
+                    case '>':
+                        return i;
+                }
+            }
+
+            return -1;
+        }
+
+        /// <summary>
+        /// Gets the patterns of the files that are not copied as content, including the resource directories relocated separately.
+        /// </summary>
+        private List<string> GetContentExclusionPatterns()
+        {
+            var exclusionPatterns = GetExclusionPatternsForDocumentationType(SupportedDocumentationType.Mintlify);
+
+            // Add resource directories to exclusion (they get relocated separately)
+            foreach (var resourceDir in ResourceDirectoriesToRelocate)
+            {
+                exclusionPatterns.Add($"{resourceDir}/**/*");
+            }
+
+            return exclusionPatterns;
+        }
+
+        /// <summary>
+        /// Determines whether an MDX expression only holds a comment, like <c>{/* TODO */}</c>.
+        /// </summary>
+        private static bool IsCommentExpression(string content, int start, int end)
+        {
+            var expression = content.AsSpan(start, end - start).Trim();
+            return expression.IsEmpty ||
+                (expression.Length >= 4 && expression.StartsWith("/*") && expression.EndsWith("*/") && expression[2..^2].IndexOf("*/") < 0);
+        }
+
+        /// <summary>
+        /// Determines whether an MDX import or export block starts at a position.
+        /// </summary>
+        private static bool IsEsmBlockStart(string content, int index)
+        {
+            if (index > 0 && content[index - 1] != '\n')
+            {
+                return false;
+            }
+
+            var line = content.AsSpan(index);
+            return (line.StartsWith("import") || line.StartsWith("export")) &&
+                line.Length > 6 && (char.IsWhiteSpace(line[6]) || line[6] is '{' or '*' or '\'' or '"');
+        }
+
+        /// <summary>
+        /// Determines whether a path is inside a directory or one of its subdirectories.
+        /// </summary>
+        private static bool IsInDirectory(string path, string directory)
+        {
+            var relativePath = Path.GetRelativePath(directory, path);
+            return relativePath != ".."
+                && !relativePath.StartsWith($"..{Path.DirectorySeparatorChar}", StringComparison.Ordinal)
+                && !Path.IsPathRooted(relativePath);
+        }
+
+        /// <summary>
+        /// Determines whether a JSX tag, like <c>&lt;Card</c> or <c>&lt;img</c>, starts at a position.
+        /// </summary>
+        /// <remarks>
+        /// Autolinks like <c>&lt;https://example.com&gt;</c>, closing tags and comparisons like <c>a &lt; b</c> aren't tags.
+        /// </remarks>
+        private static bool IsJsxTagStart(string content, int index)
+        {
+            var i = index + 1;
+            if (i >= content.Length || !char.IsAsciiLetter(content[i]))
+            {
+                return false;
+            }
+
+            while (i < content.Length && (char.IsAsciiLetterOrDigit(content[i]) || content[i] is '.' or '-' or '_'))
+            {
+                i++;
+            }
+
+            return i < content.Length && (char.IsWhiteSpace(content[i]) || content[i] is '/' or '>');
+        }
+
+        /// <summary>
+        /// Determines whether a reference's snippet is written to the shared folder instead of the reference's own.
+        /// </summary>
+        /// <param name="relativePath">The path of the snippet inside the <c>snippets</c> folder, with forward slashes.</param>
+        /// <param name="destinationPath">The destination path of the reference.</param>
+        private bool IsSharedSnippet(string relativePath, string destinationPath)
+        {
+            return sharedSnippets.TryGetValue(relativePath, out var destinationPaths) && destinationPaths.Contains(destinationPath);
+        }
+
+        /// <summary>
+        /// Determines whether an imported file is a script or MDX file that is relocated with the snippets.
+        /// </summary>
+        private static bool IsRelocatableModule(string path)
+        {
+            var extension = Path.GetExtension(path);
+            return ScriptExtensions.Contains(extension) || PageExtensions.Contains(extension);
+        }
+
+        /// <summary>
+        /// Reads the imports of a page or script, with the source files they resolve to.
+        /// </summary>
+        /// <param name="filePath">The full path of the page or script.</param>
+        /// <param name="sourceRoot">The full path of the root of the referenced documentation.</param>
+        /// <returns>The imports in the order they appear in the file.</returns>
+        /// <remarks>
+        /// The JSX parser can't read TypeScript, so the imports of <c>.ts</c> and <c>.tsx</c> snippets are not followed.
+        /// </remarks>
+        private async Task<List<(string Specifier, string? ModulePath, bool IsDynamic, int Line, int Column)>> ReadModuleImportsAsync(string filePath, string sourceRoot)
+        {
+            var extension = Path.GetExtension(filePath);
+            if (TypeScriptExtensions.Contains(extension))
+            {
+                return [];
+            }
+
+            var content = await File.ReadAllTextAsync(filePath);
+
+            // Nothing is rewritten here, the parse only collects the module specifiers
+            var rewriter = new ScriptPathRewriter(content, path => path);
+            if (ScriptExtensions.Contains(extension))
+            {
+                rewriter.TryRewriteModule(0, content.Length);
+            }
+            else
+            {
+                ScanMintlifyContent(content, rewriter);
+            }
+
+            return rewriter.ModuleSpecifiers
+                .OrderBy(import => import.Line)
+                .ThenBy(import => import.Column)
+                .Select(import => (import.Specifier, ResolveModulePath(import.Specifier, filePath, sourceRoot), import.IsDynamic, import.Line, import.Column))
+                .ToList();
+        }
+
+        /// <summary>
+        /// Follows the imports of every page through the snippets they load, and relocates the modules outside the <c>snippets</c> folder.
+        /// </summary>
+        /// <param name="sourceDir">The root of the referenced documentation.</param>
+        /// <param name="documentationRootPath">The root of the collection documentation.</param>
+        /// <param name="destinationPath">The destination path prefix.</param>
+        /// <returns>A task representing the asynchronous operation.</returns>
+        /// <remarks>
+        /// <para>
+        /// The graph starts at every page that is copied as content and follows <c>import</c>, <c>export ... from</c> and
+        /// <c>import()</c> through each script and MDX file they load. Modules from the source <c>snippets</c> folder were already
+        /// relocated with it; every other module is copied to <c>/snippets/{DestinationPath}/</c>, where
+        /// <see cref="RewriteModulePath(string, string, string, string)"/> points its importers.
+        /// </para>
+        /// <para>
+        /// Imports of files that don't exist in the referenced documentation, and static imports that form a cycle, are reported
+        /// as errors, because the pages that load them would break in the assembled collection.
+        /// </para>
+        /// </remarks>
+        private async Task RelocateSnippetDependenciesAsync(string sourceDir, string documentationRootPath, string destinationPath)
+        {
+            if (!Directory.Exists(sourceDir))
+            {
+                return;
+            }
+
+            var sourceRoot = Path.GetFullPath(sourceDir);
+            var exclusionPatterns = GetContentExclusionPatterns();
+            var pages = Directory.GetFiles(sourceRoot, "*", SearchOption.AllDirectories)
+                .Where(file => PageExtensions.Contains(Path.GetExtension(file)))
+                .Where(file => !ShouldExcludeFile(Path.GetRelativePath(sourceRoot, file).Replace("\\", "/"), exclusionPatterns))
+                .Order(StringComparer.Ordinal)
+                .ToList();
+
+            var imports = new Dictionary<string, List<(string Specifier, string? ModulePath, bool IsDynamic, int Line, int Column)>>(StringComparer.Ordinal);
+            var pending = new Queue<string>(pages);
+            var reached = new HashSet<string>(pages, StringComparer.Ordinal);
+
+            while (pending.Count > 0)
+            {
+                var filePath = pending.Dequeue();
+                imports[filePath] = await ReadModuleImportsAsync(filePath, sourceRoot);
+
+                foreach (var (specifier, modulePath, _, line, column) in imports[filePath])
+                {
+                    if (modulePath is null)
+                    {
+                        continue;
+                    }
+
+                    if (!IsInDirectory(modulePath, sourceRoot) || !File.Exists(modulePath))
+                    {
+                        ReportDiagnostic(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Error, MintlifyDiagnosticCodes.ModuleNotFound,
+                            $"The module '{specifier}' does not exist in the referenced documentation, so it can't be relocated for the collection.",
+                            filePath, line, column));
+                        continue;
+                    }
+
+                    if (IsRelocatableModule(modulePath) && reached.Add(modulePath))
+                    {
+                        pending.Enqueue(modulePath);
+                    }
+                }
+            }
+
+            ReportImportCycles(imports, sourceRoot);
+
+            var sourceSnippetsDir = Path.Combine(sourceRoot, "snippets");
+            var modules = reached
+                .Except(pages)
+                .Where(modulePath => !IsInDirectory(modulePath, sourceSnippetsDir))
+                .Select(modulePath => new
+                {
+                    SourceFile = modulePath,
+                    ContentFile = Path.Combine(documentationRootPath, destinationPath, Path.GetRelativePath(sourceRoot, modulePath)),
+                    DestFile = Path.Combine(documentationRootPath, "snippets", destinationPath, Path.GetRelativePath(sourceRoot, modulePath)),
+                    Extension = Path.GetExtension(modulePath)
+                })
+                .ToList();
+
+            await Parallel.ForEachAsync(modules, async (module, ct) =>
+            {
+                Directory.CreateDirectory(Path.GetDirectoryName(module.DestFile)!);
+
+                // Files copied as content were already rewritten, and their warnings reported, in step 1
+                if (RewriteExtensions.Contains(module.Extension) && File.Exists(module.ContentFile))
+                {
+                    File.Copy(module.ContentFile, module.DestFile, overwrite: true);
+                    return;
+                }
+
+                var content = await File.ReadAllTextAsync(module.SourceFile, ct);
+                var rewrittenContent = ScriptExtensions.Contains(module.Extension)
+                    ? RewriteSnippetContent(content, destinationPath, module.SourceFile, sourceRoot)
+                    : RewriteMintlifyContent(content, destinationPath, module.SourceFile, sourceRoot);
+                await File.WriteAllTextAsync(module.DestFile, rewrittenContent, ct);
+            });
+        }
+
+        /// <summary>
+        /// Reports every static import that closes a cycle in the snippet dependency graph as an error.
+        /// </summary>
+        /// <param name="imports">The imports of every page and module in the graph.</param>
+        /// <param name="sourceRoot">The full path of the root of the referenced documentation.</param>
+        /// <remarks>
+        /// <c>import()</c> loads its module after the importer has finished evaluating, so it never closes a cycle.
+        /// </remarks>
+        private void ReportImportCycles(
+            Dictionary<string, List<(string Specifier, string? ModulePath, bool IsDynamic, int Line, int Column)>> imports,
+            string sourceRoot)
+        {
+            // True while a file is on the current import chain, false once all of its imports have been followed
+            var onChain = new Dictionary<string, bool>(StringComparer.Ordinal);
+            var chain = new List<string>();
+
+            foreach (var filePath in imports.Keys.Order(StringComparer.Ordinal))
+            {
+                if (!onChain.ContainsKey(filePath))
+                {
+                    Visit(filePath);
+                }
+            }
+
+            void Visit(string filePath)
+            {
+                onChain[filePath] = true;
+                chain.Add(filePath);
+
+                foreach (var (_, modulePath, isDynamic, line, column) in imports[filePath])
+                {
+                    if (isDynamic || modulePath is null || !imports.ContainsKey(modulePath))
+                    {
+                        continue;
+                    }
+
+                    if (!onChain.TryGetValue(modulePath, out var isOnChain))
+                    {
+                        Visit(modulePath);
+                    }
+                    else if (isOnChain)
+                    {
+                        var cycle = chain
+                            .Skip(chain.IndexOf(modulePath))
+                            .Append(modulePath)
+                            .Select(path => Path.GetRelativePath(sourceRoot, path).Replace("\\", "/"));
+                        ReportDiagnostic(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Error, MintlifyDiagnosticCodes.ImportCycle,
+                            $"These imports form a cycle: {string.Join(" -> ", cycle)}. Move the code they share into a module that none of them import.",
+                            filePath, line, column));
+                    }
+                }
+
+                chain.RemoveAt(chain.Count - 1);
+                onChain[filePath] = false;
+            }
+        }
+
+        /// <summary>
+        /// Rewrites the absolute paths inside a snippet's JavaScript, optionally without reporting the paths that can't be rewritten.
+        /// </summary>
+        /// <remarks>
+        /// Deciding which snippets to share rewrites them once for every reference just to compare the results, which
+        /// shouldn't report the same warnings again.
+        /// </remarks>
+        private string RewriteSnippetContent(string content, string destinationPath, string? filePath, string? sourceRoot, bool reportIssues)
+        {
+            if (string.IsNullOrWhiteSpace(content) || string.IsNullOrWhiteSpace(destinationPath))
+            {
+                return content;
+            }
+
+            if (filePath is not null && TypeScriptExtensions.Contains(Path.GetExtension(filePath)))
+            {
+                return ScriptPathRegex().Replace(content, match =>
+                {
+                    var path = match.Groups["path"];
+                    var offset = path.Index - match.Index;
+
+                    return string.Concat(
+                        match.Value.AsSpan(0, offset),
+                        RewritePath(path.Value, destinationPath),
+                        match.Value.AsSpan(offset + path.Length));
+                });
+            }
+
+            var rewriter = new ScriptPathRewriter(content,
+                path => RewritePath(path, destinationPath),
+                specifier => RewriteModulePath(specifier, destinationPath, filePath, sourceRoot));
+            rewriter.TryRewriteModule(0, content.Length);
+            if (reportIssues)
+            {
+                ReportRewriteIssues(rewriter, filePath);
+            }
+
+            return rewriter.Apply();
+        }
+
+        /// <summary>
+        /// Reports the issues found by a <see cref="ScriptPathRewriter"/> as warnings for a file.
+        /// </summary>
+        private void ReportRewriteIssues(ScriptPathRewriter rewriter, string? filePath)
+        {
+            foreach (var (code, line, column, message) in rewriter.Issues)
+            {
+                ReportDiagnostic(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, code, message, filePath, line, column));
+            }
+        }
+
+        /// <summary>
+        /// Resolves an import specifier to the source file it loads.
+        /// </summary>
+        /// <param name="specifier">The module specifier as written in the import.</param>
+        /// <param name="filePath">The full path of the file that contains the import.</param>
+        /// <param name="sourceRoot">The full path of the root of the referenced documentation, which absolute specifiers start from.</param>
+        /// <returns>The full path of the module, or <see langword="null"/> for packages and URLs.</returns>
+        private static string? ResolveModulePath(string specifier, string filePath, string sourceRoot)
+        {
+            if (specifier.StartsWith('/') && !specifier.StartsWith("//", StringComparison.Ordinal))
+            {
+                return Path.GetFullPath(Path.Combine(sourceRoot, specifier.TrimStart('/')));
+            }
+
+            if (specifier.StartsWith("./", StringComparison.Ordinal) || specifier.StartsWith("../", StringComparison.Ordinal))
+            {
+                return Path.GetFullPath(Path.Combine(Path.GetDirectoryName(filePath)!, specifier));
+            }
+
+            return null;
+        }
+
         #endregion
 
     }
@@ -0,0 +1,233 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading.Tasks;
+using CloudNimble.DotNetDocs.Core;
+
+namespace CloudNimble.DotNetDocs.Mintlify
+{
+
+    /// <summary>
+    /// Checks that the links and asset paths in Mintlify pages and snippets point at something in the generated documentation.
+    /// </summary>
+    /// <remarks>
+    /// <para>
+    /// The validator reads every MDX page and JavaScript snippet under the documentation root with a <see cref="ScriptPathRewriter"/>,
+    /// which finds the values of <c>href</c> and <c>src</c> attributes and properties, strings that start with <c>/images/</c> or
+    /// <c>/snippets/</c>, and CSS <c>url()</c> functions. Each path that starts at the site root is then checked against the output:
+    /// </para>
+    /// <list type="bullet">
+    /// <item><description>Paths with a file extension, like <c>/images/logo.svg</c>, must be files under the documentation root.</description></item>
+    /// <item><description>Other paths, like <c>/quickstart</c>, must be pages: an <c>.mdx</c> or <c>.md</c> file, or a folder with an <c>index</c> page.</description></item>
+    /// <item><description>Links to pages must not open in a new tab with <c>target="_blank"</c>.</description></item>
+    /// </list>
+    /// <para>
+    /// External URLs, relative paths, Markdown links and paths computed at runtime aren't checked.
+    /// </para>
+    /// </remarks>
+    public class MintlifyLinkValidator : IDocValidator
+    {
+
+        #region Private Fields
+
+        /// <summary>
+        /// Directories that hold tooling or build output instead of documentation.
+        /// </summary>
+        private static readonly HashSet<string> ExcludedDirectories = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "bin",
+            "node_modules",
+            "obj"
+        };
+
+        /// <summary>
+        /// File extensions of the pages, which are also the files that links can point at.
+        /// </summary>
+        private static readonly HashSet<string> PageExtensions = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ".md",
+            ".mdx"
+        };
+
+        /// <summary>
+        /// File extensions of the snippet scripts that the JSX parser can read.
+        /// </summary>
+        private static readonly HashSet<string> ScriptExtensions = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ".js",
+            ".jsx",
+            ".mjs"
+        };
+
+        private readonly List<DocumentationDiagnostic> diagnostics = [];
+
+        #endregion
+
+        #region Properties
+
+        /// <inheritdoc />
+        public IReadOnlyCollection<DocumentationDiagnostic> Diagnostics => diagnostics;
+
+        #endregion
+
+        #region Public Methods
+
+        /// <inheritdoc />
+        public async Task ValidateAsync(string documentationRootPath)
+        {
+            ArgumentException.ThrowIfNullOrWhiteSpace(documentationRootPath);
+
+            diagnostics.Clear();
+
+            if (!Directory.Exists(documentationRootPath))
+            {
+                return;
+            }
+
+            var rootPath = Path.GetFullPath(documentationRootPath);
+            var files = new List<string>();
+            FindFiles(rootPath, files);
+
+            var pageRoutes = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var filePath in files.Where(file => PageExtensions.Contains(Path.GetExtension(file))))
+            {
+                AddPageRoutes(Path.GetRelativePath(rootPath, filePath).Replace('\\', '/'), pageRoutes);
+            }
+
+            foreach (var filePath in files)
+            {
+                var extension = Path.GetExtension(filePath);
+                var isPage = PageExtensions.Contains(extension);
+                if (!isPage && !ScriptExtensions.Contains(extension))
+                {
+                    continue;
+                }
+
+                var content = await File.ReadAllTextAsync(filePath);
+                var rewriter = new ScriptPathRewriter(content, path => path);
+                if (isPage)
+                {
+                    MintlifyDocReferenceHandler.ScanMintlifyContent(content, rewriter);
+                }
+                else
+                {
+                    rewriter.TryRewriteModule(0, content.Length);
+                }
+
+                foreach (var (path, line, column) in rewriter.Paths)
+                {
+                    ValidatePath(path, rootPath, pageRoutes, filePath, line, column);
+                }
+
+                foreach (var (href, line, column) in rewriter.NewTabLinks.Where(link => IsSiteRootPath(link.Href)))
+                {
+                    diagnostics.Add(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, MintlifyDiagnosticCodes.InternalLinkOpensNewTab,
+                        $"The link to '{href}' opens a page of this site in a new tab. Remove target=\"_blank\" so it opens like every other link between pages.",
+                        filePath, line, column));
+                }
+            }
+        }
+
+        #endregion
+
+        #region Private Methods
+
+        /// <summary>
+        /// Adds the routes that a page is served at, which include its folder for <c>index</c> pages.
+        /// </summary>
+        /// <param name="relativePath">The path of the page from the documentation root, with forward slashes.</param>
+        /// <param name="pageRoutes">The routes found so far, without leading slashes.</param>
+        private static void AddPageRoutes(string relativePath, HashSet<string> pageRoutes)
+        {
+            // Snippets are imported into pages, so they don't have routes of their own
+            if (relativePath.StartsWith("snippets/", StringComparison.OrdinalIgnoreCase))
+            {
+                return;
+            }
+
+            var route = relativePath.Substring(0, relativePath.Length - Path.GetExtension(relativePath).Length);
+            pageRoutes.Add(route);
+
+            if (route.EndsWith("/index", StringComparison.OrdinalIgnoreCase))
+            {
+                pageRoutes.Add(route.Substring(0, route.Length - "/index".Length));
+            }
+        }
+
+        /// <summary>
+        /// Finds the files under a directory, skipping hidden directories and the ones that hold tooling or build output.
+        /// </summary>
+        /// <param name="directory">The directory to search.</param>
+        /// <param name="files">The list to add the full path of each file to.</param>
+        private static void FindFiles(string directory, List<string> files)
+        {
+            files.AddRange(Directory.GetFiles(directory));
+
+            foreach (var subDirectory in Directory.GetDirectories(directory))
+            {
+                var name = Path.GetFileName(subDirectory);
+                if (!name.StartsWith('.') && !ExcludedDirectories.Contains(name))
+                {
+                    FindFiles(subDirectory, files);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Determines whether a path starts at the root of the documentation site, as opposed to a URL or a relative path.
+        /// </summary>
+        private static bool IsSiteRootPath(string path)
+        {
+            return path.StartsWith('/') && !path.StartsWith("//", StringComparison.Ordinal);
+        }
+
+        /// <summary>
+        /// Checks that a path points at a page or file of the documentation, and reports it if it doesn't.
+        /// </summary>
+        /// <param name="path">The path as written.</param>
+        /// <param name="rootPath">The full path of the documentation root.</param>
+        /// <param name="pageRoutes">The routes of every page, without leading slashes.</param>
+        /// <param name="filePath">The full path of the file that contains the path.</param>
+        /// <param name="line">The one-based line of the path.</param>
+        /// <param name="column">The one-based column of the path.</param>
+        private void ValidatePath(string path, string rootPath, HashSet<string> pageRoutes, string filePath, int line, int column)
+        {
+            if (!IsSiteRootPath(path))
+            {
+                return;
+            }
+
+            var end = path.IndexOfAny(['#', '?']);
+            var relativePath = Uri.UnescapeDataString(end >= 0 ? path.Substring(0, end) : path).Trim('/');
+
+            // Mintlify serves the first page in the navigation at the site root when there's no index page
+            if (relativePath.Length == 0)
+            {
+                return;
+            }
+
+            // Page routes can contain dots, like namespace pages, so they are checked before files
+            var extension = Path.GetExtension(relativePath);
+            var isPage = PageExtensions.Contains(extension);
+            var isAsset = extension.Length > 0 && !isPage;
+            if (pageRoutes.Contains(isPage ? relativePath.Substring(0, relativePath.Length - extension.Length) : relativePath) ||
+                (isAsset && File.Exists(Path.Combine(rootPath, relativePath))))
+            {
+                return;
+            }
+
+            diagnostics.Add(isAsset
+                ? new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, MintlifyDiagnosticCodes.MissingAsset,
+                    $"'{path}' doesn't match any file in the documentation, so it won't load. Add the file or fix the path.",
+                    filePath, line, column)
+                : new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, MintlifyDiagnosticCodes.BrokenLink,
+                    $"'{path}' doesn't match any page in the documentation, so the link is broken. Add the page or fix the path.",
+                    filePath, line, column));
+        }
+
+        #endregion
+
+    }
+
+}
@@ -3,6 +3,8 @@ using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
 using System.Threading.Tasks;
 using CloudNimble.DotNetDocs.Core;
 using CloudNimble.DotNetDocs.Core.Configuration;
@@ -38,9 +40,44 @@ namespace CloudNimble.DotNetDocs.Mintlify
         /// </summary>
         private const string MemberIconType = "duotone";
 
+        /// <summary>
+        /// The file name of the generated stylesheet that exposes the docs.json brand colors to the snippets.
+        /// </summary>
+        internal const string BrandColorsStylesheetFileName = "dotnetdocs-colors.css";
+
+        /// <summary>
+        /// The file name of the generated stylesheet that holds the styles of the member badges and the member filter toolbar.
+        /// </summary>
+        internal const string MemberStylesheetFileName = "dotnetdocs-members.css";
+
+        /// <summary>
+        /// The file name of the generated snippet that renders the member provenance badges on type pages.
+        /// </summary>
+        internal const string DocsBadgeSnippetFileName = "DocsBadge.jsx";
+
+        /// <summary>
+        /// The file name of the generated snippet that renders the member filter toolbar at the top of type pages.
+        /// </summary>
+        internal const string ProvenanceFilterSnippetFileName = "ProvenanceFilter.jsx";
+
+        /// <summary>
+        /// The file name of the generated snippet that renders the inheritance tree on class and interface pages.
+        /// </summary>
+        internal const string TypeHierarchySnippetFileName = "TypeHierarchy.jsx";
+
+        /// <summary>
+        /// The file name of the generated snippet that shows one overload at a time for methods and constructors with several signatures.
+        /// </summary>
+        internal const string OverloadsSnippetFileName = "Overloads.jsx";
+
         private readonly MintlifyRendererOptions _options;
         internal readonly DocsJsonManager? _docsJsonManager;
 
+        /// <summary>
+        /// The documented types keyed by symbol, with the namespace each one is rendered under. Used to link the type hierarchy nodes to their pages.
+        /// </summary>
+        private readonly Dictionary<ITypeSymbol, (DocType Type, DocNamespace Namespace)> _documentedTypes = new(SymbolEqualityComparer.Default);
+
         #endregion
 
         #region Constructors
@@ -97,10 +134,24 @@ namespace CloudNimble.DotNetDocs.Mintlify
                 // Ensure all necessary directories exist based on the file naming mode
                 Context.EnsureOutputDirectoryStructure(model, apiOutputPath);
 
-                // Create DocsBadge component snippet for Mintlify (used by inherited/extension member badges)
-                // RWM: This returns a no-op for now but the code is commented out in case we want to do other snippets.
+                // Create DocsBadge component snippet for Mintlify (used by the member provenance badges on type pages)
                 await CreateDocsBadgeSnippetAsync();
 
+                // Create ProvenanceFilter component snippet for Mintlify (used by the member filter toolbar on type pages)
+                await CreateProvenanceFilterSnippetAsync();
+
+                // Create the stylesheet shared by the DocsBadge and ProvenanceFilter snippets, so the styles load once per site
+                await CreateMemberStylesheetAsync();
+
+                // Create TypeHierarchy component snippet for Mintlify (used by the inheritance tree on class and interface pages)
+                await CreateTypeHierarchySnippetAsync();
+
+                // Create Overloads component snippet for Mintlify (used by the overload switcher on type pages)
+                await CreateOverloadsSnippetAsync();
+
+                // Index the documented types so the type hierarchies can link to their pages and find derived types
+                IndexDocumentedTypes(model);
+
                 // Render assembly overview
                 await RenderAssemblyAsync(model, apiOutputPath);
 
@@ -168,6 +219,9 @@ namespace CloudNimble.DotNetDocs.Mintlify
                 // Write docs.json to the DocumentationRootPath (only once, with everything combined)
                 var docsJsonPath = Path.Combine(Context.DocumentationRootPath, "docs.json");
                 _docsJsonManager.Save(docsJsonPath);
+
+                // Expose the docs.json brand colors to the landing snippets as CSS variables
+                await CreateBrandColorsStylesheetAsync(_docsJsonManager.Configuration!.Colors);
             }
         }
 
@@ -658,13 +712,17 @@ namespace CloudNimble.DotNetDocs.Mintlify
             sb.AppendLine("---");
             sb.AppendLine();
 
-            // Add snippet import for DocType pages to support DocsBadge component
-            // RWM: Commenting this out for now but leaving it in case we want to use other snippets
-            //if (entity is DocType)
-            //{
-            //    sb.AppendLine("import { DocsBadge } from '/snippets/DocsBadge.jsx';");
-            //    sb.AppendLine();
-            //}
+            // Add snippet imports for DocType pages to support the DocsBadge component next to member headings,
+            // the ProvenanceFilter toolbar at the top of the page, the TypeHierarchy tree in the definition and the
+            // Overloads switcher around members with several signatures
+            if (entity is DocType)
+            {
+                sb.AppendLine($"import {{ DocsBadge }} from '/snippets/{DocsBadgeSnippetFileName}';");
+                sb.AppendLine($"import {{ ProvenanceFilter }} from '/snippets/{ProvenanceFilterSnippetFileName}';");
+                sb.AppendLine($"import {{ TypeHierarchy }} from '/snippets/{TypeHierarchySnippetFileName}';");
+                sb.AppendLine($"import {{ Overloads, Overload }} from '/snippets/{OverloadsSnippetFileName}';");
+                sb.AppendLine();
+            }
 
             return sb.ToString();
         }
@@ -1041,6 +1099,13 @@ namespace CloudNimble.DotNetDocs.Mintlify
             // Add frontmatter with namespace context
             sb.Append(GenerateFrontmatter(type, ns));
 
+            // Add the member filter toolbar for types that render member sections
+            if (type is not DocEnum && type.Members.Any())
+            {
+                sb.AppendLine("<ProvenanceFilter />");
+                sb.AppendLine();
+            }
+
             //sb.AppendLine($"# {type.Name}");
             //sb.AppendLine();
 
@@ -1058,9 +1123,15 @@ namespace CloudNimble.DotNetDocs.Mintlify
                 sb.AppendLine($"**Inheritance:** {type.BaseType.Replace("<", "&lt;").Replace(">", "&gt;")}");
             }
 
-            // TODO: Add interface information when available in DocType
             sb.AppendLine();
 
+            // Inheritance tree with base types, implemented interfaces and derived types for class and interface pages
+            if (!type.IsExternalReference && type.TypeKind is TypeKind.Class or TypeKind.Interface)
+            {
+                sb.AppendLine(GetTypeHierarchyElement(type));
+                sb.AppendLine();
+            }
+
             // Type signature
             sb.AppendLine("## Syntax");
             sb.AppendLine();
@@ -1184,16 +1255,21 @@ namespace CloudNimble.DotNetDocs.Mintlify
                 }
             }
             // Render members for non-enum types
-            else
+            else if (type.Members.Any())
             {
-                var constructors = type.Members.Where(m => m.MemberKind == SymbolKind.Method && m.MethodKind == MethodKind.Constructor).ToList();
+                // The ProvenanceFilter toolbar sorts the sections inside this wrapper, leaving the page's own container alone
+                sb.AppendLine("<div data-dnd-members>");
+                sb.AppendLine();
+
+                // Constructors aren't inherited, so the base type constructors in the member list would only be noise
+                var constructors = type.Members.Where(m => m.MemberKind == SymbolKind.Method && m.MethodKind == MethodKind.Constructor && !m.IsInherited).ToList();
                 if (constructors.Any())
                 {
                     sb.AppendLine("## Constructors");
                     sb.AppendLine();
-                    foreach (var ctor in constructors)
+                    foreach (var overloads in constructors.GroupBy(c => c.Symbol.ContainingType?.ToDisplayString()))
                     {
-                        RenderMember(sb, ctor);
+                        RenderMemberGroup(sb, overloads.ToList());
                     }
                 }
 
@@ -1213,9 +1289,9 @@ namespace CloudNimble.DotNetDocs.Mintlify
                 {
                     sb.AppendLine("## Methods");
                     sb.AppendLine();
-                    foreach (var method in methods.OrderBy(m => m.Name))
+                    foreach (var overloads in methods.OrderBy(m => m.Name).GroupBy(m => m.Name))
                     {
-                        RenderMember(sb, method);
+                        RenderMemberGroup(sb, overloads.ToList());
                     }
                 }
 
@@ -1244,6 +1320,9 @@ namespace CloudNimble.DotNetDocs.Mintlify
                         }
                     }
                 }
+
+                sb.AppendLine("</div>");
+                sb.AppendLine();
             }
 
             // Exceptions for type (if any)
@@ -1286,6 +1365,48 @@ namespace CloudNimble.DotNetDocs.Mintlify
             await File.WriteAllTextAsync(filePath, sb.ToString());
         }
 
+        /// <summary>
+        /// Renders the members that share a name, wrapping them in the Overloads component when there is more than one.
+        /// </summary>
+        /// <param name="sb">The string builder for the type page.</param>
+        /// <param name="overloads">The members with the same name, in the order they should be listed.</param>
+        /// <remarks>
+        /// Each overload is rendered in full inside its own <c>Overload</c> element, so the component only has to show and hide
+        /// them. Overloads whose ids collide get a numeric suffix, so every one of them can still be linked to.
+        /// </remarks>
+        internal void RenderMemberGroup(StringBuilder sb, IReadOnlyList<DocMember> overloads)
+        {
+            if (overloads.Count == 1)
+            {
+                RenderMember(sb, overloads[0]);
+                return;
+            }
+
+            sb.AppendLine($"<Overloads name=\"{EscapeJsxAttribute(GetOverloadName(overloads[0]))}\">");
+            sb.AppendLine();
+
+            var ids = new HashSet<string>(StringComparer.Ordinal);
+            foreach (var overload in overloads)
+            {
+                var baseId = GetOverloadId(overload);
+                var id = baseId;
+                for (var suffix = 2; !ids.Add(id); suffix++)
+                {
+                    id = $"{baseId}-{suffix}";
+                }
+
+                var signature = overload.Signature ?? overload.DisplayName ?? overload.Name;
+                sb.AppendLine($"<Overload id=\"{id}\" label=\"{EscapeJsxAttribute(GetOverloadLabel(overload))}\" signature=\"{EscapeJsxAttribute(signature)}\">");
+                sb.AppendLine();
+                RenderMember(sb, overload);
+                sb.AppendLine("</Overload>");
+                sb.AppendLine();
+            }
+
+            sb.AppendLine("</Overloads>");
+            sb.AppendLine();
+        }
+
         internal void RenderMember(StringBuilder sb, DocMember member)
         {
             // Get the primary color from the template configuration or use default
@@ -1296,31 +1417,41 @@ namespace CloudNimble.DotNetDocs.Mintlify
 
             if (member.IsExtensionMethod)
             {
-                badges.Add("<Badge color=\"green\">Extension</Badge>");
+                badges.Add(GetDocsBadge("Extension", "success", !string.IsNullOrWhiteSpace(member.DeclaringTypeName)
+                    ? $"Extension method from {member.DeclaringTypeName}"
+                    : "Extension method from a static class"));
             }
 
             if (member.IsInherited && !member.IsOverride)
             {
-                badges.Add("<Badge color=\"gray\">Inherited</Badge>");
+                badges.Add(GetDocsBadge("Inherited", "neutral", !string.IsNullOrWhiteSpace(member.DeclaringTypeName)
+                    ? $"Inherited from {member.DeclaringTypeName}"
+                    : "Inherited from a base type"));
             }
 
             if (member.IsOverride)
             {
-                badges.Add("<Badge color=\"blue\">Override</Badge>");
+                badges.Add(GetDocsBadge("Override", "info", !string.IsNullOrWhiteSpace(member.OverriddenMember)
+                    ? $"Overrides {member.OverriddenMember}"
+                    : "Overrides a member of a base type"));
             }
 
             if (member.IsVirtual && !member.IsOverride)
             {
-                badges.Add("<Badge color=\"orange\">Virtual</Badge>");
+                badges.Add(GetDocsBadge("Virtual", "warning", "Virtual member; derived types can override it"));
             }
 
             if (member.IsAbstract)
             {
-                badges.Add("<Badge color=\"orange\">Abstract</Badge>");
+                badges.Add(GetDocsBadge("Abstract", "warning", "Abstract member; derived types must implement it"));
             }
 
             var badgeString = badges.Any() ? " " + string.Join(" ", badges) : "";
 
+            // Add the marker the ProvenanceFilter toolbar uses to find the member section that follows it
+            sb.AppendLine(GetMemberFilterMarker(member));
+            sb.AppendLine();
+
             // Add the member header with icon including iconType, color, size, and margin
             sb.AppendLine($"### <Icon icon=\"{MintlifyIcons.GetIconForMember(member)}\" iconType=\"{MemberIconType}\" color=\"{primaryColor}\" size={{{MemberIconSize}}} className=\"mr-2\" /> {member.Name}{badgeString}");
             sb.AppendLine();
@@ -1565,59 +1696,1481 @@ namespace CloudNimble.DotNetDocs.Mintlify
 
         #endregion
 
+        #region Internal Methods - Type Hierarchy
+
+        /// <summary>
+        /// Indexes the documented types in the model so type hierarchies can link to their pages and find derived types.
+        /// </summary>
+        /// <param name="model">The documentation assembly being rendered.</param>
+        internal void IndexDocumentedTypes(DocAssembly model)
+        {
+            _documentedTypes.Clear();
+            foreach (var ns in model.Namespaces)
+            {
+                foreach (var type in ns.Types)
+                {
+                    _documentedTypes.TryAdd(type.Symbol.OriginalDefinition, (type, ns));
+                }
+            }
+        }
+
+        /// <summary>
+        /// Builds the TypeHierarchy element with the inheritance data for the specified type.
+        /// </summary>
+        /// <param name="type">The class or interface being rendered.</param>
+        /// <returns>A <c>&lt;TypeHierarchy hierarchy={...} /&gt;</c> element with the hierarchy as a JSON object literal.</returns>
+        /// <remarks>
+        /// Base types run from the root of the chain down to the direct base type. Interfaces include every interface the type
+        /// implements or inherits, and derived types come from the documented types only, with their own derived types nested
+        /// beneath them. Types that are not documented, or that are external references, are flagged as external and link to
+        /// Microsoft Learn when they come from the framework. Call <see cref="IndexDocumentedTypes(DocAssembly)"/> first so the
+        /// documented types can be linked and derived types found.
+        /// </remarks>
+        internal string GetTypeHierarchyElement(DocType type)
+        {
+            using var stream = new MemoryStream();
+            using (var writer = new Utf8JsonWriter(stream, new JsonWriterOptions { Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping }))
+            {
+                writer.WriteStartObject();
+                WriteTypeHierarchyNodeProperties(writer, type.Symbol, includeLink: false);
+
+                writer.WriteStartArray("bases");
+                foreach (var baseType in AssemblyManager.GetBaseTypesAndThis(type.Symbol).Skip(1).Reverse())
+                {
+                    WriteTypeHierarchyNode(writer, baseType, includeDerived: false);
+                }
+                writer.WriteEndArray();
+
+                writer.WriteStartArray("interfaces");
+                foreach (var implemented in type.Symbol.AllInterfaces.OrderBy(i => i.ToDisplayString(), StringComparer.Ordinal))
+                {
+                    WriteTypeHierarchyNode(writer, implemented, includeDerived: false);
+                }
+                writer.WriteEndArray();
+
+                WriteDerivedTypes(writer, "derived", type.Symbol);
+                writer.WriteEndObject();
+            }
+
+            return $"<TypeHierarchy hierarchy={{{Encoding.UTF8.GetString(stream.ToArray())}}} />";
+        }
+
+        /// <summary>
+        /// Gets the documented types that directly derive from, or directly implement, the specified type.
+        /// </summary>
+        /// <param name="symbol">The base class or interface.</param>
+        /// <returns>The derived documented types, ordered by name.</returns>
+        internal IEnumerable<DocType> GetDerivedTypes(ITypeSymbol symbol)
+        {
+            var definition = symbol.OriginalDefinition;
+            return _documentedTypes.Values
+                .Select(entry => entry.Type)
+                .Where(candidate => !SymbolEqualityComparer.Default.Equals(candidate.Symbol.OriginalDefinition, definition))
+                .Where(candidate => SymbolEqualityComparer.Default.Equals(candidate.Symbol.BaseType?.OriginalDefinition, definition)
+                    || candidate.Symbol.Interfaces.Any(i => SymbolEqualityComparer.Default.Equals(i.OriginalDefinition, definition)))
+                .OrderBy(candidate => candidate.Symbol.ToDisplayString(), StringComparer.Ordinal);
+        }
+
+        private void WriteDerivedTypes(Utf8JsonWriter writer, string propertyName, ITypeSymbol symbol)
+        {
+            writer.WriteStartArray(propertyName);
+            foreach (var derived in GetDerivedTypes(symbol))
+            {
+                WriteTypeHierarchyNode(writer, derived.Symbol, includeDerived: true);
+            }
+            writer.WriteEndArray();
+        }
+
+        private void WriteTypeHierarchyNode(Utf8JsonWriter writer, ITypeSymbol symbol, bool includeDerived)
+        {
+            writer.WriteStartObject();
+            WriteTypeHierarchyNodeProperties(writer, symbol, includeLink: true);
+            if (includeDerived && GetDerivedTypes(symbol).Any())
+            {
+                WriteDerivedTypes(writer, "children", symbol);
+            }
+            writer.WriteEndObject();
+        }
+
+        private void WriteTypeHierarchyNodeProperties(Utf8JsonWriter writer, ITypeSymbol symbol, bool includeLink)
+        {
+            writer.WriteString("name", symbol.ToDisplayString(SymbolDisplayFormat.MinimallyQualifiedFormat));
+            writer.WriteString("fullName", symbol.ToDisplayString());
+            writer.WriteString("kind", symbol.TypeKind.ToString().ToLowerInvariant());
+
+            if (!includeLink)
+            {
+                return;
+            }
+
+            if (_documentedTypes.TryGetValue(symbol.OriginalDefinition, out var documented))
+            {
+                var apiOutputPath = Path.Combine(Context.DocumentationRootPath, Context.ApiReferencePath);
+                var typeFilePath = GetTypeFilePath(documented.Type, documented.Namespace, apiOutputPath, "mdx");
+                writer.WriteString("href", "/" + Path.GetRelativePath(Context.DocumentationRootPath, typeFilePath)
+                    .Replace(Path.DirectorySeparatorChar, '/')
+                    .Replace(".mdx", ""));
+                if (documented.Type.IsExternalReference)
+                {
+                    writer.WriteBoolean("external", true);
+                }
+                return;
+            }
+
+            var docsUrl = AssemblyManager.GetMicrosoftDocsUrl(symbol.OriginalDefinition);
+            if (!string.IsNullOrWhiteSpace(docsUrl))
+            {
+                writer.WriteString("href", docsUrl);
+            }
+            writer.WriteBoolean("external", true);
+        }
+
+        #endregion
+
         #region Internal Methods - Snippet Generation
 
         /// <summary>
         /// Creates the DocsBadge.jsx component snippet for displaying member provenance badges.
         /// </summary>
         /// <returns>A task representing the asynchronous file write operation.</returns>
+        /// <remarks>
+        /// The snippet is written to the <c>snippets</c> folder of the documentation root on every build, so type pages can import it
+        /// from <c>/snippets/DocsBadge.jsx</c>. The badge colors follow the light and dark themes, and the optional tooltip explains
+        /// where the member comes from.
+        /// </remarks>
         internal async Task CreateDocsBadgeSnippetAsync()
         {
-            //            var snippetsPath = Path.Combine(Context.DocumentationRootPath, "snippets");
-            //            Directory.CreateDirectory(snippetsPath);
-
-            //            var badgeFilePath = Path.Combine(snippetsPath, "DocsBadge.jsx");
-
-            //            var badgeComponent = """
-            //**
-            // * DocsBadge Component for Mintlify Documentation
-            // *
-            // * A customizable badge component that matches Mintlify's design system.
-            // * Used to display member provenance (Extension, Inherited, Override, Virtual, Abstract).
-            // *
-            // * Usage:
-            // *   <DocsBadge text="Extension" variant="success" />
-            // *   <DocsBadge text="Inherited" variant="neutral" />
-            // *   <DocsBadge text="Override" variant="info" />
-            // *   <DocsBadge text="Virtual" variant="warning" />
-            // *   <DocsBadge text="Abstract" variant="warning" />
-            // */
-
-            //export function DocsBadge({ text, variant = 'neutral' }) {
-            //  // Tailwind color classes for consistent theming
-            //  // Using standard Tailwind colors that work in both light and dark modes
-            //  const variantClasses = {
-            //    success: 'mint-bg-green-500/10 mint-text-green-600 dark:mint-text-green-400 mint-border-green-500/20',
-            //    neutral: 'mint-bg-slate-500/10 mint-text-slate-600 dark:mint-text-slate-400 mint-border-slate-500/20',
-            //    info: 'mint-bg-blue-500/10 mint-text-blue-600 dark:mint-text-blue-400 mint-border-blue-500/20',
-            //    warning: 'mint-bg-amber-500/10 mint-text-amber-600 dark:mint-text-amber-400 mint-border-amber-500/20',
-            //    danger: 'mint-bg-red-500/10 mint-text-red-600 dark:mint-text-red-400 mint-border-red-500/20'
-            //  };
-
-            //  const classes = variantClasses[variant] || variantClasses.neutral;
-
-            //  return (
-            //    <span
-            //      className={`mint-inline-flex mint-items-center mint-px-2 mint-py-0.5 mint-rounded-full mint-text-xs mint-font-medium mint-tracking-wide mint-border mint-ml-1.5 mint-align-middle mint-whitespace-nowrap ${classes}`}
-            //    >
-            //      {text}
-            //    </span>
-            //  );
-            //}
-            //""";
-
-            //            await File.WriteAllTextAsync(badgeFilePath, badgeComponent
-            await Task.CompletedTask;
+            var snippetsPath = Path.Combine(Context.DocumentationRootPath, "snippets");
+            Directory.CreateDirectory(snippetsPath);
+
+            await File.WriteAllTextAsync(Path.Combine(snippetsPath, DocsBadgeSnippetFileName), GetDocsBadgeSnippet());
+        }
+
+        /// <summary>
+        /// Builds the DocsBadge.jsx component snippet content.
+        /// </summary>
+        /// <returns>The snippet content.</returns>
+        internal static string GetDocsBadgeSnippet()
+        {
+            return """
+                /**
+                 * DocsBadge Component for Mintlify Documentation
+                 *
+                 * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+                 *
+                 * Displays member provenance (Extension, Inherited, Override, Virtual, Abstract) next to member headings.
+                 * The optional tooltip is shown on hover and keyboard focus. The styles are in dotnetdocs-members.css, which DotNetDocs
+                 * writes to the documentation root so Mintlify loads them once for the whole site.
+                 *
+                 * Usage:
+                 *   <DocsBadge text="Extension" variant="success" tooltip="Extension method from StringExtensions" />
+                 *   <DocsBadge text="Inherited" variant="neutral" tooltip="Inherited from System.Object" />
+                 *   <DocsBadge text="Override" variant="info" />
+                 *   <DocsBadge text="Virtual" variant="warning" />
+                 *   <DocsBadge text="Abstract" variant="warning" />
+                 */
+
+                const docsBadgeVariants = ['success', 'neutral', 'info', 'warning', 'danger'];
+
+                export const DocsBadge = ({ text, variant = 'neutral', tooltip }) => {
+                  const tooltipId = `dnd-docs-badge-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+                  const variantName = docsBadgeVariants.includes(variant) ? variant : 'neutral';
+
+                  return (
+                    <span
+                      className={`dnd-docs-badge dnd-docs-badge-${variantName}`}
+                      tabIndex={tooltip ? 0 : undefined}
+                      aria-describedby={tooltip ? tooltipId : undefined}
+                    >
+                      {text}
+                      {tooltip && (
+                        <span id={tooltipId} role="tooltip" className="dnd-docs-badge-tooltip">
+                          {tooltip}
+                        </span>
+                      )}
+                    </span>
+                  );
+                };
+
+                """;
+        }
+
+        /// <summary>
+        /// Creates the ProvenanceFilter.jsx component snippet for filtering the member sections on type pages.
+        /// </summary>
+        /// <returns>A task representing the asynchronous file write operation.</returns>
+        /// <remarks>
+        /// The toolbar hides and shows member sections in place using the marker each member heading is preceded by
+        /// (see <see cref="GetMemberFilterMarker(DocMember)"/>), and saves the reader's choices to localStorage.
+        /// </remarks>
+        internal async Task CreateProvenanceFilterSnippetAsync()
+        {
+            var snippetsPath = Path.Combine(Context.DocumentationRootPath, "snippets");
+            Directory.CreateDirectory(snippetsPath);
+
+            await File.WriteAllTextAsync(Path.Combine(snippetsPath, ProvenanceFilterSnippetFileName), GetProvenanceFilterSnippet());
+        }
+
+        /// <summary>
+        /// Builds the ProvenanceFilter.jsx component snippet content.
+        /// </summary>
+        /// <returns>The snippet content.</returns>
+        internal static string GetProvenanceFilterSnippet()
+        {
+            return """
+                /**
+                 * ProvenanceFilter Component for Mintlify Documentation
+                 *
+                 * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+                 *
+                 * Renders a toolbar at the top of type pages that hides and shows member sections in place. Each member heading is
+                 * preceded by a marker span with data-dnd-member, data-kind, data-provenance and data-access attributes, and a member
+                 * section runs from its marker to the next marker, overload group or section heading. The sections sit in a
+                 * data-dnd-members wrapper, which is the only element reordered when members are listed A-Z. Overload groups rendered
+                 * by the Overloads snippet stay together, and an overload's tab is hidden along with its section. Each change is
+                 * announced with a dotnetdocs:provenancefilterchange event on window, so an Overloads group can move off an overload
+                 * that was hidden. The choices are saved to localStorage, so they carry over to every type page. The styles are in
+                 * dotnetdocs-members.css next to the DocsBadge styles.
+                 *
+                 * Usage:
+                 *   <ProvenanceFilter />
+                 */
+
+                const provenanceFilterStorageKey = 'dotnetdocs.provenanceFilter';
+
+                const provenanceFilterDefaults = { inherited: true, extensions: true, publicOnly: false, groupByKind: true };
+
+                const provenanceFilterOptions = [
+                  { key: 'inherited', label: 'Show inherited' },
+                  { key: 'extensions', label: 'Show extension methods' },
+                  { key: 'publicOnly', label: 'Public and protected only' },
+                  { key: 'groupByKind', label: 'Group by member kind' }
+                ];
+
+                const provenanceFilterVisibleAccess = ['public', 'protected', 'protected-internal'];
+
+                // Collects each member marker with the nodes that make up its section, plus the kind headings that introduce them
+                const getMemberSections = () => {
+                  const markers = Array.from(document.querySelectorAll('[data-dnd-member]'));
+                  return markers.map((marker) => {
+                    const nodes = [marker];
+                    let node = marker.nextElementSibling;
+                    while (node && !node.matches('[data-dnd-member], [data-dnd-overloads], h1, h2')) {
+                      nodes.push(node);
+                      node = node.nextElementSibling;
+                    }
+
+                    const group = marker.closest('[data-dnd-overloads]');
+                    let kindHeading = (group ?? marker).previousElementSibling;
+                    while (kindHeading && kindHeading.tagName !== 'H2') {
+                      kindHeading = kindHeading.previousElementSibling;
+                    }
+
+                    return {
+                      nodes,
+                      kindHeading,
+                      heading: nodes.find((element) => element.tagName === 'H3'),
+                      group,
+                      overloadId: marker.closest('[data-dnd-overload]')?.dataset.dndOverload,
+                      name: marker.dataset.dndMember,
+                      provenance: marker.dataset.provenance,
+                      access: marker.dataset.access
+                    };
+                  });
+                };
+
+                const isMemberVisible = (section, filters) =>
+                  !(section.provenance === 'inherited' && !filters.inherited) &&
+                  !(section.provenance === 'extension' && !filters.extensions) &&
+                  !(filters.publicOnly && !provenanceFilterVisibleAccess.includes(section.access));
+
+                const setTableOfContentsEntry = (heading, visible) => {
+                  if (!heading?.id) {
+                    return;
+                  }
+                  document.querySelectorAll(`a[href="#${CSS.escape(heading.id)}"]`).forEach((link) => {
+                    const entry = link.closest('li') ?? link;
+                    entry.style.display = visible ? '' : 'none';
+                  });
+                };
+
+                const setOverloadTabs = (overloadId, visible) => {
+                  document.querySelectorAll(`[data-dnd-overload-tab="${CSS.escape(overloadId)}"]`).forEach((tab) => {
+                    tab.style.display = visible ? '' : 'none';
+                  });
+                };
+
+                // Overload groups are sorted as a single unit so their sections stay together
+                const getSortUnits = (sections) => {
+                  const units = [];
+                  sections.forEach((section) => {
+                    if (!section.group) {
+                      units.push(section);
+                    } else if (!units.some((unit) => unit.nodes[0] === section.group)) {
+                      units.push({ ...section, nodes: [section.group] });
+                    }
+                  });
+                  return units;
+                };
+
+                // Reorders the member sections alphabetically with CSS order, so React keeps ownership of the DOM nodes. Only the
+                // data-dnd-members wrapper the renderer puts around the sections is touched, never the page's own content container.
+                const applyGrouping = (sections, groupByKind) => {
+                  const units = getSortUnits(sections);
+                  const container = units[0]?.nodes[0].parentElement;
+                  if (!container?.matches('[data-dnd-members]')) {
+                    return;
+                  }
+
+                  if (groupByKind) {
+                    container.style.display = '';
+                    container.style.flexDirection = '';
+                    Array.from(container.children).forEach((child) => {
+                      child.style.order = '';
+                    });
+                    return;
+                  }
+
+                  const children = Array.from(container.children);
+                  const first = children.indexOf(units[0].kindHeading ?? units[0].nodes[0]);
+                  const lastUnit = units[units.length - 1];
+                  const last = children.indexOf(lastUnit.nodes[lastUnit.nodes.length - 1]);
+                  const sorted = [...units].sort((a, b) => a.name.localeCompare(b.name));
+                  const ordered = [
+                    ...children.slice(0, first),
+                    ...sorted.flatMap((unit) => unit.nodes),
+                    ...children.slice(last + 1)
+                  ];
+
+                  units.forEach((unit) => {
+                    if (unit.kindHeading) {
+                      unit.kindHeading.style.display = 'none';
+                    }
+                  });
+
+                  container.style.display = 'flex';
+                  container.style.flexDirection = 'column';
+                  ordered.forEach((child, index) => {
+                    child.style.order = String(index);
+                  });
+                };
+
+                export const ProvenanceFilter = () => {
+                  const [filters, setFilters] = React.useState(provenanceFilterDefaults);
+                  const [loaded, setLoaded] = React.useState(false);
+                  const [counts, setCounts] = React.useState(null);
+                  const idPrefix = `dnd-provenance-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+                  React.useEffect(() => {
+                    try {
+                      const saved = JSON.parse(window.localStorage.getItem(provenanceFilterStorageKey) ?? 'null');
+                      if (saved) {
+                        setFilters({ ...provenanceFilterDefaults, ...saved });
+                      }
+                    } catch {
+                      // Storage can be unavailable or hold stale data; fall back to the defaults
+                    }
+                    setLoaded(true);
+                  }, []);
+
+                  React.useEffect(() => {
+                    if (!loaded) {
+                      return;
+                    }
+
+                    try {
+                      window.localStorage.setItem(provenanceFilterStorageKey, JSON.stringify(filters));
+                    } catch {
+                      // The choices still apply to this page when they can't be saved
+                    }
+
+                    const sections = getMemberSections();
+                    let visibleCount = 0;
+                    const visibleKindHeadings = new Set();
+                    const visibleGroups = new Set();
+
+                    sections.forEach((section) => {
+                      const visible = isMemberVisible(section, filters);
+                      section.nodes.forEach((node) => {
+                        node.style.display = visible ? '' : 'none';
+                      });
+                      setTableOfContentsEntry(section.heading, visible);
+                      if (section.overloadId) {
+                        setOverloadTabs(section.overloadId, visible);
+                      }
+                      if (visible) {
+                        visibleCount += 1;
+                        visibleKindHeadings.add(section.kindHeading);
+                        visibleGroups.add(section.group);
+                      }
+                    });
+
+                    new Set(sections.map((section) => section.group).filter(Boolean)).forEach((group) => {
+                      group.style.display = visibleGroups.has(group) ? '' : 'none';
+                    });
+
+                    new Set(sections.map((section) => section.kindHeading).filter(Boolean)).forEach((heading) => {
+                      const visible = visibleKindHeadings.has(heading);
+                      heading.style.display = visible ? '' : 'none';
+                      setTableOfContentsEntry(heading, visible);
+                    });
+
+                    applyGrouping(sections, filters.groupByKind);
+                    setCounts({ visible: visibleCount, total: sections.length });
+                    window.dispatchEvent(new CustomEvent('dotnetdocs:provenancefilterchange', { detail: filters }));
+                  }, [filters, loaded]);
+
+                  if (counts?.total === 0) {
+                    return null;
+                  }
+
+                  const isDefault = provenanceFilterOptions.every((option) => filters[option.key] === provenanceFilterDefaults[option.key]);
+
+                  return (
+                    <div role="group" aria-labelledby={`${idPrefix}-label`} className="not-prose dnd-provenance-filter">
+                      <span id={`${idPrefix}-label`} className="dnd-provenance-filter-label">Members</span>
+                      {provenanceFilterOptions.map((option) => (
+                        <label key={option.key} className="dnd-provenance-filter-option">
+                          <input
+                            type="checkbox"
+                            checked={filters[option.key]}
+                            onChange={(event) => setFilters({ ...filters, [option.key]: event.target.checked })}
+                          />
+                          {option.label}
+                        </label>
+                      ))}
+                      {!isDefault && (
+                        <button type="button" className="dnd-provenance-filter-reset" onClick={() => setFilters(provenanceFilterDefaults)}>
+                          Reset
+                        </button>
+                      )}
+                      <span role="status" className="dnd-provenance-filter-count">
+                        {counts && counts.visible !== counts.total ? `Showing ${counts.visible} of ${counts.total}` : ''}
+                      </span>
+                    </div>
+                  );
+                };
+
+                """;
+        }
+
+        /// <summary>
+        /// Creates the stylesheet with the styles of the DocsBadge, ProvenanceFilter, TypeHierarchy and Overloads snippets.
+        /// </summary>
+        /// <returns>A task representing the asynchronous file write operation.</returns>
+        /// <remarks>
+        /// A type page can show dozens of badges and overload groups, so the styles of the type page snippets live in a stylesheet
+        /// in the documentation root instead of a <c>style</c> element in every instance. Mintlify loads the stylesheet once for the
+        /// whole site, including the first render on the server.
+        /// </remarks>
+        internal async Task CreateMemberStylesheetAsync()
+        {
+            await File.WriteAllTextAsync(Path.Combine(Context.DocumentationRootPath, MemberStylesheetFileName), GetMemberStylesheet());
+        }
+
+        /// <summary>
+        /// Builds the stylesheet content for the DocsBadge, ProvenanceFilter, TypeHierarchy and Overloads snippets.
+        /// </summary>
+        /// <returns>The stylesheet content.</returns>
+        internal static string GetMemberStylesheet()
+        {
+            return """
+                /* Generated by DotNetDocs for the DocsBadge, ProvenanceFilter, TypeHierarchy and Overloads snippets on type pages. Do not edit; changes will be overwritten on the next build. */
+
+                .dnd-docs-badge {
+                    --dnd-badge: #94a3b8;
+                    position: relative;
+                    display: inline-flex;
+                    align-items: center;
+                    margin-left: 6px;
+                    padding: 2px 8px;
+                    border: 1px solid color-mix(in srgb, var(--dnd-badge) 25%, transparent);
+                    border-radius: 9999px;
+                    background: color-mix(in srgb, var(--dnd-badge) 12%, transparent);
+                    color: var(--dnd-badge);
+                    font-size: 12px;
+                    font-weight: 500;
+                    letter-spacing: 0.025em;
+                    line-height: 1.5;
+                    vertical-align: middle;
+                    white-space: nowrap;
+                }
+
+                .dnd-docs-badge-success { --dnd-badge: #4ade80; }
+                .dnd-docs-badge-neutral { --dnd-badge: #94a3b8; }
+                .dnd-docs-badge-info { --dnd-badge: #60a5fa; }
+                .dnd-docs-badge-warning { --dnd-badge: #fbbf24; }
+                .dnd-docs-badge-danger { --dnd-badge: #f87171; }
+
+                html.light .dnd-docs-badge-success { --dnd-badge: #16a34a; }
+                html.light .dnd-docs-badge-neutral { --dnd-badge: #475569; }
+                html.light .dnd-docs-badge-info { --dnd-badge: #2563eb; }
+                html.light .dnd-docs-badge-warning { --dnd-badge: #d97706; }
+                html.light .dnd-docs-badge-danger { --dnd-badge: #dc2626; }
+
+                .dnd-docs-badge[tabindex] {
+                    cursor: help;
+                }
+
+                .dnd-docs-badge:focus-visible {
+                    outline: 2px solid var(--dnd-badge);
+                    outline-offset: 2px;
+                }
+
+                .dnd-docs-badge-tooltip {
+                    position: absolute;
+                    bottom: calc(100% + 8px);
+                    left: 50%;
+                    z-index: 20;
+                    transform: translateX(-50%);
+                    padding: 6px 10px;
+                    border-radius: 6px;
+                    background: #f8fafc;
+                    color: #0f172a;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+                    font-size: 12px;
+                    font-weight: 400;
+                    letter-spacing: normal;
+                    white-space: nowrap;
+                    opacity: 0;
+                    visibility: hidden;
+                    pointer-events: none;
+                    transition: opacity 0.15s ease-out, visibility 0.15s ease-out;
+                }
+
+                html.light .dnd-docs-badge-tooltip {
+                    background: #0f172a;
+                    color: #f8fafc;
+                }
+
+                .dnd-docs-badge:hover .dnd-docs-badge-tooltip,
+                .dnd-docs-badge:focus-visible .dnd-docs-badge-tooltip {
+                    opacity: 1;
+                    visibility: visible;
+                }
+
+                @media (prefers-reduced-motion: reduce) {
+                    .dnd-docs-badge-tooltip {
+                        transition: none;
+                    }
+                }
+
+                .dnd-provenance-filter {
+                    --dnd-filter-text: #cbd5e1;
+                    --dnd-filter-muted: #94a3b8;
+                    --dnd-filter-border: rgba(148, 163, 184, 0.25);
+                    --dnd-filter-background: rgba(148, 163, 184, 0.08);
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px 16px;
+                    margin: 0 0 24px;
+                    padding: 10px 14px;
+                    border: 1px solid var(--dnd-filter-border);
+                    border-radius: 12px;
+                    background: var(--dnd-filter-background);
+                    color: var(--dnd-filter-text);
+                    font-size: 13px;
+                }
+
+                html.light .dnd-provenance-filter {
+                    --dnd-filter-text: #334155;
+                    --dnd-filter-muted: #64748b;
+                    --dnd-filter-border: rgba(100, 116, 139, 0.25);
+                    --dnd-filter-background: rgba(100, 116, 139, 0.06);
+                }
+
+                .dnd-provenance-filter-label {
+                    color: var(--dnd-filter-muted);
+                    font-size: 12px;
+                    font-weight: 600;
+                    letter-spacing: 0.05em;
+                    text-transform: uppercase;
+                }
+
+                .dnd-provenance-filter-option {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 6px;
+                    cursor: pointer;
+                }
+
+                .dnd-provenance-filter-option input {
+                    margin: 0;
+                    accent-color: currentColor;
+                    cursor: pointer;
+                }
+
+                .dnd-provenance-filter-reset {
+                    padding: 2px 10px;
+                    border: 1px solid var(--dnd-filter-border);
+                    border-radius: 9999px;
+                    background: transparent;
+                    color: inherit;
+                    font-size: 12px;
+                    cursor: pointer;
+                }
+
+                .dnd-provenance-filter-count {
+                    margin-left: auto;
+                    color: var(--dnd-filter-muted);
+                    font-size: 12px;
+                }
+
+                .dnd-provenance-filter input:focus-visible,
+                .dnd-provenance-filter-reset:focus-visible {
+                    outline: 2px solid currentColor;
+                    outline-offset: 2px;
+                }
+
+                .dnd-type-hierarchy {
+                    --dnd-hierarchy-text: #cbd5e1;
+                    --dnd-hierarchy-muted: #94a3b8;
+                    --dnd-hierarchy-line: rgba(148, 163, 184, 0.3);
+                    --dnd-hierarchy-background: rgba(148, 163, 184, 0.08);
+                    --dnd-hierarchy-current: #4ade80;
+                    margin: 16px 0 24px;
+                    padding: 14px 16px;
+                    border: 1px solid var(--dnd-hierarchy-line);
+                    border-radius: 12px;
+                    background: var(--dnd-hierarchy-background);
+                    color: var(--dnd-hierarchy-text);
+                    font-size: 13px;
+                }
+
+                html.light .dnd-type-hierarchy {
+                    --dnd-hierarchy-text: #334155;
+                    --dnd-hierarchy-muted: #64748b;
+                    --dnd-hierarchy-line: rgba(100, 116, 139, 0.3);
+                    --dnd-hierarchy-background: rgba(100, 116, 139, 0.06);
+                    --dnd-hierarchy-current: #16a34a;
+                }
+
+                .dnd-type-hierarchy ul {
+                    margin: 0;
+                    padding: 0;
+                    list-style: none;
+                }
+
+                .dnd-type-hierarchy-tree ul {
+                    margin-left: 9px;
+                    padding-left: 14px;
+                    border-left: 1px solid var(--dnd-hierarchy-line);
+                }
+
+                .dnd-type-hierarchy-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    min-height: 26px;
+                }
+
+                .dnd-type-hierarchy-node {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 6px;
+                    color: inherit;
+                    text-decoration: none;
+                }
+
+                .dnd-type-hierarchy-node code {
+                    padding: 0;
+                    background: none;
+                    color: inherit;
+                    font-size: 13px;
+                }
+
+                a.dnd-type-hierarchy-node:hover code {
+                    text-decoration: underline;
+                }
+
+                .dnd-type-hierarchy-current {
+                    color: var(--dnd-hierarchy-current);
+                    font-weight: 600;
+                }
+
+                .dnd-type-hierarchy-external {
+                    color: var(--dnd-hierarchy-muted);
+                    font-style: italic;
+                }
+
+                .dnd-type-hierarchy-toggle,
+                .dnd-type-hierarchy-more {
+                    display: inline-flex;
+                    align-items: center;
+                    justify-content: center;
+                    border: 1px solid var(--dnd-hierarchy-line);
+                    border-radius: 6px;
+                    background: transparent;
+                    color: var(--dnd-hierarchy-muted);
+                    cursor: pointer;
+                }
+
+                .dnd-type-hierarchy-toggle {
+                    width: 18px;
+                    height: 18px;
+                    padding: 0;
+                }
+
+                .dnd-type-hierarchy-more {
+                    margin-bottom: 8px;
+                    padding: 2px 10px;
+                    font-size: 12px;
+                }
+
+                .dnd-type-hierarchy-count {
+                    color: var(--dnd-hierarchy-muted);
+                    font-size: 12px;
+                }
+
+                .dnd-type-hierarchy-interfaces {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px 12px;
+                    margin-top: 12px;
+                    padding-top: 12px;
+                    border-top: 1px solid var(--dnd-hierarchy-line);
+                }
+
+                .dnd-type-hierarchy-interfaces ul {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 8px 12px;
+                }
+
+                .dnd-type-hierarchy-heading {
+                    color: var(--dnd-hierarchy-muted);
+                    font-size: 12px;
+                    font-weight: 600;
+                    letter-spacing: 0.05em;
+                    text-transform: uppercase;
+                }
+
+                .dnd-type-hierarchy a:focus-visible,
+                .dnd-type-hierarchy button:focus-visible {
+                    outline: 2px solid var(--dnd-hierarchy-current);
+                    outline-offset: 2px;
+                }
+
+                .dnd-type-hierarchy-visually-hidden {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    overflow: hidden;
+                    clip: rect(0 0 0 0);
+                    white-space: nowrap;
+                }
+
+                .dnd-overloads {
+                    --dnd-overloads-text: #cbd5e1;
+                    --dnd-overloads-muted: #94a3b8;
+                    --dnd-overloads-border: rgba(148, 163, 184, 0.25);
+                    --dnd-overloads-background: rgba(148, 163, 184, 0.08);
+                    --dnd-overloads-selected: rgba(148, 163, 184, 0.22);
+                    margin: 0 0 24px;
+                }
+
+                html.light .dnd-overloads {
+                    --dnd-overloads-text: #334155;
+                    --dnd-overloads-muted: #64748b;
+                    --dnd-overloads-border: rgba(100, 116, 139, 0.25);
+                    --dnd-overloads-background: rgba(100, 116, 139, 0.06);
+                    --dnd-overloads-selected: rgba(100, 116, 139, 0.18);
+                }
+
+                .dnd-overloads-toolbar {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px 12px;
+                    margin: 16px 0;
+                    padding: 10px 14px;
+                    border: 1px solid var(--dnd-overloads-border);
+                    border-radius: 12px;
+                    background: var(--dnd-overloads-background);
+                    color: var(--dnd-overloads-text);
+                    font-size: 13px;
+                }
+
+                .dnd-overloads-label {
+                    color: var(--dnd-overloads-muted);
+                    font-size: 12px;
+                    font-weight: 600;
+                    letter-spacing: 0.05em;
+                    text-transform: uppercase;
+                }
+
+                .dnd-overloads-tabs {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                }
+
+                .dnd-overloads-tab,
+                .dnd-overloads-select,
+                .dnd-overloads-summary-toggle {
+                    padding: 3px 10px;
+                    border: 1px solid var(--dnd-overloads-border);
+                    border-radius: 8px;
+                    background: transparent;
+                    color: inherit;
+                    font-size: 12px;
+                    cursor: pointer;
+                }
+
+                .dnd-overloads-tab code {
+                    padding: 0;
+                    background: none;
+                    color: inherit;
+                    font-size: 12px;
+                }
+
+                .dnd-overloads-tab[aria-selected='true'],
+                .dnd-overloads-summary-toggle[aria-pressed='true'] {
+                    background: var(--dnd-overloads-selected);
+                    font-weight: 600;
+                }
+
+                .dnd-overloads-summary-toggle {
+                    margin-left: auto;
+                }
+
+                .dnd-overloads-summary {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    margin: 0 0 16px;
+                    padding: 0;
+                    list-style: none;
+                }
+
+                .dnd-overloads-summary a {
+                    display: block;
+                    padding: 8px 12px;
+                    border: 1px solid var(--dnd-overloads-border);
+                    border-radius: 8px;
+                    color: var(--dnd-overloads-text);
+                    text-decoration: none;
+                }
+
+                .dnd-overloads-summary a:hover {
+                    background: var(--dnd-overloads-background);
+                }
+
+                .dnd-overloads-summary code {
+                    padding: 0;
+                    background: none;
+                    color: inherit;
+                    font-size: 13px;
+                    white-space: pre-wrap;
+                }
+
+                .dnd-overloads button:focus-visible,
+                .dnd-overloads select:focus-visible,
+                .dnd-overloads-summary a:focus-visible {
+                    outline: 2px solid currentColor;
+                    outline-offset: 2px;
+                }
+
+                """;
+        }
+
+        /// <summary>
+        /// Creates the TypeHierarchy.jsx component snippet for rendering the inheritance tree on class and interface pages.
+        /// </summary>
+        /// <returns>A task representing the asynchronous file write operation.</returns>
+        /// <remarks>
+        /// The tree is fed by the hierarchy data that <see cref="GetTypeHierarchyElement(DocType)"/> writes into each page. Its styles
+        /// are written by <see cref="CreateMemberStylesheetAsync"/>.
+        /// </remarks>
+        internal async Task CreateTypeHierarchySnippetAsync()
+        {
+            var snippetsPath = Path.Combine(Context.DocumentationRootPath, "snippets");
+            Directory.CreateDirectory(snippetsPath);
+
+            await File.WriteAllTextAsync(Path.Combine(snippetsPath, TypeHierarchySnippetFileName), GetTypeHierarchySnippet());
+        }
+
+        /// <summary>
+        /// Builds the TypeHierarchy.jsx component snippet content.
+        /// </summary>
+        /// <returns>The snippet content.</returns>
+        internal static string GetTypeHierarchySnippet()
+        {
+            return """
+                /**
+                 * TypeHierarchy Component for Mintlify Documentation
+                 *
+                 * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+                 *
+                 * Renders an expandable tree of a type's base classes, implemented interfaces and known derived types. Nodes link to
+                 * their pages, types from outside the documented assemblies are styled as external, and long base chains and deep
+                 * derived trees start collapsed. The styles are in dotnetdocs-members.css, which DotNetDocs writes to the documentation
+                 * root so Mintlify loads them once for the whole site.
+                 *
+                 * Usage:
+                 *   <TypeHierarchy hierarchy={{
+                 *     name: 'DerivedClass', kind: 'class',
+                 *     bases: [{ name: 'object', kind: 'class', href: 'https://learn.microsoft.com/dotnet/api/system.object', external: true }],
+                 *     interfaces: [],
+                 *     derived: [{ name: 'MoreDerivedClass', kind: 'class', href: '/api-reference/MoreDerivedClass', children: [] }]
+                 *   }} />
+                 */
+
+                const typeHierarchyIcons = {
+                  class: 'file-brackets-curly',
+                  interface: 'plug',
+                  struct: 'cubes'
+                };
+
+                const TypeHierarchyLabel = ({ node, current }) => {
+                  const className = `dnd-type-hierarchy-node${node.external ? ' dnd-type-hierarchy-external' : ''}${current ? ' dnd-type-hierarchy-current' : ''}`;
+                  const content = (
+                    <>
+                      <Icon icon={typeHierarchyIcons[node.kind] ?? 'cube'} iconType="duotone" size={12} />
+                      <code>{node.name}</code>
+                      {node.external && (
+                        <>
+                          <Icon icon="arrow-up-right-from-square" size={10} />
+                          <span className="dnd-type-hierarchy-visually-hidden"> (external type)</span>
+                        </>
+                      )}
+                    </>
+                  );
+
+                  if (current) {
+                    return <span className={className} aria-current="page" title={node.fullName}>{content}</span>;
+                  }
+
+                  if (!node.href) {
+                    return <span className={className} title={node.fullName}>{content}</span>;
+                  }
+
+                  const opensNewTab = node.href.startsWith('http');
+                  return (
+                    <a
+                      className={className}
+                      href={node.href}
+                      title={node.fullName}
+                      target={opensNewTab ? '_blank' : undefined}
+                      rel={opensNewTab ? 'noopener noreferrer' : undefined}
+                    >
+                      {content}
+                    </a>
+                  );
+                };
+
+                const TypeHierarchyBranch = ({ node, depth, expandDepth }) => {
+                  const children = node.children ?? [];
+                  const [expanded, setExpanded] = React.useState(depth < expandDepth);
+                  const childListId = `dnd-type-hierarchy-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+
+                  return (
+                    <li>
+                      <div className="dnd-type-hierarchy-row">
+                        {children.length > 0 && (
+                          <button
+                            type="button"
+                            className="dnd-type-hierarchy-toggle"
+                            aria-expanded={expanded}
+                            aria-controls={childListId}
+                            aria-label={`${expanded ? 'Collapse' : 'Expand'} types derived from ${node.name}`}
+                            onClick={() => setExpanded(!expanded)}
+                          >
+                            <Icon icon={expanded ? 'chevron-down' : 'chevron-right'} size={10} />
+                          </button>
+                        )}
+                        <TypeHierarchyLabel node={node} />
+                        {children.length > 0 && !expanded && <span className="dnd-type-hierarchy-count">{children.length}</span>}
+                      </div>
+                      {children.length > 0 && (
+                        <ul id={childListId} hidden={!expanded}>
+                          {children.map((child) => (
+                            <TypeHierarchyBranch key={child.fullName ?? child.name} node={child} depth={depth + 1} expandDepth={expandDepth} />
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  );
+                };
+
+                export const TypeHierarchy = ({ hierarchy, collapseAfter = 3, expandDepth = 1 }) => {
+                  const [showAllBases, setShowAllBases] = React.useState(false);
+
+                  if (!hierarchy) {
+                    return null;
+                  }
+
+                  const bases = hierarchy.bases ?? [];
+                  const interfaces = hierarchy.interfaces ?? [];
+                  const derived = hierarchy.derived ?? [];
+                  const hiddenBases = showAllBases ? 0 : Math.max(bases.length - collapseAfter, 0);
+                  const visibleBases = bases.slice(hiddenBases);
+
+                  const renderChain = (index) => {
+                    if (index === visibleBases.length) {
+                      return (
+                        <li>
+                          <div className="dnd-type-hierarchy-row">
+                            <TypeHierarchyLabel node={hierarchy} current />
+                          </div>
+                          {derived.length > 0 && (
+                            <ul aria-label={hierarchy.kind === 'interface' ? `Types implementing ${hierarchy.name}` : `Types derived from ${hierarchy.name}`}>
+                              {derived.map((child) => (
+                                <TypeHierarchyBranch key={child.fullName ?? child.name} node={child} depth={0} expandDepth={expandDepth} />
+                              ))}
+                            </ul>
+                          )}
+                        </li>
+                      );
+                    }
+
+                    return (
+                      <li>
+                        <div className="dnd-type-hierarchy-row">
+                          <TypeHierarchyLabel node={visibleBases[index]} />
+                        </div>
+                        <ul>{renderChain(index + 1)}</ul>
+                      </li>
+                    );
+                  };
+
+                  return (
+                    <nav aria-label={`Type hierarchy for ${hierarchy.name}`} className="not-prose dnd-type-hierarchy">
+                      {hiddenBases > 0 && (
+                        <button type="button" className="dnd-type-hierarchy-more" onClick={() => setShowAllBases(true)}>
+                          Show {hiddenBases} more base {hiddenBases === 1 ? 'type' : 'types'}
+                        </button>
+                      )}
+                      <ul className="dnd-type-hierarchy-tree">{renderChain(0)}</ul>
+
+                      {interfaces.length > 0 && (
+                        <div className="dnd-type-hierarchy-interfaces">
+                          <span className="dnd-type-hierarchy-heading">{hierarchy.kind === 'interface' ? 'Inherits' : 'Implements'}</span>
+                          <ul>
+                            {interfaces.map((node) => (
+                              <li key={node.fullName ?? node.name}>
+                                <TypeHierarchyLabel node={node} />
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </nav>
+                  );
+                };
+
+                """;
+        }
+
+        /// <summary>
+        /// Creates the Overloads.jsx component snippet for switching between the overloads of a method or constructor.
+        /// </summary>
+        /// <returns>A task representing the asynchronous file write operation.</returns>
+        /// <remarks>
+        /// Type pages wrap each group of overloads in the <c>Overloads</c> component, with one <c>Overload</c> child per signature.
+        /// See <see cref="RenderMemberGroup(StringBuilder, IReadOnlyList{DocMember})"/>. The styles are written by
+        /// <see cref="CreateMemberStylesheetAsync"/>.
+        /// </remarks>
+        internal async Task CreateOverloadsSnippetAsync()
+        {
+            var snippetsPath = Path.Combine(Context.DocumentationRootPath, "snippets");
+            Directory.CreateDirectory(snippetsPath);
+
+            await File.WriteAllTextAsync(Path.Combine(snippetsPath, OverloadsSnippetFileName), GetOverloadsSnippet());
+        }
+
+        /// <summary>
+        /// Builds the Overloads.jsx component snippet content.
+        /// </summary>
+        /// <returns>The snippet content.</returns>
+        internal static string GetOverloadsSnippet()
+        {
+            return """
+                /**
+                 * Overloads Component for Mintlify Documentation
+                 *
+                 * Generated by DotNetDocs. Do not edit; changes will be overwritten on the next build.
+                 *
+                 * Groups the overloads of a method or constructor so one signature is shown at a time. Each overload gets a tab, or an
+                 * entry in a dropdown once there are more than maxTabs, and can be deep-linked with its id as the URL hash. The
+                 * "All signatures" view lists every signature at once. When the ProvenanceFilter snippet hides the shown overload, the
+                 * first overload it still shows takes its place. The styles are in dotnetdocs-members.css, which DotNetDocs writes to
+                 * the documentation root so Mintlify loads them once for the whole site.
+                 *
+                 * Usage:
+                 *   <Overloads name="Add">
+                 *     <Overload id="overload-add-int-int" label="(int, int)" signature="public int Add(int a, int b)">
+                 *       ...member documentation...
+                 *     </Overload>
+                 *     <Overload id="overload-add-double-double" label="(double, double)" signature="public double Add(double a, double b)">
+                 *       ...member documentation...
+                 *     </Overload>
+                 *   </Overloads>
+                 */
+
+                export const Overload = ({ children }) => <>{children}</>;
+
+                // Dispatched on window by the ProvenanceFilter snippet each time it hides or shows member sections
+                const provenanceFilterChangeEvent = 'dotnetdocs:provenancefilterchange';
+
+                const getHashTarget = () => decodeURIComponent(window.location.hash.slice(1));
+
+                // Matches the hash against the overload ids, then against anything inside an overload, like a heading anchor
+                const getOverloadFromHash = (overloads) => {
+                  const target = getHashTarget();
+                  if (!target) {
+                    return null;
+                  }
+
+                  const overload = overloads.find((candidate) => candidate.id === target);
+                  if (overload) {
+                    return overload;
+                  }
+
+                  const panel = document.getElementById(target)?.closest('[data-dnd-overload]');
+                  return overloads.find((candidate) => candidate.id === panel?.dataset.dndOverload) ?? null;
+                };
+
+                export const Overloads = ({ name, maxTabs = 6, children }) => {
+                  const overloads = React.Children.toArray(children)
+                    .filter((child) => child?.props?.id)
+                    .map((child) => ({
+                      id: child.props.id,
+                      label: child.props.label ?? child.props.signature,
+                      signature: child.props.signature,
+                      content: child
+                    }));
+                  const [activeId, setActiveId] = React.useState(overloads[0]?.id);
+                  const [showSummary, setShowSummary] = React.useState(false);
+                  const root = React.useRef(null);
+                  const idPrefix = `dnd-overloads-${String(React.useId()).replace(/[^\w-]/g, '')}`;
+                  const overloadIds = overloads.map((overload) => overload.id).join(' ');
+                  const active = overloads.find((overload) => overload.id === activeId) ?? overloads[0];
+                  const useTabs = overloads.length <= maxTabs;
+
+                  React.useEffect(() => {
+                    const syncWithHash = () => {
+                      const overload = getOverloadFromHash(overloads);
+                      if (!overload) {
+                        return;
+                      }
+                      setShowSummary(false);
+                      setActiveId(overload.id);
+                      // The panel is hidden until the next render, so scroll once it is shown
+                      window.requestAnimationFrame(() => document.getElementById(getHashTarget())?.scrollIntoView());
+                    };
+
+                    syncWithHash();
+                    window.addEventListener('hashchange', syncWithHash);
+                    return () => window.removeEventListener('hashchange', syncWithHash);
+                  }, [overloadIds]);
+
+                  // The filter hides an overload's tab along with its section, so a hidden tab means the overload is filtered out
+                  React.useEffect(() => {
+                    const isShown = (id) =>
+                      root.current?.querySelector(`[data-dnd-overload-tab="${CSS.escape(id)}"]`)?.style.display !== 'none';
+                    const showVisibleOverload = () => {
+                      setActiveId((current) => (current && isShown(current)
+                        ? current
+                        : overloads.find((overload) => isShown(overload.id))?.id ?? current));
+                    };
+
+                    window.addEventListener(provenanceFilterChangeEvent, showVisibleOverload);
+                    return () => window.removeEventListener(provenanceFilterChangeEvent, showVisibleOverload);
+                  }, [overloadIds]);
+
+                  if (!active) {
+                    return null;
+                  }
+
+                  const select = (id) => {
+                    setShowSummary(false);
+                    setActiveId(id);
+                    window.history.replaceState(null, '', `#${id}`);
+                  };
+
+                  const onTabKeyDown = (event, index) => {
+                    const keys = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: overloads.length - 1 };
+                    if (!(event.key in keys)) {
+                      return;
+                    }
+                    event.preventDefault();
+                    const next = (keys[event.key] + overloads.length) % overloads.length;
+                    select(overloads[next].id);
+                    document.getElementById(`${idPrefix}-tab-${next}`)?.focus();
+                  };
+
+                  return (
+                    <div ref={root} className="dnd-overloads" data-dnd-overloads={name}>
+                      <div className="not-prose dnd-overloads-toolbar">
+                        <span className="dnd-overloads-label">{overloads.length} overloads</span>
+                        {useTabs ? (
+                          <div role="tablist" aria-label={`Overloads of ${name}`} className="dnd-overloads-tabs">
+                            {overloads.map((overload, index) => {
+                              const selected = !showSummary && overload.id === active.id;
+                              return (
+                                <button
+                                  key={overload.id}
+                                  id={`${idPrefix}-tab-${index}`}
+                                  type="button"
+                                  role="tab"
+                                  aria-selected={selected}
+                                  aria-controls={overload.id}
+                                  tabIndex={overload.id === active.id ? 0 : -1}
+                                  title={overload.signature}
+                                  data-dnd-overload-tab={overload.id}
+                                  className="dnd-overloads-tab"
+                                  onClick={() => select(overload.id)}
+                                  onKeyDown={(event) => onTabKeyDown(event, index)}
+                                >
+                                  <code>{overload.label}</code>
+                                </button>
+                              );
+                            })}
+                          </div>
+                        ) : (
+                          <select
+                            aria-label={`Overloads of ${name}`}
+                            className="dnd-overloads-select"
+                            value={active.id}
+                            onChange={(event) => select(event.target.value)}
+                          >
+                            {overloads.map((overload) => (
+                              <option key={overload.id} value={overload.id} data-dnd-overload-tab={overload.id}>
+                                {overload.label}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                        <button
+                          type="button"
+                          aria-pressed={showSummary}
+                          className="dnd-overloads-summary-toggle"
+                          onClick={() => setShowSummary(!showSummary)}
+                        >
+                          All signatures
+                        </button>
+                      </div>
+
+                      {showSummary && (
+                        <ul aria-label={`All signatures of ${name}`} className="not-prose dnd-overloads-summary">
+                          {overloads.map((overload) => (
+                            <li key={overload.id} data-dnd-overload-tab={overload.id}>
+                              <a
+                                href={`#${overload.id}`}
+                                onClick={(event) => {
+                                  event.preventDefault();
+                                  select(overload.id);
+                                }}
+                              >
+                                <code>{overload.signature}</code>
+                              </a>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+
+                      {overloads.map((overload, index) => (
+                        <div
+                          key={overload.id}
+                          id={overload.id}
+                          role={useTabs ? 'tabpanel' : 'region'}
+                          aria-labelledby={useTabs ? `${idPrefix}-tab-${index}` : undefined}
+                          aria-label={useTabs ? undefined : overload.signature}
+                          data-dnd-overload={overload.id}
+                          hidden={showSummary || overload.id !== active.id}
+                        >
+                          {overload.content}
+                        </div>
+                      ))}
+                    </div>
+                  );
+                };
+
+                """;
+        }
+
+        /// <summary>
+        /// Builds the DocsBadge markup for a member provenance badge.
+        /// </summary>
+        /// <param name="text">The badge text.</param>
+        /// <param name="variant">The badge variant, one of <c>success</c>, <c>neutral</c>, <c>info</c>, <c>warning</c> or <c>danger</c>.</param>
+        /// <param name="tooltip">The tooltip explaining the provenance.</param>
+        /// <returns>The DocsBadge JSX element.</returns>
+        internal static string GetDocsBadge(string text, string variant, string tooltip)
+        {
+            return $"<DocsBadge text=\"{text}\" variant=\"{variant}\" tooltip=\"{EscapeJsxAttribute(tooltip)}\" />";
+        }
+
+        /// <summary>
+        /// Builds the marker element that carries a member's provenance data attributes for the ProvenanceFilter toolbar.
+        /// </summary>
+        /// <param name="member">The member being rendered.</param>
+        /// <returns>An empty span with <c>data-dnd-member</c>, <c>data-kind</c>, <c>data-provenance</c> and <c>data-access</c> attributes.</returns>
+        /// <remarks>
+        /// The marker is written on its own line before the member heading rather than wrapping the section, so the headings
+        /// keep their place in the table of contents. The toolbar treats everything from a marker up to the next marker,
+        /// overload group or section heading as that member's section.
+        /// </remarks>
+        internal static string GetMemberFilterMarker(DocMember member)
+        {
+            var kind = member.MemberKind switch
+            {
+                SymbolKind.Method when member.MethodKind == MethodKind.Constructor => "constructor",
+                SymbolKind.Method => "method",
+                SymbolKind.Property => "property",
+                SymbolKind.Event => "event",
+                SymbolKind.Field => "field",
+                _ => member.MemberKind.ToString().ToLowerInvariant()
+            };
+
+            var provenance = member switch
+            {
+                { IsExtensionMethod: true } => "extension",
+                { IsOverride: true } => "override",
+                { IsInherited: true } => "inherited",
+                _ => "declared"
+            };
+
+            var access = member.Accessibility switch
+            {
+                Accessibility.Public => "public",
+                Accessibility.Protected => "protected",
+                Accessibility.ProtectedOrInternal => "protected-internal",
+                Accessibility.ProtectedAndInternal => "private-protected",
+                Accessibility.Internal => "internal",
+                Accessibility.Private => "private",
+                _ => "unknown"
+            };
+
+            return $"<span data-dnd-member=\"{EscapeJsxAttribute(member.Name)}\" data-kind=\"{kind}\" data-provenance=\"{provenance}\" data-access=\"{access}\" />";
+        }
+
+        /// <summary>
+        /// Gets the name an overload group is known by, which is the type name for constructors.
+        /// </summary>
+        /// <param name="member">The overloaded member.</param>
+        /// <returns>The member name, or the name of the containing type for constructors.</returns>
+        internal static string GetOverloadName(DocMember member)
+        {
+            return member.MethodKind == MethodKind.Constructor ? member.Symbol.ContainingType?.Name ?? member.Name : member.Name;
+        }
+
+        /// <summary>
+        /// Builds the short label shown on an overload's tab, like <c>Equals(object, object)</c>.
+        /// </summary>
+        /// <param name="member">The overloaded member.</param>
+        /// <returns>The overload name followed by its parameter types without namespaces.</returns>
+        internal static string GetOverloadLabel(DocMember member)
+        {
+            var parameterTypes = member.Parameters.Select(p => p.Symbol.Type.ToDisplayString(SymbolDisplayFormat.MinimallyQualifiedFormat));
+            return $"{GetOverloadName(member)}({string.Join(", ", parameterTypes)})";
+        }
+
+        /// <summary>
+        /// Builds the id an overload can be deep-linked with, like <c>overload-equals-object-object</c>.
+        /// </summary>
+        /// <param name="member">The overloaded member.</param>
+        /// <returns>The overload label lowercased, with every run of other characters replaced by a hyphen.</returns>
+        /// <remarks>
+        /// The id only depends on the name and parameter types, so links keep working when overloads are added or reordered.
+        /// Overloads that still end up with the same id are told apart by <see cref="RenderMemberGroup(StringBuilder, IReadOnlyList{DocMember})"/>.
+        /// </remarks>
+        internal static string GetOverloadId(DocMember member)
+        {
+            var id = new StringBuilder("overload-");
+            foreach (var character in GetOverloadLabel(member).ToLowerInvariant())
+            {
+                if (char.IsAsciiLetterOrDigit(character))
+                {
+                    id.Append(character);
+                }
+                else if (id[id.Length - 1] != '-')
+                {
+                    id.Append('-');
+                }
+            }
+
+            return id.ToString().TrimEnd('-');
+        }
+
+        /// <summary>
+        /// Escapes a value for use inside a double-quoted JSX attribute.
+        /// </summary>
+        /// <param name="value">The value to escape.</param>
+        /// <returns>The value with ampersands and double quotes replaced by their HTML entities.</returns>
+        internal static string EscapeJsxAttribute(string value)
+        {
+            return value.Replace("&", "&amp;").Replace("\"", "&quot;");
+        }
+
+        /// <summary>
+        /// Creates the brand colors stylesheet that maps the docs.json <c>colors</c> onto the <c>--dnd-*</c> CSS variables read by the snippets.
+        /// </summary>
+        /// <param name="colors">The colors configuration from docs.json.</param>
+        /// <returns>A task representing the asynchronous file write operation.</returns>
+        /// <remarks>
+        /// Mintlify loads every .css file in the documentation root globally, so the snippets pick up the product colors without any JSX changes.
+        /// Following Mintlify's semantics, <c>primary</c> drives light mode, <c>light</c> drives dark mode, and <c>dark</c> is used for buttons and accents.
+        /// The deep gradient stops are derived from the brand colors. When no colors are configured, the stylesheet of an earlier build is deleted
+        /// so the snippets go back to their default colors.
+        /// </remarks>
+        internal async Task CreateBrandColorsStylesheetAsync(ColorsConfig? colors)
+        {
+            var stylesheetPath = Path.Combine(Context.DocumentationRootPath, BrandColorsStylesheetFileName);
+            var stylesheet = GetBrandColorsStylesheet(colors);
+
+            if (stylesheet is null)
+            {
+                if (File.Exists(stylesheetPath))
+                {
+                    File.Delete(stylesheetPath);
+                }
+                return;
+            }
+
+            await File.WriteAllTextAsync(stylesheetPath, stylesheet);
+        }
+
+        /// <summary>
+        /// Builds the brand colors stylesheet content for the specified colors configuration.
+        /// </summary>
+        /// <param name="colors">The colors configuration from docs.json.</param>
+        /// <returns>The stylesheet content, or null when no colors are configured.</returns>
+        /// <remarks>
+        /// The accents are also used as text, so light mode darkens the <c>dark</c> color by a quarter to keep it readable on light backgrounds,
+        /// the same way the default light theme pairs <c>#1B9FB3</c> with the dark theme's <c>#3CD0E2</c>. Without a <c>dark</c> color, light mode
+        /// uses <c>primary</c> for the accents too.
+        /// </remarks>
+        internal static string? GetBrandColorsStylesheet(ColorsConfig? colors)
+        {
+            if (colors is null || string.IsNullOrWhiteSpace(colors.Primary))
+            {
+                return null;
+            }
+
+            var darkPrimary = string.IsNullOrWhiteSpace(colors.Light) ? colors.Primary : colors.Light;
+            var accent = !string.IsNullOrWhiteSpace(colors.Dark) ? colors.Dark : darkPrimary;
+            var lightAccent = !string.IsNullOrWhiteSpace(colors.Dark) ? $"color-mix(in srgb, {colors.Dark} 75%, black)" : colors.Primary;
+
+            var sb = new StringBuilder();
+            sb.AppendLine("/* Generated by DotNetDocs from the docs.json colors. Do not edit; changes will be overwritten on the next build. */");
+            sb.AppendLine();
+            sb.AppendLine(":root {");
+            sb.AppendLine($"    --dnd-primary: {darkPrimary};");
+            sb.AppendLine($"    --dnd-accent: {accent};");
+            sb.AppendLine("    --dnd-primary-deep: color-mix(in srgb, var(--dnd-primary) 80%, black);");
+            sb.AppendLine("    --dnd-accent-deep: color-mix(in srgb, var(--dnd-accent) 80%, black);");
+            sb.AppendLine("}");
+            sb.AppendLine();
+            sb.AppendLine("html.light {");
+            sb.AppendLine($"    --dnd-primary: {colors.Primary};");
+            sb.AppendLine($"    --dnd-accent: {lightAccent};");
+            sb.AppendLine("}");
+
+            return sb.ToString();
         }
 
         #endregion
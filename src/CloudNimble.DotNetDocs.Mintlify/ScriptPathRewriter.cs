@@ -0,0 +1,557 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text;
+using System.Text.RegularExpressions;
+using Acornima;
+using Acornima.Ast;
+using Acornima.Jsx;
+using Acornima.Jsx.Ast;
+
+namespace CloudNimble.DotNetDocs.Mintlify
+{
+
+    /// <summary>
+    /// Rewrites the absolute paths in JavaScript and JSX by walking the syntax tree produced by a JSX parser.
+    /// </summary>
+    /// <remarks>
+    /// <para>
+    /// Each instance rewrites a single file. The file can be parsed as a whole, like a snippet, or one region at a time, like the
+    /// import blocks, JSX tags and expressions of an MDX page. The edits are collected against the original text and applied
+    /// together by <see cref="Apply"/>.
+    /// </para>
+    /// <para>
+    /// Paths are rewritten wherever their meaning is known from the syntax:
+    /// </para>
+    /// <list type="bullet">
+    /// <item><description>Module specifiers in <c>import</c>, <c>export ... from</c> and <c>import()</c></description></item>
+    /// <item><description>Values of <c>src</c> and <c>href</c> JSX attributes and object properties, including names like <c>lightSrc</c></description></item>
+    /// <item><description>Any string that starts with <c>/images/</c> or <c>/snippets/</c></description></item>
+    /// <item><description>CSS <c>url()</c> functions inside strings and template literals</description></item>
+    /// </list>
+    /// <para>
+    /// Values that start with something computed at runtime, like <c>`${base}/images/x.svg`</c> or <c>import(name)</c>, are
+    /// reported as issues with their line and column instead. Every module specifier that is a plain string is recorded in
+    /// <see cref="ModuleSpecifiers"/>, so callers can follow the imports to the files they load. Every other path that is written
+    /// out in full is recorded in <see cref="Paths"/>, so callers can check that it points at something, and the links of JSX
+    /// elements with <c>target="_blank"</c> are recorded in <see cref="NewTabLinks"/>.
+    /// </para>
+    /// </remarks>
+    internal partial class ScriptPathRewriter
+    {
+
+        #region Private Fields
+
+        /// <summary>
+        /// Matches CSS url() functions: url(/images/bg.svg) or url('/images/bg.svg')
+        /// </summary>
+        [GeneratedRegex(@"url\(\s*['""]?(?<path>/[^'""\)\s]+)['""]?\s*\)",
+            RegexOptions.Compiled, matchTimeoutMilliseconds: 1000)]
+        private static partial Regex CssUrlRegex();
+
+        private readonly string content;
+        private readonly List<(int Start, int Length, string Replacement)> edits = [];
+        private readonly HashSet<Node> handledNodes = new(ReferenceEqualityComparer.Instance);
+        private readonly List<(string Code, int Line, int Column, string Message)> issues = [];
+        private readonly List<(string Specifier, bool IsDynamic, int Line, int Column)> moduleSpecifiers = [];
+        private readonly List<(string Href, int Line, int Column)> newTabLinks = [];
+        private readonly JsxParser parser = new();
+        private readonly List<(string Path, int Line, int Column)> paths = [];
+        private readonly Func<string, string> rewriteModulePath;
+        private readonly Func<string, string> rewritePath;
+        private List<int>? lineStarts;
+
+        #endregion
+
+        #region Properties
+
+        /// <summary>
+        /// Gets the paths that could not be rewritten and the regions that could not be parsed.
+        /// </summary>
+        /// <value>The diagnostic code, one-based line and column, and description of each issue.</value>
+        public IReadOnlyList<(string Code, int Line, int Column, string Message)> Issues => issues;
+
+        /// <summary>
+        /// Gets the module specifiers of the <c>import</c>, <c>export ... from</c> and <c>import()</c> calls that use a plain string.
+        /// </summary>
+        /// <value>The specifier as written, whether it is loaded with <c>import()</c>, and the one-based line and column of the string.</value>
+        public IReadOnlyList<(string Specifier, bool IsDynamic, int Line, int Column)> ModuleSpecifiers => moduleSpecifiers;
+
+        /// <summary>
+        /// Gets the links of the JSX elements that open them in a new tab with <c>target="_blank"</c>.
+        /// </summary>
+        /// <value>The <c>href</c> as written, and the one-based line and column of its value.</value>
+        public IReadOnlyList<(string Href, int Line, int Column)> NewTabLinks => newTabLinks;
+
+        /// <summary>
+        /// Gets the paths that are written out in full, as opposed to starting a value that is completed at runtime.
+        /// </summary>
+        /// <value>The path as written, before it was rewritten, and the one-based line and column where it starts.</value>
+        /// <remarks>
+        /// This includes the values of <c>src</c> and <c>href</c> attributes and properties, strings that start with <c>/images/</c>
+        /// or <c>/snippets/</c>, and CSS <c>url()</c> functions. Module specifiers are in <see cref="ModuleSpecifiers"/> instead.
+        /// </remarks>
+        public IReadOnlyList<(string Path, int Line, int Column)> Paths => paths;
+
+        #endregion
+
+        #region Constructors
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ScriptPathRewriter"/> class.
+        /// </summary>
+        /// <param name="content">The text of the file to rewrite.</param>
+        /// <param name="rewritePath">Rewrites a single absolute path for the destination.</param>
+        /// <param name="rewriteModulePath">
+        /// Rewrites a module specifier for the destination, including relative ones. Defaults to <paramref name="rewritePath"/>.
+        /// </param>
+        public ScriptPathRewriter(string content, Func<string, string> rewritePath, Func<string, string>? rewriteModulePath = null)
+        {
+            ArgumentNullException.ThrowIfNull(content);
+            ArgumentNullException.ThrowIfNull(rewritePath);
+
+            this.content = content;
+            this.rewritePath = rewritePath;
+            this.rewriteModulePath = rewriteModulePath ?? rewritePath;
+        }
+
+        #endregion
+
+        #region Public Methods
+
+        /// <summary>
+        /// Applies every edit collected so far to the original text.
+        /// </summary>
+        /// <returns>The rewritten text.</returns>
+        public string Apply()
+        {
+            if (edits.Count == 0)
+            {
+                return content;
+            }
+
+            var builder = new StringBuilder(content.Length + edits.Count * 16);
+            var position = 0;
+            foreach (var (start, length, replacement) in edits.OrderBy(edit => edit.Start))
+            {
+                builder.Append(content, position, start - position).Append(replacement);
+                position = start + length;
+            }
+
+            return builder.Append(content, position, content.Length - position).ToString();
+        }
+
+        /// <summary>
+        /// Rewrites the CSS <c>url()</c> functions in a region of plain text, such as the Markdown between JSX tags.
+        /// </summary>
+        /// <param name="start">The index where the region starts.</param>
+        /// <param name="end">The index where the region ends, exclusive.</param>
+        public void RewriteCssUrls(int start, int end)
+        {
+            if (end <= start)
+            {
+                return;
+            }
+
+            foreach (Match match in CssUrlRegex().Matches(content.Substring(start, end - start)))
+            {
+                var path = match.Groups["path"];
+                ReplacePath(start + path.Index, path.Length, rewritePath, isComplete: true);
+            }
+        }
+
+        /// <summary>
+        /// Parses a JavaScript expression, like the inside of an MDX <c>{...}</c> block, and rewrites its paths.
+        /// </summary>
+        /// <param name="start">The index where the expression starts.</param>
+        /// <param name="end">The index where the expression ends, exclusive.</param>
+        /// <returns><see langword="true"/> if the expression was parsed; otherwise, <see langword="false"/>.</returns>
+        public bool TryRewriteExpression(int start, int end)
+        {
+            // The parentheses make the parser read the expression as a statement, and move every offset by one
+            return TryRewrite($"({content.Substring(start, end - start)}\n)", start - 1, start, "This expression");
+        }
+
+        /// <summary>
+        /// Parses a JSX opening or self-closing tag, like a component in an MDX page, and rewrites the paths in its attributes.
+        /// </summary>
+        /// <param name="start">The index of the tag's <c>&lt;</c>.</param>
+        /// <param name="end">The index of the tag's <c>&gt;</c>.</param>
+        /// <returns><see langword="true"/> if the tag was parsed; otherwise, <see langword="false"/>.</returns>
+        /// <remarks>
+        /// The children of an MDX component are Markdown, so opening tags are parsed as self-closing elements on their own.
+        /// </remarks>
+        public bool TryRewriteJsxTag(int start, int end)
+        {
+            var tag = content[end - 1] == '/'
+                ? content.Substring(start, end - start + 1)
+                : $"{content.Substring(start, end - start)}/>";
+
+            return TryRewrite(tag, start, start, "This JSX element");
+        }
+
+        /// <summary>
+        /// Parses a region of the file as an ES module and rewrites its paths.
+        /// </summary>
+        /// <param name="start">The index where the module code starts.</param>
+        /// <param name="end">The index where the module code ends, exclusive.</param>
+        /// <returns><see langword="true"/> if the code was parsed; otherwise, <see langword="false"/>.</returns>
+        public bool TryRewriteModule(int start, int end)
+        {
+            return TryRewrite(content.Substring(start, end - start), start, start, start == 0 && end == content.Length ? "The script" : "This import or export block");
+        }
+
+        #endregion
+
+        #region Private Methods
+
+        /// <summary>
+        /// Gets the one-based line and column of an index in the original text.
+        /// </summary>
+        private (int Line, int Column) GetLineAndColumn(int index)
+        {
+            if (lineStarts is null)
+            {
+                lineStarts = [0];
+                for (var i = 0; i < content.Length; i++)
+                {
+                    if (content[i] == '\n')
+                    {
+                        lineStarts.Add(i + 1);
+                    }
+                }
+            }
+
+            var line = lineStarts.BinarySearch(index);
+            if (line < 0)
+            {
+                line = ~line - 1;
+            }
+
+            return (line + 1, index - lineStarts[line] + 1);
+        }
+
+        /// <summary>
+        /// Gets the value of a string, or of a template literal without expressions, that may be wrapped in a JSX expression container.
+        /// </summary>
+        private static string? GetStaticString(Node? value)
+        {
+            return value switch
+            {
+                JsxExpressionContainer container => GetStaticString(container.Expression),
+                StringLiteral literal => literal.Value,
+                TemplateLiteral { Expressions.Count: 0 } template => template.Quasis[0].Value.Cooked,
+                _ => null
+            };
+        }
+
+        /// <summary>
+        /// Determines whether an attribute or property name holds a path, like <c>href</c>, <c>src</c> or <c>darkSrc</c>.
+        /// </summary>
+        private static bool IsPathName(string? name)
+        {
+            return name is "src" or "href" ||
+                (name is not null && (name.EndsWith("Src", StringComparison.Ordinal) || name.EndsWith("Href", StringComparison.Ordinal)));
+        }
+
+        /// <summary>
+        /// Determines whether a string is the path of a relocated resource.
+        /// </summary>
+        private static bool IsResourcePath(string value)
+        {
+            return value.StartsWith("/images/", StringComparison.Ordinal) || value.StartsWith("/snippets/", StringComparison.Ordinal);
+        }
+
+        /// <summary>
+        /// Records the link of a JSX element that opens it in a new tab.
+        /// </summary>
+        private void RecordNewTabLink(JsxOpeningElement element, int offset)
+        {
+            var attributes = element.Attributes.OfType<JsxAttribute>().ToList();
+            if (!attributes.Any(attribute => attribute.Name is JsxIdentifier { Name: "target" } && GetStaticString(attribute.Value) == "_blank"))
+            {
+                return;
+            }
+
+            var href = attributes.FirstOrDefault(attribute => attribute.Name is JsxIdentifier { Name: "href" })?.Value;
+            if (href is not null && GetStaticString(href) is { } value)
+            {
+                var (line, column) = GetLineAndColumn(href.Start + offset);
+                newTabLinks.Add((value, line, column));
+            }
+        }
+
+        /// <summary>
+        /// Records an issue at an index in the original text.
+        /// </summary>
+        private void Report(string code, int index, string message)
+        {
+            var (line, column) = GetLineAndColumn(index);
+            issues.Add((code, line, column, message));
+        }
+
+        /// <summary>
+        /// Records a path that starts with a value computed at runtime.
+        /// </summary>
+        private void ReportDynamicPath(Node node, int offset)
+        {
+            Report(MintlifyDiagnosticCodes.PathNotRewritable, node.Start + offset,
+                "This path starts with a value computed at runtime, so it can't be rewritten for the collection. " +
+                "Start it with a string, such as '/images/' + name, so the prefix can be rewritten.");
+        }
+
+        /// <summary>
+        /// Records and rewrites the module specifier of an import or export.
+        /// </summary>
+        private void RewriteModuleSpecifier(StringLiteral literal, int offset, bool isDynamic)
+        {
+            handledNodes.Add(literal);
+
+            var start = literal.Start + offset;
+            var (line, column) = GetLineAndColumn(start);
+            moduleSpecifiers.Add((literal.Value, isDynamic, line, column));
+
+            if (content[start] is '"' or '\'')
+            {
+                ReplacePath(start + 1, literal.End - literal.Start - 2, rewriteModulePath, isComplete: false);
+            }
+        }
+
+        /// <summary>
+        /// Rewrites the contents of a string literal that holds a path.
+        /// </summary>
+        private void RewriteStringLiteral(StringLiteral literal, int offset, bool isComplete)
+        {
+            handledNodes.Add(literal);
+
+            var start = literal.Start + offset;
+            if (content[start] is '"' or '\'')
+            {
+                ReplacePath(start + 1, literal.End - literal.Start - 2, rewritePath, isComplete);
+            }
+        }
+
+        /// <summary>
+        /// Rewrites the raw text of a template literal quasi that holds a path.
+        /// </summary>
+        private void RewriteTemplateElement(TemplateElement element, int offset, bool isComplete)
+        {
+            handledNodes.Add(element);
+
+            var start = element.Start + offset;
+            var raw = element.Value.Raw;
+            if (content.AsSpan(start).StartsWith(raw, StringComparison.Ordinal))
+            {
+                ReplacePath(start, raw.Length, rewritePath, isComplete);
+            }
+        }
+
+        /// <summary>
+        /// Rewrites a value known to hold a path, following conditionals and concatenations to the strings that start it.
+        /// A value on the left of a concatenation only starts its path, so it isn't recorded in <see cref="Paths"/>.
+        /// </summary>
+        /// <returns><see langword="true"/> if the start of the value is static; <see langword="false"/> if it is computed at runtime.</returns>
+        private bool RewriteValue(Node? value, int offset, bool isPrefix = false)
+        {
+            switch (value)
+            {
+                case JsxExpressionContainer container:
+                    return RewriteValue(container.Expression, offset, isPrefix);
+
+                case StringLiteral literal:
+                    RewriteStringLiteral(literal, offset, !isPrefix);
+                    return true;
+
+                case TemplateLiteral template:
+                    if (template.Quasis[0].Value.Raw.Length > 0 || template.Expressions.Count == 0)
+                    {
+                        RewriteTemplateElement(template.Quasis[0], offset, !isPrefix && template.Expressions.Count == 0);
+                        return true;
+                    }
+
+                    if (template.Quasis.Skip(1).Any(quasi => quasi.Value.Raw.StartsWith('/')))
+                    {
+                        ReportDynamicPath(template, offset);
+                    }
+
+                    handledNodes.UnionWith(template.Quasis);
+                    return false;
+
+                case ConditionalExpression conditional:
+                    return RewriteValue(conditional.Consequent, offset, isPrefix) & RewriteValue(conditional.Alternate, offset, isPrefix);
+
+                case LogicalExpression logical:
+                    return RewriteValue(logical.Left, offset, isPrefix) & RewriteValue(logical.Right, offset, isPrefix);
+
+                case BinaryExpression { Operator: Operator.Addition } binary:
+                    if (RewriteValue(binary.Left, offset, isPrefix: true))
+                    {
+                        return true;
+                    }
+
+                    if (binary.Right is StringLiteral right && right.Value.StartsWith('/'))
+                    {
+                        handledNodes.Add(right);
+                        ReportDynamicPath(binary, offset);
+                    }
+
+                    return false;
+
+                default:
+                    return false;
+            }
+        }
+
+        /// <summary>
+        /// Rewrites a path in the original text if it changes, and records it in <see cref="Paths"/> if it is complete.
+        /// </summary>
+        private void ReplacePath(int start, int length, Func<string, string> rewrite, bool isComplete)
+        {
+            var path = content.Substring(start, length);
+            if (isComplete)
+            {
+                var (line, column) = GetLineAndColumn(start);
+                paths.Add((path, line, column));
+            }
+
+            var rewrittenPath = rewrite(path);
+            if (!string.Equals(path, rewrittenPath, StringComparison.Ordinal))
+            {
+                edits.Add((start, length, rewrittenPath));
+            }
+        }
+
+        /// <summary>
+        /// Parses a piece of code and rewrites the paths in its syntax tree.
+        /// </summary>
+        /// <param name="code">The code to parse.</param>
+        /// <param name="offset">The index in the original text that index 0 of <paramref name="code"/> maps to.</param>
+        /// <param name="start">The index in the original text to report parse errors at when their position is unknown.</param>
+        /// <param name="description">Describes the code in parse error messages.</param>
+        private bool TryRewrite(string code, int offset, int start, string description)
+        {
+            Module module;
+            try
+            {
+                module = parser.ParseModule(code);
+            }
+            catch (ParseErrorException ex)
+            {
+                var index = ex.Index >= 0 ? Math.Clamp(ex.Index + offset, start, content.Length) : start;
+                Report(MintlifyDiagnosticCodes.ScriptNotParsed, index,
+                    $"{description} could not be parsed, so its paths were not rewritten for the collection: {ex.Description}");
+                return false;
+            }
+
+            // Parents are visited before their children, so a string handled as an attribute value isn't handled again
+            var nodes = new Stack<Node>();
+            nodes.Push(module);
+            while (nodes.Count > 0)
+            {
+                var node = nodes.Pop();
+                Visit(node, offset);
+
+                foreach (var child in node.ChildNodes)
+                {
+                    nodes.Push(child);
+                }
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Rewrites the paths that a single node determines.
+        /// </summary>
+        private void Visit(Node node, int offset)
+        {
+            switch (node)
+            {
+                case ImportDeclaration import:
+                    RewriteModuleSpecifier(import.Source, offset, isDynamic: false);
+                    break;
+
+                case ExportAllDeclaration exportAll:
+                    RewriteModuleSpecifier(exportAll.Source, offset, isDynamic: false);
+                    break;
+
+                case ExportNamedDeclaration { Source: { } source }:
+                    RewriteModuleSpecifier(source, offset, isDynamic: false);
+                    break;
+
+                case ImportExpression { Source: StringLiteral source }:
+                    RewriteModuleSpecifier(source, offset, isDynamic: true);
+                    break;
+
+                case ImportExpression import:
+                    // Skip the generic message when the value already reported a more specific one
+                    var reported = issues.Count;
+                    if (!RewriteValue(import.Source, offset) && issues.Count == reported)
+                    {
+                        Report(MintlifyDiagnosticCodes.PathNotRewritable, import.Start + offset,
+                            "This import() loads a module path computed at runtime, so it can't be rewritten for the collection. " +
+                            "Import the snippet with a string path instead.");
+                    }
+                    break;
+
+                case JsxOpeningElement element:
+                    RecordNewTabLink(element, offset);
+                    break;
+
+                case JsxAttribute { Name: JsxIdentifier name } attribute when IsPathName(name.Name):
+                    RewriteValue(attribute.Value, offset);
+                    break;
+
+                case Property { Computed: false } property when IsPathName(property.Key switch
+                {
+                    Identifier identifier => identifier.Name,
+                    StringLiteral literal => literal.Value,
+                    _ => null
+                }):
+                    RewriteValue(property.Value, offset);
+                    break;
+
+                case StringLiteral literal when !handledNodes.Contains(literal):
+                    var literalStart = literal.Start + offset;
+                    if (IsResourcePath(literal.Value))
+                    {
+                        RewriteStringLiteral(literal, offset, isComplete: true);
+                    }
+                    else if (content[literalStart] is '"' or '\'')
+                    {
+                        RewriteCssUrls(literalStart + 1, literal.End + offset - 1);
+                    }
+                    break;
+
+                case TemplateLiteral template:
+                    for (var i = 0; i < template.Quasis.Count; i++)
+                    {
+                        var quasi = template.Quasis[i];
+                        if (handledNodes.Contains(quasi))
+                        {
+                            continue;
+                        }
+
+                        handledNodes.Add(quasi);
+                        if (i == 0 && IsResourcePath(quasi.Value.Raw))
+                        {
+                            RewriteTemplateElement(quasi, offset, isComplete: template.Expressions.Count == 0);
+                        }
+                        else if (i > 0 && IsResourcePath(quasi.Value.Raw))
+                        {
+                            ReportDynamicPath(template, offset);
+                        }
+                        else
+                        {
+                            RewriteCssUrls(quasi.Start + offset, quasi.End + offset);
+                        }
+                    }
+                    break;
+            }
+        }
+
+        #endregion
+
+    }
+
+}
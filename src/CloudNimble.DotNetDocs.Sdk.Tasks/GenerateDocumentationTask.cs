@@ -373,6 +373,12 @@ namespace CloudNimble.DotNetDocs.Sdk.Tasks
                     return false;
                 }
 
+                LogDiagnostics(manager.Diagnostics);
+                if (Log.HasLoggedErrors)
+                {
+                    return false;
+                }
+
                 // Collect statistics after processing
                 var generatedFiles = new List<string>();
 
@@ -1793,6 +1799,29 @@ namespace CloudNimble.DotNetDocs.Sdk.Tasks
         }
 
         #endregion
+
+        #region Private Methods
+
+        /// <summary>
+        /// Logs the diagnostics reported while processing documentation as MSBuild warnings and errors.
+        /// </summary>
+        /// <param name="diagnostics">The diagnostics to log.</param>
+        private void LogDiagnostics(IEnumerable<DocumentationDiagnostic> diagnostics)
+        {
+            foreach (var diagnostic in diagnostics)
+            {
+                if (diagnostic.Severity == DocumentationDiagnosticSeverity.Error)
+                {
+                    Log.LogError(null, diagnostic.Code, null, diagnostic.FilePath, diagnostic.Line, diagnostic.Column, 0, 0, diagnostic.Message);
+                }
+                else
+                {
+                    Log.LogWarning(null, diagnostic.Code, null, diagnostic.FilePath, diagnostic.Line, diagnostic.Column, 0, 0, diagnostic.Message);
+                }
+            }
+        }
+
+        #endregion
 #endif
 
     }
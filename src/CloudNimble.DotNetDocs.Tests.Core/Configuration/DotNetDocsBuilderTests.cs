@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Text.Json;
 using System.Text.Json.Serialization;
@@ -146,7 +147,8 @@ namespace CloudNimble.DotNetDocs.Tests.Core.Configuration
                     pipeline
                         .AddRenderer<TestRenderer>()
                         .AddEnricher<TestEnricher>()
-                        .AddTransformer<TestTransformer>();
+                        .AddTransformer<TestTransformer>()
+                        .AddValidator<TestValidator>();
                 }));
             TestSetup();
 
@@ -162,6 +164,10 @@ namespace CloudNimble.DotNetDocs.Tests.Core.Configuration
             var transformers = TestHost.Services.GetServices<IDocTransformer>().ToList();
             transformers.Should().ContainSingle();
             transformers.Should().AllBeOfType<TestTransformer>();
+
+            var validators = TestHost.Services.GetServices<IDocValidator>().ToList();
+            validators.Should().ContainSingle();
+            validators.Should().AllBeOfType<TestValidator>();
         }
 
         [TestMethod]
@@ -379,6 +385,12 @@ namespace CloudNimble.DotNetDocs.Tests.Core.Configuration
             public Task TransformAsync(DocEntity entity) => Task.CompletedTask;
         }
 
+        private class TestValidator : IDocValidator
+        {
+            public IReadOnlyCollection<DocumentationDiagnostic> Diagnostics => [];
+            public Task ValidateAsync(string documentationRootPath) => Task.CompletedTask;
+        }
+
         #endregion
 
     }
@@ -368,6 +368,73 @@ namespace CloudNimble.DotNetDocs.Tests.Core
 
         #endregion
 
+        #region PrepareAsync Tests
+
+        [TestMethod]
+        public async Task PrepareAsync_ByDefault_DoesNothing()
+        {
+            var handler = new TestDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = Path.Combine(_tempDirectory!, "source"),
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Generic
+            };
+
+            await handler.PrepareAsync([reference], Path.Combine(_tempDirectory!, "docs"));
+
+            handler.Diagnostics.Should().BeEmpty();
+            Directory.Exists(Path.Combine(_tempDirectory!, "docs")).Should().BeFalse();
+        }
+
+        [TestMethod]
+        public async Task PrepareAsync_ClearsDiagnosticsOfPreviousBuild()
+        {
+            var handler = new TestDocReferenceHandler();
+            handler.TestReportDiagnostic(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS0001", "Stale"));
+
+            await handler.PrepareAsync([], Path.Combine(_tempDirectory!, "docs"));
+
+            handler.Diagnostics.Should().BeEmpty();
+        }
+
+        #endregion
+
+        #region ReportDiagnostic Tests
+
+        [TestMethod]
+        public void Diagnostics_NothingReported_IsEmpty()
+        {
+            var handler = new TestDocReferenceHandler();
+
+            handler.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public void ReportDiagnostic_AddsDiagnosticsInOrder()
+        {
+            var handler = new TestDocReferenceHandler();
+            var first = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS0001", "First", "index.mdx", 3, 5);
+            var second = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Error, "DOCS0002", "Second");
+
+            handler.TestReportDiagnostic(first);
+            handler.TestReportDiagnostic(second);
+
+            handler.Diagnostics.Should().ContainInOrder(first, second);
+        }
+
+        [TestMethod]
+        public void ReportDiagnostic_WithNull_ThrowsArgumentNullException()
+        {
+            var handler = new TestDocReferenceHandler();
+
+            var act = () => handler.TestReportDiagnostic(null!);
+
+            act.Should().Throw<ArgumentNullException>();
+        }
+
+        #endregion
+
         #region Test Helper Class
 
         /// <summary>
@@ -407,6 +474,11 @@ namespace CloudNimble.DotNetDocs.Tests.Core
             {
                 return CopyDirectoryWithExclusionsAsync(sourceDir, destDir, exclusionPatterns, skipExisting);
             }
+
+            public void TestReportDiagnostic(DocumentationDiagnostic diagnostic)
+            {
+                ReportDiagnostic(diagnostic);
+            }
         }
 
         #endregion
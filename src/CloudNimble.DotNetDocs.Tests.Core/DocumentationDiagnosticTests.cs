@@ -0,0 +1,104 @@
+using System;
+using CloudNimble.DotNetDocs.Core;
+using CloudNimble.DotNetDocs.Tests.Shared;
+using FluentAssertions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace CloudNimble.DotNetDocs.Tests.Core
+{
+
+    /// <summary>
+    /// Tests for the DocumentationDiagnostic class.
+    /// </summary>
+    [TestClass]
+    public class DocumentationDiagnosticTests : DotNetDocsTestBase
+    {
+
+        #region Constructor Tests
+
+        [TestMethod]
+        public void Constructor_SetsAllProperties()
+        {
+            var diagnostic = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Error, "DOCS0001", "Something broke", "docs/index.mdx", 12, 5);
+
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Error);
+            diagnostic.Code.Should().Be("DOCS0001");
+            diagnostic.Message.Should().Be("Something broke");
+            diagnostic.FilePath.Should().Be("docs/index.mdx");
+            diagnostic.Line.Should().Be(12);
+            diagnostic.Column.Should().Be(5);
+        }
+
+        [TestMethod]
+        public void Constructor_WithoutLocation_DefaultsToWholeFile()
+        {
+            var diagnostic = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS0001", "Something looks off");
+
+            diagnostic.FilePath.Should().BeNull();
+            diagnostic.Line.Should().Be(0);
+            diagnostic.Column.Should().Be(0);
+        }
+
+        [TestMethod]
+        [DataRow(null)]
+        [DataRow("")]
+        [DataRow("   ")]
+        public void Constructor_WithInvalidCode_ThrowsArgumentException(string? code)
+        {
+            var act = () => new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, code!, "Message");
+
+            act.Should().Throw<ArgumentException>();
+        }
+
+        [TestMethod]
+        [DataRow(null)]
+        [DataRow("")]
+        [DataRow("   ")]
+        public void Constructor_WithInvalidMessage_ThrowsArgumentException(string? message)
+        {
+            var act = () => new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS0001", message!);
+
+            act.Should().Throw<ArgumentException>();
+        }
+
+        #endregion
+
+        #region ToString Tests
+
+        [TestMethod]
+        public void ToString_WithLineAndColumn_UsesMSBuildFormat()
+        {
+            var diagnostic = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS0001", "Something looks off", "docs/index.mdx", 12, 5);
+
+            diagnostic.ToString().Should().Be("docs/index.mdx(12,5): warning DOCS0001: Something looks off");
+        }
+
+        [TestMethod]
+        public void ToString_WithLineOnly_OmitsColumn()
+        {
+            var diagnostic = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Error, "DOCS0001", "Something broke", "docs/index.mdx", 12);
+
+            diagnostic.ToString().Should().Be("docs/index.mdx(12): error DOCS0001: Something broke");
+        }
+
+        [TestMethod]
+        public void ToString_WithFileOnly_OmitsPosition()
+        {
+            var diagnostic = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS0001", "Something looks off", "docs/index.mdx");
+
+            diagnostic.ToString().Should().Be("docs/index.mdx: warning DOCS0001: Something looks off");
+        }
+
+        [TestMethod]
+        public void ToString_WithoutFile_OmitsLocation()
+        {
+            var diagnostic = new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Error, "DOCS0001", "Something broke");
+
+            diagnostic.ToString().Should().Be("error DOCS0001: Something broke");
+        }
+
+        #endregion
+
+    }
+
+}
@@ -1502,6 +1502,45 @@ CloudNimble.DotNetDocs.Tests.Shared.BasicScenarios.DerivedClass";
             manager.Should().NotBeNull("ProcessAsync should complete even with conceptual disabled");
         }
 
+        [TestMethod]
+        public async Task ProcessAsync_WithValidator_ValidatesDocumentationRootAndReportsDiagnostics()
+        {
+            var context = GetService<ProjectContext>();
+            var renderer = new TestRenderer("TestRenderer", context);
+            var validator = new TestValidator();
+            var manager = new DocumentationManager(context, renderers: [renderer], validators: [validator]);
+
+            await manager.ProcessAsync(_testAssemblyPath!, _testXmlPath!);
+
+            validator.ValidatedRootPath.Should().Be(context.DocumentationRootPath);
+            renderer.Executed.Should().BeTrue();
+            manager.Diagnostics.Should().ContainSingle()
+                .Which.Code.Should().Be("DOCS9999");
+        }
+
+        [TestMethod]
+        public async Task ProcessAsync_DocumentationOnlyModeWithValidator_RunsValidator()
+        {
+            var context = GetService<ProjectContext>();
+            var sourceDir = Path.Combine(_tempDirectory!, "validated-reference");
+            Directory.CreateDirectory(sourceDir);
+
+            context.DocumentationReferences.Add(new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "references",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            });
+
+            var validator = new TestValidator();
+            var manager = new DocumentationManager(context, validators: [validator]);
+
+            await manager.ProcessAsync(Array.Empty<(string assemblyPath, string xmlPath)>());
+
+            validator.ValidatedRootPath.Should().Be(context.DocumentationRootPath);
+            manager.Diagnostics.Should().ContainSingle();
+        }
+
         #endregion
 
         #region Edge Case Tests
@@ -2285,6 +2324,21 @@ CloudNimble.DotNetDocs.Tests.Shared.BasicScenarios.DerivedClass";
             }
         }
 
+        private class TestValidator : IDocValidator
+        {
+            private readonly List<DocumentationDiagnostic> diagnostics = [];
+
+            public IReadOnlyCollection<DocumentationDiagnostic> Diagnostics => diagnostics;
+            public string? ValidatedRootPath { get; private set; }
+
+            public Task ValidateAsync(string documentationRootPath)
+            {
+                ValidatedRootPath = documentationRootPath;
+                diagnostics.Add(new DocumentationDiagnostic(DocumentationDiagnosticSeverity.Warning, "DOCS9999", "Validated"));
+                return Task.CompletedTask;
+            }
+        }
+
         #endregion
 
     }
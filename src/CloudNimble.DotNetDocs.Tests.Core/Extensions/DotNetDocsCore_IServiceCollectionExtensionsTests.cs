@@ -1,3 +1,4 @@
+using System.Collections.Generic;
 using System.Linq;
 using System.Threading.Tasks;
 using CloudNimble.DotNetDocs.Core;
@@ -329,6 +330,24 @@ namespace CloudNimble.DotNetDocs.Tests.Core.Extensions
             transformers.Should().AllBeOfType<TestTransformer>();
         }
 
+        [TestMethod]
+        public void AddDocValidator_RegistersCustomValidator()
+        {
+            // Arrange & Act
+            TestHostBuilder.ConfigureServices(services => 
+            {
+                services.AddDotNetDocsCore();
+                services.AddDocValidator<TestValidator>();
+                services.AddDocValidator<TestValidator>(); // Should not duplicate
+            });
+            TestSetup();
+
+            // Assert
+            var validators = TestHost.Services.GetServices<IDocValidator>().ToList();
+            validators.Should().ContainSingle();
+            validators.Should().AllBeOfType<TestValidator>();
+        }
+
         #endregion
 
         #region TryAdd Behavior Tests
@@ -642,6 +661,12 @@ namespace CloudNimble.DotNetDocs.Tests.Core.Extensions
             public Task TransformAsync(DocEntity entity) => Task.CompletedTask;
         }
 
+        private class TestValidator : IDocValidator
+        {
+            public IReadOnlyCollection<DocumentationDiagnostic> Diagnostics => [];
+            public Task ValidateAsync(string documentationRootPath) => Task.CompletedTask;
+        }
+
         #endregion
 
     }
@@ -330,6 +330,408 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify
 
         #endregion
 
+        #region RewriteMintlifyContent Tests - Parsed JavaScript
+
+        [TestMethod]
+        public void RewriteMintlifyContent_MultilineImport_RewritesPathAndKeepsQuotes()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = """
+                import {
+                  Hero,
+                  Footer
+                } from "/snippets/Layout.jsx";
+
+                <Hero />
+                """;
+
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Contain("} from \"/snippets/my-project/Layout.jsx\";");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_SideEffectImport_RewritesPath()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "import '/snippets/theme.js'";
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Be("import '/snippets/my-project/theme.js'");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_ExportFrom_RewritesPaths()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = """
+                export { Hero } from '/snippets/Hero.jsx'
+                export * from '/snippets/Cards.jsx'
+                """;
+
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Contain("export { Hero } from '/snippets/my-project/Hero.jsx'");
+            result.Should().Contain("export * from '/snippets/my-project/Cards.jsx'");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_DynamicImportInExport_RewritesPath()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "export const loadChart = () => import('/snippets/Chart.jsx')";
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Be("export const loadChart = () => import('/snippets/my-project/Chart.jsx')");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_JsxExpressionAttribute_RewritesPath()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "<img src={'/images/logo.svg'} alt=\"Logo\" />";
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Be("<img src={'/images/my-project/logo.svg'} alt=\"Logo\" />");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_ObjectStyleHrefProps_RewritesPaths()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = """
+                <FeatureGrid features={[
+                  { title: 'Install', href: '/guides/install' },
+                  { title: 'Deploy', href: '/guides/deploy', darkSrc: '/images/deploy.dark.svg' }
+                ]}>
+                  Everything you need.
+                </FeatureGrid>
+                """;
+
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Contain("href: '/my-project/guides/install'");
+            result.Should().Contain("href: '/my-project/guides/deploy'");
+            result.Should().Contain("darkSrc: '/images/my-project/deploy.dark.svg'");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_StyleExpressionChild_RewritesCssUrl()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "<style>{`.hero { background: url(/images/hero.png); }`}</style>";
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Be("<style>{`.hero { background: url(/images/my-project/hero.png); }`}</style>");
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_PathInInlineCode_PreservesOriginalPath()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "Use `<img src=\"/images/logo.png\" />` to show the logo.";
+            var result = handler.RewriteMintlifyContent(content, "my-project");
+
+            result.Should().Be(content);
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_Frontmatter_IsNotParsed()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = """
+                ---
+                title: "Getting {Started}"
+                ---
+
+                <Card href="/guides/intro" />
+                """;
+
+            var result = handler.RewriteMintlifyContent(content, "my-project", "index.mdx");
+
+            result.Should().Contain("title: \"Getting {Started}\"");
+            result.Should().Contain("href=\"/my-project/guides/intro\"");
+            handler.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public void RewriteMintlifyContent_UnparsableExpression_ReportsWarningWithLine()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = """
+                # Overview
+
+                Pick {one of these} options.
+                """;
+
+            var result = handler.RewriteMintlifyContent(content, "my-project", "overview.mdx");
+
+            result.Should().Be(content);
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.ScriptNotParsed);
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Warning);
+            diagnostic.FilePath.Should().Be("overview.mdx");
+            diagnostic.Line.Should().Be(3);
+        }
+
+        #endregion
+
+        #region RewriteSnippetContent Tests
+
+        [TestMethod]
+        public void RewriteSnippetContent_JsxAttributes_RewritesPaths()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "<a href=\"/quickstart\"><img src=\"/images/logos/dotnetdocs.dark.svg\" /></a>";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("<a href=\"/test/quickstart\"><img src=\"/images/test/logos/dotnetdocs.dark.svg\" /></a>");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_StyleObjectUrl_RewritesPath()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "const style = { backgroundImage: 'url(/images/mintlify-bg.svg)' };";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("const style = { backgroundImage: 'url(/images/test/mintlify-bg.svg)' };");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_QuotedUrlInsideString_RewritesPathOnce()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "const style = { backgroundImage: \"url('/images/bg.svg')\" };";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("const style = { backgroundImage: \"url('/images/test/bg.svg')\" };");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_DataObjectProperties_RewritesPaths()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "const logo = { href: '/providers/mintlify#top', src: '/images/logos/mintlify.dark.svg', lightSrc: '/images/logos/mintlify.light.svg' };";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("const logo = { href: '/test/providers/mintlify#top', src: '/images/test/logos/mintlify.dark.svg', lightSrc: '/images/test/logos/mintlify.light.svg' };");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_TemplateLiteral_RewritesStaticPrefix()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "<img src={`/images/logos/${name}.svg`} />";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("<img src={`/images/test/logos/${name}.svg`} />");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_Imports_RewritesPaths()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "import { tokens } from '/snippets/ThemeTokens.jsx';\nconst lazy = import(\"/snippets/Lazy.jsx\");";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("import { tokens } from '/snippets/test/ThemeTokens.jsx';\nconst lazy = import(\"/snippets/test/Lazy.jsx\");");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_OtherStringLiterals_PreservesValues()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "fetch('/api/data'); const external = { href: 'https://github.com/cloudnimble' };";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be(content);
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_ConditionalAndConcatenatedValues_RewritesStaticPrefixes()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "const Logo = ({ dark, name }) => <img src={dark ? '/images/dark.svg' : '/images/icons/' + name + '.svg'} />;";
+            var result = handler.RewriteSnippetContent(content, "test");
+
+            result.Should().Be("const Logo = ({ dark, name }) => <img src={dark ? '/images/test/dark.svg' : '/images/test/icons/' + name + '.svg'} />;");
+            handler.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_DynamicPrefix_ReportsWarningWithLineAndColumn()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "const base = '';\nexport const Logo = ({ name }) => <img src={`${base}/images/${name}.svg`} />;";
+            var result = handler.RewriteSnippetContent(content, "test", "snippets/Logo.jsx");
+
+            result.Should().Be(content);
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.PathNotRewritable);
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Warning);
+            diagnostic.FilePath.Should().Be("snippets/Logo.jsx");
+            diagnostic.Line.Should().Be(2);
+            diagnostic.Column.Should().Be(45);
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_ComputedDynamicImport_ReportsWarning()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "export const load = (name) => import(name);";
+            handler.RewriteSnippetContent(content, "test", "snippets/Loader.jsx");
+
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.PathNotRewritable);
+            diagnostic.Line.Should().Be(1);
+            diagnostic.Column.Should().Be(31);
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_PropsAndIdentifiers_DoesNotReportWarnings()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "export const Link = ({ href, children }) => <a href={href}>{children}</a>;";
+            var result = handler.RewriteSnippetContent(content, "test", "snippets/Link.jsx");
+
+            result.Should().Be(content);
+            handler.Diagnostics.Should().BeEmpty("the caller passes the path, and it is rewritten where it is written");
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_InvalidJsx_ReportsWarningAndPreservesContent()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "export const Broken = () => <div src=\"/images/x.svg\">;";
+            var result = handler.RewriteSnippetContent(content, "test", "snippets/Broken.jsx");
+
+            result.Should().Be(content);
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.ScriptNotParsed);
+            diagnostic.FilePath.Should().Be("snippets/Broken.jsx");
+            diagnostic.Line.Should().Be(1);
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_TypeScript_RewritesWithPatternMatching()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            var content = "export const Logo = ({ size }: { size: number }) => <img src=\"/images/logo.svg\" width={size} />;";
+            var result = handler.RewriteSnippetContent(content, "test", "snippets/Logo.tsx");
+
+            result.Should().Be("export const Logo = ({ size }: { size: number }) => <img src=\"/images/test/logo.svg\" width={size} />;");
+            handler.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public void RewriteSnippetContent_WithSourceRoot_RewritesRelativeImportsOutsideSnippets()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+            var sourceRoot = Path.Combine(_tempDirectory!, "source");
+
+            var content = "import { CodeWindow } from './CodeWindow.jsx';\nimport { colors } from '../shared/colors.js';";
+            var result = handler.RewriteSnippetContent(content, "test", Path.Combine(sourceRoot, "snippets", "Hero.jsx"), sourceRoot);
+
+            result.Should().Be("import { CodeWindow } from './CodeWindow.jsx';\nimport { colors } from '/snippets/test/shared/colors.js';");
+        }
+
+        #endregion
+
+        #region RewriteModulePath Tests
+
+        [TestMethod]
+        public void RewriteModulePath_WithoutSourceRoot_RewritesLikeAnyPath()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+
+            handler.RewriteModulePath("/snippets/Hero.jsx", "test", null, null).Should().Be("/snippets/test/Hero.jsx");
+            handler.RewriteModulePath("./Hero.jsx", "test", null, null).Should().Be("./Hero.jsx");
+        }
+
+        [TestMethod]
+        public void RewriteModulePath_SnippetModule_StaysInSnippets()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+            var sourceRoot = Path.Combine(_tempDirectory!, "source");
+
+            var result = handler.RewriteModulePath("/snippets/marketing/Hero.jsx", "test", Path.Combine(sourceRoot, "index.mdx"), sourceRoot);
+
+            result.Should().Be("/snippets/test/marketing/Hero.jsx");
+        }
+
+        [TestMethod]
+        public void RewriteModulePath_ModuleOutsideSnippets_MovesIntoSnippets()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+            var sourceRoot = Path.Combine(_tempDirectory!, "source");
+
+            var result = handler.RewriteModulePath("/components/Chart.jsx", "test", Path.Combine(sourceRoot, "index.mdx"), sourceRoot);
+
+            result.Should().Be("/snippets/test/components/Chart.jsx");
+        }
+
+        [TestMethod]
+        public void RewriteModulePath_RelativeImportFromPage_BecomesAbsolute()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+            var sourceRoot = Path.Combine(_tempDirectory!, "source");
+
+            var result = handler.RewriteModulePath("../components/Chart.jsx", "test", Path.Combine(sourceRoot, "guides", "intro.mdx"), sourceRoot);
+
+            result.Should().Be("/snippets/test/components/Chart.jsx");
+        }
+
+        [TestMethod]
+        public void RewriteModulePath_RelativeImportBetweenSnippets_IsPreserved()
+        {
+            var handler = new MintlifyDocReferenceHandler();
+            var sourceRoot = Path.Combine(_tempDirectory!, "source");
+
+            var result = handler.RewriteModulePath("../CodeWindow.jsx", "test", Path.Combine(sourceRoot, "snippets", "marketing", "Hero.jsx"), sourceRoot);
+
+            result.Should().Be("../CodeWindow.jsx", "the snippets folder is relocated as a whole");
+        }
+
+        [TestMethod]
+        [DataRow("react", "react")]
+        [DataRow("https://esm.sh/canvas-confetti", "https://esm.sh/canvas-confetti")]
+        [DataRow("/images/logo.svg", "/images/test/logo.svg")]
+        public void RewriteModulePath_PackagesUrlsAndAssets_AreNotRelocated(string specifier, string expected)
+        {
+            var handler = new MintlifyDocReferenceHandler();
+            var sourceRoot = Path.Combine(_tempDirectory!, "source");
+
+            var result = handler.RewriteModulePath(specifier, "test", Path.Combine(sourceRoot, "snippets", "Hero.jsx"), sourceRoot);
+
+            result.Should().Be(expected);
+        }
+
+        #endregion
+
         #region ProcessAsync Integration Tests
 
         [TestMethod]
@@ -421,6 +823,194 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify
             File.Exists(Path.Combine(destRootDir, "snippets", "my-lib", "Component.jsx")).Should().BeTrue();
         }
 
+        [TestMethod]
+        public async Task ProcessAsync_RewritesPathsInRelocatedSnippets()
+        {
+            var sourceDir = Path.Combine(_tempDirectory!, "source5");
+            var destRootDir = Path.Combine(_tempDirectory!, "docs5");
+            Directory.CreateDirectory(Path.Combine(sourceDir, "snippets", "marketing"));
+
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "marketing", "Hero.jsx"),
+                "import { tokens } from '/snippets/ThemeTokens.jsx';\n" +
+                "export const Hero = () => <a href=\"/quickstart\" style={{ backgroundImage: 'url(/images/bg.svg)' }}><img src=\"/images/logo.svg\" /></a>;");
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "notes.txt"), "/images/logo.svg");
+
+            var handler = new MintlifyDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+
+            await handler.ProcessAsync(reference, destRootDir);
+
+            var hero = File.ReadAllText(Path.Combine(destRootDir, "snippets", "my-lib", "marketing", "Hero.jsx"));
+            hero.Should().Contain("from '/snippets/my-lib/ThemeTokens.jsx'");
+            hero.Should().Contain("href=\"/my-lib/quickstart\"");
+            hero.Should().Contain("url(/images/my-lib/bg.svg)");
+            hero.Should().Contain("src=\"/images/my-lib/logo.svg\"");
+
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "my-lib", "notes.txt"))
+                .Should().Be("/images/logo.svg", "only scripts are rewritten");
+        }
+
+        [TestMethod]
+        public async Task ProcessAsync_ReportsUnrewritablePathsAgainstSourceFiles()
+        {
+            var sourceDir = Path.Combine(_tempDirectory!, "source6");
+            var destRootDir = Path.Combine(_tempDirectory!, "docs6");
+            Directory.CreateDirectory(Path.Combine(sourceDir, "snippets"));
+
+            var snippetPath = Path.Combine(sourceDir, "snippets", "Loader.jsx");
+            File.WriteAllText(snippetPath, "export const load = (name) => import(name);");
+            var pagePath = Path.Combine(sourceDir, "index.mdx");
+            File.WriteAllText(pagePath, "# Home\n\n<img src={`${base}/images/logo.svg`} />");
+
+            var handler = new MintlifyDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+
+            await handler.ProcessAsync(reference, destRootDir);
+
+            handler.Diagnostics.Should().HaveCount(2);
+            handler.Diagnostics.Should().Contain(d => d.FilePath == snippetPath && d.Line == 1);
+            handler.Diagnostics.Should().Contain(d => d.FilePath == pagePath && d.Line == 3);
+            handler.Diagnostics.Should().OnlyContain(d => d.Code == MintlifyDiagnosticCodes.PathNotRewritable);
+        }
+
+        [TestMethod]
+        public async Task ProcessAsync_RelocatesTransitiveSnippetDependencies()
+        {
+            var sourceDir = Path.Combine(_tempDirectory!, "source7");
+            var destRootDir = Path.Combine(_tempDirectory!, "docs7");
+            Directory.CreateDirectory(Path.Combine(sourceDir, "snippets"));
+            Directory.CreateDirectory(Path.Combine(sourceDir, "components"));
+            Directory.CreateDirectory(Path.Combine(sourceDir, "shared"));
+
+            File.WriteAllText(Path.Combine(sourceDir, "index.mdx"), "import { Hero } from '/snippets/Hero.jsx'\n\n<Hero />");
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "Hero.jsx"),
+                "import { CodeWindow } from './CodeWindow.jsx';\n" +
+                "import { Theme } from '../components/Theme.jsx';\n" +
+                "export const Hero = () => <Theme><CodeWindow /></Theme>;");
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "CodeWindow.jsx"), "export const CodeWindow = () => <pre />;");
+            File.WriteAllText(Path.Combine(sourceDir, "components", "Theme.jsx"),
+                "import { colors } from '/shared/colors.js';\n" +
+                "export const Theme = ({ children }) => <div style={{ color: colors.text }}>{children}</div>;");
+            File.WriteAllText(Path.Combine(sourceDir, "shared", "colors.js"), "export const colors = { text: '#111' };");
+
+            var handler = new MintlifyDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+
+            await handler.ProcessAsync(reference, destRootDir);
+
+            handler.Diagnostics.Should().BeEmpty();
+
+            var snippetsDir = Path.Combine(destRootDir, "snippets", "my-lib");
+            File.ReadAllText(Path.Combine(snippetsDir, "Hero.jsx"))
+                .Should().Contain("from './CodeWindow.jsx'")
+                .And.Contain("from '/snippets/my-lib/components/Theme.jsx'");
+            File.ReadAllText(Path.Combine(snippetsDir, "components", "Theme.jsx"))
+                .Should().Contain("from '/snippets/my-lib/shared/colors.js'");
+            File.ReadAllText(Path.Combine(snippetsDir, "shared", "colors.js"))
+                .Should().Be("export const colors = { text: '#111' };");
+        }
+
+        [TestMethod]
+        public async Task ProcessAsync_MissingModule_ReportsError()
+        {
+            var sourceDir = Path.Combine(_tempDirectory!, "source8");
+            var destRootDir = Path.Combine(_tempDirectory!, "docs8");
+            Directory.CreateDirectory(Path.Combine(sourceDir, "snippets"));
+
+            var pagePath = Path.Combine(sourceDir, "index.mdx");
+            File.WriteAllText(pagePath, "# Home\n\nimport { Hero } from '/snippets/Hero.jsx'\n\n<Hero />");
+            var snippetPath = Path.Combine(sourceDir, "snippets", "Hero.jsx");
+            File.WriteAllText(snippetPath, "import { Logo } from './Logo.jsx';\nexport const Hero = () => <Logo />;");
+
+            var handler = new MintlifyDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+
+            await handler.ProcessAsync(reference, destRootDir);
+
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Error);
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.ModuleNotFound);
+            diagnostic.FilePath.Should().Be(snippetPath);
+            diagnostic.Line.Should().Be(1);
+            diagnostic.Message.Should().Contain("./Logo.jsx");
+        }
+
+        [TestMethod]
+        public async Task ProcessAsync_ImportCycle_ReportsError()
+        {
+            var sourceDir = Path.Combine(_tempDirectory!, "source9");
+            var destRootDir = Path.Combine(_tempDirectory!, "docs9");
+            Directory.CreateDirectory(Path.Combine(sourceDir, "snippets"));
+
+            File.WriteAllText(Path.Combine(sourceDir, "index.mdx"), "import { Card } from '/snippets/Card.jsx'\n\n<Card />");
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "Card.jsx"),
+                "import { CardList } from './CardList.jsx';\nexport const Card = () => <div />;");
+            var listPath = Path.Combine(sourceDir, "snippets", "CardList.jsx");
+            File.WriteAllText(listPath, "import { Card } from './Card.jsx';\nexport const CardList = () => <Card />;");
+
+            var handler = new MintlifyDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+
+            await handler.ProcessAsync(reference, destRootDir);
+
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Error);
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.ImportCycle);
+            diagnostic.FilePath.Should().Be(listPath);
+            diagnostic.Message.Should().Contain("snippets/Card.jsx -> snippets/CardList.jsx -> snippets/Card.jsx");
+        }
+
+        [TestMethod]
+        public async Task ProcessAsync_DynamicImportCycle_IsNotReported()
+        {
+            var sourceDir = Path.Combine(_tempDirectory!, "source10");
+            var destRootDir = Path.Combine(_tempDirectory!, "docs10");
+            Directory.CreateDirectory(Path.Combine(sourceDir, "snippets"));
+
+            File.WriteAllText(Path.Combine(sourceDir, "index.mdx"), "import { Tree } from '/snippets/Tree.jsx'\n\n<Tree />");
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "Tree.jsx"),
+                "import { loadBranch } from './Branch.jsx';\nexport const Tree = () => <div />;");
+            File.WriteAllText(Path.Combine(sourceDir, "snippets", "Branch.jsx"),
+                "export const loadBranch = () => import('./Tree.jsx');");
+
+            var handler = new MintlifyDocReferenceHandler();
+            var reference = new DocumentationReference
+            {
+                DocumentationRoot = sourceDir,
+                DestinationPath = "my-lib",
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+
+            await handler.ProcessAsync(reference, destRootDir);
+
+            handler.Diagnostics.Should().BeEmpty("import() loads the module after its importer has been evaluated");
+        }
+
         [TestMethod]
         public async Task ProcessAsync_ExcludesMintlifyConfigFiles()
         {
@@ -453,6 +1043,172 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify
 
         #endregion
 
+        #region PrepareAsync Tests - Shared Snippets
+
+        [TestMethod]
+        public async Task PrepareAsync_IdenticalSnippets_AreWrittenOnceToSharedFolder()
+        {
+            var destRootDir = Path.Combine(_tempDirectory!, "docs11");
+            var references = new[]
+            {
+                CreateReference(Path.Combine(_tempDirectory!, "source11a"), "product-1"),
+                CreateReference(Path.Combine(_tempDirectory!, "source11b"), "product-2")
+            };
+            foreach (var reference in references)
+            {
+                Directory.CreateDirectory(Path.Combine(reference.DocumentationRoot, "snippets"));
+                File.WriteAllText(Path.Combine(reference.DocumentationRoot, "index.mdx"), "import { SaaSHero } from '/snippets/SaaSHero.jsx'\n\n<SaaSHero />");
+                File.WriteAllText(Path.Combine(reference.DocumentationRoot, "snippets", "SaaSHero.jsx"),
+                    "import { CodeWindow } from './CodeWindow.jsx';\nexport const SaaSHero = () => <section><CodeWindow /></section>;");
+                File.WriteAllText(Path.Combine(reference.DocumentationRoot, "snippets", "CodeWindow.jsx"), "export const CodeWindow = () => <pre />;");
+            }
+
+            var handler = new MintlifyDocReferenceHandler();
+            await ProcessCollectionAsync(handler, destRootDir, references);
+
+            handler.Diagnostics.Should().BeEmpty();
+
+            var sharedDir = Path.Combine(destRootDir, "snippets", MintlifyDocReferenceHandler.SharedSnippetsPath);
+            File.ReadAllText(Path.Combine(sharedDir, "SaaSHero.jsx")).Should().Contain("from './CodeWindow.jsx'");
+            File.Exists(Path.Combine(sharedDir, "CodeWindow.jsx")).Should().BeTrue();
+            File.Exists(Path.Combine(destRootDir, "snippets", "product-1", "SaaSHero.jsx")).Should().BeFalse();
+            File.Exists(Path.Combine(destRootDir, "snippets", "product-2", "SaaSHero.jsx")).Should().BeFalse();
+
+            File.ReadAllText(Path.Combine(destRootDir, "product-1", "index.mdx")).Should().Contain("from '/snippets/shared/SaaSHero.jsx'");
+            File.ReadAllText(Path.Combine(destRootDir, "product-2", "index.mdx")).Should().Contain("from '/snippets/shared/SaaSHero.jsx'");
+        }
+
+        [TestMethod]
+        public async Task PrepareAsync_DifferentSnippetsWithSameName_KeepsBothAndWarns()
+        {
+            var destRootDir = Path.Combine(_tempDirectory!, "docs12");
+            var references = new[]
+            {
+                CreateReference(Path.Combine(_tempDirectory!, "source12a"), "product-1"),
+                CreateReference(Path.Combine(_tempDirectory!, "source12b"), "product-2")
+            };
+            Directory.CreateDirectory(Path.Combine(references[0].DocumentationRoot, "snippets"));
+            Directory.CreateDirectory(Path.Combine(references[1].DocumentationRoot, "snippets"));
+            File.WriteAllText(Path.Combine(references[0].DocumentationRoot, "snippets", "Hero.jsx"), "export const Hero = () => <h1>One</h1>;");
+            File.WriteAllText(Path.Combine(references[1].DocumentationRoot, "snippets", "Hero.jsx"), "export const Hero = () => <h1>Two</h1>;");
+
+            var handler = new MintlifyDocReferenceHandler();
+            await ProcessCollectionAsync(handler, destRootDir, references);
+
+            var diagnostic = handler.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Warning);
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.SnippetConflict);
+            diagnostic.Message.Should().Contain("product-1, product-2");
+
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "product-1", "Hero.jsx")).Should().Contain("One");
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "product-2", "Hero.jsx")).Should().Contain("Two");
+            Directory.Exists(Path.Combine(destRootDir, "snippets", MintlifyDocReferenceHandler.SharedSnippetsPath)).Should().BeFalse();
+        }
+
+        [TestMethod]
+        public async Task PrepareAsync_SecondBuild_DoesNotRepeatDiagnostics()
+        {
+            var destRootDir = Path.Combine(_tempDirectory!, "docs12b");
+            var references = new[]
+            {
+                CreateReference(Path.Combine(_tempDirectory!, "source12c"), "product-1"),
+                CreateReference(Path.Combine(_tempDirectory!, "source12d"), "product-2")
+            };
+            Directory.CreateDirectory(Path.Combine(references[0].DocumentationRoot, "snippets"));
+            Directory.CreateDirectory(Path.Combine(references[1].DocumentationRoot, "snippets"));
+            File.WriteAllText(Path.Combine(references[0].DocumentationRoot, "snippets", "Hero.jsx"), "export const Hero = () => <h1>One</h1>;");
+            File.WriteAllText(Path.Combine(references[1].DocumentationRoot, "snippets", "Hero.jsx"), "export const Hero = () => <h1>Two</h1>;");
+
+            var handler = new MintlifyDocReferenceHandler();
+            await ProcessCollectionAsync(handler, destRootDir, references);
+            await ProcessCollectionAsync(handler, destRootDir, references);
+
+            handler.Diagnostics.Should().ContainSingle().Which.Code.Should().Be(MintlifyDiagnosticCodes.SnippetConflict);
+        }
+
+        [TestMethod]
+        public async Task PrepareAsync_IdenticalSnippetsWithReferencePaths_AreNotShared()
+        {
+            var destRootDir = Path.Combine(_tempDirectory!, "docs13");
+            var references = new[]
+            {
+                CreateReference(Path.Combine(_tempDirectory!, "source13a"), "product-1"),
+                CreateReference(Path.Combine(_tempDirectory!, "source13b"), "product-2")
+            };
+            foreach (var reference in references)
+            {
+                Directory.CreateDirectory(Path.Combine(reference.DocumentationRoot, "snippets"));
+                File.WriteAllText(Path.Combine(reference.DocumentationRoot, "snippets", "Logo.jsx"), "export const Logo = () => <img src=\"/images/logo.svg\" />;");
+            }
+
+            var handler = new MintlifyDocReferenceHandler();
+            await ProcessCollectionAsync(handler, destRootDir, references);
+
+            handler.Diagnostics.Should().BeEmpty();
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "product-1", "Logo.jsx")).Should().Contain("/images/product-1/logo.svg");
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "product-2", "Logo.jsx")).Should().Contain("/images/product-2/logo.svg");
+        }
+
+        [TestMethod]
+        public async Task PrepareAsync_IdenticalSnippetImportingConflictingSnippet_IsNotShared()
+        {
+            var destRootDir = Path.Combine(_tempDirectory!, "docs14");
+            var references = new[]
+            {
+                CreateReference(Path.Combine(_tempDirectory!, "source14a"), "product-1"),
+                CreateReference(Path.Combine(_tempDirectory!, "source14b"), "product-2")
+            };
+            foreach (var reference in references)
+            {
+                Directory.CreateDirectory(Path.Combine(reference.DocumentationRoot, "snippets"));
+                File.WriteAllText(Path.Combine(reference.DocumentationRoot, "snippets", "Hero.jsx"),
+                    "import { theme } from './Theme.jsx';\nexport const Hero = () => <h1 style={theme} />;");
+                File.WriteAllText(Path.Combine(reference.DocumentationRoot, "snippets", "Theme.jsx"),
+                    $"export const theme = {{ color: '{reference.DestinationPath}' }};");
+            }
+
+            var handler = new MintlifyDocReferenceHandler();
+            await ProcessCollectionAsync(handler, destRootDir, references);
+
+            handler.Diagnostics.Should().ContainSingle(d => d.Code == MintlifyDiagnosticCodes.SnippetConflict);
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "product-1", "Hero.jsx")).Should().Contain("from './Theme.jsx'");
+            File.ReadAllText(Path.Combine(destRootDir, "snippets", "product-2", "Hero.jsx")).Should().Contain("from './Theme.jsx'");
+            File.Exists(Path.Combine(destRootDir, "snippets", MintlifyDocReferenceHandler.SharedSnippetsPath, "Hero.jsx"))
+                .Should().BeFalse("Hero.jsx imports a Theme.jsx that is different in each reference");
+        }
+
+        #endregion
+
+        #region Helper Methods
+
+        /// <summary>
+        /// Creates a Mintlify documentation reference.
+        /// </summary>
+        private static DocumentationReference CreateReference(string documentationRoot, string destinationPath)
+        {
+            return new DocumentationReference
+            {
+                DocumentationRoot = documentationRoot,
+                DestinationPath = destinationPath,
+                DocumentationType = SupportedDocumentationType.Mintlify
+            };
+        }
+
+        /// <summary>
+        /// Prepares and processes the references of a collection the way <see cref="DocumentationManager"/> does.
+        /// </summary>
+        private static async Task ProcessCollectionAsync(MintlifyDocReferenceHandler handler, string documentationRootPath, DocumentationReference[] references)
+        {
+            await handler.PrepareAsync(references, documentationRootPath);
+
+            foreach (var reference in references)
+            {
+                await handler.ProcessAsync(reference, documentationRootPath);
+            }
+        }
+
+        #endregion
+
     }
 
 }
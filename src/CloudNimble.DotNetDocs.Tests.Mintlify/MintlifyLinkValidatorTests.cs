@@ -0,0 +1,262 @@
+using CloudNimble.DotNetDocs.Core;
+using CloudNimble.DotNetDocs.Mintlify;
+using CloudNimble.DotNetDocs.Tests.Shared;
+using FluentAssertions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using System;
+using System.IO;
+using System.Threading.Tasks;
+
+namespace CloudNimble.DotNetDocs.Tests.Mintlify
+{
+
+    /// <summary>
+    /// Tests for <see cref="MintlifyLinkValidator"/>, covering the links and asset paths it checks in pages and snippets.
+    /// </summary>
+    [TestClass]
+    public class MintlifyLinkValidatorTests : DotNetDocsTestBase
+    {
+
+        #region Private Fields
+
+        private string? _tempDirectory;
+
+        #endregion
+
+        #region Test Lifecycle
+
+        [TestInitialize]
+        public void TestInitialize()
+        {
+            _tempDirectory = Path.Combine(Path.GetTempPath(), $"MintlifyLinkValidatorTests_{Guid.NewGuid()}");
+            Directory.CreateDirectory(_tempDirectory);
+        }
+
+        [TestCleanup]
+        public void TestCleanup()
+        {
+            if (_tempDirectory is not null && Directory.Exists(_tempDirectory))
+            {
+                try
+                {
+                    Directory.Delete(_tempDirectory, recursive: true);
+                }
+                catch
+                {
+                    // Ignore cleanup errors in tests
+                }
+            }
+        }
+
+        #endregion
+
+        #region ValidateAsync Tests
+
+        [TestMethod]
+        public async Task ValidateAsync_ValidLinksAndAssets_ReportsNothing()
+        {
+            WriteFile("index.mdx", "# Home\n\nimport { Footer } from '/snippets/Footer.jsx'\n\n<Card title=\"Start\" href=\"/quickstart\" />\n\n<Footer />");
+            WriteFile("quickstart.mdx", "# Quickstart\n\n<img src=\"/images/icons/favicon.svg\" />");
+            WriteFile("providers/mintlify.mdx", "# Mintlify");
+            WriteFile("guides/index.mdx", "# Guides");
+            WriteFile("images/logos/cloudnimble.dark.svg", "<svg />");
+            WriteFile("images/icons/favicon.svg", "<svg />");
+            WriteFile("images/bg.svg", "<svg />");
+            WriteFile("snippets/Footer.jsx",
+                "const links = [{ href: '/providers/mintlify' }, { href: '/guides#intro' }, { href: '/quickstart/?tab=cli' }];\n" +
+                "export const Footer = () => (\n" +
+                "  <footer style={{ background: 'url(/images/bg.svg)' }}>\n" +
+                "    <img src=\"/images/logos/cloudnimble.dark.svg\" />\n" +
+                "    <a href=\"https://github.com/CloudNimble\" target=\"_blank\">GitHub</a>\n" +
+                "    {links.map(link => <a href={link.href}>{link.href}</a>)}\n" +
+                "  </footer>\n" +
+                ");");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            validator.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_LinkToPageWithDotsInName_ReportsNothing()
+        {
+            WriteFile("api-reference/CloudNimble.DotNetDocs.Core.mdx", "# CloudNimble.DotNetDocs.Core");
+            WriteFile("index.mdx", "# Home\n\n<Card title=\"Core\" href=\"/api-reference/CloudNimble.DotNetDocs.Core\" />");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            validator.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_BrokenLinkInSnippet_ReportsWarning()
+        {
+            WriteFile("quickstart.mdx", "# Quickstart");
+            var snippetPath = WriteFile("snippets/Footer.jsx", "export const Footer = () => <a href=\"/quikstart\">Start</a>;");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            var diagnostic = validator.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Warning);
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.BrokenLink);
+            diagnostic.FilePath.Should().Be(snippetPath);
+            diagnostic.Line.Should().Be(1);
+            diagnostic.Column.Should().Be(38);
+            diagnostic.Message.Should().Contain("/quikstart");
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_LinkToSnippet_ReportsBrokenLink()
+        {
+            WriteFile("snippets/intro.mdx", "Welcome!");
+            var pagePath = WriteFile("index.mdx", "# Home\n\n<Card title=\"Intro\" href=\"/snippets/intro\" />");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            var diagnostic = validator.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.BrokenLink);
+            diagnostic.FilePath.Should().Be(pagePath);
+            diagnostic.Line.Should().Be(3);
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_MissingAssetInPage_ReportsWarning()
+        {
+            var pagePath = WriteFile("index.mdx", "# Home\n\n<img src=\"/images/missing.png\" />");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            var diagnostic = validator.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Warning);
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.MissingAsset);
+            diagnostic.FilePath.Should().Be(pagePath);
+            diagnostic.Line.Should().Be(3);
+            diagnostic.Column.Should().Be(11);
+            diagnostic.Message.Should().Contain("/images/missing.png");
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_MissingAssetInCssUrl_ReportsWarning()
+        {
+            var snippetPath = WriteFile("snippets/Hero.jsx", "export const Hero = () => <div style={{ backgroundImage: 'url(/images/hero.png)' }} />;");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            var diagnostic = validator.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.MissingAsset);
+            diagnostic.FilePath.Should().Be(snippetPath);
+            diagnostic.Message.Should().Contain("/images/hero.png");
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_InternalLinkWithBlankTarget_ReportsWarning()
+        {
+            WriteFile("quickstart.mdx", "# Quickstart");
+            var snippetPath = WriteFile("snippets/Links.jsx", "export const Links = () => <a href=\"/quickstart\" target=\"_blank\">Start</a>;");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            var diagnostic = validator.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Severity.Should().Be(DocumentationDiagnosticSeverity.Warning);
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.InternalLinkOpensNewTab);
+            diagnostic.FilePath.Should().Be(snippetPath);
+            diagnostic.Line.Should().Be(1);
+            diagnostic.Column.Should().Be(36);
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_InternalLinkWithBlankTargetInPage_ReportsWarning()
+        {
+            WriteFile("quickstart.mdx", "# Quickstart");
+            var pagePath = WriteFile("index.mdx", "# Home\n\n<Card title=\"Start\" href=\"/quickstart\" target={\"_blank\"}>\n  Get going.\n</Card>");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            var diagnostic = validator.Diagnostics.Should().ContainSingle().Subject;
+            diagnostic.Code.Should().Be(MintlifyDiagnosticCodes.InternalLinkOpensNewTab);
+            diagnostic.FilePath.Should().Be(pagePath);
+            diagnostic.Line.Should().Be(3);
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_PathsInCodeAndComputedPaths_AreNotChecked()
+        {
+            WriteFile("index.mdx", "# Home\n\n```jsx\n<a href=\"/missing\">Missing</a>\n```\n\nUse `<img src=\"/images/missing.png\" />` for images.");
+            WriteFile("snippets/Icon.jsx",
+                "export const Icon = ({ name }) => <img src={'/images/icons/' + name + '.svg'} />;\n" +
+                "export const Logo = ({ theme }) => <img src={`/images/logos/${theme}.svg`} />;");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            validator.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_ExcludedDirectories_AreNotChecked()
+        {
+            WriteFile("node_modules/some-package/readme.md", "[Docs](/missing)\n\n<img src=\"/images/missing.png\" />");
+            WriteFile("bin/Debug/index.mdx", "<img src=\"/images/missing.png\" />");
+            WriteFile(".mintlify/cache/page.mdx", "<img src=\"/images/missing.png\" />");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+
+            validator.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_SecondRun_ReportsOnlyCurrentProblems()
+        {
+            WriteFile("index.mdx", "# Home\n\n<img src=\"/images/missing.png\" />");
+
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(_tempDirectory!);
+            await validator.ValidateAsync(_tempDirectory!);
+
+            validator.Diagnostics.Should().ContainSingle().Which.Code.Should().Be(MintlifyDiagnosticCodes.MissingAsset);
+
+            WriteFile("images/missing.png", "png");
+            await validator.ValidateAsync(_tempDirectory!);
+
+            validator.Diagnostics.Should().BeEmpty();
+        }
+
+        [TestMethod]
+        public async Task ValidateAsync_MissingDirectory_ReportsNothing()
+        {
+            var validator = new MintlifyLinkValidator();
+            await validator.ValidateAsync(Path.Combine(_tempDirectory!, "missing"));
+
+            validator.Diagnostics.Should().BeEmpty();
+        }
+
+        #endregion
+
+        #region Helper Methods
+
+        /// <summary>
+        /// Writes a file under the temporary documentation root, creating its folder if needed.
+        /// </summary>
+        /// <returns>The full path of the file.</returns>
+        private string WriteFile(string relativePath, string content)
+        {
+            var filePath = Path.Combine(_tempDirectory!, relativePath);
+            Directory.CreateDirectory(Path.GetDirectoryName(filePath)!);
+            File.WriteAllText(filePath, content);
+            return filePath;
+        }
+
+        #endregion
+
+    }
+
+}
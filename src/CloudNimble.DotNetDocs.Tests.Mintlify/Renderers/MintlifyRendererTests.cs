@@ -232,6 +232,130 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify.Renderers
             }
         }
 
+        [TestMethod]
+        public async Task RenderAsync_CreatesDocsBadgeSnippet()
+        {
+            // Arrange
+            var assemblyPath = typeof(SampleClass).Assembly.Location;
+            var xmlPath = Path.ChangeExtension(assemblyPath, ".xml");
+            using var manager = new AssemblyManager(assemblyPath, xmlPath);
+            var model = await manager.DocumentAsync();
+
+            var renderer = GetMintlifyRenderer();
+
+            // Act
+            await renderer.RenderAsync(model);
+
+            // Assert
+            var snippetPath = Path.Combine(_testOutputPath, "snippets", MintlifyRenderer.DocsBadgeSnippetFileName);
+            File.Exists(snippetPath).Should().BeTrue("type pages import the DocsBadge snippet for member provenance badges");
+
+            var snippet = await File.ReadAllTextAsync(snippetPath, TestContext.CancellationToken);
+            snippet.Should().Contain("export const DocsBadge = ({ text, variant = 'neutral', tooltip }) =>");
+            snippet.Should().Contain("role=\"tooltip\"");
+            snippet.Should().NotContain("<style>", "the badge styles load once from the member stylesheet instead of once per badge");
+        }
+
+        [TestMethod]
+        public async Task RenderAsync_CreatesProvenanceFilterSnippet()
+        {
+            // Arrange
+            var assemblyPath = typeof(SampleClass).Assembly.Location;
+            var xmlPath = Path.ChangeExtension(assemblyPath, ".xml");
+            using var manager = new AssemblyManager(assemblyPath, xmlPath);
+            var model = await manager.DocumentAsync();
+
+            var renderer = GetMintlifyRenderer();
+
+            // Act
+            await renderer.RenderAsync(model);
+
+            // Assert
+            var snippetPath = Path.Combine(_testOutputPath, "snippets", MintlifyRenderer.ProvenanceFilterSnippetFileName);
+            File.Exists(snippetPath).Should().BeTrue("type pages render the ProvenanceFilter toolbar above their members");
+
+            var snippet = await File.ReadAllTextAsync(snippetPath, TestContext.CancellationToken);
+            snippet.Should().Contain("export const ProvenanceFilter = () =>");
+            snippet.Should().Contain("document.querySelectorAll('[data-dnd-member]')");
+            snippet.Should().Contain("localStorage.setItem(provenanceFilterStorageKey");
+            snippet.Should().Contain("if (!container?.matches('[data-dnd-members]'))");
+        }
+
+        [TestMethod]
+        public async Task RenderAsync_CreatesMemberStylesheet()
+        {
+            // Arrange
+            var assemblyPath = typeof(SampleClass).Assembly.Location;
+            var xmlPath = Path.ChangeExtension(assemblyPath, ".xml");
+            using var manager = new AssemblyManager(assemblyPath, xmlPath);
+            var model = await manager.DocumentAsync();
+
+            var renderer = GetMintlifyRenderer();
+
+            // Act
+            await renderer.RenderAsync(model);
+
+            // Assert
+            var stylesheetPath = Path.Combine(_testOutputPath, MintlifyRenderer.MemberStylesheetFileName);
+            File.Exists(stylesheetPath).Should().BeTrue("the DocsBadge and ProvenanceFilter snippets load their styles from the member stylesheet");
+
+            var stylesheet = await File.ReadAllTextAsync(stylesheetPath, TestContext.CancellationToken);
+            stylesheet.Should().Contain("html.light .dnd-docs-badge-neutral");
+            stylesheet.Should().Contain(".dnd-provenance-filter {");
+            stylesheet.Should().Contain(".dnd-type-hierarchy {");
+            stylesheet.Should().Contain(".dnd-overloads {");
+        }
+
+        [TestMethod]
+        public async Task RenderAsync_CreatesTypeHierarchySnippet()
+        {
+            // Arrange
+            var assemblyPath = typeof(SampleClass).Assembly.Location;
+            var xmlPath = Path.ChangeExtension(assemblyPath, ".xml");
+            using var manager = new AssemblyManager(assemblyPath, xmlPath);
+            var model = await manager.DocumentAsync();
+
+            var renderer = GetMintlifyRenderer();
+
+            // Act
+            await renderer.RenderAsync(model);
+
+            // Assert
+            var snippetPath = Path.Combine(_testOutputPath, "snippets", MintlifyRenderer.TypeHierarchySnippetFileName);
+            File.Exists(snippetPath).Should().BeTrue("class and interface pages render the TypeHierarchy tree");
+
+            var snippet = await File.ReadAllTextAsync(snippetPath, TestContext.CancellationToken);
+            snippet.Should().Contain("export const TypeHierarchy = ({ hierarchy, collapseAfter = 3, expandDepth = 1 }) =>");
+            snippet.Should().Contain("aria-expanded={expanded}");
+            snippet.Should().NotContain("<style>", "the tree styles load once from the member stylesheet instead of once per page");
+        }
+
+        [TestMethod]
+        public async Task RenderAsync_CreatesOverloadsSnippet()
+        {
+            // Arrange
+            var assemblyPath = typeof(SampleClass).Assembly.Location;
+            var xmlPath = Path.ChangeExtension(assemblyPath, ".xml");
+            using var manager = new AssemblyManager(assemblyPath, xmlPath);
+            var model = await manager.DocumentAsync();
+
+            var renderer = GetMintlifyRenderer();
+
+            // Act
+            await renderer.RenderAsync(model);
+
+            // Assert
+            var snippetPath = Path.Combine(_testOutputPath, "snippets", MintlifyRenderer.OverloadsSnippetFileName);
+            File.Exists(snippetPath).Should().BeTrue("members with several signatures render inside the Overloads switcher");
+
+            var snippet = await File.ReadAllTextAsync(snippetPath, TestContext.CancellationToken);
+            snippet.Should().Contain("export const Overloads = ({ name, maxTabs = 6, children }) =>");
+            snippet.Should().Contain("export const Overload = ({ children }) =>");
+            snippet.Should().Contain("window.addEventListener('hashchange', syncWithHash);");
+            snippet.Should().Contain("window.addEventListener(provenanceFilterChangeEvent, showVisibleOverload);");
+            snippet.Should().NotContain("<style>", "a page with many overload groups should load the styles once from the member stylesheet");
+        }
+
         #endregion
 
         #region Frontmatter Tests
@@ -950,6 +1074,276 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify.Renderers
             content.Should().Contain("## Methods");
         }
 
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Import_DocsBadge_Snippet()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var type = assembly.Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+
+            var ns = assembly.Namespaces.First(n => n.Types.Contains(type!));
+
+            await GetMintlifyRenderer().RenderTypeAsync(type!, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type!.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().Contain("import { DocsBadge } from '/snippets/DocsBadge.jsx';");
+            content.Should().Contain("<DocsBadge text=\"Override\" variant=\"info\"");
+            content.Should().NotContain("<Badge ");
+        }
+
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Render_ProvenanceFilter_For_Types_With_Members()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var type = assembly.Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+
+            var ns = assembly.Namespaces.First(n => n.Types.Contains(type!));
+
+            await GetMintlifyRenderer().RenderTypeAsync(type!, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type!.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().Contain("import { ProvenanceFilter } from '/snippets/ProvenanceFilter.jsx';");
+            content.IndexOf("<ProvenanceFilter />").Should().BeLessThan(content.IndexOf("## Definition"), "the toolbar sits at the top of the page");
+            content.Should().Contain("data-provenance=\"inherited\"");
+            content.Should().Contain("data-provenance=\"override\"");
+        }
+
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Not_Render_ProvenanceFilter_For_Enums()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var ns = assembly.Namespaces.First(n => n.Name == "CloudNimble.DotNetDocs.Tests.Shared.Enums");
+            var type = ns.Types.First(t => t.Name == "SimpleEnum");
+
+            await GetMintlifyRenderer().RenderTypeAsync(type, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().NotContain("<ProvenanceFilter />");
+            content.Should().NotContain("data-dnd-member");
+        }
+
+        #endregion
+
+        #region Type Hierarchy Tests
+
+        [TestMethod]
+        public void GetTypeHierarchyElement_Should_Include_Base_Chain_With_External_Root()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var type = assembly.Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+
+            var renderer = GetMintlifyRenderer();
+            renderer.IndexDocumentedTypes(assembly);
+
+            var element = renderer.GetTypeHierarchyElement(type!);
+
+            element.Should().StartWith("<TypeHierarchy hierarchy={{\"name\":\"DerivedClass\"");
+            element.Should().Contain("{\"name\":\"object\",\"fullName\":\"object\",\"kind\":\"class\",\"href\":\"https://learn.microsoft.com/dotnet/api/system.object\",\"external\":true}");
+            element.Should().Contain("\"fullName\":\"CloudNimble.DotNetDocs.Tests.Shared.BasicScenarios.BaseClass\",\"kind\":\"class\",\"href\":\"/");
+            element.IndexOf("\"object\"").Should().BeLessThan(element.IndexOf("\"BaseClass\""), "base types run from the root of the chain");
+            element.Should().EndWith("\"interfaces\":[],\"derived\":[]}} />");
+        }
+
+        [TestMethod]
+        public void GetTypeHierarchyElement_Should_List_Documented_Derived_Types()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var types = assembly.Namespaces.SelectMany(n => n.Types).ToList();
+            var baseClass = types.First(t => t.Symbol.Name == "BaseClass");
+            var testInterface = types.First(t => t.Symbol.Name == "ITestInterface");
+
+            var renderer = GetMintlifyRenderer();
+            renderer.IndexDocumentedTypes(assembly);
+
+            renderer.GetTypeHierarchyElement(baseClass).Should().Contain("\"derived\":[{\"name\":\"DerivedClass\"");
+            renderer.GetTypeHierarchyElement(testInterface).Should().Contain("\"bases\":[],\"interfaces\":[],\"derived\":[{\"name\":\"TestImplementation\"");
+        }
+
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Render_TypeHierarchy_After_Definition()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var type = assembly.Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DisposableClass");
+
+            type.Should().NotBeNull("DisposableClass should exist in test assembly");
+
+            var ns = assembly.Namespaces.First(n => n.Types.Contains(type!));
+
+            await GetMintlifyRenderer().RenderTypeAsync(type!, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type!.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().Contain("import { TypeHierarchy } from '/snippets/TypeHierarchy.jsx';");
+            content.IndexOf("<TypeHierarchy hierarchy=").Should().BeGreaterThan(content.IndexOf("## Definition"));
+            content.IndexOf("<TypeHierarchy hierarchy=").Should().BeLessThan(content.IndexOf("## Syntax"));
+            content.Should().Contain("\"interfaces\":[{\"name\":\"IDisposable\",\"fullName\":\"System.IDisposable\",\"kind\":\"interface\",\"href\":\"https://learn.microsoft.com/dotnet/api/system.idisposable\",\"external\":true}]");
+        }
+
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Not_Render_TypeHierarchy_For_Enums()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var ns = assembly.Namespaces.First(n => n.Name == "CloudNimble.DotNetDocs.Tests.Shared.Enums");
+            var type = ns.Types.First(t => t.Name == "SimpleEnum");
+
+            await GetMintlifyRenderer().RenderTypeAsync(type, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().NotContain("<TypeHierarchy hierarchy=");
+        }
+
+        #endregion
+
+        #region Overload Tests
+
+        [TestMethod]
+        public void GetOverloadLabel_Should_List_Parameter_Types_Without_Namespaces()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "SimpleClass");
+
+            type.Should().NotBeNull("SimpleClass should exist in test assembly");
+            var staticEquals = type!.Members.First(m => m.Name == "Equals" && m.Parameters.Count == 2);
+            var constructor = type.Members.First(m => m.MethodKind == MethodKind.Constructor && !m.IsInherited);
+
+            MintlifyRenderer.GetOverloadLabel(staticEquals).Should().Be("Equals(object, object)");
+            MintlifyRenderer.GetOverloadId(staticEquals).Should().Be("overload-equals-object-object");
+            MintlifyRenderer.GetOverloadLabel(constructor).Should().Be("SimpleClass()");
+            MintlifyRenderer.GetOverloadId(constructor).Should().Be("overload-simpleclass");
+        }
+
+        [TestMethod]
+        public void RenderMemberGroup_Should_Wrap_Overloads_In_Switcher()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "SimpleClass");
+
+            type.Should().NotBeNull("SimpleClass should exist in test assembly");
+            var overloads = type!.Members.Where(m => m.Name == "Equals").ToList();
+            overloads.Should().HaveCount(2, "SimpleClass inherits both Equals overloads from object");
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMemberGroup(sb, overloads);
+
+            var result = sb.ToString();
+            result.Should().StartWith("<Overloads name=\"Equals\">");
+            result.Should().Contain("<Overload id=\"overload-equals-object\" label=\"Equals(object)\" signature=\"public virtual bool Equals(object obj)\">");
+            result.Should().Contain("<Overload id=\"overload-equals-object-object\" label=\"Equals(object, object)\" signature=\"public static bool Equals(object objA, object objB)\">");
+            result.IndexOf("<Overload id=").Should().BeLessThan(result.IndexOf("data-dnd-member=\"Equals\""), "each overload keeps its filter marker inside its panel");
+            result.TrimEnd().Should().EndWith("</Overload>" + Environment.NewLine + Environment.NewLine + "</Overloads>");
+        }
+
+        [TestMethod]
+        public void RenderMemberGroup_Should_Render_Single_Member_Without_Switcher()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "SimpleClass");
+
+            type.Should().NotBeNull("SimpleClass should exist in test assembly");
+            var member = type!.Members.First(m => m.Name == "DoWork");
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMemberGroup(sb, [member]);
+
+            sb.ToString().Should().NotContain("<Overloads");
+            sb.ToString().Should().Contain("data-dnd-member=\"DoWork\"");
+        }
+
+        [TestMethod]
+        public void RenderMemberGroup_Should_Suffix_Colliding_Overload_Ids()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+            var overloads = type!.Members.Where(m => m.Name == "VirtualMethod").ToList();
+            overloads.Should().HaveCount(2, "DerivedClass lists its override and the inherited virtual method");
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMemberGroup(sb, overloads);
+
+            sb.ToString().Should().Contain("<Overload id=\"overload-virtualmethod\"");
+            sb.ToString().Should().Contain("<Overload id=\"overload-virtualmethod-2\"");
+        }
+
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Import_Overloads_Snippet()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var type = assembly.Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "SimpleClass");
+
+            type.Should().NotBeNull("SimpleClass should exist in test assembly");
+
+            var ns = assembly.Namespaces.First(n => n.Types.Contains(type!));
+
+            await GetMintlifyRenderer().RenderTypeAsync(type!, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type!.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().Contain("import { Overloads, Overload } from '/snippets/Overloads.jsx';");
+            content.Should().Contain("<Overloads name=\"Equals\">");
+        }
+
+        [TestMethod]
+        public async Task RenderTypeAsync_Should_Not_List_Inherited_Constructors()
+        {
+            var assembly = GetTestsDotSharedAssembly();
+            var type = assembly.Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+            type!.Members.Should().Contain(m => m.MethodKind == MethodKind.Constructor && m.IsInherited, "the member list includes the base type constructors");
+
+            var ns = assembly.Namespaces.First(n => n.Types.Contains(type!));
+
+            await GetMintlifyRenderer().RenderTypeAsync(type!, ns, _testOutputPath);
+
+            var separator = GetService<ProjectContext>().FileNamingOptions.NamespaceSeparator;
+            var fileName = $"{ns.Name.Replace('.', separator)}.{type!.Symbol.Name}.mdx";
+            var content = await File.ReadAllTextAsync(Path.Combine(_testOutputPath, fileName), TestContext.CancellationToken);
+
+            content.Should().Contain("public DerivedClass()");
+            content.Should().NotContain("<Overloads name=\"DerivedClass\">");
+            content.Should().NotContain("public BaseClass()");
+            content.Should().NotContain("public Object()");
+        }
+
         #endregion
 
         #region RenderMember Tests
@@ -1079,6 +1473,113 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify.Renderers
             }
         }
 
+        [TestMethod]
+        public void RenderMember_Should_Render_Inherited_Badge_With_Tooltip()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+            var member = type!.Members.FirstOrDefault(m => m.Symbol.Name == "BaseMethod");
+            member.Should().NotBeNull("BaseMethod should be inherited by DerivedClass");
+            member!.IsInherited.Should().BeTrue();
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMember(sb, member);
+
+            var result = sb.ToString();
+            result.Should().Contain($"BaseMethod <DocsBadge text=\"Inherited\" variant=\"neutral\" tooltip=\"Inherited from {member.DeclaringTypeName}\" />");
+        }
+
+        [TestMethod]
+        public void RenderMember_Should_Render_Override_Badge_With_Overridden_Member()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+            var member = type!.Members.FirstOrDefault(m => m.Symbol.Name == "VirtualMethod" && m.IsOverride);
+            member.Should().NotBeNull("DerivedClass should override VirtualMethod");
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMember(sb, member!);
+
+            var result = sb.ToString();
+            result.Should().Contain($"<DocsBadge text=\"Override\" variant=\"info\" tooltip=\"Overrides {member!.OverriddenMember}\" />");
+            result.Should().NotContain("text=\"Virtual\"", "overrides should not also be flagged as virtual");
+        }
+
+        [TestMethod]
+        public void GetDocsBadge_Should_Escape_Quotes_In_Tooltip()
+        {
+            var badge = MintlifyRenderer.GetDocsBadge("Inherited", "neutral", "Inherited from \"Quoted\" & Co");
+
+            badge.Should().Be("<DocsBadge text=\"Inherited\" variant=\"neutral\" tooltip=\"Inherited from &quot;Quoted&quot; &amp; Co\" />");
+        }
+
+        [TestMethod]
+        public void RenderMember_Should_Write_Filter_Marker_Before_Heading()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+            var member = type!.Members.FirstOrDefault(m => m.Symbol.Name == "BaseMethod");
+            member.Should().NotBeNull("BaseMethod should be inherited by DerivedClass");
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMember(sb, member!);
+
+            var result = sb.ToString();
+            result.Should().StartWith("<span data-dnd-member=\"BaseMethod\" data-kind=\"method\" data-provenance=\"inherited\" data-access=\"public\" />");
+            result.IndexOf("data-dnd-member").Should().BeLessThan(result.IndexOf("### "));
+        }
+
+        [TestMethod]
+        public void GetMemberFilterMarker_Should_Flag_Overrides_And_Constructors()
+        {
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "DerivedClass");
+
+            type.Should().NotBeNull("DerivedClass should exist in test assembly");
+            var overrideMember = type!.Members.First(m => m.Symbol.Name == "VirtualMethod" && m.IsOverride);
+            var constructor = type.Members.First(m => m.MethodKind == MethodKind.Constructor && !m.IsInherited);
+
+            MintlifyRenderer.GetMemberFilterMarker(overrideMember).Should().Contain("data-kind=\"method\" data-provenance=\"override\"");
+            MintlifyRenderer.GetMemberFilterMarker(constructor).Should().Contain("data-kind=\"constructor\" data-provenance=\"declared\"");
+        }
+
+        [TestMethod]
+        public void XmlDocPlayground_Should_Emit_The_Same_Badges_And_Marker_As_RenderMember()
+        {
+            // The XmlDocPlayground snippet previews RenderMember, so its badges and marker have to follow any change made here
+            var playground = File.ReadAllText(Path.Combine(Directory.GetCurrentDirectory(), "Snippets", "XmlDocComments.jsx"));
+            var type = GetTestsDotSharedAssembly().Namespaces
+                .SelectMany(n => n.Types)
+                .FirstOrDefault(t => t.Symbol.Name == "BaseClass");
+
+            type.Should().NotBeNull("BaseClass should exist in test assembly");
+            var member = type!.Members.First(m => m.Symbol.Name == "VirtualMethod");
+            var sb = new StringBuilder();
+
+            GetMintlifyRenderer().RenderMember(sb, member);
+
+            var result = sb.ToString();
+            var virtualBadge = MintlifyRenderer.GetDocsBadge("Virtual", "warning", "Virtual member; derived types can override it");
+            result.Should().Contain(virtualBadge);
+            playground.Should().Contain(virtualBadge);
+            playground.Should().Contain(MintlifyRenderer.GetDocsBadge("Abstract", "warning", "Abstract member; derived types must implement it"));
+            playground.Should().Contain(MintlifyRenderer.GetDocsBadge("Override", "info", "Overrides a member of a base type"));
+            playground.Should().Contain(MintlifyRenderer.GetDocsBadge("Extension", "success", "Extension method from a static class"));
+
+            MintlifyRenderer.GetMemberFilterMarker(member).Should().Be("<span data-dnd-member=\"VirtualMethod\" data-kind=\"method\" data-provenance=\"declared\" data-access=\"public\" />");
+            playground.Should().Contain("<span data-dnd-member=\"${name}\" data-kind=\"${kind}\" data-provenance=\"${provenance}\" data-access=\"${access}\" />");
+        }
+
         #endregion
 
         #region Enum Rendering Tests
@@ -1127,6 +1628,111 @@ namespace CloudNimble.DotNetDocs.Tests.Mintlify.Renderers
             File.Exists(docsJsonPath).Should().BeTrue("docs.json should be created when GenerateDocsJson is true");
         }
 
+        [TestMethod]
+        public async Task RenderAsync_WithGenerateDocsJson_CreatesBrandColorsStylesheet()
+        {
+            // Arrange
+            var assemblyPath = typeof(SampleClass).Assembly.Location;
+            var xmlPath = Path.ChangeExtension(assemblyPath, ".xml");
+            using var manager = new AssemblyManager(assemblyPath, xmlPath);
+            var model = await manager.DocumentAsync();
+
+            var renderer = GetMintlifyRenderer();
+
+            // Act
+            await renderer.RenderAsync(model);
+
+            // Assert
+            var stylesheetPath = Path.Combine(_testOutputPath, MintlifyRenderer.BrandColorsStylesheetFileName);
+            File.Exists(stylesheetPath).Should().BeTrue("the brand colors stylesheet should be created alongside docs.json");
+
+            var stylesheet = await File.ReadAllTextAsync(stylesheetPath, TestContext.CancellationToken);
+            stylesheet.Should().Contain("--dnd-primary: #0D9373;");
+        }
+
+        [TestMethod]
+        public void GetBrandColorsStylesheet_WithAllColors_MapsMintlifyColorSemantics()
+        {
+            // Arrange
+            var colors = new ColorsConfig
+            {
+                Primary = "#419AC5",
+                Light = "#6BB8DD",
+                Dark = "#3CD0E2"
+            };
+
+            // Act
+            var result = MintlifyRenderer.GetBrandColorsStylesheet(colors);
+
+            // Assert
+            result.Should().NotBeNull();
+            result.Should().Contain(":root {");
+            result.Should().Contain("--dnd-primary: #6BB8DD;", "dark mode uses the light color");
+            result.Should().Contain("--dnd-accent: #3CD0E2;", "buttons and accents use the dark color");
+            result.Should().Contain("--dnd-primary-deep: color-mix(in srgb, var(--dnd-primary) 80%, black);");
+            result.Should().Contain("html.light {");
+            result.Should().MatchRegex(@"html\.light \{\s+--dnd-primary: #419AC5;", "light mode uses the primary color");
+        }
+
+        [TestMethod]
+        public void GetBrandColorsStylesheet_WithDarkColor_DarkensLightModeAccent()
+        {
+            // Arrange
+            var colors = new ColorsConfig
+            {
+                Primary = "#419AC5",
+                Dark = "#3CD0E2"
+            };
+
+            // Act
+            var result = MintlifyRenderer.GetBrandColorsStylesheet(colors);
+
+            // Assert
+            var lightBlock = result!.Substring(result.IndexOf("html.light {", StringComparison.Ordinal));
+            lightBlock.Should().Contain("--dnd-accent: color-mix(in srgb, #3CD0E2 75%, black);", "the dark color is too light to read as text in light mode");
+        }
+
+        [TestMethod]
+        public void GetBrandColorsStylesheet_WithOnlyPrimary_UsesPrimaryForAllVariables()
+        {
+            // Arrange
+            var colors = new ColorsConfig { Primary = "#FF5500" };
+
+            // Act
+            var result = MintlifyRenderer.GetBrandColorsStylesheet(colors);
+
+            // Assert
+            result.Should().Contain("--dnd-primary: #FF5500;");
+            result.Should().Contain("--dnd-accent: #FF5500;");
+            result.Should().MatchRegex(@"html\.light \{\s+--dnd-primary: #FF5500;\s+--dnd-accent: #FF5500;");
+        }
+
+        [TestMethod]
+        public void GetBrandColorsStylesheet_WithNullColors_ReturnsNull()
+        {
+            // Act
+            var result = MintlifyRenderer.GetBrandColorsStylesheet(null);
+
+            // Assert
+            result.Should().BeNull();
+        }
+
+        [TestMethod]
+        public async Task CreateBrandColorsStylesheetAsync_WithoutColors_DeletesPreviousStylesheet()
+        {
+            // Arrange
+            var renderer = GetMintlifyRenderer();
+            var stylesheetPath = Path.Combine(_testOutputPath, MintlifyRenderer.BrandColorsStylesheetFileName);
+            await renderer.CreateBrandColorsStylesheetAsync(new ColorsConfig { Primary = "#FF5500" });
+            File.Exists(stylesheetPath).Should().BeTrue();
+
+            // Act
+            await renderer.CreateBrandColorsStylesheetAsync(null);
+
+            // Assert
+            File.Exists(stylesheetPath).Should().BeFalse("colors removed from docs.json shouldn't keep applying");
+        }
+
 
         #endregion
 